@@ -0,0 +1,279 @@
+'use strict';
+
+import debugFactory from 'debug';
+const debug = debugFactory('azure:append-stream');
+import util from 'util';
+import stream from 'stream';
+
+/*
+ * The maximum number of blocks in an append blob.
+ * @const
+ */
+var MAX_APPEND_BLOCK_COUNT = 50000;
+
+/*
+ * Default name of the blob with `index` in a sequence of append blobs rolled
+ * over from `blob`, the first blob has the given name and the following blobs
+ * have `.1`, `.2`, ... appended to it.
+ */
+function defaultBlobName(blob, index) {
+  return index === 0 ? blob : blob + '.' + index;
+}
+
+/**
+ * Writable stream that appends to an append blob, rolling over to a new blob
+ * when the current blob is full. Instances are created with
+ * `Blob#createAppendStream`, and should not be constructed directly.
+ *
+ * Each blob is created if it is missing, or appended to if it exists, so a
+ * stream opened on a blob written by a previous process continues where that
+ * process stopped, including any blobs it rolled over to.
+ *
+ * Writes are sent as they are made, while an append is in progress further
+ * writes are buffered and sent as a single block of at most `blockSize`
+ * bytes. Each block is appended with an append-position condition, so a block
+ * is never written twice, even if the request is retried after the service
+ * committed it. A retry failing the condition is resolved by reading back the
+ * range the block should have been written to.
+ *
+ * The stream rolls over to the next blob when a block would exceed `maxSize`,
+ * or the blob has reached the limit of 50,000 blocks.
+ *
+ * Events, besides those of `stream.Writable`:
+ *  - `rollover`, emitted with `{blob, index}` when appending to a new blob.
+ *
+ * @class AppendBlobStream
+ * @extends stream.Writable
+ * @constructor
+ * @param {Blob} client - Blob client to append with.
+ * @param {string} container - Name of the container
+ * @param {string} blob - Name of the first blob
+ * @param {object} options - Options as accepted by `Blob#createAppendStream`
+ */
+export function AppendBlobStream(client, container, blob, options) {
+  stream.Writable.call(this, {highWaterMark: options.blockSize});
+
+  this.client = client;
+  this.container = container;
+  // Index, name, length and number of blocks of the blob appended to
+  this.index = 0;
+  this.blob = null;
+  this.offset = 0;
+  this.blockCount = 0;
+
+  this._blobName = options.blobName || defaultBlobName.bind(null, blob);
+  this._blockSize = options.blockSize;
+  this._maxSize = options.maxSize;
+  this._createOptions = {
+    type:               'AppendBlob',
+    metadata:           options.metadata,
+    contentType:        options.contentType,
+    contentEncoding:    options.contentEncoding,
+    contentLanguage:    options.contentLanguage,
+    cacheControl:       options.cacheControl,
+    contentDisposition: options.contentDisposition,
+    tags:               options.tags,
+    ifNoneMatch:        '*'
+  };
+};
+
+// Export AppendBlobStream
+export default AppendBlobStream;
+
+// Subclass stream.Writable
+util.inherits(AppendBlobStream, stream.Writable);
+
+/*
+ * Open the blob with `index`, creating it if it is missing. Existing blobs
+ * followed by another blob of the sequence are skipped, as are blobs that are
+ * full, so that appends continue in the last blob of a sequence.
+ */
+AppendBlobStream.prototype._open = function _open(index) {
+  var self = this;
+  var blob = self._blobName(index);
+  return self.client.putBlob(self.container, blob, self._createOptions).then(function() {
+    debug("Created append blob %s/%s", self.container, blob);
+    return {offset: 0, blockCount: 0};
+  }, function(err) {
+    if (err.code !== 'BlobAlreadyExists') {
+      throw err;
+    }
+    return self.client.getBlobProperties(self.container, blob).then(function(properties) {
+      if (properties.type !== 'AppendBlob') {
+        var err = new Error('Can\'t append to ' + blob + ', it is a ' + properties.type);
+        err.name = 'InvalidBlobTypeError';
+        err.code = 'InvalidBlobType';
+        throw err;
+      }
+      return self._exists(index + 1).then(function(exists) {
+        if (exists) {
+          return null;
+        }
+        return {
+          offset: parseInt(properties.contentLength, 10),
+          blockCount: parseInt(properties.committedBlockCount || '0', 10)
+        };
+      });
+    });
+  }).then(function(state) {
+    // A later blob of the sequence exists, this blob was rolled over from
+    if (state === null) {
+      debug("Append blob %s/%s was rolled over, skipping it", self.container, blob);
+      return self._open(index + 1);
+    }
+    self.index = index;
+    self.blob = blob;
+    self.offset = state.offset;
+    self.blockCount = state.blockCount;
+    if (self._isFull(0)) {
+      debug("Append blob %s/%s is full, skipping it", self.container, blob);
+      return self._open(index + 1);
+    }
+    debug("Appending to %s/%s at offset %d", self.container, blob, self.offset);
+    if (index > 0) {
+      self.emit('rollover', {blob: blob, index: index});
+    }
+  });
+};
+
+/*
+ * Check if the blob with `index` exists, return a promise for a boolean.
+ */
+AppendBlobStream.prototype._exists = function _exists(index) {
+  return this.client.getBlobProperties(this.container, this._blobName(index)).then(function() {
+    return true;
+  }, function(err) {
+    // Get Blob Properties is a HEAD request, so a missing blob has no error code
+    if (err.statusCode !== 404) {
+      throw err;
+    }
+    return false;
+  });
+};
+
+/*
+ * True, if a block of `size` bytes can't be appended to the current blob.
+ */
+AppendBlobStream.prototype._isFull = function _isFull(size) {
+  if (this.blockCount >= MAX_APPEND_BLOCK_COUNT) {
+    return true;
+  }
+  return this._maxSize !== undefined && this.offset + Math.max(size, 1) > this._maxSize;
+};
+
+/*
+ * Append `block` at the current offset, rolling over to the next blob first
+ * if it doesn't fit in the current blob.
+ */
+AppendBlobStream.prototype._append = function _append(block) {
+  var self = this;
+  if (self._isFull(block.length)) {
+    return self._open(self.index + 1).then(function() {
+      return self._append(block);
+    });
+  }
+  var offset = self.offset;
+  var options = {
+    blobConditionAppendPositionOffset: offset
+  };
+  if (self._maxSize !== undefined) {
+    options.blobConditionMaxSize = self._maxSize;
+  }
+  return self.client.appendBlock(self.container, self.blob, options, block).then(function(result) {
+    return parseInt(result.committedBlockCount, 10) || self.blockCount + 1;
+  }, function(err) {
+    // The blob was filled by another writer
+    if (err.code === 'MaxBlobSizeConditionNotMet' || err.code === 'BlockCountExceedsLimit') {
+      debug("Append blob %s/%s is full: %s", self.container, self.blob, err.code);
+      self.blockCount = MAX_APPEND_BLOCK_COUNT;
+      return self._append(block);
+    }
+    if (err.code !== 'AppendPositionConditionNotMet') {
+      throw err;
+    }
+    // A retried request fails the condition, if the block was committed by a
+    // previous attempt. Check that the block is there, rather than appending
+    // it again.
+    return self._committed(offset, block).then(function(blockCount) {
+      if (blockCount === null) {
+        throw err;
+      }
+      debug("Block at offset %d of %s/%s was committed by a previous attempt", offset, self.container, self.blob);
+      return blockCount;
+    });
+  }).then(function(blockCount) {
+    if (typeof blockCount === 'number') {
+      self.offset = offset + block.length;
+      self.blockCount = blockCount;
+    }
+  });
+};
+
+/*
+ * Check if `block` was committed at `offset` of the current blob, return a
+ * promise for the number of committed blocks if it was, otherwise `null`.
+ */
+AppendBlobStream.prototype._committed = function _committed(offset, block) {
+  var self = this;
+  return self.client.getBlobStream(self.container, self.blob, {
+    offset: offset,
+    count: block.length,
+    raw: true
+  }).then(function(result) {
+    var chunks = [];
+    result.stream.on('data', function(chunk) {
+      chunks.push(chunk);
+    });
+    return new Promise(function(resolve, reject) {
+      result.stream.once('error', reject);
+      result.stream.once('end', function() {
+        resolve(Buffer.concat(chunks));
+      });
+    }).then(function(content) {
+      if (!content.equals(block)) {
+        return null;
+      }
+      return parseInt(result.blobCommittedBlockCount, 10) || self.blockCount + 1;
+    });
+  }, function(err) {
+    // The blob is shorter than the block
+    if (err.code === 'InvalidRange') {
+      return null;
+    }
+    throw err;
+  });
+};
+
+/*
+ * Create or open the first blob, before any writes are made.
+ */
+AppendBlobStream.prototype._construct = function _construct(callback) {
+  this._open(0).then(function() {
+    callback();
+  }, callback);
+};
+
+/*
+ * Append buffered writes as blocks of at most `blockSize` bytes.
+ */
+AppendBlobStream.prototype._writev = function _writev(chunks, callback) {
+  var self = this;
+  var data = Buffer.concat(chunks.map(function(item) {
+    return Buffer.isBuffer(item.chunk) ? item.chunk : Buffer.from(item.chunk, item.encoding);
+  }));
+  var appended = Promise.resolve();
+  for (var start = 0; start < data.length; start += self._blockSize) {
+    (function(block) {
+      appended = appended.then(function() {
+        return self._append(block);
+      });
+    })(data.subarray(start, start + self._blockSize));
+  }
+  appended.then(function() {
+    callback();
+  }, callback);
+};
+
+AppendBlobStream.prototype._write = function _write(chunk, encoding, callback) {
+  this._writev([{chunk: chunk, encoding: encoding}], callback);
+};
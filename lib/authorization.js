@@ -1,8 +1,196 @@
+import assert from 'assert';
 import querystring from 'querystring';
 import debugFactory from 'debug';
 import * as utils from './utils.js';
 const debug = debugFactory('azure:authorization');
 
+/*
+ * Version of the account shared-access-signatures generated by `accountSAS`.
+ * @const
+ */
+var ACCOUNT_SAS_VERSION = '2020-04-08';
+
+/*
+ * Services, resource types and permissions of account
+ * shared-access-signatures, in the order they must be given.
+ * @const
+ */
+var ACCOUNT_SAS_SERVICES = {blob: 'b', queue: 'q', table: 't', file: 'f'};
+var ACCOUNT_SAS_RESOURCE_TYPES = {service: 's', container: 'c', object: 'o'};
+var ACCOUNT_SAS_PERMISSIONS = {
+  read:           'r',
+  write:          'w',
+  delete:         'd',
+  deleteVersion:  'x',
+  list:           'l',
+  add:            'a',
+  create:         'c',
+  update:         'u',
+  process:        'p',
+  tag:            't',
+  filter:         'f'
+};
+
+/*
+ * IPv4 address, or range of addresses, as accepted for `sip`.
+ * @const
+ */
+var SAS_IP_PATTERN = /^\d{1,3}(\.\d{1,3}){3}(-\d{1,3}(\.\d{1,3}){3})?$/;
+
+/*
+ * Concatenate the letters of the `flags` set in `options`, in the order of
+ * `flags`.
+ */
+function sasFlags(flags, options) {
+  return Object.keys(flags).filter(function(key) {
+    return options[key];
+  }).map(function(key) {
+    return flags[key];
+  }).join('');
+}
+
+/*
+ * Permissions of service shared-access-signatures for each service, mapping
+ * the options accepted by the `sas` methods to their letters, in the order
+ * they must be given.
+ * @const
+ */
+var SERVICE_SAS_PERMISSIONS = {
+  blob: {
+    read:           'r',
+    add:            'a',
+    create:         'c',
+    write:          'w',
+    delete:         'd',
+    deleteVersion:  'x',
+    list:           'l',
+    tag:            't',
+    move:           'm',
+    execute:        'e'
+  },
+  queue:  {read: 'r', add: 'a', update: 'u', process: 'p'},
+  table:  {read: 'r', add: 'a', update: 'u', delete: 'd'}
+};
+
+/*
+ * Signed resources of blob shared-access-signatures, mapping the resource
+ * types accepted by `Blob#sas` to their `sr` values.
+ * @const
+ */
+export const BLOB_SAS_RESOURCES = {blob: 'b', container: 'c', snapshot: 'bs', version: 'bv'};
+
+/*
+ * Construct the permissions of a service shared-access-signature for
+ * `service` from the `permissions` option of its `sas` method.
+ */
+export const sasPermissions = function sasPermissions(service, permissions) {
+  return sasFlags(SERVICE_SAS_PERMISSIONS[service], permissions);
+};
+
+/*
+ * Set the signed protocol and IP range of a shared-access-signature on
+ * `query`, from `options.protocol` and `options.ipRange`.
+ */
+export const setSasProtocolAndIP = function setSasProtocolAndIP(query, options) {
+  query.spr = options.protocol || 'https';
+  assert(query.spr === 'https' || query.spr === 'https,http',
+    'options.protocol must be `https` or `https,http`');
+  if (options.ipRange) {
+    assert(SAS_IP_PATTERN.test(options.ipRange),
+      'options.ipRange must be an IPv4 address or a range on the form `<first>-<last>`');
+    query.sip = options.ipRange;
+  }
+};
+
+/*
+ * Fields of the string-to-sign for each type of shared-access-signature, in
+ * order. Fields are named by their query-string parameter, except
+ * `accountName`, `canonicalizedResource` and `snapshot` which aren't given in
+ * the query-string. The string-to-sign of an account SAS ends with a newline.
+ * The encryption scope, `ses`, is only signed from version 2020-12-06.
+ * @const
+ */
+var SAS_STRING_TO_SIGN_FIELDS = {
+  account: ['accountName', 'sp', 'ss', 'srt', 'st', 'se', 'sip', 'spr', 'sv', 'ses', ''],
+  blob: [
+    'sp', 'st', 'se', 'canonicalizedResource', 'si', 'sip', 'spr', 'sv', 'sr',
+    'snapshot', 'ses', 'rscc', 'rscd', 'rsce', 'rscl', 'rsct'
+  ],
+  userDelegation: [
+    'sp', 'st', 'se', 'canonicalizedResource', 'skoid', 'sktid', 'skt', 'ske',
+    'sks', 'skv', 'saoid', 'suoid', 'scid', 'sip', 'spr', 'sv', 'sr',
+    'snapshot', 'ses', 'rscc', 'rscd', 'rsce', 'rscl', 'rsct'
+  ],
+  queue: ['sp', 'st', 'se', 'canonicalizedResource', 'si', 'sip', 'spr', 'sv'],
+  table: [
+    'sp', 'st', 'se', 'canonicalizedResource', 'si', 'sip', 'spr', 'sv', 'spk',
+    'srk', 'epk', 'erk'
+  ],
+  // Table SAS before version 2015-04-05
+  legacyTable: [
+    'sp', 'st', 'se', 'canonicalizedResource', 'si', 'sv', 'spk', 'srk', 'epk',
+    'erk'
+  ]
+};
+
+/*
+ * Fields of the string-to-sign of a shared-access-signature of `type` with
+ * parameters `query`.
+ */
+function stringToSignFields(type, query) {
+  if (type === 'table' && query.sv < '2015-04-05') {
+    return SAS_STRING_TO_SIGN_FIELDS.legacyTable;
+  }
+  if (query.sv < '2020-12-06') {
+    return SAS_STRING_TO_SIGN_FIELDS[type].filter(function(field) {
+      return field !== 'ses';
+    });
+  }
+  return SAS_STRING_TO_SIGN_FIELDS[type];
+}
+
+/*
+ * Values of the string-to-sign fields of a shared-access-signature of `type`,
+ * see `sasStringToSign`.
+ */
+function stringToSignValues(type, accountId, resource, query) {
+  var canonicalizedResource;
+  if (type === 'blob' || type === 'userDelegation') {
+    canonicalizedResource = '/blob/' + accountId.toLowerCase() + '/' + resource;
+  } else if (type === 'queue') {
+    canonicalizedResource = '/queue/' + accountId.toLowerCase() + '/' + resource;
+  } else if (type === 'table' && query.sv < '2015-04-05') {
+    canonicalizedResource = '/' + accountId.toLowerCase() + '/' + resource.toLowerCase();
+  } else if (type === 'table') {
+    canonicalizedResource = '/table/' + accountId.toLowerCase() + '/' + resource.toLowerCase();
+  }
+  return stringToSignFields(type, query).map(function(field) {
+    if (field === 'accountName') {
+      return accountId;
+    }
+    if (field === 'canonicalizedResource') {
+      return canonicalizedResource;
+    }
+    // The snapshot or version signed for is given by the request, not the SAS
+    if (field === 'snapshot') {
+      return (query.sr === 'bs' && query.snapshot) || (query.sr === 'bv' && query.versionid) || '';
+    }
+    return query[field] || '';
+  });
+}
+
+/*
+ * Construct the string-to-sign of a shared-access-signature with parameters
+ * `query`, where `type` is `account`, `blob`, `userDelegation`, `queue` or
+ * `table`. The `resource` is the path of the container or blob, the queue or
+ * the table signed for, and is ignored for account SAS. The snapshot time or
+ * version id signed by a blob snapshot or version SAS is given as
+ * `query.snapshot` or `query.versionid`.
+ */
+export const sasStringToSign = function sasStringToSign(type, accountId, resource, query) {
+  return stringToSignValues(type, accountId, resource, query).join('\n');
+};
+
 /*
  * Authorize the request with a shared-access-signature that is refreshed with
  * the a function given as `options.sas`.
@@ -60,6 +248,93 @@ export const authorizeWithRefreshSAS = function authorizeWithRefreshSAS(method,
   });
 }
 
+/*
+ * Minimum `x-ms-version` of requests authorized with an OAuth token, for
+ * each service.
+ * @const
+ */
+var TOKEN_AUTH_MIN_VERSIONS = {
+  blob:   '2017-11-09',
+  queue:  '2017-11-09',
+  table:  '2019-02-02'
+};
+
+/*
+ * Fetch a new token with the function given as `options.tokenCredential`,
+ * storing it as `_token` expiring at `_tokenExpiresOn`. Concurrent calls
+ * share the same request for a token.
+ */
+function refreshToken(client) {
+  if (!client._tokenRefresh) {
+    debug("Refreshing OAuth token");
+    client._tokenRefresh = Promise.resolve().then(function() {
+      return client.options.tokenCredential();
+    }).then(function(result) {
+      if (!result || typeof result.token !== 'string' || !result.expiresOn) {
+        throw new Error("options.tokenCredential must return a promise for " +
+                        "an object on the form {token, expiresOn}");
+      }
+      client._token = result.token;
+      client._tokenExpiresOn = new Date(result.expiresOn).getTime();
+      client._tokenRefresh = null;
+      debug("Refreshed OAuth token, expires at", new Date(client._tokenExpiresOn));
+      return client._token;
+    }).catch(function(err) {
+      debug("OAuth token refresh failed:", err);
+      client._tokenRefresh = null;
+      throw err;
+    });
+  }
+  return client._tokenRefresh;
+}
+
+/*
+ * Authorize the request with an OAuth bearer token from the function given as
+ * `options.tokenCredential`. The token is refreshed in the background once it
+ * expires in less than `options.minTokenAuthExpiry`, requests only wait for a
+ * new token if there is none, or it has expired. The `x-ms-version` header is
+ * raised to the minimum version supporting OAuth for the `service`.
+ * Intended to define `<Queue|Table|Blob>.prototype.authorize`.
+ *
+ * Note that this function should be called in the service context.
+ * @param {string} service - the name of the service: queue|blob|table
+ */
+export const authorizeWithToken = function(service) {
+  var self = this;
+  var minVersion = TOKEN_AUTH_MIN_VERSIONS[service];
+  return function(method, path, query, headers) {
+    var token;
+    if (!self._token || Date.now() >= self._tokenExpiresOn) {
+      token = refreshToken(self);
+    } else {
+      if (Date.now() >= self._tokenExpiresOn - self.options.minTokenAuthExpiry) {
+        // The current token is still valid, if the refresh fails we'll retry
+        // with the next request
+        refreshToken(self).catch(function() {});
+      }
+      token = Promise.resolve(self._token);
+    }
+
+    return token.then(function(token) {
+      if (headers['x-ms-version'] && headers['x-ms-version'] < minVersion) {
+        headers['x-ms-version'] = minVersion;
+      }
+      headers.authorization = 'Bearer ' + token;
+
+      // Encode query string
+      var qs = querystring.stringify(query);
+
+      return {
+        host:       self.hostname,
+        method:     method,
+        path:       (qs.length > 0 ? path + '?' + qs : path),
+        headers:    headers,
+        agent:      self.options.agent,
+      };
+    });
+  };
+}
+
 /*
  * Authorize the request with a shared-access-signature that is given with
  * `options.sas` as string.
@@ -179,3 +454,291 @@ export const authorizeWithSharedKey = function (service, queryParamsSupported) {
     });
   };
 }
+
+/*
+ * Generate an account shared-access-signature, see `Blob#accountSas`.
+ * Intended to define `<Queue|Table|Blob>.prototype.accountSas`.
+ */
+export const accountSAS = function accountSAS(options) {
+  assert(options, 'options is required');
+  assert(options.expiry instanceof Date, 'options.expiry must be a Date object');
+  assert(options.services, 'options.services is required');
+  assert(options.resourceTypes, 'options.resourceTypes is required');
+  assert(options.permissions, 'options.permissions is required');
+
+  // Check that we have credentials
+  if (!this.options.accountId || !this.options.accessKey) {
+    throw new Error("accountId and accessKey are required for SAS creation!");
+  }
+
+  var query = {
+    sv:   ACCOUNT_SAS_VERSION,
+    ss:   sasFlags(ACCOUNT_SAS_SERVICES, options.services),
+    srt:  sasFlags(ACCOUNT_SAS_RESOURCE_TYPES, options.resourceTypes),
+    sp:   sasFlags(ACCOUNT_SAS_PERMISSIONS, options.permissions),
+    se:   utils.dateToISOWithoutMS(options.expiry)
+  };
+  assert(query.ss, 'options.services must include at least one service');
+  assert(query.srt, 'options.resourceTypes must include at least one resource type');
+  assert(query.sp, 'options.permissions must include at least one permission');
+  setSasProtocolAndIP(query, options);
+
+  if (options.start) {
+    assert(options.start instanceof Date, "if specified start must be a Date object");
+    query.st = utils.dateToISOWithoutMS(options.start);
+  }
+
+  // Construct string to sign
+  var stringToSign = sasStringToSign('account', this.options.accountId, null, query);
+
+  // Compute signature
+  query.sig = utils.hmacSha256(this._accessKey, stringToSign);
+
+  // Return Shared-Access-Signature as query-string
+  return querystring.stringify(query);
+};
+
+/*
+ * Parse the query-string of a shared-access-signature, given as query-string
+ * or URL, and find its type of string-to-sign.
+ */
+function parseSasQuery(sas) {
+  assert(typeof sas === 'string', 'sas must be a string');
+  var query = querystring.parse(sas.slice(sas.indexOf('?') + 1));
+  assert(query.sv && query.sig, 'sas must be a shared-access-signature with `sv` and `sig` parameters');
+  var type = 'queue';
+  if (query.ss) {
+    type = 'account';
+  } else if (query.skoid) {
+    type = 'userDelegation';
+  } else if (query.sr) {
+    type = 'blob';
+  } else if (query.tn) {
+    type = 'table';
+  }
+  return {query: query, type: type};
+}
+
+/*
+ * Map the `letters` of a shared-access-signature to an object with the keys
+ * of `flags` given as letters set to true, the inverse of `sasFlags`.
+ */
+function parseSasFlags(flags, letters) {
+  var result = {};
+  Object.keys(flags).forEach(function(key) {
+    if (letters.indexOf(flags[key]) !== -1) {
+      result[key] = true;
+    }
+  });
+  return result;
+}
+
+/**
+ * Parse a shared-access-signature, as generated by the `sas`, `accountSas` and
+ * `userDelegationSas` methods, to inspect what it grants. The signature can be
+ * given as query-string, with or without leading `?`, or as URL.
+ *
+ * @method parseSas
+ * @param {string} sas - Shared-access-signature to parse
+ * @return {object} An object on the following form, properties not given by
+ * the signature are omitted:
+ * ```js
+ * {
+ *   type:              'service',          // `account`, `service` or `userDelegation`
+ *   service:           'blob',             // Service of a service or user delegation SAS,
+ *                                          // `blob`, `queue` or `table`
+ *   services:          {blob: true, ...},  // Services of an account SAS, as `accountSas` accepts
+ *   resourceType:      'container',        // Resource type of a blob SAS, `blob`, `container`,
+ *                                          // `snapshot` or `version`
+ *   resourceTypes:     {object: true, ...},// Resource types of an account SAS, as `accountSas` accepts
+ *   table:             '...',              // Table of a table SAS
+ *   permissions:       {read: true, ...},  // Permissions, as the method generating the SAS accepts
+ *   unknownPermissions: '...',             // Permission letters without option name
+ *   start:             new Date(...),      // Time from which the signature is valid
+ *   expiry:            new Date(...),      // Expiration of the signature
+ *   ipRange:           '...',              // IP address or range requests are accepted from
+ *   protocol:          'https',            // Protocols permitted, `https` or `https,http`
+ *   version:           '...',              // Service version of the signature
+ *   accessPolicy:      '...',              // Stored access policy referenced
+ *   first:             {partitionKey, rowKey}, // First entity accessible with a table SAS
+ *   last:              {partitionKey, rowKey}, // Last entity accessible with a table SAS
+ *   cacheControl:      '...',              // Response headers overridden by a blob SAS
+ *   contentDisposition: '...',
+ *   contentEncoding:   '...',
+ *   contentLanguage:   '...',
+ *   contentType:       '...',
+ *   userDelegationKey: {                   // User delegation key of a user delegation SAS, as
+ *     signedOid, signedTid, signedStart,   // `getUserDelegationKey` returns it, without value
+ *     signedExpiry, signedService, signedVersion
+ *   },
+ *   signature:         '...',              // Signature of the SAS
+ * }
+ * ```
+ */
+export const parseSas = function parseSas(sas) {
+  var parsed = parseSasQuery(sas);
+  var query = parsed.query;
+  var result = {};
+  var permissionFlags;
+  if (parsed.type === 'account') {
+    result.type = 'account';
+    result.services = parseSasFlags(ACCOUNT_SAS_SERVICES, query.ss);
+    result.resourceTypes = parseSasFlags(ACCOUNT_SAS_RESOURCE_TYPES, query.srt || '');
+    permissionFlags = ACCOUNT_SAS_PERMISSIONS;
+  } else {
+    result.type = parsed.type === 'userDelegation' ? 'userDelegation' : 'service';
+    result.service = parsed.type === 'userDelegation' ? 'blob' : parsed.type;
+    permissionFlags = SERVICE_SAS_PERMISSIONS[result.service];
+  }
+  if (query.sr) {
+    result.resourceType = Object.keys(BLOB_SAS_RESOURCES).filter(function(key) {
+      return BLOB_SAS_RESOURCES[key] === query.sr;
+    })[0] || query.sr;
+  }
+  if (query.tn) {
+    result.table = query.tn;
+  }
+  if (query.sp) {
+    result.permissions = parseSasFlags(permissionFlags, query.sp);
+    var letters = Object.keys(permissionFlags).map(function(key) {
+      return permissionFlags[key];
+    });
+    var unknown = query.sp.split('').filter(function(letter) {
+      return letters.indexOf(letter) === -1;
+    }).join('');
+    if (unknown) {
+      result.unknownPermissions = unknown;
+    }
+  }
+  if (query.st)   result.start = new Date(query.st);
+  if (query.se)   result.expiry = new Date(query.se);
+  if (query.sip)  result.ipRange = query.sip;
+  if (query.spr)  result.protocol = query.spr;
+  result.version = query.sv;
+  if (query.si)   result.accessPolicy = query.si;
+  if (query.spk || query.srk) {
+    result.first = {partitionKey: query.spk, rowKey: query.srk};
+  }
+  if (query.epk || query.erk) {
+    result.last = {partitionKey: query.epk, rowKey: query.erk};
+  }
+  if (query.rscc) result.cacheControl = query.rscc;
+  if (query.rscd) result.contentDisposition = query.rscd;
+  if (query.rsce) result.contentEncoding = query.rsce;
+  if (query.rscl) result.contentLanguage = query.rscl;
+  if (query.rsct) result.contentType = query.rsct;
+  if (parsed.type === 'userDelegation') {
+    result.userDelegationKey = {
+      signedOid:      query.skoid,
+      signedTid:      query.sktid,
+      signedStart:    query.skt,
+      signedExpiry:   query.ske,
+      signedService:  query.sks,
+      signedVersion:  query.skv
+    };
+  }
+  result.signature = query.sig;
+  return result;
+};
+
+/**
+ * Verify a shared-access-signature locally, by recomputing its signature with
+ * the same string-to-sign as the methods generating it.
+ *
+ * The signature of a service SAS covers the resource it was generated for,
+ * which isn't part of the SAS, so a signature that fails to verify may be
+ * signed with another key, or for another resource. When the service rejects
+ * a request with `AuthenticationFailed`, the error detail holds the
+ * string-to-sign the service used. Given as `options.stringToSign` it is
+ * compared with the string-to-sign of the SAS, reporting exactly which fields
+ * differ:
+ * ```js
+ * try {
+ *   await blobWithSas.getBlob('container', 'blob');
+ * } catch (err) {
+ *   var result = azure.verifySas(sas, {
+ *     accountId:     '...',
+ *     accessKey:     '...',
+ *     resource:      'container/blob',
+ *     stringToSign:  err.detail
+ *   });
+ *   // result.differences, e.g. [{field: 'canonicalizedResource', ...}]
+ * }
+ * ```
+ *
+ * @method verifySas
+ * @param {string} sas - Shared-access-signature to verify, as accepted by `parseSas`
+ * @param {object} options - Options on the following form:
+ * ```js
+ * {
+ *   accountId:     '...',              // Storage account (required)
+ *   accessKey:     '...',              // Account key, or the value of the user delegation key
+ *                                      // for a user delegation SAS (required)
+ *   resource:      'container/blob',   // Container or blob path, or queue of a service SAS,
+ *                                      // required for blob and queue SAS
+ *   snapshot:      '...',              // Snapshot time or version id of a blob snapshot or
+ *                                      // version SAS, unless given in the URL of the SAS
+ *   stringToSign:  '...',              // String-to-sign reported by the service, or the error
+ *                                      // detail holding it (optional)
+ * }
+ * ```
+ * @return {object} An object on the form:
+ * ```js
+ * {
+ *   valid:         true,               // True, if there are no differences
+ *   signature:     '...',              // Signature recomputed from the SAS
+ *   stringToSign:  '...',              // String-to-sign of the SAS
+ *   differences:   [{                  // Fields that differ
+ *     field:       'se',               // Name of the string-to-sign field, as its query-string
+ *                                      // parameter, `canonicalizedResource` or `accountName`,
+ *                                      // `sig` if the signature doesn't match
+ *     expected:    '...',              // Value in the string-to-sign of the SAS, or the
+ *                                      // recomputed signature
+ *     actual:      '...',              // Value in `options.stringToSign`, or the signature of
+ *                                      // the SAS
+ *   }],
+ * }
+ * ```
+ */
+export const verifySas = function verifySas(sas, options) {
+  assert(options, 'options is required');
+  assert(options.accountId, 'options.accountId is required');
+  assert(options.accessKey, 'options.accessKey is required');
+  var parsed = parseSasQuery(sas);
+  var query = parsed.query;
+  if (options.snapshot !== undefined) {
+    query.snapshot = query.versionid = options.snapshot;
+  }
+  var resource = options.resource || query.tn;
+  assert(parsed.type === 'account' || resource,
+    'options.resource is required to verify a ' + parsed.type + ' SAS');
+
+  var values = stringToSignValues(parsed.type, options.accountId, resource, query);
+  var stringToSign = values.join('\n');
+  var signature = utils.hmacSha256(Buffer.from(options.accessKey, 'base64'), stringToSign);
+
+  var differences = [];
+  if (signature !== query.sig) {
+    differences.push({field: 'sig', expected: signature, actual: query.sig});
+  }
+  if (options.stringToSign !== undefined) {
+    var fields = stringToSignFields(parsed.type, query);
+    var received = options.stringToSign.replace(/^[\s\S]*?String to sign used was /, '').split('\n');
+    for (var i = 0; i < Math.max(fields.length, received.length); i++) {
+      if (values[i] !== received[i]) {
+        differences.push({
+          field:    i < fields.length ? fields[i] : 'line ' + (i + 1),
+          expected: values[i],
+          actual:   received[i]
+        });
+      }
+    }
+  }
+
+  return {
+    valid:        differences.length === 0,
+    signature:    signature,
+    stringToSign: stringToSign,
+    differences:  differences
+  };
+};
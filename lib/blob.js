@@ -8,14 +8,42 @@ import querystring from 'querystring';
 import * as xml from './xml-parser.js';
 import util from 'util';
 import events from 'events';
+import crypto from 'crypto';
+import stream from 'stream';
+import fs from 'fs';
+import path from 'path';
 import * as agent from './agent.js';
 import * as auth from './authorization.js';
+import { BlobLease } from './lease.js';
+import { iterateMarkerPages } from './list-iterator.js';
+import { AppendBlobStream } from './append-stream.js';
+import * as encryption from './encryption.js';
 
 /*
  * Azure storage service version
  * @const
  */
-var SERVICE_VERSION = '2016-05-31';
+var SERVICE_VERSION = '2020-04-08';
+
+/*
+ * Version of the shared-access-signatures generated by `sas` and
+ * `userDelegationSas`, kept separate from `SERVICE_VERSION` as the
+ * string-to-sign changes between versions.
+ * @const
+ */
+var SAS_VERSION = '2020-04-08';
+
+/*
+ * Minimum version of Blob Batch requests scoped to a container.
+ * @const
+ */
+var CONTAINER_BATCH_VERSION = '2020-04-08';
+
+/*
+ * Minimum version of Find Blobs by Tags within a container.
+ * @const
+ */
+var CONTAINER_FIND_BLOBS_BY_TAGS_VERSION = '2021-04-10';
 
 /*
  * The maximum size, in bytes, of a block blob that can be uploaded, before it must be separated into blocks.
@@ -29,6 +57,18 @@ var MAX_SINGLE_UPLOAD_BLOCK_BLOB_SIZE_IN_BYTES = 256 * 1024 * 1024;
  */
 var MAX_BLOCK_SIZE = 4 * 1024 * 1024;
 
+/*
+ * The maximum size of a block written from a URL with putBlockFromUrl.
+ * @const
+ */
+var MAX_BLOCK_FROM_URL_SIZE = 100 * 1024 * 1024;
+
+/*
+ * The maximum number of blocks in a block blob.
+ * @const
+ */
+var MAX_BLOCK_COUNT = 50000;
+
 /*
  * Page blob length.
  * @const
@@ -39,7 +79,20 @@ var PAGE_SIZE = 512;
  * The maximum size, in bytes, of a page blob.
  * @const
  */
-var MAX_PAGE_SIZE = 1 * 1024 * 1024 * 1024;
+var MAX_PAGE_SIZE = 8 * 1024 * 1024 * 1024 * 1024;
+
+/*
+ * The maximum number of bytes that can be written with a single putPage.
+ * @const
+ */
+var MAX_PUT_PAGE_SIZE = 4 * 1024 * 1024;
+
+/*
+ * Valid access tiers, Hot, Cool and Archive for block blobs, P4 to P80 for
+ * page blobs in premium storage accounts.
+ * @const
+ */
+var ACCESS_TIER_PATTERN = /^(Hot|Cool|Archive|P[0-9]+)$/;
 
 /*
  * The maximum size of an append block.
@@ -47,11 +100,83 @@ var MAX_PAGE_SIZE = 1 * 1024 * 1024 * 1024;
  */
 var MAX_APPEND_BLOCK_SIZE = 4 * 1024 * 1024;
 
+/*
+ * Characters allowed in blob index tag keys and values, besides letters and
+ * digits. Notably quotes are not allowed, so tags need no escaping in filter
+ * expressions.
+ * @const
+ */
+var TAG_PATTERN = /^[a-zA-Z0-9 +\-.\/:=_]*$/;
+
+/*
+ * The maximum number of index tags on a blob.
+ * @const
+ */
+var MAX_TAG_COUNT = 10;
+
+/*
+ * The default number of concurrent requests for recursive deletes.
+ * @const
+ */
+var DEFAULT_DELETE_CONCURRENCY = 16;
+
+/*
+ * The maximum number of sub-requests in a blob batch request.
+ * @const
+ */
+var MAX_BATCH_SIZE = 256;
+
+/*
+ * The minimum validity of user delegation keys fetched for user delegation
+ * SAS, and the maximum validity the service allows.
+ * @const
+ */
+var USER_DELEGATION_KEY_LIFETIME = 24 * 60 * 60 * 1000;
+var MAX_USER_DELEGATION_KEY_LIFETIME = 7 * 24 * 60 * 60 * 1000;
+
+/*
+ * Time before expiration at which a cached user delegation key is replaced.
+ * @const
+ */
+var MIN_USER_DELEGATION_KEY_EXPIRY = 15 * 60 * 1000;
+
+/*
+ * The default delimiter of virtual directories in blob names.
+ * @const
+ */
+var DEFAULT_DELIMITER = '/';
+
+/*
+ * The default number of concurrent requests for chunked transfers.
+ * @const
+ */
+var DEFAULT_TRANSFER_CONCURRENCY = 4;
+
+/*
+ * The maximum size of a range for which the service can return a content MD5.
+ * @const
+ */
+var MAX_RANGE_CONTENT_MD5_SIZE = 4 * 1024 * 1024;
+
+/*
+ * Error codes of downloads failing validation after the response headers were
+ * received, retried along with the transient error codes of the client.
+ * @const
+ */
+var DOWNLOAD_VALIDATION_ERROR_CODES = [
+  'ContentMD5Mismatch',
+  'ContentCRC64Mismatch',
+  'RequestContentLengthError'
+];
+
 /* Transient error codes (we'll retry request when encountering these codes */
 var TRANSIENT_ERROR_CODES = [
   // Azure error codes we should retry on according to azure docs
   'InternalError',
-  'ServerBusy'
+  'ServerBusy',
+  // Downloaded content failing validation, i.e. corrupted by a proxy
+  'ContentMD5Mismatch',
+  'ContentCRC64Mismatch'
 ].concat(utils.TRANSIENT_HTTP_ERROR_CODES);
 
 /*
@@ -68,1602 +193,4668 @@ var QUERY_PARAMS_SUPPORTED = [
   'include',
   'delimiter',
   'blockid',
-  'blocklisttype'
+  'blocklisttype',
+  'copyid',
+  'snapshot',
+  'prevsnapshot',
+  'versionid',
+  'where'
 ].sort();
 
-function anonymous(method, path, query, headers) {
-  // Serialize query-string
-  var qs = querystring.stringify(query);
-  if (qs.length > 0) {
-    qs += '&';
-  }
-  return Promise.resolve({
-    host:       this.hostname,
-    method:     method,
-    path:       path + '?' + qs,
-    headers:    headers,
-    agent:      this.options.agent
+/*
+ * Construct an error object from a non-2xx response `res` with a buffered
+ * `payload` property.
+ */
+function responseError(res, method, path, retry) {
+  // Parse error message
+  var data = xml.parseError(res);
+
+  var resMSHeaders = {};
+  Object.keys(res.headers).forEach(h => {
+    if (h.startsWith('x-ms-')) {
+      resMSHeaders[h] = res.headers[h];
+    }
   });
+
+  // Construct error object
+  var err = new Error(data.message);
+  err.name = data.code + 'Error';
+  err.code = data.code;
+  err.statusCode = res.statusCode;
+  err.message = data.message;
+  err.detail = data.detail;
+  err.retries = retry;
+  err.resMSHeaders = resMSHeaders;
+
+  debug("Error code: %s (%s) for %s %s on retry: %s",
+        data.code, res.statusCode, method, path, retry);
+
+  return err;
 }
 
-/**
- * Blob client class for interacting with Azure Blob Storage.
- *
- * @class Blob
- * @constructor
- * @param {object} options - options on the form:
- *
- * ```js
- * {
- *   // Value for the x-ms-version header fixing the API version
- *   version:              SERVICE_VERSION,
- *
- *   // Value for the x-ms-client-request-id header identifying the client
- *   clientId:             'fast-azure-storage',
- *
- *   // Server-side request timeout
- *   timeout:              30 * 1000,
- *
- *   // Delay between client- and server-side timeout
- *   clientTimeoutDelay:   500,
- *
- *   // Max number of request retries
- *   retries:              5,
- *
- *    // HTTP Agent to use (defaults to a global azure.Agent instance)
- *   agent:                azure.Agent.globalAgent,
- *
- *   // Multiplier for computation of retry delay: 2 ^ retry * delayFactor
- *   delayFactor:          100,
- *
- *   // Randomization factor added as:
- *   // delay = delay * random([1 - randomizationFactor; 1 + randomizationFactor])
- *   randomizationFactor:  0.25,
- *
- *   // Maximum retry delay in ms (defaults to 30 seconds)
- *   maxDelay:             30 * 1000,
- *
- *   // Error codes for which we should retry
- *   transientErrorCodes:  TRANSIENT_ERROR_CODES,
- *
- *   // Azure storage accountId (required)
- *   accountId:            undefined,
- *
- *   // Azure shared accessKey, required unless options.sas is given
- *   accessKey:            undefined,
- *
- *   // Function that returns SAS string or promise for SAS string, in which
- *   // case we will refresh SAS when a request occurs less than
- *   // minSASAuthExpiry from signature expiry. This property may also be a
- *   // SAS string.
- *   sas:                  undefined,
- *
- *   // Minimum SAS expiry before refreshing SAS credentials, if a function for
- *   // refreshing SAS credentials is given as options.sas
- *   minSASAuthExpiry:     15 * 60 * 1000
- * }
- * ```
+/*
+ * Extract blob properties from the response headers of a Get Blob request, as
+ * returned by `getBlob` and `getBlobStream`.
  */
-export function Blob(options) {
-  // Initialize EventEmitter parent class
-  events.EventEmitter.call(this);
-  // Set default options
-  this.options = {
-    version:              SERVICE_VERSION,
-    clientId:             'fast-azure-storage',
-    timeout:              30 * 1000,
-    clientTimeoutDelay:   500,
-    agent:                agent.globalAgent,
-    retries:              5,
-    delayFactor:          100,
-    randomizationFactor:  0.25,
-    maxDelay:             30 * 1000,
-    transientErrorCodes:  TRANSIENT_ERROR_CODES,
-    accountId:            undefined,
-    accessKey:            undefined,
-    sas:                  undefined,
-    minSASAuthExpiry:     15 * 60 * 1000,
+function parseGetBlobHeaders(response) {
+  var responseHeaders = response.headers;
+  return {
+    contentType: responseHeaders['content-type'],
+    contentMD5: responseHeaders['content-md5'],
+    contentCRC64: responseHeaders['x-ms-content-crc64'],
+    contentEncoding: responseHeaders['content-encoding'],
+    contentLanguage: responseHeaders['content-language'],
+    cacheControl: responseHeaders['cache-control'],
+    contentDisposition: responseHeaders['content-disposition'],
+    pageBlobSequenceNumber: responseHeaders['x-ms-blob-sequence-number'],
+    blobCommittedBlockCount: responseHeaders['x-ms-blob-committed-block-count'],
+    metadata: utils.extractMetadataFromHeaders(response),
+    type: responseHeaders['x-ms-blob-type'],
+    eTag: responseHeaders['etag'],
+    lastModified: new Date(responseHeaders['last-modified']),
+    contentRange: responseHeaders['content-range'],
+    blobContentMD5: responseHeaders['x-ms-blob-content-md5'],
+    versionId: responseHeaders['x-ms-version-id'],
+    isCurrentVersion: responseHeaders['x-ms-is-current-version'],
   };
+}
 
-  // Overwrite default options
-  for (var key in options) {
-    if (options.hasOwnProperty(key) && options[key] !== undefined) {
-      this.options[key] = options[key];
+/*
+ * Address a snapshot or a version of a blob, given as `options.snapshot` or
+ * `options.versionId`, by setting the corresponding query parameter.
+ */
+function setBlobVersionQuery(query, options) {
+  if (options) {
+    assert(!(options.snapshot && options.versionId), 'The `options.snapshot` and `options.versionId` can not be combined');
+    if (options.snapshot) {
+      query.snapshot = options.snapshot;
+    }
+    if (options.versionId) {
+      query.versionid = options.versionId;
     }
   }
+}
 
-  // Validate options
-  assert(this.options.accountId, "`options.accountId` must be given");
+/*
+ * Validate the options of a lease operation on a container or blob, and set
+ * the `x-ms-lease-*` headers from them.
+ */
+function setLeaseHeaders(headers, options) {
+  assert(options.leaseAction, "The `options.leaseAction` must be given");
 
-  // Construct hostname
-  this.hostname = this.options.accountId + '.blob.core.windows.net';
+  if (options.leaseId) {
+    assert(utils.isValidGUID(options.leaseId), 'The supplied `leaseId` is not a valid GUID');
+    headers['x-ms-lease-id'] = options.leaseId;
+  }
 
-  // Compute `timeout` for client-side timeout (in ms), and `timeoutInSeconds`
-  // for server-side timeout in seconds.
-  this.timeout = this.options.timeout + this.options.clientTimeoutDelay;
-  this.timeoutInSeconds = Math.floor(this.options.timeout / 1000);
+  assert(
+    options.leaseAction === 'acquire'
+    || options.leaseAction === 'renew'
+    || options.leaseAction === 'change'
+    || options.leaseAction === 'release'
+    || options.leaseAction === 'break',
+    'The supplied `options.leaseAction` is not valid. The possible values are: acquire, renew, change, release, break'
+  );
+  headers['x-ms-lease-action'] = options.leaseAction;
 
-  // Define `this.authorize`
-  if (this.options.accessKey) {
-    // If set authorize to use shared key signatures
-    this.authorize = auth.authorizeWithSharedKey.call(this, 'blob', QUERY_PARAMS_SUPPORTED);
+  if((options.leaseAction === 'renew'
+    || options.leaseAction === 'change'
+    || options.leaseAction === 'release')
+    && !options.leaseId) {
+    throw new Error('The `options.leaseId` must be given if the `options.leaseAction` is `renew` or `change` or `release`');
+  }
 
-    // Decode accessKey
-    this._accessKey = new Buffer(this.options.accessKey, 'base64');
-  } else if (this.options.sas instanceof Function) {
-    // Set authorize to use shared-access-signatures with refresh function
-    this.authorize = auth.authorizeWithRefreshSAS;
-    // Set state with _nextSASRefresh = -1, we'll refresh on the first request
-    this._nextSASRefresh = -1;
-    this._sas = '';
-  } else if (typeof(this.options.sas) === 'string') {
-    // Set authorize to use shared-access-signature as hardcoded
-    this.authorize = auth.authorizeWithSAS;
-  } else {
-    this.authorize = anonymous;
+  if (options.leaseBreakPeriod !== undefined){
+    assert(Number.isInteger(options.leaseBreakPeriod) && options.leaseBreakPeriod >= 0 && options.leaseBreakPeriod <= 60,
+      'The `options.leaseBreakPeriod` is not valid; it should be a number between 0 and 60');
+    headers['x-ms-lease-break-period'] = options.leaseBreakPeriod.toString();
   }
-};
 
-// Export Blob
-export default Blob;
+  if(options.leaseAction === 'acquire' && !options.leaseDuration){
+    throw new Error ('The `options.leaseDuration` must be given if the lease action is `acquire`');
+  }
 
-// Subclass EventEmitter
-util.inherits(Blob, events.EventEmitter);
+  if (options.leaseDuration) {
+    assert(options.leaseDuration >= 15 && options.leaseDuration <= 60 || options.leaseDuration === -1,
+      'The `options.leaseDuration` must be a value between 15 and 60 or -1.');
+    headers['x-ms-lease-duration'] = options.leaseDuration.toString();
+  }
 
-/**
- * Generate a SAS string on the form 'key1=va1&key2=val2&...'.
- *
- * @method sas
- * @param {string}  container - Name of the container that this SAS string applies to.
- * @param {string}  blob - Name of the blob that this SAS string applies to.
- * @param {object} options - Options for the following form:
- *```js
- * {
- *   start:               new Date(),             // Time from which signature is valid (optional)
- *   expiry:              new Date(),             // Expiration of signature (required).
- *   resourceType:        'blob|container',       // Specifies which resources are accessible via the SAS(required)
- *                                                // Possible values are: 'blob' or 'container'.
- *                                                // Specify 'blob' if the shared resource is a 'blob'.
- *                                                // This grants access to the content and metadata of the blob.
- *                                                // Specify 'container' if the shared resource is a 'container'.
- *                                                // This grants access to the content and metadata of any
- *                                                // blob in the container, and to the list of blobs in
- *                                                // the container.
- *   permissions: {                               // Set of permissions delegated (required)
- *                                                // It must be omitted if it has been specified in the associated
- *                                                // stored access policy.
- *     read:              false,                  // Read the content, properties, metadata or block list of a blob
- *                                                // or of any blob in the container if the resourceType is
- *                                                // a container.
- *     add:               false,                  // Add a block to an append blob or to any append blob if the
- *                                                // resourceType is a container.
- *     create:            false,                  // Write a new blob, snapshot a blob, or copy a blob
- *                                                // to a new blob.
- *                                                // These operations can be done to any blob in the container
- *                                                // if the resourceType is a container.
- *     write:             false,                  // Create or write content, properties, metadata, or block list.
- *                                                // Snapshot or lease the blob. Resize the blob (page blob only).
- *                                                // These operations can be done for every blob in the container
- *                                                // if the resourceType is a container.
- *     delete:            false,                  // Delete the blob or any blob in the container if the
- *                                                // resourceType is a container.
- *     list:              false,                  // List blobs in the container.
- *   },
- *   cacheControl:        '...',                  // The value of the Cache-Control response header
- *                                                // to be returned. (optional)
- *   contentDisposition:  '...',                  // The value of the Content-Disposition response header
- *                                                // to be returned. (optional)
- *   contentEncoding:     '...',                  // The value of the Content-Encoding response header
- *                                                // to be returned. (optional)
- *   contentLanguage:     '...',                  // The value of the Content-Language response header
- *                                                // to be returned. (optional)
- *   contentType:         '...',                  // The value of the Content-Type response header to
- *                                                // be returned. (optional)
- *   accessPolicy:        '...'                   // Reference to stored access policy (optional)
- *                                                // A GUID string
- * }
- * ```
- * @returns {string} Shared-Access-Signature on string form.
- *
- */
-Blob.prototype.sas = function sas(container, blob, options){
-  // verify the required options
-  assert(options, "options is required");
-  assert(options.expiry instanceof Date,
-    "options.expiry must be a Date object");
-  assert(options.resourceType, 'options.resourceType is required');
-  assert(options.resourceType === 'blob' || options.resourceType === 'container',
-    'The possible values for options.resourceType are `blob` or `container`');
-  assert(options.permissions || options.accessPolicy, "options.permissions or options.accessPolicy must be specified");
-  if (options.resourceType === 'container' && blob){
-    throw new Error('If `options.resourceType` is container, the blob cannot be specified.');
+  if (options.leaseAction === 'change' && !options.proposedLeaseId) {
+    throw new Error('The `options.proposedLeaseId` must be given if the lease action is `change`');
   }
+  if(options.proposedLeaseId){
+    assert(utils.isValidGUID(options.proposedLeaseId), 'The supplied `proposedLeaseId` is not a valid GUID');
+    headers['x-ms-proposed-lease-id'] = options.proposedLeaseId;
+  }
+}
 
-  // Check that we have credentials
-  if (!this.options.accountId ||
-    !this.options.accessKey) {
-    throw new Error("accountId and accessKey are required for SAS creation!");
+/*
+ * Build the result of a lease operation on a container or blob.
+ */
+function leaseResult(response) {
+  var result = {
+    leaseId: response.headers['x-ms-lease-id'],
+    eTag: response.headers['etag'],
+    lastModified: new Date(response.headers['last-modified'])
+  };
+  if (response.headers['x-ms-lease-time']) {
+    result.leaseTime = response.headers['x-ms-lease-time'];
   }
+  return result;
+}
 
-  // Construct query-string with required parameters
-  var query = {
-    sv:   SERVICE_VERSION,
-    se:   utils.dateToISOWithoutMS(options.expiry),
-    sr:   options.resourceType === 'blob' ? 'b' : 'c',
-    spr:  'https'
+/*
+ * Set the conditional headers for the source blob of a copy operation from
+ * `options.sourceIfModifiedSince`, `options.sourceIfUnmodifiedSince`,
+ * `options.sourceIfMatch` and `options.sourceIfNoneMatch`.
+ */
+function setSourceConditionalHeaders(headers, options) {
+  if (options.sourceIfModifiedSince) {
+    assert(options.sourceIfModifiedSince instanceof Date,
+      'If specified, the `options.sourceIfModifiedSince` must be a Date');
+    headers['x-ms-source-if-modified-since'] = options.sourceIfModifiedSince.toUTCString();
+  }
+  if (options.sourceIfUnmodifiedSince) {
+    assert(options.sourceIfUnmodifiedSince instanceof Date,
+      'If specified, the `options.sourceIfUnmodifiedSince` must be a Date');
+    headers['x-ms-source-if-unmodified-since'] = options.sourceIfUnmodifiedSince.toUTCString();
   }
+  if (options.sourceIfMatch) headers['x-ms-source-if-match'] = options.sourceIfMatch;
+  if (options.sourceIfNoneMatch) headers['x-ms-source-if-none-match'] = options.sourceIfNoneMatch;
+}
 
-  if (options.permissions){
-    if (options.permissions.list && options.resourceType === 'blob') {
-      throw new Error('The permission `list` is forbidden for the blob resource type.');
-    }
-    // Construct permissions string (in correct order)
-    var permissions = '';
-    if (options.permissions.read)    permissions += 'r';
-    if (options.permissions.add)     permissions += 'a';
-    if (options.permissions.create)  permissions += 'c';
-    if (options.permissions.write)   permissions += 'w';
-    if (options.permissions.delete)  permissions += 'd';
-    if (options.permissions.list && options.resourceType === 'container') permissions += 'l';
+/*
+ * Validate a dictionary of blob index tags, keys must be 1 to 128 characters
+ * and values at most 256 characters from `TAG_PATTERN`.
+ */
+function assertValidTags(tags) {
+  assert(tags && typeof tags === 'object', 'The tags must be given as an object');
+  var keys = Object.keys(tags);
+  assert(keys.length <= MAX_TAG_COUNT, 'A blob can have at most ' + MAX_TAG_COUNT + ' tags');
+  keys.forEach(function(key) {
+    var value = tags[key];
+    assert(key.length >= 1 && key.length <= 128 && TAG_PATTERN.test(key),
+      'The tag key `' + key + '` is not valid');
+    assert(typeof value === 'string' && value.length <= 256 && TAG_PATTERN.test(value),
+      'The value of tag `' + key + '` is not valid');
+  });
+}
 
-    query.sp = permissions;
+/*
+ * Set the `x-ms-tags` header from `options.tags`, encoded as a query string.
+ */
+function setTagsHeader(headers, options) {
+  if (options.tags) {
+    assertValidTags(options.tags);
+    headers['x-ms-tags'] = Object.keys(options.tags).map(function(key) {
+      return encodeURIComponent(key) + '=' + encodeURIComponent(options.tags[key]);
+    }).join('&');
   }
+}
 
-  // Add optional parameters to query-string
-  if (options.cacheControl)       query.rscc = options.cacheControl;
-  if (options.contentDisposition) query.rscd = options.contentDisposition;
-  if (options.contentEncoding)    query.rsce = options.contentEncoding;
-  if (options.contentLanguage)    query.rscl = options.contentLanguage;
-  if (options.contentType)        query.rsct = options.contentType;
+/*
+ * Normalize the prefix of a virtual directory to end with `delimiter`, unless
+ * it is the root of the container.
+ */
+function directoryPrefix(prefix, delimiter) {
+  assert(typeof prefix === 'string', 'The prefix of the directory must be specified and must be a string value.');
+  if (prefix === '' || prefix.endsWith(delimiter)) {
+    return prefix;
+  }
+  return prefix + delimiter;
+}
 
-  if (options.start) {
-    assert(options.start instanceof Date, "if specified start must be a Date object");
-    query.st = utils.dateToISOWithoutMS(options.start);
+/*
+ * Construct a predicate for paths relative to a synchronized directory, from
+ * the `options.include` and `options.exclude` glob patterns. Patterns without
+ * `/` are matched against the file name, others against the relative path.
+ */
+function syncFilter(options) {
+  function matcher(patterns) {
+    var tests = [].concat(patterns || []).map(function(pattern) {
+      var regexp = utils.globToRegExp(pattern);
+      if (pattern.indexOf('/') === -1) {
+        return function(relative) {
+          return regexp.test(relative.slice(relative.lastIndexOf('/') + 1));
+        };
+      }
+      return function(relative) {
+        return regexp.test(relative);
+      };
+    });
+    return function(relative) {
+      return tests.some(function(test) {
+        return test(relative);
+      });
+    };
   }
+  var included = options.include ? matcher(options.include) : null;
+  var excluded = matcher(options.exclude);
+  return function(relative) {
+    return (!included || included(relative)) && !excluded(relative);
+  };
+}
 
-  if (options.accessPolicy) {
-    assert(/^[0-9a-fA-F]{1,64}$/i.test(options.accessPolicy), 'The `options.accessPolicy` is not valid.' );
-    query.si = options.accessPolicy;
+/*
+ * List the files under the local `directory` recursively, as a Map from paths
+ * relative to `directory`, with `/` as separator, to `{filename, size}`.
+ * Symbolic links and other special files are ignored.
+ */
+function listLocalFiles(directory, filter) {
+  var files = new Map();
+  function walk(relative) {
+    return fs.promises.readdir(path.join(directory, relative), {withFileTypes: true}).then(function(entries) {
+      return entries.reduce(function(previous, entry) {
+        return previous.then(function() {
+          var entryPath = relative ? relative + '/' + entry.name : entry.name;
+          if (entry.isDirectory()) {
+            return walk(entryPath);
+          }
+          if (!entry.isFile() || !filter(entryPath)) {
+            return;
+          }
+          var filename = path.join(directory, entryPath);
+          return fs.promises.stat(filename).then(function(stats) {
+            files.set(entryPath, {filename: filename, size: stats.size});
+          });
+        });
+      }, Promise.resolve());
+    });
   }
+  return walk('').then(function() {
+    return files;
+  });
+}
 
-  // Construct string-to-sign
-  var canonicalizedResource = '/blob/' + this.options.accountId.toLowerCase() + '/' + container;
-  if (blob){
-    canonicalizedResource += '/' + blob;
-  }
-  var stringToSign = [
-    query.sp || '',
-    query.st || '',
-    query.se || '',
-    canonicalizedResource,
-    query.si  || '',
-    '', // TODO: Support signed IP addresses
-    query.spr,
-    query.sv,
-    query.rscc || '',
-    query.rscd || '',
-    query.rsce || '',
-    query.rscl || '',
-    query.rsct || ''
-  ].join('\n');
+/*
+ * List the blobs under `prefix` in `container`, as a Map from names relative
+ * to `prefix` to `{name, size, contentMD5}`. Blobs with names ending in `/`,
+ * used as directory markers by some tools, are ignored.
+ */
+function listRemoteFiles(client, container, prefix, filter) {
+  var files = new Map();
+  var pages = client.iterateBlobs(container, {prefix: prefix, pages: true});
+  function listPage() {
+    return pages.next().then(function(page) {
+      if (page.done) {
+        return files;
+      }
+      page.value.forEach(function(item) {
+        var relative = item.name.slice(prefix.length);
+        if (relative === '' || relative.endsWith('/') || !filter(relative)) {
+          return;
+        }
+        files.set(relative, {
+          name:       item.name,
+          size:       parseInt(item.contentLength),
+          contentMD5: item.contentMD5
+        });
+      });
+      return listPage();
+    });
+  }
+  return listPage();
+}
 
-  // Compute signature
-  query.sig = utils.hmacSha256(this._accessKey, stringToSign);
+/*
+ * Compute the base64 encoded MD5 hash of a local file.
+ */
+function fileMD5(filename) {
+  return new Promise(function(resolve, reject) {
+    var hash = crypto.createHash('md5');
+    fs.createReadStream(filename).on('error', reject).on('data', function(chunk) {
+      hash.update(chunk);
+    }).on('end', function() {
+      resolve(hash.digest('base64'));
+    });
+  });
+}
 
-  // Return Shared-Access-Signature as query-string
-  return querystring.stringify(query);
-};
+/*
+ * Compare `local` and `remote` file listings, as returned by `listLocalFiles`
+ * and `listRemoteFiles`. Files present on both sides are unchanged if they
+ * have the same size and Content-MD5, local files are only hashed if the sizes
+ * match. A blob without a Content-MD5 is always considered changed.
+ */
+function compareFiles(local, remote, concurrency) {
+  var result = {localOnly: [], remoteOnly: [], changed: [], unchanged: []};
+  var candidates = [];
+  local.forEach(function(file, relative) {
+    var blob = remote.get(relative);
+    if (!blob) {
+      result.localOnly.push(relative);
+    } else if (blob.size !== file.size || !blob.contentMD5) {
+      result.changed.push(relative);
+    } else {
+      candidates.push(relative);
+    }
+  });
+  remote.forEach(function(blob, relative) {
+    if (!local.has(relative)) {
+      result.remoteOnly.push(relative);
+    }
+  });
+  return utils.mapLimit(candidates, concurrency, function(relative) {
+    return fileMD5(local.get(relative).filename).then(function(md5) {
+      if (md5 === remote.get(relative).contentMD5) {
+        result.unchanged.push(relative);
+      } else {
+        result.changed.push(relative);
+      }
+    });
+  }).then(function() {
+    Object.keys(result).forEach(function(key) {
+      result[key].sort();
+    });
+    return result;
+  });
+}
 
-/**
- * Construct authorized request options by adding signature or
- * shared-access-signature, return promise for the request options.
- *
- * @protected
- * @method authorize
- * @param {string} method - HTTP verb in upper case, e.g. `GET`.
- * @param {string} path - Path on blob resource for storage account.
- * @param {object} query - Query-string parameters.
- * @param {object} header - Mapping from header key in lowercase to value.
- * @returns {Promise} A promise for an options object compatible with
- * `https.request`.
+/*
+ * Resolve the local filename of the blob at `relative` path under the local
+ * `directory`, refusing names that would escape the directory.
  */
-Blob.prototype.authorize = function(method, path, query, headers) {
-  throw new Error("authorize is not implemented, must be defined!");
-};
+function localFilename(directory, relative) {
+  var segments = relative.split('/');
+  segments.forEach(function(segment) {
+    if (segment === '' || segment === '.' || segment === '..' || segment.indexOf(path.sep) !== -1) {
+      var err = new Error('Blob name `' + relative + '` can not be mapped to a local file under ' + directory);
+      err.code = 'InvalidLocalFilename';
+      err.name = err.code + 'Error';
+      throw err;
+    }
+  });
+  return path.join.apply(path, [directory].concat(segments));
+}
 
-/**
- * Make a signed request to `path` using `method` in upper-case and all `query`
- * parameters and `headers` keys in lower-case. The request will carry `data`
- * as payload and will be retried using the configured retry policy,
- *
- * @private
- * @method request
- * @param {string} method - HTTP verb in upper case, e.g. `GET`.
- * @param {string} path - Path on blob resource for storage account.
- * @param {object} query - Query-string parameters.
- * @param {object} header - Mapping from header key in lowercase to value.
- * @return {Promise} A promise for HTTPS response with `payload` property as
- * string containing the response payload.
+/*
+ * Set the `x-ms-range` header from `options.offset` and `options.count`, and
+ * request a content MD5 for the range if `options.rangeGetContentMD5` is set.
  */
-Blob.prototype.request = function request(method, path, query, headers, data) {
-  // Set timeout, if not provided
-  if (query.timeout === undefined) {
-    query.timeout = this.timeoutInSeconds;
+function setRangeHeaders(headers, options) {
+  if (!options || (options.offset === undefined && options.count === undefined)) {
+    assert(!options || (!options.rangeGetContentMD5 && !options.rangeGetContentCRC64),
+      'The `options.rangeGetContentMD5` and `options.rangeGetContentCRC64` can only be used with a range');
+    return;
   }
+  var offset = options.offset || 0;
+  assert(Number.isInteger(offset) && offset >= 0,
+    'The `options.offset` must be a non-negative integer');
+  var range = 'bytes=' + offset + '-';
+  if (options.count !== undefined) {
+    assert(Number.isInteger(options.count) && options.count > 0,
+      'The `options.count` must be a positive integer');
+    range += (offset + options.count - 1);
+  }
+  headers['x-ms-range'] = range;
 
-  // Set date, version and client-request-id headers
-  headers['x-ms-date']              = new Date().toUTCString();
-  headers['x-ms-version']           = this.options.version;
-  headers['x-ms-client-request-id'] = this.options.clientId;
+  if (options.rangeGetContentMD5) {
+    assert(options.count !== undefined && options.count <= MAX_RANGE_CONTENT_MD5_SIZE,
+      'The `options.rangeGetContentMD5` requires `options.count` less than or equal to ' +
+      MAX_RANGE_CONTENT_MD5_SIZE);
+    headers['x-ms-range-get-content-md5'] = 'true';
+  }
+  if (options.rangeGetContentCRC64) {
+    assert(!options.rangeGetContentMD5,
+      'The `options.rangeGetContentCRC64` can\'t be combined with `options.rangeGetContentMD5`');
+    assert(options.count !== undefined && options.count <= MAX_RANGE_CONTENT_MD5_SIZE,
+      'The `options.rangeGetContentCRC64` requires `options.count` less than or equal to ' +
+      MAX_RANGE_CONTENT_MD5_SIZE);
+    headers['x-ms-range-get-content-crc64'] = 'true';
+  }
+}
 
-  // Set content-length, if data is given
-  if (data && data.length > 0 && !headers['content-length']) {
-    headers['content-length'] = Buffer.byteLength(data, 'utf-8');
+/*
+ * Options for reading a range with a checksum of the range, `rangeGetContentMD5`
+ * is set for ranges of at most 4 MiB, unless a checksum was requested
+ * explicitly or content MD5 validation is disabled.
+ */
+function rangeChecksumOptions(options) {
+  if (!options || (options.offset === undefined && options.count === undefined) ||
+      options.rangeGetContentMD5 !== undefined || options.rangeGetContentCRC64 ||
+      options.disableContentMD5Check ||
+      options.count === undefined || options.count > MAX_RANGE_CONTENT_MD5_SIZE) {
+    return options;
   }
+  return Object.assign({}, options, {rangeGetContentMD5: true});
+}
 
-  // Construct authorized request options with shared key signature or
-  // shared-access-signature.
-  var self = this;
-  return this.authorize(method, path, query, headers).then(function(options) {
-    // Retry with retry policy
-    return utils.retry(function(retry) {
-      debug("Request: %s %s, retry: %s", method, path, retry);
+/*
+ * Construct an error for downloaded content not matching the expected MD5.
+ */
+function contentMD5MismatchError(expected, actual) {
+  var err = new Error('Content-MD5 mismatch, expected ' + expected + ' got ' + actual);
+  err.name = 'ContentMD5MismatchError';
+  err.code = 'ContentMD5Mismatch';
+  return err;
+}
 
-      // Construct a promise chain first handling the request, and then parsing
-      // any potential error message
-      return utils.request(options, data, self.timeout).then(function(res) {
-        // Accept the response if it's 2xx, otherwise we construct and
-        // throw an error
-        if (200 <= res.statusCode && res.statusCode < 300) {
-          return res;
-        }
+/*
+ * Construct an error for downloaded content not matching the expected CRC64.
+ */
+function contentCRC64MismatchError(expected, actual) {
+  var err = new Error('Content-CRC64 mismatch, expected ' + expected + ' got ' + actual);
+  err.name = 'ContentCRC64MismatchError';
+  err.code = 'ContentCRC64Mismatch';
+  return err;
+}
+
+/*
+ * Construct an error for a range read of content that must be read in full.
+ */
+function rangeNotSupportedError(message) {
+  var err = new Error(message);
+  err.name = 'RangeNotSupportedError';
+  err.code = 'RangeNotSupported';
+  return err;
+}
+
+/*
+ * Construct an error for streaming a client-side encrypted blob.
+ */
+function unsupportedEncryptionError(message) {
+  var err = new Error(message);
+  err.name = 'UnsupportedEncryptionError';
+  err.code = 'UnsupportedEncryption';
+  return err;
+}
+
+/*
+ * Read all of `readable` into a Buffer, return a promise for the Buffer.
+ */
+function readStream(readable) {
+  return new Promise(function(resolve, reject) {
+    var chunks = [];
+    readable.on('data', function(chunk) {
+      chunks.push(chunk);
+    });
+    readable.once('error', reject);
+    readable.once('end', function() {
+      resolve(Buffer.concat(chunks));
+    });
+  });
+}
+
+/*
+ * Create a function that reads chunks of `size` bytes from `readable`. Each
+ * call returns a promise for a Buffer which is only shorter than `size` at
+ * the end of the stream, or `null` when the stream has ended.
+ *
+ * An error from `readable` is kept until the next call, even if it happens
+ * while no read is pending, and reads from a stream destroyed before it ended
+ * are rejected.
+ */
+function chunkReader(readable, size) {
+  var buffered = [];
+  var bufferedLength = 0;
+  var ended = false;
+  var failed = null;
+  var pending = null;
+
+  readable.on('error', function(err) {
+    failed = failed || err;
+    if (pending) {
+      pending();
+    }
+  });
 
-        // Parse error message
-        var data = xml.parseError(res);
+  function take(count) {
+    var data = Buffer.concat(buffered, bufferedLength);
+    var rest = data.subarray(count);
+    buffered = rest.length > 0 ? [rest] : [];
+    bufferedLength = rest.length;
+    return data.subarray(0, count);
+  }
 
-        var resMSHeaders = {};
-        Object.keys(res.headers).forEach(h => {
-          if (h.startsWith('x-ms-')) {
-            resMSHeaders[h] = res.headers[h];
+  return function readChunk() {
+    return new Promise(function(resolve, reject) {
+      function cleanup() {
+        pending = null;
+        readable.removeListener('readable', attempt);
+        readable.removeListener('end', onEnd);
+        readable.removeListener('close', attempt);
+      }
+      function attempt() {
+        var data;
+        if (failed) {
+          cleanup();
+          return reject(failed);
+        }
+        while (bufferedLength < size && (data = readable.read()) !== null) {
+          if (!Buffer.isBuffer(data)) {
+            data = Buffer.from(data);
           }
-        });
+          buffered.push(data);
+          bufferedLength += data.length;
+        }
+        if (bufferedLength >= size) {
+          cleanup();
+          resolve(take(size));
+        } else if (ended || readable.readableEnded) {
+          cleanup();
+          resolve(bufferedLength > 0 ? take(bufferedLength) : null);
+        } else if (readable.destroyed) {
+          cleanup();
+          var err = new Error('The stream was destroyed before it ended');
+          err.code = 'ERR_STREAM_PREMATURE_CLOSE';
+          reject(err);
+        }
+      }
+      function onEnd() {
+        ended = true;
+        attempt();
+      }
+      pending = attempt;
+      readable.on('readable', attempt);
+      readable.once('end', onEnd);
+      readable.once('close', attempt);
+      attempt();
+    });
+  };
+}
 
-        // Construct error object
-        var err = new Error(data.message);
-        err.name = data.code + 'Error';
-        err.code = data.code;
-        err.statusCode = res.statusCode;
-        err.message = data.message;
-        err.retries = retry;
-        err.resMSHeaders = resMSHeaders;
+/*
+ * Split `contentLength` bytes into a list of `{offset, count}` ranges of at
+ * most `rangeSize` bytes.
+ */
+function splitRanges(contentLength, rangeSize) {
+  var ranges = [];
+  for (var offset = 0; offset < contentLength; offset += rangeSize) {
+    ranges.push({offset: offset, count: Math.min(rangeSize, contentLength - offset)});
+  }
+  return ranges;
+}
 
-        debug("Error code: %s (%s) for %s %s on retry: %s",
-              data.code, res.statusCode, method, path, retry);
+/*
+ * Find the ranges of a blob, or of `target.snapshot`, to download, of at most
+ * `rangeSize` bytes each. For page blobs only the populated pages are listed,
+ * as the rest of the blob reads as zeros. Page ranges can't be listed for a
+ * version, so all ranges of a version are downloaded.
+ */
+function populatedRanges(client, container, blob, properties, rangeSize, target) {
+  var contentLength = parseInt(properties.contentLength);
+  if (properties.type !== 'PageBlob' || target.versionId) {
+    return Promise.resolve(splitRanges(contentLength, rangeSize));
+  }
+  return client.getPageRanges(container, blob, {
+    snapshot: target.snapshot,
+    ifMatch:  properties.eTag
+  }).then(function(result) {
+    var ranges = [];
+    result.pageRanges.forEach(function(pageRange) {
+      splitRanges(pageRange.end + 1 - pageRange.start, rangeSize).forEach(function(range) {
+        ranges.push({offset: pageRange.start + range.offset, count: range.count});
+      });
+    });
+    return ranges;
+  });
+}
 
-        // Throw the constructed error
-        throw err;
+/*
+ * True, if `value` is a valid page blob sequence number. Sequence numbers are
+ * 64-bit integers, so larger numbers can't be represented exactly.
+ */
+function isSequenceNumber(value) {
+  return Number.isSafeInteger(value) && value >= 0;
+}
+
+/*
+ * Pick the lease id and conditional headers from `options`, for operations
+ * that must not pass on other options.
+ */
+function writeConditions(options) {
+  options = options || {};
+  return {
+    leaseId:            options.leaseId,
+    ifModifiedSince:    options.ifModifiedSince,
+    ifUnmodifiedSince:  options.ifUnmodifiedSince,
+    ifMatch:            options.ifMatch,
+    ifNoneMatch:        options.ifNoneMatch
+  };
+}
+
+/*
+ * Download with `request`, returning a promise for the result of
+ * `getBlobStream`, and read the response with `read`. The download is retried
+ * if reading the response fails with a transient error or validation error,
+ * see `DOWNLOAD_VALIDATION_ERROR_CODES`. Errors from `request` aren't retried
+ * again, as `requestStream` retries until the response headers are received.
+ */
+function retryDownload(client, request, read) {
+  var options = Object.assign({}, client.options, {
+    transientErrorCodes: client.options.transientErrorCodes.concat(DOWNLOAD_VALIDATION_ERROR_CODES)
+  });
+  return utils.retry(function() {
+    return request().then(function(result) {
+      return read(result).then(function(value) {
+        return {value: value};
       });
-    }, self.options);
+    }, function(err) {
+      return {error: err};
+    });
+  }, options).then(function(outcome) {
+    if (outcome.error) {
+      throw outcome.error;
+    }
+    return outcome.value;
   });
-};
+}
 
-/**
- * Sets properties for a storage account’s Blob service endpoint
+/*
+ * Download `range` of a blob, or of `target.snapshot` or `target.versionId`,
+ * into a Buffer, pinned to `eTag` so the blob can't change underneath us. The
+ * whole range is retried if the transfer fails after the response headers have
+ * been received.
+ */
+function downloadRange(client, container, blob, range, eTag, target) {
+  return retryDownload(client, function() {
+    return client.getBlobStream(container, blob, {
+      offset:               range.offset,
+      count:                range.count,
+      rangeGetContentMD5:   !target.useCRC64 && range.count <= MAX_RANGE_CONTENT_MD5_SIZE,
+      rangeGetContentCRC64: !!target.useCRC64 && range.count <= MAX_RANGE_CONTENT_MD5_SIZE,
+      ifMatch:              eTag,
+      snapshot:             target.snapshot,
+      versionId:            target.versionId,
+      raw:                  true
+    });
+  }, function(result) {
+    return readStream(result.stream);
+  });
+}
+
+/*
+ * Pipe `response` through a stream that validates the content-length and, if
+ * given, the base64 encoded `contentMD5` and `contentCRC64` of the bytes
+ * passing through. The returned stream emits an error if validation fails or
+ * the response is aborted.
+ */
+function verifiedStream(response, contentMD5, contentCRC64) {
+  var expectedLength = response.headers['content-length'];
+  var hash = contentMD5 ? crypto.createHash('md5') : null;
+  var crc64 = contentCRC64 ? utils.createCRC64() : null;
+  var length = 0;
+
+  var verifier = new stream.Transform({
+    transform: function(chunk, encoding, callback) {
+      length += chunk.length;
+      if (hash) {
+        hash.update(chunk);
+      }
+      if (crc64) {
+        crc64.update(chunk);
+      }
+      callback(null, chunk);
+    },
+    flush: function(callback) {
+      if (expectedLength && length !== parseInt(expectedLength)) {
+        var err = new Error('Content-Length mismatch');
+        err.code = 'RequestContentLengthError';
+        return callback(err);
+      }
+      if (hash) {
+        var md5 = hash.digest('base64');
+        if (md5 !== contentMD5) {
+          return callback(contentMD5MismatchError(contentMD5, md5));
+        }
+      }
+      if (crc64) {
+        var checksum = crc64.digest();
+        if (checksum !== contentCRC64) {
+          return callback(contentCRC64MismatchError(contentCRC64, checksum));
+        }
+      }
+      callback();
+    }
+  });
+
+  // Reject on aborted, if server aborts the request or we hit the timeout
+  response.once('aborted', function() {
+    var err = new Error('Request aborted by server');
+    err.code = 'RequestAbortedError';
+    verifier.destroy(err);
+  });
+
+  // Errors are forwarded to the verifier, and destroying the verifier will
+  // destroy the response too.
+  stream.pipeline(response, verifier, function() {});
+  return verifier;
+}
+
+/*
+ * Key-encryption-key for an upload, `options.keyEncryptionKey` overrides the
+ * client default, and may be `null` to upload without encryption.
+ */
+function uploadKeyEncryptionKey(client, options) {
+  if (options.keyEncryptionKey !== undefined) {
+    return options.keyEncryptionKey;
+  }
+  return client.options.keyEncryptionKey;
+}
+
+/*
+ * Options for uploading content encrypted with the envelope `metadata`, the
+ * envelope is stored along with the metadata in `options`.
+ */
+function encryptedUploadOptions(options, metadata) {
+  var result = Object.assign({}, options, {
+    keyEncryptionKey: null,
+    metadata: Object.assign({}, options.metadata),
+  });
+  result.metadata[encryption.ENCRYPTION_METADATA_KEY] = metadata;
+  return result;
+}
+
+/*
+ * True, if the client is configured with keys to decrypt blobs.
+ */
+function canDecrypt(client) {
+  return !!(client.options.keyResolver || client.options.keyEncryptionKey);
+}
+
+/*
+ * Decrypt the `content` of a blob, if the blob `properties` show that it was
+ * encrypted client-side and the client can decrypt it, return a promise for
+ * the content.
+ */
+function decryptContent(client, properties, content) {
+  var metadata = properties.metadata[encryption.ENCRYPTION_METADATA_KEY];
+  if (metadata === undefined || !canDecrypt(client)) {
+    return Promise.resolve(content);
+  }
+  if (properties.contentRange) {
+    return Promise.reject(rangeNotSupportedError('Ranges of client-side encrypted blobs can\'t be decrypted'));
+  }
+  return encryption.decrypt(client.options, metadata, content);
+}
+
+/*
+ * True, if the content of a blob with `properties` should be decompressed,
+ * because `options.decompress` is set and the content-encoding is supported.
+ */
+function shouldDecompress(properties, options) {
+  return !!(options && options.decompress) && utils.isCompressionEncoding(properties.contentEncoding);
+}
+
+/*
+ * Decompress the `content` of a blob, if the blob `properties` and `options`
+ * call for it, see `shouldDecompress`, return a promise for the content.
+ */
+function decompressContent(properties, content, options) {
+  if (!shouldDecompress(properties, options)) {
+    return Promise.resolve(content);
+  }
+  if (properties.contentRange) {
+    return Promise.reject(rangeNotSupportedError('Ranges of compressed blobs can\'t be decompressed'));
+  }
+  return utils.decompress(content, properties.contentEncoding);
+}
+
+/*
+ * Normalize an entry of the blob list given to `deleteBlobs` or `setBlobTiers`
+ * to the form `{name, snapshot, versionId}`.
+ */
+function batchEntry(item) {
+  var entry = typeof item === 'string' ? {name: item} : item;
+  assert(entry && typeof entry.name === 'string', 'Each blob must be a name or an object with a `name`');
+  return entry;
+}
+
+/*
+ * Construct an error as `responseError`, taking the error code from the
+ * `x-ms-error-code` header if the payload has none, as for the sub-responses
+ * of a batch request and responses to HEAD requests.
+ */
+function headerCodeResponseError(response, method, path, retry) {
+  var err = responseError(response, method, path, retry);
+  var code = response.headers['x-ms-error-code'];
+  if (code && /WithoutCode$/.test(err.code)) {
+    err.name = code + 'Error';
+    err.code = code;
+  }
+  return err;
+}
+
+/*
+ * Submit a blob batch request with sub-requests on the form
+ * `{method, path, query, headers}` for blobs in `container`, return a promise
+ * for the sub-responses in the order of the requests.
+ */
+function submitBatch(client, container, requests) {
+  // Sign each sub-request as a request of its own
+  return Promise.all(requests.map(function(request) {
+    var headers = Object.assign({'x-ms-date': new Date().toUTCString()}, request.headers, {'content-length': 0});
+    return client.authorize(request.method, client.pathPrefix + request.path, Object.assign({}, request.query), headers);
+  })).then(function(signed) {
+    var boundary = 'batch_' + crypto.randomUUID();
+    var query = {
+      restype: 'container',
+      comp: 'batch'
+    };
+    var headers = {
+      'content-type': 'multipart/mixed; boundary=' + boundary
+    };
+    if (client.options.version < CONTAINER_BATCH_VERSION) {
+      headers['x-ms-version'] = CONTAINER_BATCH_VERSION;
+    }
+    return client.request('POST', '/' + container, query, headers, utils.serializeBatchBody(boundary, signed));
+  }).then(function(response) {
+    if (response.statusCode !== 202) {
+      throw new Error('submitBatch: Unexpected statusCode: ' + response.statusCode);
+    }
+    var responses = new Array(requests.length);
+    utils.parseBatchResponse(response.headers['content-type'], response.payload).forEach(function(item) {
+      responses[item.contentId] = item;
+    });
+    return responses;
+  });
+}
+
+/*
+ * Run `requests` for blobs in `container` as batches of at most
+ * MAX_BATCH_SIZE sub-requests, with at most `options.concurrency` batches in
+ * flight. Sub-requests failing with transient errors are retried in a new
+ * batch using the configured retry policy. Returns a promise for the report
+ * returned by `deleteBlobs` and `setBlobTiers`.
+ */
+function runBatches(client, container, requests, options) {
+  var concurrency = options.concurrency || DEFAULT_TRANSFER_CONCURRENCY;
+  var results = requests.map(function(request) {
+    return {
+      name: request.entry.name,
+      snapshot: request.entry.snapshot,
+      versionId: request.entry.versionId,
+      statusCode: null,
+      error: null
+    };
+  });
+  var batches = [];
+  for (var offset = 0; offset < requests.length; offset += MAX_BATCH_SIZE) {
+    var batch = [];
+    for (var index = offset; index < Math.min(offset + MAX_BATCH_SIZE, requests.length); index++) {
+      batch.push(index);
+    }
+    batches.push(batch);
+  }
+
+  return utils.mapLimit(batches, concurrency, function(batch) {
+    var pending = batch;
+    return utils.retry(function() {
+      return submitBatch(client, container, pending.map(function(index) {
+        return requests[index];
+      })).catch(function(err) {
+        // The batch request was already retried by `request`, report the
+        // error for the sub-requests that didn't get a response.
+        pending.forEach(function(index) {
+          if (results[index].statusCode === null) {
+            results[index].error = err;
+          }
+        });
+        pending = [];
+        return [];
+      }).then(function(responses) {
+        var transient = null;
+        pending = pending.filter(function(index, i) {
+          var response = responses[i];
+          var result = results[index];
+          if (!response) {
+            result.error = new Error('The batch response has no response for ' + result.name);
+            return false;
+          }
+          result.statusCode = response.statusCode;
+          result.error = null;
+          if (response.statusCode >= 200 && response.statusCode < 300) {
+            return false;
+          }
+          result.error = headerCodeResponseError(response, requests[index].method, requests[index].path, 0);
+          if (client.options.transientErrorCodes.indexOf(result.error.code) !== -1) {
+            transient = result.error;
+            return true;
+          }
+          return false;
+        });
+        if (transient) {
+          debug("Retrying %d sub-requests of batch failing with %s", pending.length, transient.code);
+          throw transient;
+        }
+      });
+    }, client.options).catch(function(err) {
+      // Sub-requests that still fail with transient errors keep their error
+      debug("Giving up on %d sub-requests of batch: %s", pending.length, err.code);
+    });
+  }).then(function() {
+    var failed = results.filter(function(result) {
+      return result.error !== null;
+    }).length;
+    return {
+      succeeded: results.length - failed,
+      failed: failed,
+      results: results
+    };
+  });
+}
+
+/*
+ * Assert that `source` is an absolute URL, as required by the `*FromUrl`
+ * operations.
+ */
+function assertSourceUrl(source) {
+  assert(typeof source === 'string' && /^https?:\/\//.test(source),
+    'The source must be specified and must be an absolute http(s) URL');
+}
+
+/*
+ * Find the length, entity tag and content MD5 of the resource at the `source`
+ * URL with a HEAD request, retried using the retry policy of the client.
+ */
+function sourceProperties(client, source) {
+  var url = new URL(source);
+  var options = {
+    method:   'HEAD',
+    protocol: url.protocol,
+    hostname: url.hostname,
+    port:     url.port || undefined,
+    path:     url.pathname + url.search,
+    agent:    url.protocol === 'https:' ? client.options.agent : undefined
+  };
+  // Don't log the query-string, it may hold a shared-access-signature
+  var path = url.origin + url.pathname;
+  return utils.retry(function(retry) {
+    return utils.request(options, undefined, client.timeout).then(function(res) {
+      if (res.statusCode < 200 || 300 <= res.statusCode) {
+        throw headerCodeResponseError(res, 'HEAD', path, retry);
+      }
+      var contentLength = parseInt(res.headers['content-length'], 10);
+      if (isNaN(contentLength)) {
+        throw new Error('The source has no content-length: ' + path);
+      }
+      return {
+        contentLength: contentLength,
+        eTag: res.headers['etag'],
+        contentMD5: res.headers['content-md5']
+      };
+    });
+  }, client.options);
+}
+
+/*
+ * Set the port and protocol of the client endpoint on authorized request
+ * `options`, which only carry the hostname.
+ */
+function setEndpointOptions(client, options) {
+  options.protocol = client.protocol;
+  if (client.port) {
+    options.port = client.port;
+  }
+  return options;
+}
+
+/*
+ * URL of the client endpoint, without trailing slash.
+ */
+function endpointURL(client) {
+  return client.protocol + '//' + client.hostname + (client.port ? ':' + client.port : '') + client.pathPrefix;
+}
+
+/*
+ * Validate `options` for a blob or container SAS and construct the query-string
+ * parameters they give, without signature.
+ */
+function sasQuery(container, blob, options) {
+  // verify the required options
+  assert(options, "options is required");
+  assert(options.expiry instanceof Date,
+    "options.expiry must be a Date object");
+  assert(options.resourceType, 'options.resourceType is required');
+  assert(auth.BLOB_SAS_RESOURCES.hasOwnProperty(options.resourceType),
+    'The possible values for options.resourceType are `blob`, `container`, `snapshot` or `version`');
+  assert(options.permissions || options.accessPolicy, "options.permissions or options.accessPolicy must be specified");
+  if (options.resourceType === 'container' && blob){
+    throw new Error('If `options.resourceType` is container, the blob cannot be specified.');
+  }
+  if (options.resourceType === 'snapshot') {
+    assert(blob && typeof options.snapshot === 'string',
+      'If `options.resourceType` is snapshot, the blob and `options.snapshot` must be specified');
+  }
+  if (options.resourceType === 'version') {
+    assert(blob && typeof options.versionId === 'string',
+      'If `options.resourceType` is version, the blob and `options.versionId` must be specified');
+  }
+
+  // Construct query-string with required parameters
+  var query = {
+    sv:   SAS_VERSION,
+    se:   utils.dateToISOWithoutMS(options.expiry),
+    sr:   auth.BLOB_SAS_RESOURCES[options.resourceType]
+  }
+  auth.setSasProtocolAndIP(query, options);
+
+  if (options.permissions){
+    if (options.permissions.list && options.resourceType !== 'container') {
+      throw new Error('The permission `list` is forbidden for the ' + options.resourceType + ' resource type.');
+    }
+    // Construct permissions string (in correct order)
+    query.sp = auth.sasPermissions('blob', options.permissions);
+  }
+
+  // Add optional parameters to query-string
+  if (options.cacheControl)       query.rscc = options.cacheControl;
+  if (options.contentDisposition) query.rscd = options.contentDisposition;
+  if (options.contentEncoding)    query.rsce = options.contentEncoding;
+  if (options.contentLanguage)    query.rscl = options.contentLanguage;
+  if (options.contentType)        query.rsct = options.contentType;
+
+  if (options.start) {
+    assert(options.start instanceof Date, "if specified start must be a Date object");
+    query.st = utils.dateToISOWithoutMS(options.start);
+  }
+
+  return query;
+}
+
+/*
+ * Parameters signed by a blob SAS with `query`, including the snapshot time or
+ * version id signed by a snapshot or version SAS, which aren't part of the SAS.
+ */
+function sasSignedParameters(query, options) {
+  return Object.assign({}, query, {
+    snapshot:   options.snapshot,
+    versionid:  options.versionId
+  });
+}
+
+/*
+ * Return a promise for a user delegation key valid until at least `expiry`.
+ * The key is cached on the client and reused until shortly before it expires,
+ * and concurrent calls share the request for a new key.
+ */
+function userDelegationKey(client, expiry) {
+  var now = Date.now();
+  var validUntil = Math.max(expiry.getTime(), now + MIN_USER_DELEGATION_KEY_EXPIRY);
+  var key = client._userDelegationKey;
+  if (key && new Date(key.signedExpiry).getTime() >= validUntil) {
+    return Promise.resolve(key);
+  }
+  var pending = client._userDelegationKeyRequest;
+  if (pending && pending.expiry >= validUntil) {
+    return pending.promise;
+  }
+
+  // Request a key valid for at least a day, in whole seconds as they are the
+  // precision of the service. Starting a few minutes ago allows for clock skew.
+  var keyExpiry = Math.min(
+    Math.ceil(Math.max(validUntil, now + USER_DELEGATION_KEY_LIFETIME) / 1000) * 1000,
+    Math.floor((now + MAX_USER_DELEGATION_KEY_LIFETIME) / 1000) * 1000
+  );
+  var request = {expiry: keyExpiry};
+  request.promise = client.getUserDelegationKey(
+    new Date(now - 5 * 60 * 1000),
+    new Date(keyExpiry)
+  ).then(function(key) {
+    if (client._userDelegationKeyRequest === request) {
+      client._userDelegationKey = key;
+      client._userDelegationKeyRequest = null;
+    }
+    return key;
+  }, function(err) {
+    if (client._userDelegationKeyRequest === request) {
+      client._userDelegationKeyRequest = null;
+    }
+    throw err;
+  });
+  client._userDelegationKeyRequest = request;
+  return request.promise;
+}
+
+function anonymous(method, path, query, headers) {
+  // Serialize query-string
+  var qs = querystring.stringify(query);
+  if (qs.length > 0) {
+    qs += '&';
+  }
+  return Promise.resolve({
+    host:       this.hostname,
+    method:     method,
+    path:       path + '?' + qs,
+    headers:    headers,
+    agent:      this.options.agent
+  });
+}
+
+/**
+ * Blob client class for interacting with Azure Blob Storage.
+ *
+ * @class Blob
+ * @constructor
+ * @param {object} options - options on the form:
+ *
+ * ```js
+ * {
+ *   // Value for the x-ms-version header fixing the API version
+ *   version:              SERVICE_VERSION,
+ *
+ *   // Value for the x-ms-client-request-id header identifying the client
+ *   clientId:             'fast-azure-storage',
+ *
+ *   // Server-side request timeout
+ *   timeout:              30 * 1000,
+ *
+ *   // Delay between client- and server-side timeout
+ *   clientTimeoutDelay:   500,
+ *
+ *   // Max number of request retries
+ *   retries:              5,
+ *
+ *    // HTTP Agent to use (defaults to a global azure.Agent instance)
+ *   agent:                azure.Agent.globalAgent,
+ *
+ *   // Multiplier for computation of retry delay: 2 ^ retry * delayFactor
+ *   delayFactor:          100,
+ *
+ *   // Randomization factor added as:
+ *   // delay = delay * random([1 - randomizationFactor; 1 + randomizationFactor])
+ *   randomizationFactor:  0.25,
+ *
+ *   // Maximum retry delay in ms (defaults to 30 seconds)
+ *   maxDelay:             30 * 1000,
+ *
+ *   // Error codes for which we should retry
+ *   transientErrorCodes:  TRANSIENT_ERROR_CODES,
+ *
+ *   // Azure storage accountId (required)
+ *   accountId:            undefined,
+ *
+ *   // Azure shared accessKey, required unless options.sas or
+ *   // options.tokenCredential is given
+ *   accessKey:            undefined,
+ *
+ *   // Function that returns SAS string or promise for SAS string, in which
+ *   // case we will refresh SAS when a request occurs less than
+ *   // minSASAuthExpiry from signature expiry. This property may also be a
+ *   // SAS string.
+ *   sas:                  undefined,
+ *
+ *   // Minimum SAS expiry before refreshing SAS credentials, if a function for
+ *   // refreshing SAS credentials is given as options.sas
+ *   minSASAuthExpiry:     15 * 60 * 1000,
+ *
+ *   // Function that returns an OAuth token for https://storage.azure.com, or
+ *   // a promise for it, on the form {token, expiresOn}, where expiresOn is a
+ *   // Date or a time in ms. Used instead of accessKey and sas, see
+ *   // azure.clientSecretCredential.
+ *   tokenCredential:      undefined,
+ *
+ *   // Minimum token expiry before refreshing the token in the background, if
+ *   // options.tokenCredential is given
+ *   minTokenAuthExpiry:   5 * 60 * 1000,
+ *
+ *   // URL of the blob service, for use with a local storage emulator, i.e.
+ *   // 'http://127.0.0.1:10000/devstoreaccount1' (defaults to
+ *   // 'https://<accountId>.blob.core.windows.net'). The default agent is
+ *   // only used for https endpoints.
+ *   endpoint:             undefined,
+ *
+ *   // Key-encryption-key used to encrypt block blobs uploaded with putBlob,
+ *   // uploadStream and uploadFile, see Blob.createKeyEncryptionKey. It is
+ *   // also used to decrypt blobs encrypted with it, if no keyResolver is given.
+ *   keyEncryptionKey:     undefined,
+ *
+ *   // Function that given a keyId returns the key-encryption-key, or a promise
+ *   // for it, used to decrypt client-side encrypted blobs in getBlob,
+ *   // downloadToBuffer and downloadToFile.
+ *   keyResolver:          undefined
+ * }
+ * ```
+ *
+ * When `keyEncryptionKey` is given, content is encrypted client-side with a
+ * random AES-256-GCM key per blob. This key is wrapped with the
+ * key-encryption-key and stored, along with the IV, in the `clientencryption`
+ * metadata of the blob, and the GCM authentication tag is appended to the
+ * content. Notice that putBlock, putBlockList and ranged reads operate on the
+ * encrypted content, that content MD5 and length are those of the encrypted
+ * content, and that getBlobStream rejects encrypted blobs unless `options.raw`
+ * is set.
+ */
+export function Blob(options) {
+  // Initialize EventEmitter parent class
+  events.EventEmitter.call(this);
+  // Set default options
+  this.options = {
+    version:              SERVICE_VERSION,
+    clientId:             'fast-azure-storage',
+    timeout:              30 * 1000,
+    clientTimeoutDelay:   500,
+    agent:                agent.globalAgent,
+    retries:              5,
+    delayFactor:          100,
+    randomizationFactor:  0.25,
+    maxDelay:             30 * 1000,
+    transientErrorCodes:  TRANSIENT_ERROR_CODES,
+    accountId:            undefined,
+    accessKey:            undefined,
+    sas:                  undefined,
+    minSASAuthExpiry:     15 * 60 * 1000,
+    tokenCredential:      undefined,
+    minTokenAuthExpiry:   5 * 60 * 1000,
+    endpoint:             undefined,
+    keyEncryptionKey:     undefined,
+    keyResolver:          undefined,
+  };
+
+  // Overwrite default options
+  for (var key in options) {
+    if (options.hasOwnProperty(key) && options[key] !== undefined) {
+      this.options[key] = options[key];
+    }
+  }
+
+  // Validate options
+  assert(this.options.accountId, "`options.accountId` must be given");
+
+  // Construct hostname, or take hostname, port and path prefix of requests
+  // from the endpoint given
+  this.hostname = this.options.accountId + '.blob.core.windows.net';
+  this.port = undefined;
+  this.protocol = 'https:';
+  this.pathPrefix = '';
+  if (this.options.endpoint) {
+    var endpoint = new URL(this.options.endpoint);
+    assert(endpoint.protocol === 'https:' || endpoint.protocol === 'http:',
+      '`options.endpoint` must be an http or https URL');
+    this.hostname = endpoint.hostname;
+    this.port = endpoint.port || undefined;
+    this.protocol = endpoint.protocol;
+    this.pathPrefix = endpoint.pathname.replace(/\/$/, '');
+    if (this.protocol === 'http:' && this.options.agent === agent.globalAgent) {
+      this.options.agent = undefined;
+    }
+  }
+
+  // Compute `timeout` for client-side timeout (in ms), and `timeoutInSeconds`
+  // for server-side timeout in seconds.
+  this.timeout = this.options.timeout + this.options.clientTimeoutDelay;
+  this.timeoutInSeconds = Math.floor(this.options.timeout / 1000);
+
+  // Define `this.authorize`
+  if (this.options.accessKey) {
+    // If set authorize to use shared key signatures
+    this.authorize = auth.authorizeWithSharedKey.call(this, 'blob', QUERY_PARAMS_SUPPORTED);
+
+    // Decode accessKey
+    this._accessKey = new Buffer(this.options.accessKey, 'base64');
+  } else if (this.options.tokenCredential) {
+    assert(this.options.tokenCredential instanceof Function,
+      "`options.tokenCredential` must be a function");
+    // Set authorize to use OAuth tokens, refreshed with the function given
+    this.authorize = auth.authorizeWithToken.call(this, 'blob');
+    this._token = null;
+    this._tokenExpiresOn = 0;
+    this._tokenRefresh = null;
+    // Cached user delegation key, and pending request for a new key
+    this._userDelegationKey = null;
+    this._userDelegationKeyRequest = null;
+  } else if (this.options.sas instanceof Function) {
+    // Set authorize to use shared-access-signatures with refresh function
+    this.authorize = auth.authorizeWithRefreshSAS;
+    // Set state with _nextSASRefresh = -1, we'll refresh on the first request
+    this._nextSASRefresh = -1;
+    this._sas = '';
+  } else if (typeof(this.options.sas) === 'string') {
+    // Set authorize to use shared-access-signature as hardcoded
+    this.authorize = auth.authorizeWithSAS;
+  } else {
+    this.authorize = anonymous;
+  }
+};
+
+// Export Blob
+export default Blob;
+
+// Subclass EventEmitter
+util.inherits(Blob, events.EventEmitter);
+
+/**
+ * Generate a SAS string on the form 'key1=va1&key2=val2&...'.
+ *
+ * @method sas
+ * @param {string}  container - Name of the container that this SAS string applies to.
+ * @param {string}  blob - Name of the blob that this SAS string applies to.
+ * @param {object} options - Options for the following form:
+ *```js
+ * {
+ *   start:               new Date(),             // Time from which signature is valid (optional)
+ *   expiry:              new Date(),             // Expiration of signature (required).
+ *   resourceType:        'blob|container',       // Specifies which resources are accessible via the SAS(required)
+ *                                                // Possible values are: 'blob', 'container', 'snapshot' or
+ *                                                // 'version'.
+ *                                                // Specify 'blob' if the shared resource is a 'blob'.
+ *                                                // This grants access to the content and metadata of the blob.
+ *                                                // Specify 'container' if the shared resource is a 'container'.
+ *                                                // This grants access to the content and metadata of any
+ *                                                // blob in the container, and to the list of blobs in
+ *                                                // the container.
+ *                                                // Specify 'snapshot' or 'version' if the shared resource is
+ *                                                // a snapshot or version of the blob.
+ *   snapshot:            '...',                  // Snapshot time, if the resourceType is 'snapshot'
+ *   versionId:           '...',                  // Version id, if the resourceType is 'version'
+ *   permissions: {                               // Set of permissions delegated (required)
+ *                                                // It must be omitted if it has been specified in the associated
+ *                                                // stored access policy.
+ *     read:              false,                  // Read the content, properties, metadata or block list of a blob
+ *                                                // or of any blob in the container if the resourceType is
+ *                                                // a container.
+ *     add:               false,                  // Add a block to an append blob or to any append blob if the
+ *                                                // resourceType is a container.
+ *     create:            false,                  // Write a new blob, snapshot a blob, or copy a blob
+ *                                                // to a new blob.
+ *                                                // These operations can be done to any blob in the container
+ *                                                // if the resourceType is a container.
+ *     write:             false,                  // Create or write content, properties, metadata, or block list.
+ *                                                // Snapshot or lease the blob. Resize the blob (page blob only).
+ *                                                // These operations can be done for every blob in the container
+ *                                                // if the resourceType is a container.
+ *     delete:            false,                  // Delete the blob or any blob in the container if the
+ *                                                // resourceType is a container.
+ *     deleteVersion:     false,                  // Delete a blob version.
+ *     list:              false,                  // List blobs in the container.
+ *     tag:               false,                  // Read or write the index tags of the blob.
+ *     move:              false,                  // Move the blob or directory, in accounts with a
+ *                                                // hierarchical namespace.
+ *     execute:           false,                  // Get the system properties and ACL of the blob, in
+ *                                                // accounts with a hierarchical namespace.
+ *   },
+ *   ipRange:             '168.1.5.60-168.1.5.70',// IPv4 address or range of addresses to accept requests
+ *                                                // from (optional)
+ *   protocol:            'https',                // Protocols permitted, `https` or `https,http`
+ *                                                // (defaults to `https`)
+ *   cacheControl:        '...',                  // The value of the Cache-Control response header
+ *                                                // to be returned. (optional)
+ *   contentDisposition:  '...',                  // The value of the Content-Disposition response header
+ *                                                // to be returned. (optional)
+ *   contentEncoding:     '...',                  // The value of the Content-Encoding response header
+ *                                                // to be returned. (optional)
+ *   contentLanguage:     '...',                  // The value of the Content-Language response header
+ *                                                // to be returned. (optional)
+ *   contentType:         '...',                  // The value of the Content-Type response header to
+ *                                                // be returned. (optional)
+ *   accessPolicy:        '...'                   // Reference to stored access policy (optional)
+ *                                                // A GUID string
+ * }
+ * ```
+ * @returns {string} Shared-Access-Signature on string form.
+ *
+ */
+Blob.prototype.sas = function sas(container, blob, options){
+  var query = sasQuery(container, blob, options);
+
+  // Check that we have credentials
+  if (!this.options.accountId ||
+    !this.options.accessKey) {
+    throw new Error("accountId and accessKey are required for SAS creation!");
+  }
+
+  if (options.accessPolicy) {
+    assert(/^[0-9a-fA-F]{1,64}$/i.test(options.accessPolicy), 'The `options.accessPolicy` is not valid.' );
+    query.si = options.accessPolicy;
+  }
+
+  // Construct string-to-sign
+  var resource = blob ? container + '/' + blob : container;
+  var stringToSign = auth.sasStringToSign('blob', this.options.accountId, resource,
+    sasSignedParameters(query, options));
+
+  // Compute signature
+  query.sig = utils.hmacSha256(this._accessKey, stringToSign);
+
+  // Return Shared-Access-Signature as query-string
+  return querystring.stringify(query);
+};
+
+/**
+ * Generate a user delegation SAS string on the form 'key1=va1&key2=val2&...'. Unlike the signatures generated by
+ * `sas`, a user delegation SAS is signed with a user delegation key obtained with OAuth credentials, rather than the
+ * account key, so the client must be configured with `options.tokenCredential`. The SAS grants at most the
+ * permissions of the user, or application, the token was issued to.
+ *
+ * The user delegation key is fetched with `getUserDelegationKey`, and cached on the client. It is reused for
+ * signatures expiring before the key, until shortly before the key expires. Alternatively a key can be given as
+ * `options.userDelegationKey`.
+ *
+ * @method userDelegationSas
+ * @param {string}  container - Name of the container that this SAS string applies to.
+ * @param {string}  blob - Name of the blob that this SAS string applies to.
+ * @param {object} options - Options as accepted by `sas`, except `accessPolicy`, and the following:
+ *```js
+ * {
+ *   userDelegationKey:   {...},                  // Key as returned by `getUserDelegationKey` (optional)
+ * }
+ * ```
+ * The `options.expiry` must be within 7 days of the current time, as that is the maximum lifetime of a user
+ * delegation key.
+ * @returns {Promise} A promise for the Shared-Access-Signature on string form.
+ */
+Blob.prototype.userDelegationSas = function userDelegationSas(container, blob, options) {
+  var query = sasQuery(container, blob, options);
+  assert(!options.accessPolicy, 'options.accessPolicy can\'t be used with a user delegation SAS');
+  assert(options.permissions, 'options.permissions must be specified');
+
+  var self = this;
+  var key = options.userDelegationKey;
+  return (key ? Promise.resolve(key) : userDelegationKey(self, options.expiry)).then(function(key) {
+    assert(new Date(key.signedExpiry).getTime() >= options.expiry.getTime(),
+      'options.expiry must not be after the expiry of the user delegation key');
+
+    query.skoid = key.signedOid;
+    query.sktid = key.signedTid;
+    query.skt = key.signedStart;
+    query.ske = key.signedExpiry;
+    query.sks = key.signedService;
+    query.skv = key.signedVersion;
+
+    // Construct string-to-sign
+    var resource = blob ? container + '/' + blob : container;
+    var stringToSign = auth.sasStringToSign('userDelegation', self.options.accountId, resource,
+      sasSignedParameters(query, options));
+
+    // Compute signature with the user delegation key
+    query.sig = utils.hmacSha256(Buffer.from(key.value, 'base64'), stringToSign);
+
+    // Return Shared-Access-Signature as query-string
+    return querystring.stringify(query);
+  });
+};
+
+/**
+ * Generate an account shared-access-signature on the form `'key1=val1&key2=val2&...'`. Unlike the signatures
+ * generated by `sas`, an account SAS can grant access to several services and to all resources of a type, and
+ * it can be given as the `sas` option of the `Blob`, `Queue` and `Table` clients alike.
+ *
+ * @method accountSas
+ * @param {object} options - Options on the following form:
+ * ```js
+ * {
+ *   start:         new Date(),             // Time from which signature is valid (optional)
+ *   expiry:        new Date(),             // Expiration of signature (required)
+ *   services: {                            // Services the signature grants access to (required)
+ *     blob:          false,
+ *     queue:         false,
+ *     table:         false,
+ *     file:          false,
+ *   },
+ *   resourceTypes: {                       // Resource types the signature grants access to (required)
+ *     service:       false,                // Service level operations, e.g. listing containers
+ *     container:     false,                // Containers, queues and tables
+ *     object:        false,                // Blobs, messages and entities
+ *   },
+ *   permissions: {                         // Set of permissions delegated (required)
+ *     read:          false,                // Read resources and their properties
+ *     write:         false,                // Write resources and their properties
+ *     delete:        false,                // Delete resources
+ *     deleteVersion: false,                // Delete blob versions
+ *     list:          false,                // List containers, blobs, queues and tables
+ *     add:           false,                // Add messages, entities and blocks of append blobs
+ *     create:        false,                // Create blobs, containers, queues and tables
+ *     update:        false,                // Update messages and entities
+ *     process:       false,                // Get and delete messages
+ *     tag:           false,                // Read and write blob index tags
+ *     filter:        false,                // Find blobs by index tags
+ *   },
+ *   ipRange:       '168.1.5.60-168.1.5.70',// IPv4 address or range of addresses to accept requests from
+ *                                          // (optional)
+ *   protocol:      'https',                // Protocols permitted, `https` or `https,http`
+ *                                          // (defaults to `https`)
+ * }
+ * ```
+ * @returns {string} Shared-Access-Signature on string form.
+ */
+Blob.prototype.accountSas = auth.accountSAS;
+
+/**
+ * Construct authorized request options by adding signature or
+ * shared-access-signature, return promise for the request options.
+ *
+ * @protected
+ * @method authorize
+ * @param {string} method - HTTP verb in upper case, e.g. `GET`.
+ * @param {string} path - Path on blob resource for storage account.
+ * @param {object} query - Query-string parameters.
+ * @param {object} header - Mapping from header key in lowercase to value.
+ * @returns {Promise} A promise for an options object compatible with
+ * `https.request`.
+ */
+Blob.prototype.authorize = function(method, path, query, headers) {
+  throw new Error("authorize is not implemented, must be defined!");
+};
+
+/**
+ * Make a signed request to `path` using `method` in upper-case and all `query`
+ * parameters and `headers` keys in lower-case. The request will carry `data`
+ * as payload and will be retried using the configured retry policy,
+ *
+ * @private
+ * @method request
+ * @param {string} method - HTTP verb in upper case, e.g. `GET`.
+ * @param {string} path - Path on blob resource for storage account.
+ * @param {object} query - Query-string parameters.
+ * @param {object} header - Mapping from header key in lowercase to value.
+ * @return {Promise} A promise for HTTPS response with `payload` property as
+ * string containing the response payload.
+ */
+Blob.prototype.request = function request(method, path, query, headers, data) {
+  // Set timeout, if not provided
+  if (query.timeout === undefined) {
+    query.timeout = this.timeoutInSeconds;
+  }
+
+  // Set date, version and client-request-id headers, unless the operation
+  // requires a specific version
+  headers['x-ms-date']              = new Date().toUTCString();
+  headers['x-ms-version']           = headers['x-ms-version'] || this.options.version;
+  headers['x-ms-client-request-id'] = this.options.clientId;
+
+  // Set content-length, if data is given
+  if (data && data.length > 0 && !headers['content-length']) {
+    headers['content-length'] = Buffer.byteLength(data, 'utf-8');
+  }
+
+  // Construct authorized request options with shared key signature or
+  // shared-access-signature.
+  var self = this;
+  return this.authorize(method, this.pathPrefix + path, query, headers).then(function(options) {
+    setEndpointOptions(self, options);
+    // Retry with retry policy
+    return utils.retry(function(retry) {
+      debug("Request: %s %s, retry: %s", method, path, retry);
+
+      // Construct a promise chain first handling the request, and then parsing
+      // any potential error message
+      return utils.request(options, data, self.timeout).then(function(res) {
+        // Accept the response if it's 2xx, otherwise we construct and
+        // throw an error
+        if (200 <= res.statusCode && res.statusCode < 300) {
+          return res;
+        }
+
+        // Throw the constructed error
+        throw responseError(res, method, path, retry);
+      });
+    }, self.options);
+  });
+};
+
+/**
+ * Make a signed request to `path` like `request`, but resolve with the HTTPS
+ * response as soon as the headers have arrived, leaving the payload unread and
+ * undecoded. The request is retried using the configured retry policy, until
+ * the response headers have been received, after that point retries are the
+ * responsibility of the caller.
+ *
+ * If the response isn't 2xx the payload is buffered, parsed and an error is
+ * thrown exactly like `request` does.
+ *
+ * @private
+ * @method requestStream
+ * @param {string} method - HTTP verb in upper case, e.g. `GET`.
+ * @param {string} path - Path on blob resource for storage account.
+ * @param {object} query - Query-string parameters.
+ * @param {object} header - Mapping from header key in lowercase to value.
+ * @return {Promise} A promise for HTTPS response as a readable stream.
+ */
+Blob.prototype.requestStream = function requestStream(method, path, query, headers) {
+  // Set timeout, if not provided
+  if (query.timeout === undefined) {
+    query.timeout = this.timeoutInSeconds;
+  }
+
+  // Set date, version and client-request-id headers, unless the operation
+  // requires a specific version
+  headers['x-ms-date']              = new Date().toUTCString();
+  headers['x-ms-version']           = headers['x-ms-version'] || this.options.version;
+  headers['x-ms-client-request-id'] = this.options.clientId;
+
+  // Construct authorized request options with shared key signature or
+  // shared-access-signature.
+  var self = this;
+  return this.authorize(method, this.pathPrefix + path, query, headers).then(function(options) {
+    setEndpointOptions(self, options);
+    // Retry with retry policy, until we have response headers
+    return utils.retry(function(retry) {
+      debug("Request stream: %s %s, retry: %s", method, path, retry);
+
+      return utils.requestStream(options, undefined, self.timeout).then(function(res) {
+        if (200 <= res.statusCode && res.statusCode < 300) {
+          return res;
+        }
+
+        // Buffer up the error message, and throw the constructed error
+        return utils.readPayload(res).then(function(res) {
+          throw responseError(res, method, path, retry);
+        });
+      });
+    }, self.options);
+  });
+};
+
+/**
+ * Sets properties for a storage account’s Blob service endpoint
+ *
+ * @method setServiceProperties
+ * @param {object} options - Options on the following form:
+ * ```js
+ * {
+ *    logging: {                 // The Azure Analytics Logging settings.
+ *      version: '...',          // The version of Storage Analytics to configure (required if logging specified)
+ *      delete: true|false,      // Indicates whether all delete requests should be logged
+ *                               // (required if logging specified)
+ *      read: true|false,        // Indicates whether all read requests should be logged
+ *                               // (required if logging specified)
+ *      write: true|false,       // Indicates whether all write requests should be logged
+ *                               // (required if logging specified)
+ *      retentionPolicy: {
+ *        enabled: true|false,   // Indicates whether a retention policy is enabled for the
+ *                               // storage service. (required)
+ *        days: '...',           // Indicates the number of days that metrics or logging data should be retained.
+ *                               // Required only if a retention policy is enabled.
+ *      },
+ *    },
+ *    hourMetrics: {             // The Azure Analytics HourMetrics settings
+ *      version: '...',          // The version of Storage Analytics to configure
+ *                               // (required if hourMetrics specified)
+ *      enabled: true|false,     // Indicates whether metrics are enabled for the Blob service
+ *                               //(required if hourMetrics specified).
+ *      includeAPIs: true|false, // Indicates whether metrics should generate summary statistics for called API
+ *                               // operations (Required only if metrics are enabled).
+ *      retentionPolicy: {
+ *        enabled: true|false,
+ *        days: '...',
+ *      },
+ *    },
+ *    minuteMetrics: {           // The Azure Analytics MinuteMetrics settings
+ *      version: '...',          // The version of Storage Analytics to configure
+ *                               // (required if minuteMetrics specified)
+ *      enabled: true|false,     // Indicates whether metrics are enabled for the Blob service
+ *                               // (required if minuteMetrics specified).
+ *      includeAPIs: true|false, // Indicates whether metrics should generate summary statistics for called API
+ *                               // operations (Required only if metrics are enabled).
+ *      retentionPolicy: {
+ *        enabled: true|false,
+ *        days: '...',
+ *      },
+ *    },
+ *    corsRules: [{              // CORS rules
+ *      allowedOrigins: [],      // A list of origin domains that will be allowed via CORS,
+ *                               // or "*" to allow all domains
+ *      allowedMethods: [],      // List of HTTP methods that are allowed to be executed by the origin
+ *      maxAgeInSeconds: [],     // The number of seconds that the client/browser should cache a
+ *                               // preflight response
+ *      exposedHeaders: [],      // List of response headers to expose to CORS clients
+ *      allowedHeaders: [],      // List of headers allowed to be part of the cross-origin request
+ *    }],
+ *    deleteRetentionPolicy: {   // Soft delete settings for blobs, deleted blobs and snapshots are retained
+ *                               // and can be restored with `undeleteBlob` until the retention period expires
+ *      enabled: true|false,     // Indicates whether deleted blobs are retained (required)
+ *      days: '...',             // The number of days deleted blobs are retained, between 1 and 365.
+ *                               // Required only if the policy is enabled.
+ *    },
+ * }
+ * ```
+ * Soft delete for containers can't be configured with this operation, it is a setting of the storage account
+ * in the Azure Resource Manager API. Soft-deleted containers can be listed and restored with this client.
+ *
+ * @return {Promise} A promise that the properties have been set
+ */
+Blob.prototype.setServiceProperties = function setServiceProperties(options) {
+
+  var payload = '<?xml version="1.0" encoding="utf-8"?>';
+  payload += '<StorageServiceProperties>';
+
+  if (options) {
+    if (options.logging) {
+      payload += '<Logging>';
+      var logging = options.logging;
+      assert(logging.version, 'The `options.logging.version` must be supplied if `options.logging` is specified');
+      payload += '<Version>' + logging.version + '</Version>';
+
+      assert(logging.delete, 'The `options.logging.delete` must be supplied if `options.logging` is specified');
+      payload += '<Delete>' + logging.delete + '</Delete>';
+
+      assert(logging.read, 'The `options.logging.read` must be supplied if `options.logging` is specified');
+      payload += '<Read>' + logging.read + '</Read>';
+
+      assert(logging.write, 'The `options.logging.write` must be supplied if `options.logging` is specified');
+      payload += '<Write>' + logging.write + '</Write>';
+
+      assert(logging.retentionPolicy, 'The `options.logging.retentionPolicy` must be supplied if `options.logging` is specified');
+      payload += '<RetentionPolicy>';
+      assert(logging.retentionPolicy.enabled, 'The `options.logging.retentionPolicy.enabled` must be supplied if `options.logging` is specified');
+      payload += '<Enabled>' + logging.retentionPolicy.enabled + '</Enabled>';
+      if (logging.retentionPolicy.enabled === true) {
+        assert(logging.retentionPolicy.days, 'The `options.logging.retentionPolicy.days` must be supplied if a retention policy is enabled');
+        assert(logging.retentionPolicy.days > 1 && logging.retentionPolicy.days < 365,
+          'The `options.logging.retentionPolicy.days` must be a number between 1 and 365.');
+        payload += '<Days>' + logging.retentionPolicy.days + '</Days>';
+      }
+      payload += '</RetentionPolicy>';
+
+      payload += '</Logging>';
+    }
+
+    if(options.hourMetrics) {
+      payload += '<HourMetrics>';
+      var hourMetrics = options.hourMetrics;
+
+      assert(hourMetrics.version, 'The `options.hourMetrics.version` must be supplied if `options.hourMetrics` is specified');
+      payload += '<Version>' + hourMetrics.version + '</Version>';
+
+      if (hourMetrics.enabled === undefined || hourMetrics.enabled === null) {
+        throw new Error('The `options.hourMetrics.enabled` must be supplied if `options.hourMetrics` is specified');
+      }
+      payload += '<Enabled>' + hourMetrics.enabled + '</Enabled>';
+
+      if (hourMetrics.enabled === true) {
+        if (hourMetrics.includeAPIs === undefined || hourMetrics.includeAPIs === null) {
+          throw new Error('The `options.hourMetrics.includeAPIs` must be supplied if `options.hourMetrics` is specified');
+        }
+        payload += '<IncludeAPIs>' + hourMetrics.includeAPIs + '</IncludeAPIs>';
+      }
+
+      assert(hourMetrics.retentionPolicy, 'The `options.hourMetrics.retentionPolicy` must be supplied if `options.hourMetrics` is specified');
+      payload += '<RetentionPolicy>';
+      if (hourMetrics.retentionPolicy.enabled === undefined || hourMetrics.retentionPolicy.enabled === null) {
+        throw new Error('The `options.hourMetrics.retentionPolicy.enabled` must be supplied if `options.hourMetrics` is specified');
+      }
+      payload += '<Enabled>' + hourMetrics.retentionPolicy.enabled + '</Enabled>';
+      if (hourMetrics.retentionPolicy.enabled === true) {
+        assert(hourMetrics.retentionPolicy.days, 'The `options.hourMetrics.retentionPolicy.days` must be supplied if a retention policy is enabled');
+        assert(hourMetrics.retentionPolicy.days > 1 && hourMetrics.retentionPolicy.days < 365,
+          'The `options.hourMetrics.retentionPolicy.days` must be a number between 1 and 365.');
+        payload += '<Days>' + hourMetrics.retentionPolicy.days + '</Days>';
+      }
+      payload += '</RetentionPolicy>';
+
+      payload += '</HourMetrics>';
+    }
+
+    if(options.minuteMetrics) {
+      payload += '<MinuteMetrics>';
+      var minuteMetrics = options.minuteMetrics;
+
+      assert(minuteMetrics.version, 'The `options.minuteMetrics.version` must be supplied if `options.minuteMetrics` is specified');
+      payload += '<Version>' + minuteMetrics.version + '</Version>';
+
+      if (minuteMetrics.enabled === undefined || minuteMetrics.enabled === null) {
+        throw new Error('The `options.minuteMetrics.enabled` must be supplied if `options.minuteMetrics` is specified');
+      }
+      payload += '<Enabled>' + minuteMetrics.enabled + '</Enabled>';
+
+      if (minuteMetrics.enabled === true) {
+        if (minuteMetrics.includeAPIs === undefined || minuteMetrics.includeAPIs === null) {
+          throw new Error('The `options.minuteMetrics.includeAPIs` must be supplied if `options.minuteMetrics` is specified');
+        }
+        payload += '<IncludeAPIs>' + minuteMetrics.includeAPIs + '</IncludeAPIs>';
+      }
+
+      assert(minuteMetrics.retentionPolicy, 'The `options.minuteMetrics.retentionPolicy` must be supplied if `options.minuteMetrics` is specified');
+      payload += '<RetentionPolicy>';
+      if (minuteMetrics.retentionPolicy.enabled === undefined || minuteMetrics.retentionPolicy.enabled === null) {
+        throw new Error('The `options.minuteMetrics.retentionPolicy.enabled` must be supplied if `options.minuteMetrics` is specified');
+      }
+      payload += '<Enabled>' + minuteMetrics.retentionPolicy.enabled + '</Enabled>';
+      if (minuteMetrics.retentionPolicy.enabled === true) {
+        assert(minuteMetrics.retentionPolicy.days, 'The `options.minuteMetrics.retentionPolicy.days` must be supplied if a retention policy is enabled');
+        assert(minuteMetrics.retentionPolicy.days >= 1 && minuteMetrics.retentionPolicy.days <= 365,
+          'The `options.minuteMetrics.retentionPolicy.days` must be a number between 1 and 365.');
+        payload += '<Days>' + minuteMetrics.retentionPolicy.days + '</Days>';
+      }
+      payload += '</RetentionPolicy>';
+
+      payload += '</MinuteMetrics>';
+    }
+
+    if(options.corsRules) {
+      payload += '<Cors>';
+      options.corsRules.forEach(function(rule) {
+        payload += '<CorsRule>';
+
+        assert(rule.allowedOrigins, 'For CORS rule, the allowedOrigins must be specified');
+        payload += '<AllowedOrigins>' + rule.allowedOrigins.join(',') + '</AllowedOrigins>';
+
+        assert(rule.allowedMethods, 'For CORS rule, the allowedMethods must be specified');
+        payload += '<AllowedMethods>' + rule.allowedMethods.join(',') + '</AllowedMethods>';
+
+        assert(rule.maxAgeInSeconds, 'For CORS rule, the maxAgeInSeconds must be specified');
+        if (rule.maxAgeInSeconds) payload += '<MaxAgeInSeconds>' + rule.maxAgeInSeconds + '</MaxAgeInSeconds>';
+
+        assert(rule.exposedHeaders, 'For CORS rule, the exposedHeaders must be specified');
+        if (rule.exposedHeaders) payload += '<ExposedHeaders>' + rule.exposedHeaders.join(',') + '</ExposedHeaders>';
+
+        assert(rule.allowedHeaders, 'For CORS rule, the allowedHeaders must be specified');
+        if (rule.allowedHeaders) payload += '<AllowedHeaders>' + rule.allowedHeaders.join(',') + '</AllowedHeaders>';
+
+        payload += '</CorsRule>';
+      });
+      payload += '</Cors>';
+    }
+
+    if (options.deleteRetentionPolicy) {
+      var deleteRetentionPolicy = options.deleteRetentionPolicy;
+      payload += '<DeleteRetentionPolicy>';
+      if (deleteRetentionPolicy.enabled === undefined || deleteRetentionPolicy.enabled === null) {
+        throw new Error('The `options.deleteRetentionPolicy.enabled` must be supplied if `options.deleteRetentionPolicy` is specified');
+      }
+      payload += '<Enabled>' + deleteRetentionPolicy.enabled + '</Enabled>';
+      if (deleteRetentionPolicy.enabled === true) {
+        assert(deleteRetentionPolicy.days, 'The `options.deleteRetentionPolicy.days` must be supplied if the policy is enabled');
+        assert(deleteRetentionPolicy.days >= 1 && deleteRetentionPolicy.days <= 365,
+          'The `options.deleteRetentionPolicy.days` must be a number between 1 and 365.');
+        payload += '<Days>' + deleteRetentionPolicy.days + '</Days>';
+      }
+      payload += '</DeleteRetentionPolicy>';
+    }
+  }
+  payload += '</StorageServiceProperties>';
+
+  var query = {
+    restype: 'service',
+    comp: 'properties'
+  };
+
+  return this.request('PUT', '/', query, {}, payload).then(function(response) {
+    if (response.statusCode !== 202) {
+      throw new Error("setServiceProperties: Unexpected statusCode: " + response.statusCode);
+    }
+  });
+};
+
+/**
+ * Gets the properties of a storage account’s Blob service, including properties for Storage Analytics and
+ * CORS (Cross-Origin Resource Sharing) rules.
+ *
+ * @method getServiceProperties
+ * @return {Promise} A promise for an object on the form:
+ * ```js
+ * {
+ *    logging: {                  // The Azure Analytics Logging settings.
+ *      version: '...',           // The version of Storage Analytics to configure
+ *      delete: true|false,       // Indicates whether all delete requests should be logged
+ *      read: true|false,         // Indicates whether all read requests should be logged
+ *      write: true|false,        // Indicates whether all write requests should be logged
+ *      retentionPolicy: {
+ *        enabled: true|false,    // Indicates whether a retention policy is enabled for the storage service
+ *        days: '...',            // Indicates the number of days that metrics or logging data should be retained.
+ *      },
+ *    },
+ *    hourMetrics: {              // The Azure Analytics HourMetrics settings
+ *      version: '...',           // The version of Storage Analytics to configure
+ *      enabled: true|false,      // Indicates whether metrics are enabled for the Blob service
+ *      includeAPIs: true|false,  // Indicates whether metrics should generate summary statistics
+ *                                // for called API operations.
+ *      retentionPolicy: {
+ *        enabled: true|false,
+ *        days: '...',
+ *      },
+ *    },
+ *    minuteMetrics: {            // The Azure Analytics MinuteMetrics settings
+ *      version: '...',           // The version of Storage Analytics to configure
+ *      enabled: true|false,      // Indicates whether metrics are enabled for the Blob service
+ *      includeAPIs: true|false,  // Indicates whether metrics should generate summary statistics
+ *                                // for called API operations.
+ *      retentionPolicy: {
+ *        enabled: true|false,
+ *        days: '...',
+ *      },
+ *    },
+ *    corsRules: [{               // CORS rules
+ *      allowedOrigins: [],       // A list of origin domains that will be allowed via CORS,
+ *                                // or "*" to allow all domains.
+ *      allowedMethods: [],       // List of HTTP methods that are allowed to be executed by the origin
+ *      maxAgeInSeconds: [],      // The number of seconds that the client/browser should cache a preflight response
+ *      exposedHeaders: [],       // List of response headers to expose to CORS clients
+ *      allowedHeaders: [],       // List of headers allowed to be part of the cross-origin request
+ *    }],
+ *    deleteRetentionPolicy: {    // Soft delete settings for blobs
+ *      enabled: true|false,      // Indicates whether deleted blobs are retained
+ *      days: '...',              // The number of days deleted blobs are retained
+ *    },
+ * }
+ * ```
+ */
+Blob.prototype.getSeviceProperties = function getSeviceProperties() {
+  var query = {
+    restype: 'service',
+    comp: 'properties'
+  };
+  return this.request('GET', '/', query, {}).then(function(response) {
+    if (response.statusCode !== 200) {
+      throw new Error("setServiceProperties: Unexpected statusCode: " + response.statusCode);
+    }
+
+    return xml.blobParseServiceProperties(response);
+  });
+};
+
+/**
+ * Get a user delegation key, for signing SAS with `userDelegationSas`. This operation requires the client to be
+ * configured with `options.tokenCredential`, as user delegation keys can only be requested with OAuth.
+ *
+ * Keys for `userDelegationSas` are fetched and cached automatically, so this method is only needed to manage keys
+ * explicitly.
+ *
+ * @method getUserDelegationKey
+ * @param {Date} start - Time from which the key is valid
+ * @param {Date} expiry - Time at which the key expires, within 7 days of the current time
+ * @return {Promise} A promise for an object on the form:
+ * ```js
+ * {
+ *   signedOid:     '...',            // Object id of the principal the key was issued to
+ *   signedTid:     '...',            // Tenant id of the principal
+ *   signedStart:   '...',            // Start of the key validity, ISO 8601 string
+ *   signedExpiry:  '...',            // Expiry of the key, ISO 8601 string
+ *   signedService: 'b',              // Service the key is valid for
+ *   signedVersion: '...',            // Service version that issued the key
+ *   value:         '...',            // The key, base64 encoded
+ * }
+ * ```
+ */
+Blob.prototype.getUserDelegationKey = function getUserDelegationKey(start, expiry) {
+  assert(this.options.tokenCredential, 'options.tokenCredential is required to get a user delegation key');
+  assert(start instanceof Date, 'start must be a Date object');
+  assert(expiry instanceof Date, 'expiry must be a Date object');
+  assert(expiry.getTime() <= Date.now() + MAX_USER_DELEGATION_KEY_LIFETIME,
+    'expiry must be within 7 days of the current time');
+
+  var payload = '<?xml version="1.0" encoding="utf-8"?>';
+  payload += '<KeyInfo>';
+  payload += '<Start>' + utils.dateToISOWithoutMS(start) + '</Start>';
+  payload += '<Expiry>' + utils.dateToISOWithoutMS(expiry) + '</Expiry>';
+  payload += '</KeyInfo>';
+
+  var query = {
+    restype: 'service',
+    comp: 'userdelegationkey'
+  };
+  return this.request('POST', '/', query, {}, payload).then(function(response) {
+    if (response.statusCode !== 200) {
+      throw new Error("getUserDelegationKey: Unexpected statusCode: " + response.statusCode);
+    }
+    return xml.blobParseUserDelegationKey(response);
+  });
+};
+
+/**
+ * Create a new container with the given 'name' under the storage account.
+ *
+ * @method createContainer
+ * @param {string} name -  Name of the container to create
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    metadata: '...',          // Mapping from metadata keys to values. (optional)
+ *    publicAccessLevel: '...', // Specifies whether data in the container may be accessed
+ *                              // publicly and the level of access.
+ *                              // Possible values: container, blob. (optional)
+ * }
+ * ```
+ * @returns {Promise} a promise for metadata key/value pair
+ * A promise for an object on the form:
+ * ```js
+ * {
+ *      eTag: '...',               // The entity tag of the container
+ *      lastModified: '...',       // The date/time the container was last modified
+ * }
+ * ```
+ */
+Blob.prototype.createContainer = function createContainer(name, options) {
+  assert(typeof name === 'string', 'The name of the container must be specified and must be a string value.');
+  // Construct headers
+  var headers = {};
+  if (options){
+    if (options.metadata) {
+      for(var key in options.metadata) {
+        if (options.metadata.hasOwnProperty(key)) {
+          headers['x-ms-meta-' + key] = options.metadata[key];
+        }
+      }
+    }
+    if(options.publicAccessLevel) {
+      assert( options.publicAccessLevel === 'container' || options.publicAccessLevel === 'blob',
+        'The `publicAccessLevel` is invalid. The possible values are: container and blob.'
+      )
+      headers['x-ms-blob-public-access'] = options.publicAccessLevel;
+    }
+  }
+
+  // Construct query string
+  var query = {
+    restype: 'container'
+  };
+  var path = '/' + name;
+  return this.request('PUT', path, query, headers).then(function(response) {
+    // container was created - response code 201
+    if (response.statusCode !== 201) {
+      throw new Error("createContainer: Unexpected statusCode: " + response.statusCode);
+    }
+
+    return {
+      eTag: response.headers['etag'],
+      lastModified: new Date(response.headers['last-modified'])
+    };
+  });
+};
+
+/**
+ * Sets metadata for the specified container.
+ * Overwrites all existing metadata that is associated with the container.
+ *
+ * @method setContainerMetadata
+ * @param {string} name - Name of the container to set metadata on
+ * @param {object} metadata - Mapping from metadata keys to values.
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    leaseId: '...',               // Lease unique identifier. A GUID string.(optional)
+ *    ifModifiedSince: new Date(),  // Specify this to perform the operation only if the resource has been
+ *                                  // modified since the specified time. (optional)
+ * }
+ *```
+ * @returns {Promise} a promise for metadata key/value pair
+ * A promise for an object on the form:
+ * ```js
+ * {
+ *      eTag: '...',               // The entity tag of the container
+ *      lastModified: '...',       // The date/time the container was last modified
+ * }
+ * ```
+ */
+Blob.prototype.setContainerMetadata = function setContainerMetadata(name, metadata, options) {
+  assert(typeof name === 'string', 'The name of the container must be specified and must be a string value.');
+  // Construct query string
+  var query = {
+    restype: 'container',
+    comp: 'metadata'
+  };
+  // Construct headers
+  var headers = {};
+  if (options) {
+    if (options.leaseId) {
+      assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
+      headers['x-ms-lease-id'] = options.leaseId;
+    }
+    // set conditional header
+    if (options.ifModifiedSince){
+      assert(options.ifModifiedSince instanceof Date,
+        'If specified, the `options.ifModifiedSince` must be a Date');
+      headers['if-modified-since'] = options.ifModifiedSince.toUTCString();
+    }
+  }
+
+  for(var key in metadata) {
+    if (metadata.hasOwnProperty(key)) {
+      headers['x-ms-meta-' + key] = metadata[key];
+    }
+  }
+  var path = "/" + name;
+  return this.request('PUT', path, query, headers).then(function(response) {
+    if(response.statusCode !== 200) {
+      throw new Error('setContainerMetadata: Unexpected statusCode: ' + response.statusCode);
+    }
+    return {
+      eTag: response.headers['etag'],
+      lastModified: new Date(response.headers['last-modified'])
+    }
+  });
+};
+
+/**
+ * Get the metadata for the container with the given name.
+ *
+ * Note, this is a `HEAD` request, so if the container is missing you get an
+ * error with `err.statusCode = 404`, but `err.code` property will be
+ * `ErrorWithoutCode`.
+ *
+ * @method getContainerMetadata
+ * @param {string} name - the name of the container to get metadata from.
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    leaseId: '...'  // Lease unique identifier. A GUID string.(optional)
+ * }
+ * @returns {Promise} a promise for metadata key/value pair
+ * A promise for an object on the form:
+ * ```js
+ * {
+ *      eTag: '...',               // The entity tag of the container
+ *      lastModified: '...',       // The date/time the container was last modified
+ * }
+ * ```
+ */
+Blob.prototype.getContainerMetadata = function getContainerMetadata(name, options) {
+  assert(typeof name === 'string', 'The name of the container must be specified and must be a string value.');
+  // Construct the query string
+  var query = {
+    comp: 'metadata',
+    restype: 'container'
+  }
+  var path = "/" + name;
+  var headers = {};
+  if (options && options.leaseId) {
+    assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
+    headers['x-ms-lease-id'] = options.leaseId;
+  }
+
+  return this.request('HEAD', path, query, headers).then(function(response) {
+    if (response.statusCode !== 200) {
+      throw new Error("getContainerMetadata: Unexpected statusCode: " + response.statusCode);
+    }
+    return {
+      eTag: response.headers['etag'],
+      lastModified: new Date(response.headers['last-modified']),
+      metadata: utils.extractMetadataFromHeaders(response)
+    }
+  });
+};
+
+/**
+ * Delete container with the given 'name'.
+ *
+ * Note, when a container is deleted, a container with the same name cannot be created for at least 30 seconds;
+ * the container may not be available for more than 30 seconds if the service is still processing the request.
+ * Please see the documentation for more details.
+ *
+ * @method deleteContainer
+ * @param {string} name -  Name of the container to delete
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    leaseId: '...',                   // Lease unique identifier. A GUID string.(optional)
+ *    ifModifiedSince: new Date(),      // Specify this to perform the operation only if the resource has
+ *                                      // been modified since the specified time. (optional)
+ *    ifUnmodifiedSince: new Date(),    // Specify this to perform the operation only if the resource has
+ *                                      // not been modified since the specified date/time. (optional)
+ * }
+ *```
+ * @returns {Promise} A promise that container has been marked for deletion.
+ */
+Blob.prototype.deleteContainer = function deleteContainer(name, options) {
+  assert(typeof name === 'string', 'The name of the container must be specified and must be a string value.');
+  // construct query string
+  var query = {
+    restype: 'container'
+  };
+  var path = '/' + name;
+  var headers = {};
+  if (options) {
+    if (options.leaseId) {
+      assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
+      headers['x-ms-lease-id'] = options.leaseId;
+    }
+
+    utils.setConditionalHeaders(headers, options, true);
+  }
+
+  return this.request('DELETE', path, query, headers).then(function(response) {
+    if(response.statusCode !== 202) {
+      throw new Error('deleteContainer: Unexpected statusCode: ' + response.statusCode);
+    }
+  });
+};
+
+/**
+ * Restores a soft-deleted container, within the retention period configured for container soft delete on the
+ * storage account. The `version` of the deleted container is listed by `listContainers` with
+ * `deleted: true`.
+ *
+ * @method restoreContainer
+ * @param {string} name - Name of the deleted container
+ * @param {string} version - Version of the deleted container
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    newName: '...',     // Restore the container under a different name (optional)
+ * }
+ *```
+ * @returns {Promise} A promise that the container has been restored.
+ */
+Blob.prototype.restoreContainer = function restoreContainer(name, version, options) {
+  assert(typeof name === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(typeof version === 'string', 'The version of the deleted container must be specified and must be a string value.');
+  options = options || {};
+  var query = {
+    restype: 'container',
+    comp: 'undelete'
+  };
+  var path = '/' + (options.newName || name);
+  var headers = {
+    'x-ms-deleted-container-name': name,
+    'x-ms-deleted-container-version': version
+  };
+
+  return this.request('PUT', path, query, headers).then(function(response) {
+    if(response.statusCode !== 201) {
+      throw new Error('restoreContainer: Unexpected statusCode: ' + response.statusCode);
+    }
+  });
+};
+
+/**
+ * List the containers under the storage account
+ *
+ * @method listContainers
+ * @param {object} options - Options on the following form:
+ *
+ * ```js
+ * {
+ *   prefix:          '...',    // Prefix of containers to list
+ *   marker:          '...',    // Marker to list containers from
+ *   maxResults:      5000,     // Max number of results
+ *   metadata:        false,    // Whether or not to include metadata
+ *   deleted:         false     // Whether or not to include soft-deleted containers
+ * }
+ *
+ * @returns {Promise} A promise for an object on the form:
+ * ```js
+ * {
+ *   containers: [
+ *     {
+ *       name:       '...',           // Name of container
+ *       deleted:    true,            // Set for soft-deleted containers, if requested
+ *       version:    '...',           // Version of a soft-deleted container, needed to restore it
+ *       properties: {
+ *          lastModified: '...',      // Container's last modified time
+ *          eTag: '...',              // The entity tag of the container
+ *          leaseStatus: '...',       // The lease status of the container
+ *          leaseState: '...',        // The lease state of the container
+ *          leaseDuration: '...'      // The lease duration of the container
+ *          publicAccessLevel: '...'  // Indicates whether data in the container may be accessed publicly
+ *                                    // and the level of access. If this is not returned in the response,
+ *                                    // the container is private to the account owner.
+ *          deletedTime: '...',       // The time a soft-deleted container was deleted
+ *          remainingRetentionDays: '...', // Days until a soft-deleted container is permanently deleted
+ *       }
+ *       metadata:   {}               // Meta-data dictionary if requested
+ *     }
+ *   ],
+ *   prefix:         '...',           // prefix given in options (if given)
+ *   marker:         '...',           // marker given in options (if given)
+ *   maxResults:     5000,            // maxResults given in options (if given)
+ *   nextMarker:     '...'            // Next marker if not at end of list
+ * }
+ * ```
+ */
+Blob.prototype.listContainers = function listContainers(options) {
+  // Ensure options
+  options = options || {};
+
+  // Construct query string
+  var query = {
+    comp: 'list'
+  };
+  if (options.prefix)     query.prefix      = options.prefix;
+  if (options.marker)     query.marker      = options.marker;
+  if (options.maxResults) query.maxresults  = options.maxResults;
+  var includeValues = [];
+  if (options.metadata)   includeValues.push('metadata');
+  if (options.deleted)    includeValues.push('deleted');
+  if (includeValues.length > 0) {
+    query.include = includeValues.join(',');
+  }
+
+  return this.request('GET', '/', query, {}).then(function(response) {
+    if(response.statusCode !== 200) {
+      throw new Error('listContainers: Unexpected statusCode: ' + response.statusCode);
+    }
+    return xml.blobParseListContainers(response);
+  });
+};
+
+/**
+ * Iterate over the containers under the storage account, following
+ * `nextMarker` across pages, see `ListIterator` for details.
+ *
+ * @method iterateContainers
+ * @param {object} options - Options as accepted by `listContainers`, where
+ * `maxResults` is the page size, and the following iterator options:
+ * ```js
+ * {
+ *   limit:           1000,     // Max number of containers to return in total
+ *   pages:           false,    // Return arrays of containers, one for each page
+ *   continuation:    {...}     // `continuation` of a previous iterator to resume from
+ * }
+ * ```
+ * @returns {ListIterator} An async iterator over containers as returned by
+ * `listContainers`.
+ */
+Blob.prototype.iterateContainers = function iterateContainers(options) {
+  return iterateMarkerPages(this.listContainers.bind(this), 'containers', options);
+};
+
+/**
+ * Get all user-defined metadata and system properties for the container with the given name.
+ *
+ * Note, this is a `HEAD` request, so if the container is missing you get an
+ * error with `err.statusCode = 404`, but `err.code` property will be
+ * `ErrorWithoutCode`.
+ *
+ * @method getContainerProperties
+ * @param {string} name - The name of the container to get properties from.
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    leaseId: '...' // GUID string; lease unique identifier (optional)
+ * }
+ * ```
+ * @returns {Promise} A promise for an object on the form:
+ * ```js
+ * {
+ *   metadata: {                 // Mapping from meta-data keys to values
+ *     '<key>':      '<value>',  // Meta-data key/value pair
+ *     ...
+ *   },
+ *   properties: {                // System properties
+ *     eTag:          '...',      // The entity tag for the container
+ *     lastModified: '...'        // The date and time the container was last modified
+ *     leaseStatus: '...',        // The lease status of the container
+ *     leaseState:  '...',        // Lease state of the container
+ *     leaseDuration: '...',      // Specifies whether the lease on a container is of infinite or fixed duration.
+ *     publicAccessLevel: '...',  // Indicates whether data in the container may be accessed publicly and
+ *                                // the level of access. If this is not returned in the response,
+ *                                // the container is private to the account owner.
+ *   }
+ * }
+ * ```
+ */
+Blob.prototype.getContainerProperties = function getContainerProperties(name, options) {
+  assert(typeof name === 'string', 'The name of the container must be specified and must be a string value.');
+  var query = {
+    restype: 'container'
+  }
+  var path = '/' + name;
+  var headers = {};
+  if (options && options.leaseId) {
+    assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
+    headers['x-ms-lease-id'] = options.leaseId;
+  }
+
+  return this.request('HEAD', path, query, headers).then(function(response) {
+    if (response.statusCode !== 200) {
+      throw new Error("getContainerProperties: Unexpected statusCode: " + response.statusCode);
+    }
+
+    // Extract metadata
+    var metadata = utils.extractMetadataFromHeaders(response);
+
+    // Extract system properties
+    var properties = {};
+    properties.eTag = response.headers.etag;
+    properties.lastModified = new Date(response.headers['last-modified']);
+    properties.leaseStatus = response.headers['x-ms-lease-status'];
+    properties.leaseState = response.headers['x-ms-lease-state'];
+    if (response.headers['x-ms-lease-duration']) {
+      properties.leaseDuration = response.headers['x-ms-lease-duration'];
+    }
+    if (response.headers['x-ms-blob-public-access']) {
+      properties.publicAccessLevel = response.headers['x-ms-blob-public-access'];
+    }
+
+    return {
+      metadata: metadata,
+      properties: properties
+    }
+  });
+};
+
+/**
+ * Gets the permissions for the container with the given name
+ *
+ * @method getContainerACL
+ * @param {string} name - Name of the container to get ACL from
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    leaseId: '...' // GUID string; lease unique identifier (optional)
+ * }
+ * ```
+ * @returns {Promise} A promise for permissions
+ * ```js
+ * {
+ *    eTag: '...',                      // The entity tag of the container
+ *    lastModified: '...',              // The date/time the container was last modified
+ *    publicAccessLevel: '...',         // Indicate whether blobs in a container may be accessed publicly.(optional)
+ *                                      // Possible values: container (full public read access for container
+ *                                      // and blob data) or blob (public read access for blobs)
+ *                                      // If it is not specified, the resource will be private and will be
+ *                                      // accessed only by the account owner.
+ *    accessPolicies: [{                // The container ACL settings.
+ *                                      // An array with five maximum access policies objects (optional)
+ *      id:     '...',                  // Unique identifier, up to 64 chars in length
+ *      start:  new Date(),             // Time from which access policy is valid
+ *      expiry: new Date(),             // Expiration of access policy
+ *      permission: {                   // Set of permissions delegated
+ *        read:              false,     // Read the content, properties, metadata or block list of a blob or, of
+ *                                      // any blob in the container if the resource is a container.
+ *        add:               false,     // Add a block to an append blob or, to any append blob
+ *                                      // if the resource is a container.
+ *        create:            false,     // Write a new blob, snapshot a blob, or copy a blob to a new blob.
+ *                                      // These operations can be done to any blob in the container
+ *                                      // if the resource is a container.
+ *        write:             false,     // Create or write content, properties, metadata, or block list.
+ *                                      // Snapshot or lease the blob. Resize the blob (page blob only).
+ *                                      // These operations can be done for every blob in the container
+ *                                      // f the resource is a container.
+ *        delete:            false,     // Delete the blob or, any blob in the container if the resource
+ *                                      // is a container.
+ *        list:              false,     // List blobs in the container.
+ *      }
+ *    }]
+ * }
+ * ```
+ */
+Blob.prototype.getContainerACL = function getContainerACL(name, options){
+  assert(typeof name === 'string', 'The name of the container must be specified and must be a string value.');
+  var query = {
+    restype: 'container',
+    comp: 'acl'
+  }
+  var path = '/' + name;
+
+  var headers = {};
+  if (options && options.leaseId) {
+    assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
+    headers['x-ms-lease-id'] = options.leaseId;
+  }
+
+  return this.request('GET', path, query, headers).then(function (response) {
+    if (response.statusCode !== 200) {
+      throw new Error("getContainerACL: Unexpected statusCode: " + response.statusCode);
+    }
+    return {
+      accessPolicies: xml.blobParseContainerACL(response),
+      publicAccessLevel: response.headers['x-ms-blob-public-access'],
+      eTag: response.headers['etag'],
+      lastModified: new Date(response.headers['last-modified'])
+    };
+  });
+};
+
+/**
+ * Sets the permissions for the container with the given name.
+ * The permissions indicate whether blobs in a container may be accessed publicly.
+ *
+ * @method setContainerACL
+ * @param {string} name - Name of the container to set ACL to
+ * @param {object} options - Options on the following form
+ *```js
+ * {
+ *    publicAccessLevel: '...',       // Indicate whether blobs in a container may be accessed publicly.(optional)
+ *                                    // Possible values: container (full public read access for container
+ *                                    // and blob data) or blob (public read access for blobs).
+ *                                    // If it is not specified, the resource will be private and will be accessed
+ *                                    // only by the account owner.
+ *    accessPolicies: [{              // The container ACL settings.
+ *                                    // An array with five maximum access policies objects (optional)
+ *      id:     '...',                // Unique identifier, up to 64 chars in length
+ *      start:  new Date(),           // Time from which access policy is valid
+ *      expiry: new Date(),           // Expiration of access policy
+ *      permission: {                 // Set of permissions delegated
+ *        read:              false,   // Read the content, properties, metadata or block list of a blob or of
+ *                                    // any blob in the container if the resourceType is a container.
+ *        add:               false,   // Add a block to an append blob or to any append blob
+ *                                    // if the resourceType is a container.
+ *        create:            false,   // Write a new blob, snapshot a blob, or copy a blob to a new blob.
+ *                                    // These operations can be done to any blob in the container
+ *                                    // if the resourceType is a container.
+ *        write:             false,   // Create or write content, properties, metadata, or block list.
+ *                                    // Snapshot or lease the blob. Resize the blob (page blob only).
+ *                                    // These operations can be done for every blob in the container
+ *                                    // if the resourceType is a container.
+ *        delete:            false,   // Delete the blob or any blob in the container
+ *                                    // if the resourceType is a container.
+ *        list:              false,   // List blobs in the container.
+ *      }
+ *    }],
+ *    leaseId: '...',                 // GUID string; lease unique identifier (optional)
+ *    ifModifiedSince: new Date(),    // Specify this to perform the operation only if the resource has
+ *                                    // been modified since the specified time. (optional)
+ *    ifUnmodifiedSince: new Date(),  // Specify this to perform the operation only if the resource has
+ *                                    // not been modified since the specified date/time. (optional)
+ * }
+ * ```
+ * @returns {Promise} a promise for metadata key/value pair
+ * A promise for an object on the form:
+ * ```js
+ * {
+ *      eTag: '...',               // The entity tag of the container
+ *      lastModified: '...',       // The date/time the container was last modified
+ * }
+ * ```
+ */
+Blob.prototype.setContainerACL = function setContainerACL(name, options) {
+  assert(typeof name === 'string', 'The name of the container must be specified and must be a string value.');
+  var query = {
+    restype: 'container',
+    comp: 'acl'
+  };
+  var path = '/' + name;
+  var headers = {};
+  if (options) {
+    if (options.leaseId) {
+      assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
+      headers['x-ms-lease-id'] = options.leaseId;
+    }
+
+    if (options.publicAccessLevel){
+      assert(options.publicAccessLevel === 'container' || options.publicAccessLevel === 'blob',
+        "The supplied `publicAccessLevel` is incorrect. The possible values are: container and blob")
+      headers['x-ms-blob-public-access'] = options.publicAccessLevel;
+    }
+    if (options.accessPolicies && options.accessPolicies.length > 5){
+      throw new Error("The supplied access policy is wrong. The maximum number of the access policies is 5");
+    }
+
+    // Construct the payload
+    var data = '<?xml version="1.0" encoding="utf-8"?>';
+    data += '<SignedIdentifiers>';
+    if (options.accessPolicies) {
+      options.accessPolicies.forEach(function(policy){
+        assert(/^[0-9a-fA-F]{1,64}$/i.test(policy.id), 'The access policy id is not valid.' );
+
+        data += '<SignedIdentifier><Id>' + policy.id + '</Id>';
+        data += '<AccessPolicy>';
+        if (policy.start) {
+          assert(policy.start instanceof Date, "If specified, policy.start must be a Date object");
+          data += '<Start>' + utils.dateToISOWithoutMS(policy.start) + '</Start>';
+        }
+        if (policy.expiry) {
+          assert(policy.expiry instanceof Date, "If specified, policy.expiry must be a Date object");
+          data += '<Expiry>' + utils.dateToISOWithoutMS(policy.expiry) + '</Expiry>';
+        }
+
+        if (policy.permission) {
+          var permissions = '';
+          if (policy.permission.read)    permissions += 'r';
+          if (policy.permission.add)     permissions += 'a';
+          if (policy.permission.create)  permissions += 'c';
+          if (policy.permission.write)   permissions += 'w';
+          if (policy.permission.delete)  permissions += 'd';
+          if (policy.permission.list)    permissions += 'l';
+
+          data += '<Permission>' + permissions + '</Permission>';
+        }
+
+        data += '</AccessPolicy></SignedIdentifier>';
+      });
+    }
+
+    data += '</SignedIdentifiers>';
+
+    utils.setConditionalHeaders(headers, options, true);
+  }
+
+  return this.request('PUT', path, query, headers, data).then(function(response){
+    if(response.statusCode !== 200){
+      throw new Error("setContainerACL: Unexpected statusCode: " + response.statusCode);
+    }
+
+    return {
+      eTag: response.headers['etag'],
+      lastModified: new Date(response.headers['last-modified'])
+    }
+  });
+};
+
+/**
+ * Get the list of blobs under the specified container.
  *
- * @method setServiceProperties
- * @param {object} options - Options on the following form:
+ * @method listBlobs
+ * @param {string} container - Name of the container(required)
+ * @param {object} options - Options on the following form
  * ```js
  * {
- *    logging: {                 // The Azure Analytics Logging settings.
- *      version: '...',          // The version of Storage Analytics to configure (required if logging specified)
- *      delete: true|false,      // Indicates whether all delete requests should be logged
- *                               // (required if logging specified)
- *      read: true|false,        // Indicates whether all read requests should be logged
- *                               // (required if logging specified)
- *      write: true|false,       // Indicates whether all write requests should be logged
- *                               // (required if logging specified)
- *      retentionPolicy: {
- *        enabled: true|false,   // Indicates whether a retention policy is enabled for the
- *                               // storage service. (required)
- *        days: '...',           // Indicates the number of days that metrics or logging data should be retained.
- *                               // Required only if a retention policy is enabled.
- *      },
- *    },
- *    hourMetrics: {             // The Azure Analytics HourMetrics settings
- *      version: '...',          // The version of Storage Analytics to configure
- *                               // (required if hourMetrics specified)
- *      enabled: true|false,     // Indicates whether metrics are enabled for the Blob service
- *                               //(required if hourMetrics specified).
- *      includeAPIs: true|false, // Indicates whether metrics should generate summary statistics for called API
- *                               // operations (Required only if metrics are enabled).
- *      retentionPolicy: {
- *        enabled: true|false,
- *        days: '...',
- *      },
- *    },
- *    minuteMetrics: {           // The Azure Analytics MinuteMetrics settings
- *      version: '...',          // The version of Storage Analytics to configure
- *                               // (required if minuteMetrics specified)
- *      enabled: true|false,     // Indicates whether metrics are enabled for the Blob service
- *                               // (required if minuteMetrics specified).
- *      includeAPIs: true|false, // Indicates whether metrics should generate summary statistics for called API
- *                               // operations (Required only if metrics are enabled).
- *      retentionPolicy: {
- *        enabled: true|false,
- *        days: '...',
- *      },
- *    },
- *    corsRules: [{              // CORS rules
- *      allowedOrigins: [],      // A list of origin domains that will be allowed via CORS,
- *                               // or "*" to allow all domains
- *      allowedMethods: [],      // List of HTTP methods that are allowed to be executed by the origin
- *      maxAgeInSeconds: [],     // The number of seconds that the client/browser should cache a
- *                               // preflight response
- *      exposedHeaders: [],      // List of response headers to expose to CORS clients
- *      allowedHeaders: [],      // List of headers allowed to be part of the cross-origin request
- *    }]
+ *    prefix: '...',              // Prefix of blobs to list (optional)
+ *    delimiter: '...',           // Delimiter, i.e. '/', for specifying folder hierarchy. (optional)
+ *    marker: '...',              // Marker to list blobs from (optional)
+ *    maxResults: 5000,           // The maximum number of blobs to return (optional)
+ *    include: {                  // Specifies one or more datasets to include in the response (optional)
+ *      snapshots: false,         // Include snapshots in listing
+ *      metadata: false,          // Include blob metadata in listing
+ *      uncommittedBlobs: false,  // Include uncommitted blobs in listing
+ *      copy: false,              // Include metadata related to any current or previous Copy Blob operation
+ *      deleted: false,           // Include soft-deleted blobs in listing
+ *      versions: false           // Include previous versions of blobs in listing
+ *    }
+ * }
+ * ```
+ * @returns {Promise} A promise for an object on the form:
+ * ```js
+ * {
+ *   blobs: [
+ *     {
+ *       name:       '...',               // Name of blob
+ *       snapshot:    '...',              // A date and time value that uniquely identifies the snapshot
+ *                                        // relative to its base blob
+ *       deleted:     true,               // Set for soft-deleted blobs, if requested
+ *       versionId:   '...',              // The version of the blob, if versioning is enabled
+ *       isCurrentVersion: 'true',        // Set for the current version, if versions are requested
+ *       properties:  {
+ *          lastModified: '...',          // The date and time the blob was last modified
+ *          eTag: '...',                  // The entity tag of the blob
+ *          contentLength: '...',         // The content length of the blob
+ *          contentType: '...',           // The MIME content type of the blob
+ *          contentEncoding: '...',       // The content encoding of the blob
+ *          contentLanguage: '...',       // The content language of the blob
+ *          contentMD5: '...',            // An MD5 hash of the blob content
+ *          cacheControl: '...',          // The blob cache control
+ *          xmsBlobSequenceNumber: '...', // The page blob sequence number
+ *          blobType: '...',              // The type of the blob: BlockBlob | PageBlob | AppendBlob
+ *          leaseStatus: '...',           // The lease status of the blob
+ *          leaseState: '...',            // The lease state of the blob
+ *          leaseDuration: '...',         // The lease duration of the blob
+ *          copyId: '...',                // String identifier for the copy operation
+ *          copyStatus: '...',            // The state of the copy operation: pending | success | aborted | failed
+ *          copySource: '...',            // The name of the source blob of the copy operation
+ *          copyProgress: '...',          // The bytes copied/total bytes
+ *          copyCompletionTime: '...',    // The date and time the copy operation finished
+ *          copyStatusDescription: '...', // The status of the copy operation
+ *          serverEncrypted: false,       // true if the blob and application metadata are completely encrypted,
+ *                                        // and false otherwise
+ *          incrementalCopy: '...',       // true for the incremental copy blobs operation and snapshots
+ *          accessTier: '...',            // The access tier of the blob: Hot | Cool | Archive, or P4 - P80
+ *          accessTierInferred: '...',    // 'true' if the access tier is inferred from the account default
+ *          archiveStatus: '...',         // The rehydration status if the blob is being moved out of the
+ *                                        // archive tier
+ *          accessTierChangeTime: '...',  // The date and time the access tier was last changed
+ *          deletedTime: '...',           // The date and time a soft-deleted blob was deleted
+ *          remainingRetentionDays: '...', // Days until a soft-deleted blob is permanently deleted
+ *       }
+ *       metadata:   {}                   // Meta-data dictionary if requested
+ *     }
+ *   ],
+ *   blobPrefixes:   ['...'],             // Prefixes of virtual directories, if a delimiter was given
+ *   prefix:         '...',               // prefix given in options (if given)
+ *   marker:         '...',               // marker given in options (if given)
+ *   maxResults:     5000,                // maxResults given in options (if given)
+ *   nextMarker:     '...'                // Next marker if not at end of list
+ *   delimiter:      '...'                // Delimiter
+ * }
+ * ```
+ */
+Blob.prototype.listBlobs = function listBlobs(container, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  // Construct the query string
+  var query = {
+    restype: 'container',
+    comp: 'list'
+  };
+
+  assert(container, 'The container name must be specified');
+
+  if (options) {
+    if (options.prefix)     query.prefix      = options.prefix;
+    if (options.marker)     query.marker      = options.marker;
+    if (options.maxResults) query.maxresults  = options.maxResults;
+    if (options.include)  {
+      var includeValues = [];
+      if (options.include.snapshots) includeValues.push('snapshots');
+      if (options.include.metadata) includeValues.push('metadata');
+      if (options.include.uncommittedBlobs) includeValues.push('uncommittedblobs');
+      if (options.include.copy) includeValues.push('copy');
+      if (options.include.deleted) includeValues.push('deleted');
+      if (options.include.versions) includeValues.push('versions');
+
+      query.include = includeValues.join(',');
+    }
+    if (options.delimiter)  query.delimiter = options.delimiter;
+  }
+
+  var path = '/' + container;
+  var headers = {};
+
+  return this.request('GET', path, query, headers).then(function(response){
+    if(response.statusCode !== 200){
+      throw new Error("listBlobs: Unexpected statusCode: " + response.statusCode);
+    }
+    return xml.blobParseListBlobs(response);
+  });
+};
+
+/**
+ * Iterate over the blobs in a container, following `nextMarker` across
+ * pages, see `ListIterator` for details. Blob prefixes returned when a
+ * `delimiter` is given are not included.
+ *
+ * @method iterateBlobs
+ * @param {string} container - Name of the container
+ * @param {object} options - Options as accepted by `listBlobs`, where
+ * `maxResults` is the page size, and the following iterator options:
+ * ```js
+ * {
+ *   limit:           1000,     // Max number of blobs to return in total
+ *   pages:           false,    // Return arrays of blobs, one for each page
+ *   continuation:    {...}     // `continuation` of a previous iterator to resume from
+ * }
+ * ```
+ * @returns {ListIterator} An async iterator over blobs as returned by
+ * `listBlobs`.
+ */
+Blob.prototype.iterateBlobs = function iterateBlobs(container, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  return iterateMarkerPages(this.listBlobs.bind(this, container), 'blobs', options);
+};
+
+/**
+ * List the immediate children of a virtual directory, that is the blobs
+ * directly under `prefix` and the prefixes of its subdirectories, following
+ * `nextMarker` until the listing is complete.
+ *
+ * Virtual directories are blob name prefixes ending with the delimiter, so
+ * `task/run/path` is a blob in the directory `task/run/`. A `prefix` without a
+ * trailing delimiter is treated as a directory, and the empty prefix is the
+ * root of the container.
+ *
+ * @method listDirectory
+ * @param {string} container - Name of the container
+ * @param {string} prefix - Prefix of the directory, i.e. `'task/run/'`
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    delimiter: '/',             // Delimiter separating directories in blob names (optional)
+ *    include: {...},             // Datasets to include, as accepted by `listBlobs` (optional)
+ * }
+ * ```
+ * @return {Promise} A promise for an object on the form:
+ * ```js
+ * {
+ *    files: [...],               // Blobs directly under the prefix, as returned by `listBlobs`
+ *    directories: ['...'],       // Prefixes of subdirectories, ending with the delimiter
+ * }
+ * ```
+ */
+Blob.prototype.listDirectory = function listDirectory(container, prefix, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  options = options || {};
+  var delimiter = options.delimiter || DEFAULT_DELIMITER;
+  var listOptions = {
+    prefix:     directoryPrefix(prefix, delimiter),
+    delimiter:  delimiter,
+    include:    options.include
+  };
+
+  var self = this;
+  var result = {files: [], directories: []};
+  function listPage(marker) {
+    return self.listBlobs(container, Object.assign({marker: marker}, listOptions)).then(function(page) {
+      result.files = result.files.concat(page.blobs);
+      result.directories = result.directories.concat(page.blobPrefixes || []);
+      if (page.nextMarker) {
+        return listPage(page.nextMarker);
+      }
+      return result;
+    });
+  }
+  return listPage(undefined);
+};
+
+/**
+ * Walk a virtual directory recursively, iterating over all blobs under the
+ * prefix, at any depth, in lexicographical order. See `listDirectory` for how
+ * prefixes are treated and `ListIterator` for iterator options.
+ *
+ * @method walkDirectory
+ * @param {string} container - Name of the container
+ * @param {string} prefix - Prefix of the directory, i.e. `'task/run/'`
+ * @param {object} options - Options as accepted by `iterateBlobs`, except
+ * `prefix` and `delimiter`, and the following:
+ * ```js
+ * {
+ *    delimiter: '/',             // Delimiter separating directories in blob names (optional)
+ * }
+ * ```
+ * @return {ListIterator} An async iterator over blobs as returned by
+ * `listBlobs`.
+ */
+Blob.prototype.walkDirectory = function walkDirectory(container, prefix, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  options = options || {};
+  return this.iterateBlobs(container, Object.assign({}, options, {
+    prefix:     directoryPrefix(prefix, options.delimiter || DEFAULT_DELIMITER),
+    delimiter:  undefined
+  }));
+};
+
+/**
+ * Delete a virtual directory recursively, that is all blobs under the prefix
+ * at any depth. Blobs are deleted a page of the listing at a time, with at most
+ * `concurrency` delete requests pending. Blobs deleted by someone else while
+ * the directory is deleted are ignored.
+ *
+ * If a delete fails the operation stops and the promise is rejected, the
+ * operation can be repeated to delete the remaining blobs.
+ *
+ * @method deleteDirectory
+ * @param {string} container - Name of the container
+ * @param {string} prefix - Prefix of the directory, i.e. `'task/run/'`
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    delimiter: '/',             // Delimiter separating directories in blob names (optional)
+ *    concurrency: 16,            // Maximum number of concurrent delete requests (optional)
+ *    deleteSnapshots: 'include', // Required to delete blobs that have snapshots, see `deleteBlob`
+ *                                // (optional)
+ * }
+ * ```
+ * @return {Promise} A promise for an object on the form:
+ * ```js
+ * {
+ *    count: 42,                  // The number of blobs deleted
+ *    size: 1024,                 // The total size of the blobs deleted in bytes
  * }
  * ```
- * @return {Promise} A promise that the properties have been set
  */
-Blob.prototype.setServiceProperties = function setServiceProperties(options) {
+Blob.prototype.deleteDirectory = function deleteDirectory(container, prefix, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  options = options || {};
+  var concurrency = options.concurrency || DEFAULT_DELETE_CONCURRENCY;
+  var deleteOptions = options.deleteSnapshots ? {deleteSnapshots: options.deleteSnapshots} : undefined;
 
-  var payload = '<?xml version="1.0" encoding="utf-8"?>';
-  payload += '<StorageServiceProperties>';
+  var self = this;
+  var result = {count: 0, size: 0};
+  var pages = this.walkDirectory(container, prefix, {delimiter: options.delimiter, pages: true});
+  function deletePage() {
+    return pages.next().then(function(page) {
+      if (page.done) {
+        return result;
+      }
+      return utils.mapLimit(page.value, concurrency, function(item) {
+        return self.deleteBlob(container, item.name, deleteOptions).then(function() {
+          result.count += 1;
+          result.size += parseInt(item.contentLength) || 0;
+        }, function(err) {
+          if (err.code !== 'BlobNotFound') {
+            throw err;
+          }
+        });
+      }).then(deletePage);
+    });
+  }
+  return deletePage();
+};
 
-  if (options) {
-    if (options.logging) {
-      payload += '<Logging>';
-      var logging = options.logging;
-      assert(logging.version, 'The `options.logging.version` must be supplied if `options.logging` is specified');
-      payload += '<Version>' + logging.version + '</Version>';
+/**
+ * Compute the number of blobs and their total size under a virtual directory,
+ * in total and for each immediate subdirectory, like `du` does for local
+ * directories. Only base blobs are counted, not snapshots or versions.
+ *
+ * @method getDirectoryUsage
+ * @param {string} container - Name of the container
+ * @param {string} prefix - Prefix of the directory, i.e. `'task/'`
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    delimiter: '/',             // Delimiter separating directories in blob names (optional)
+ * }
+ * ```
+ * @return {Promise} A promise for an object on the form:
+ * ```js
+ * {
+ *    prefix: 'task/',            // The prefix of the directory
+ *    count: 42,                  // The number of blobs under the directory, at any depth
+ *    size: 1024,                 // The total size of the blobs in bytes
+ *    directories: [              // Usage of each immediate subdirectory, in lexicographical order
+ *      {prefix: 'task/run/', count: 40, size: 1000},
+ *    ],
+ * }
+ * ```
+ */
+Blob.prototype.getDirectoryUsage = function getDirectoryUsage(container, prefix, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  options = options || {};
+  var delimiter = options.delimiter || DEFAULT_DELIMITER;
+  prefix = directoryPrefix(prefix, delimiter);
+
+  var result = {prefix: prefix, count: 0, size: 0, directories: []};
+  var current = null;
+  var pages = this.walkDirectory(container, prefix, {delimiter: delimiter, pages: true});
+  function measurePage() {
+    return pages.next().then(function(page) {
+      if (page.done) {
+        return result;
+      }
+      page.value.forEach(function(item) {
+        var size = parseInt(item.contentLength) || 0;
+        result.count += 1;
+        result.size += size;
+        // Blobs are listed in lexicographical order, so the blobs of each
+        // subdirectory are listed together
+        var index = item.name.indexOf(delimiter, prefix.length);
+        if (index === -1) {
+          return;
+        }
+        var subdirectory = item.name.slice(0, index + delimiter.length);
+        if (!current || current.prefix !== subdirectory) {
+          current = {prefix: subdirectory, count: 0, size: 0};
+          result.directories.push(current);
+        }
+        current.count += 1;
+        current.size += size;
+      });
+      return measurePage();
+    });
+  }
+  return measurePage();
+};
 
-      assert(logging.delete, 'The `options.logging.delete` must be supplied if `options.logging` is specified');
-      payload += '<Delete>' + logging.delete + '</Delete>';
+/**
+ * Find blobs by their index tags, across all containers in the account or
+ * within a single container. The `where` expression is best constructed with
+ * `Blob.tagFilter`. Finding blobs within a container is sent with version
+ * 2021-04-10, if the client is configured with an older version.
+ *
+ * @method findBlobsByTags
+ * @param {string} where - Tag filter expression, i.e. `"branch" = 'main'`
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    container: '...',           // Only find blobs in this container (optional)
+ *    marker: '...',              // Marker to continue finding blobs from (optional)
+ *    maxResults: 5000,           // The maximum number of blobs to return (optional)
+ * }
+ * ```
+ * @returns {Promise} A promise for an object on the form:
+ * ```js
+ * {
+ *   blobs: [
+ *     {
+ *       name:       '...',       // Name of blob
+ *       container:  '...',       // Name of the container holding the blob
+ *       tags:       {},          // The tags of the blob that matched the expression
+ *     }
+ *   ],
+ *   where:          '...',       // The expression given
+ *   nextMarker:     '...'        // Next marker if not at end of results
+ * }
+ * ```
+ */
+Blob.prototype.findBlobsByTags = function findBlobsByTags(where, options) {
+  assert(typeof where === 'string', 'The `where` expression must be specified and must be a string value.');
 
-      assert(logging.read, 'The `options.logging.read` must be supplied if `options.logging` is specified');
-      payload += '<Read>' + logging.read + '</Read>';
+  var path = '/';
+  var query = {
+    comp: 'blobs',
+    where: where
+  };
+  var headers = {};
+  if (options) {
+    if (options.container) {
+      path = '/' + options.container;
+      query.restype = 'container';
+      if (this.options.version < CONTAINER_FIND_BLOBS_BY_TAGS_VERSION) {
+        headers['x-ms-version'] = CONTAINER_FIND_BLOBS_BY_TAGS_VERSION;
+      }
+    }
+    if (options.marker)     query.marker      = options.marker;
+    if (options.maxResults) query.maxresults  = options.maxResults;
+  }
 
-      assert(logging.write, 'The `options.logging.write` must be supplied if `options.logging` is specified');
-      payload += '<Write>' + logging.write + '</Write>';
+  return this.request('GET', path, query, headers).then(function(response) {
+    if (response.statusCode !== 200) {
+      throw new Error('findBlobsByTags: Unexpected statusCode: ' + response.statusCode);
+    }
+    return xml.blobParseFindBlobsByTags(response);
+  });
+};
 
-      assert(logging.retentionPolicy, 'The `options.logging.retentionPolicy` must be supplied if `options.logging` is specified');
-      payload += '<RetentionPolicy>';
-      assert(logging.retentionPolicy.enabled, 'The `options.logging.retentionPolicy.enabled` must be supplied if `options.logging` is specified');
-      payload += '<Enabled>' + logging.retentionPolicy.enabled + '</Enabled>';
-      if (logging.retentionPolicy.enabled === true) {
-        assert(logging.retentionPolicy.days, 'The `options.logging.retentionPolicy.days` must be supplied if a retention policy is enabled');
-        assert(logging.retentionPolicy.days > 1 && logging.retentionPolicy.days < 365,
-          'The `options.logging.retentionPolicy.days` must be a number between 1 and 365.');
-        payload += '<Days>' + logging.retentionPolicy.days + '</Days>';
-      }
-      payload += '</RetentionPolicy>';
+/**
+ * Iterate over blobs found by their index tags, following `nextMarker` across
+ * pages, see `ListIterator` for details.
+ *
+ * @method iterateBlobsByTags
+ * @param {string} where - Tag filter expression, see `findBlobsByTags`
+ * @param {object} options - Options as accepted by `findBlobsByTags`, where
+ * `maxResults` is the page size, and the following iterator options:
+ * ```js
+ * {
+ *   limit:           1000,     // Max number of blobs to return in total
+ *   pages:           false,    // Return arrays of blobs, one for each page
+ *   continuation:    {...}     // `continuation` of a previous iterator to resume from
+ * }
+ * ```
+ * @returns {ListIterator} An async iterator over blobs as returned by
+ * `findBlobsByTags`.
+ */
+Blob.prototype.iterateBlobsByTags = function iterateBlobsByTags(where, options) {
+  assert(typeof where === 'string', 'The `where` expression must be specified and must be a string value.');
+  return iterateMarkerPages(this.findBlobsByTags.bind(this, where), 'blobs', options);
+};
 
-      payload += '</Logging>';
+/**
+ * Convert a nested array structure to a tag filter expression for use with
+ * `findBlobsByTags`. See `Blob.TagOperators` for details and examples.
+ *
+ * Unlike `Table.filter` arrays don't become parentheses, as tag filter
+ * expressions only support conjunctions and can't be grouped.
+ *
+ * @method tagFilter
+ * @param {Array} expression - Arrays, tag names, operators and formatted
+ * values that forms an expression:
+ * ```js
+ * var op = azure.Blob.TagOperators;
+ * var where = azure.Blob.tagFilter(
+ *   [op.tag('branch'), op.Equal, op.string('main')],
+ *   op.And,
+ *   [op.tag('retention'), op.Equal, op.string('short')]
+ * ) // "\"branch\" = 'main' AND \"retention\" = 'short'"
+ * ```
+ * @returns {string} A tag filter expression for use with `findBlobsByTags`.
+ */
+Blob.tagFilter = function tagFilter() {
+  return Array.prototype.slice.call(arguments).map(function(entry) {
+    if (entry instanceof Array) {
+      return Blob.tagFilter.apply(Blob, entry);
     }
+    return entry;
+  }).join(' ');
+};
 
-    if(options.hourMetrics) {
-      payload += '<HourMetrics>';
-      var hourMetrics = options.hourMetrics;
+/**
+ * Operators and helpers for constructing tag filter expressions using
+ * `Blob.tagFilter`.
+ *
+ * We have the following comparison operators:
+ *  - `azure.Blob.TagOperators.Equal`,
+ *  - `azure.Blob.TagOperators.GreaterThan`,
+ *  - `azure.Blob.TagOperators.GreaterThanOrEqual`,
+ *  - `azure.Blob.TagOperators.LessThan`, and
+ *  - `azure.Blob.TagOperators.LessThanOrEqual`.
+ *
+ * They should be used in the middle of a triple as follows:
+ * `[op.tag('branch'), op.Equal, op.string('main')]`. Triples are connected
+ * with `azure.Blob.TagOperators.And`, the only boolean operator supported.
+ *
+ * Tag names must be formatted with `tag`, and values with `string`. Tag names
+ * and values may only contain letters, digits, space and `+ - . / : = _`, so
+ * the formatters throw rather than escape other characters. The `Container`
+ * pseudo tag restricts an account level search to a single container, as in
+ * `[op.Container, op.Equal, op.string('my-container')]`.
+ *
+ * @attribute TagOperators
+ * @static
+ * @final
+ */
+Blob.TagOperators = {
+  // Comparison operators
+  Equal:              '=',
+  GreaterThan:        '>',
+  GreaterThanOrEqual: '>=',
+  LessThan:           '<',
+  LessThanOrEqual:    '<=',
+  // Boolean operators
+  And:                'AND',
+  // Pseudo tags
+  Container:          '@container',
+  // Formatters
+  tag: function(c) {
+    assert(c.length >= 1 && TAG_PATTERN.test(c), 'The tag name `' + c + '` is not valid');
+    return '"' + c + '"';
+  },
+  string: function(c) {
+    assert(TAG_PATTERN.test(c), 'The tag value `' + c + '` is not valid');
+    return "'" + c + "'";
+  }
+};
 
-      assert(hourMetrics.version, 'The `options.hourMetrics.version` must be supplied if `options.hourMetrics` is specified');
-      payload += '<Version>' + hourMetrics.version + '</Version>';
+/**
+ * Establishes and manages a lock on a container for delete operations.
+ * The lock duration can be 15 to 60 seconds, or can be infinite.
+ *
+ * @method leaseContainer
+ * @param name - Name of the container
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    leaseId: '...',                   // GUID string; it is required in case of renew, change,
+ *                                      // or release of the lease
+ *    leaseAction: '...',               // Lease container operation. The possible values are: acquire, renew,
+ *                                      // change, release, break (required)
+ *    leaseBreakPeriod: '...',          // For a break operation, proposed duration the lease should continue
+ *                                      // before it is broken, in seconds, between 0 and 60.
+ *    leaseDuration: '...',             // Specifies the duration of the lease, in seconds, or negative one (-1)
+ *                                      // for a lease that never expires. Required for `acquire` action.
+ *    proposedLeaseId: '...'            // GUID string; Optional for `acquire`, required for `change` action.
+ *    ifModifiedSince: new Date(),      // Specify this to perform the operation only if the resource has been
+ *                                      // modified since the specified time. (optional)
+ *    ifUnmodifiedSince: new Date(),    // Specify this to perform the operation only if the resource has not been
+ *                                      // modified since the specified date/time. (optional)
+ * }
+ * ```
+ * @returns {Promise} A promise for an object on the form:
+ * ```js
+ * {
+ *    leaseId: '...',             // The unique lease id.
+ *    leaseTime: '...'            // Approximate time remaining in the lease period, in seconds.
+ *    eTag: '...',                // The entity tag of the container
+ *    lastModified: '...',        // The date/time the container was last modified
+ * }
+ * ```
+ */
+Blob.prototype.leaseContainer = function leaseContainer(name, options) {
+  assert(typeof name === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(options, "options is required");
+  var query = {
+    restype: 'container',
+    comp: 'lease'
+  };
 
-      if (hourMetrics.enabled === undefined || hourMetrics.enabled === null) {
-        throw new Error('The `options.hourMetrics.enabled` must be supplied if `options.hourMetrics` is specified');
-      }
-      payload += '<Enabled>' + hourMetrics.enabled + '</Enabled>';
+  var path = '/' + name;
+  var headers = {};
 
-      if (hourMetrics.enabled === true) {
-        if (hourMetrics.includeAPIs === undefined || hourMetrics.includeAPIs === null) {
-          throw new Error('The `options.hourMetrics.includeAPIs` must be supplied if `options.hourMetrics` is specified');
-        }
-        payload += '<IncludeAPIs>' + hourMetrics.includeAPIs + '</IncludeAPIs>';
-      }
+  setLeaseHeaders(headers, options);
 
-      assert(hourMetrics.retentionPolicy, 'The `options.hourMetrics.retentionPolicy` must be supplied if `options.hourMetrics` is specified');
-      payload += '<RetentionPolicy>';
-      if (hourMetrics.retentionPolicy.enabled === undefined || hourMetrics.retentionPolicy.enabled === null) {
-        throw new Error('The `options.hourMetrics.retentionPolicy.enabled` must be supplied if `options.hourMetrics` is specified');
-      }
-      payload += '<Enabled>' + hourMetrics.retentionPolicy.enabled + '</Enabled>';
-      if (hourMetrics.retentionPolicy.enabled === true) {
-        assert(hourMetrics.retentionPolicy.days, 'The `options.hourMetrics.retentionPolicy.days` must be supplied if a retention policy is enabled');
-        assert(hourMetrics.retentionPolicy.days > 1 && hourMetrics.retentionPolicy.days < 365,
-          'The `options.hourMetrics.retentionPolicy.days` must be a number between 1 and 365.');
-        payload += '<Days>' + hourMetrics.retentionPolicy.days + '</Days>';
-      }
-      payload += '</RetentionPolicy>';
+  utils.setConditionalHeaders(headers, options, true);
+
+  return this.request('PUT', path, query, headers).then(function(response) {
+    if (response.statusCode !== 200 && response.statusCode !== 201 && response.statusCode !== 202) {
+      throw new Error("leaseContainer: Unexpected statusCode: " + response.statusCode);
+    }
+    return leaseResult(response);
+  });
+};
+
+/**
+ * Creates a new block, page, or append blob, or updates the content of an existing block blob.
+ * Updating an existing block blob overwrites any existing metadata on the blob,
+ * and the content of the existing blob is overwritten with the content of the new blob.
+ *
+ * Note that a call to a putBlob to create a page blob or an append blob only initializes the blob.
+ * To add content to a page blob, call the putPage. To add content to an append blob, call the appendBlock.
+ *
+ * @method putBlob
+ * @param {string} container - Name of the container where the blob should be stored
+ * @param {string} blob - Name of the blob
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    metadata: '...',                          // Name-value pairs associated with the blob as metadata
+ *    contentType: 'application/octet-stream',  // The MIME content type of the blob (optional)
+ *    contentEncoding: '...',                   // Specifies which content encodings have been applied
+ *                                              // to the blob. (optional)
+ *    contentLanguage: '...',                   // Specifies the natural languages used by this resource(optional)
+ *    cacheControl: '...',                      // The Blob service stores this value but does not
+ *                                              // use or modify it. (optional)
+ *    disableContentMD5Check: 'false',          // Enable/disable the content md5 check is disabled.(optional)
+ *    type: BlockBlob|PageBlob|AppendBlob,      // The type of blob to create: block blob, page blob,
+ *                                              // or append blob (required)
+ *    leaseId: '...',                           // Lease id (required if the blob has an active lease)
+ *    contentDisposition: '...',                // Specifies the content disposition of the blob (optional)
+ *    accessTier: 'Hot|Cool|Archive',           // The access tier of a block blob, or P4 - P80 for page blobs
+ *                                              // in premium storage accounts (optional)
+ *    tags: {branch: 'main'},                   // Index tags of the blob, sent as `x-ms-tags`, see
+ *                                              // `setBlobTags` (optional)
+ *    ifModifiedSince: new Date(),              // Specify this to perform the operation only if the resource
+ *                                              // has been modified since the specified time.
+ *    ifUnmodifiedSince: new Date(),            // Specify this to perform the operation only if the resource
+ *                                              // has not been modified since the specified date/time.
+ *    ifMatch: '...',                           // ETag value. Specify this to perform the operation only if the
+ *                                              // resource's ETag matches the value specified.
+ *    ifNoneMatch: '...',                       // ETag value. Specify this to perform the operation only if the
+ *                                              //resource's ETag does not match the value specified.
+ *    pageBlobContentLength: '...',             // Specifies the maximum size for the page blob, up to 8 TiB.
+ *                                              // (required for page blobs)
+ *    pageBlobSequenceNumber: 0,                // The sequence number - a user-controlled value that you can use
+ *                                              // to track requests, a non-negative safe integer
+ *                                              // (optional, only for page blobs)
+ *    compress: 'gzip|br|deflate',              // Compress a block blob, setting `contentEncoding`, the
+ *                                              // content MD5 is that of the compressed content (optional)
+ *    keyEncryptionKey: {...},                  // Key-encryption-key to encrypt a block blob with, overriding
+ *                                              // the client option, `null` disables encryption (optional)
+ * }
+ *```
+ * @param {string|buffer} content - The content of the blob
+ * @return {Promise} A promise for an object on the form:
+ * ```js
+ * {
+ *    eTag: '...',         // The entity tag of the blob
+ *    lastModified: '...', // The date/time the blob was last modified
+ *    contentMD5: '...',   // The MD5 hash of the blob
+ *    versionId: '...',    // The version created by the write, if versioning is enabled
+ * }
+ * ```
+ */
+Blob.prototype.putBlob = function putBlob(container, blob, options, content) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
+  assert(options, "options is required");
+  assert(options.type, 'The blob type must be specified');
+  assert(options.type === 'BlockBlob'
+    || options.type === 'PageBlob'
+    || options.type === 'AppendBlob',
+    'The blob type is invalid. The possible types are: BlockBlob, PageBlob or AppendBlob.');
+
+  if (options.type === 'PageBlob' && content) {
+    throw new Error('Do not include content when a page blob is created. Use putPage() to add/modify the content of a page blob');
+  }
+  if(options.type === 'AppendBlob' && content) {
+    throw new Error('Do not include content when an append blob is created. Use appendBlock() to add content to the end of the append blob');
+  }
 
-      payload += '</HourMetrics>';
-    }
+  var self = this;
 
-    if(options.minuteMetrics) {
-      payload += '<MinuteMetrics>';
-      var minuteMetrics = options.minuteMetrics;
+  // Compress block blobs, before they are encrypted
+  if (options.compress) {
+    assert(options.type === 'BlockBlob', 'Only block blobs can be compressed');
+    assert(utils.isCompressionEncoding(options.compress), 'The `options.compress` must be gzip, br or deflate');
+    assert(!options.contentEncoding || options.contentEncoding === options.compress,
+      'The `options.contentEncoding` can\'t be given with `options.compress`');
+    return utils.compress(content || '', options.compress).then(function(compressed) {
+      return self.putBlob(container, blob, Object.assign({}, options, {
+        compress: undefined,
+        contentEncoding: options.compress
+      }), compressed);
+    });
+  }
 
-      assert(minuteMetrics.version, 'The `options.minuteMetrics.version` must be supplied if `options.minuteMetrics` is specified');
-      payload += '<Version>' + minuteMetrics.version + '</Version>';
+  // Encrypt block blobs client-side, if a key-encryption-key is given
+  var keyEncryptionKey = uploadKeyEncryptionKey(this, options);
+  if (keyEncryptionKey && options.type === 'BlockBlob') {
+    return encryption.encrypt(keyEncryptionKey, content).then(function(result) {
+      return self.putBlob(container, blob, encryptedUploadOptions(options, result.metadata), result.content);
+    });
+  }
 
-      if (minuteMetrics.enabled === undefined || minuteMetrics.enabled === null) {
-        throw new Error('The `options.minuteMetrics.enabled` must be supplied if `options.minuteMetrics` is specified');
-      }
-      payload += '<Enabled>' + minuteMetrics.enabled + '</Enabled>';
+  if ((options.type === 'BlockBlob'
+    || options.type === 'AppendBlob')) {
 
-      if (minuteMetrics.enabled === true) {
-        if (minuteMetrics.includeAPIs === undefined || minuteMetrics.includeAPIs === null) {
-          throw new Error('The `options.minuteMetrics.includeAPIs` must be supplied if `options.minuteMetrics` is specified');
-        }
-        payload += '<IncludeAPIs>' + minuteMetrics.includeAPIs + '</IncludeAPIs>';
-      }
+    if (options.pageBlobContentLength) {
+      throw new Error('Do not include page blob content length to a block blob or to an append blob.');
+    }
+    if (options.pageBlobSequenceNumber) {
+      throw new Error('Do not include page blob sequence number to a block blob or to an append blob.');
+    }
+  }
 
-      assert(minuteMetrics.retentionPolicy, 'The `options.minuteMetrics.retentionPolicy` must be supplied if `options.minuteMetrics` is specified');
-      payload += '<RetentionPolicy>';
-      if (minuteMetrics.retentionPolicy.enabled === undefined || minuteMetrics.retentionPolicy.enabled === null) {
-        throw new Error('The `options.minuteMetrics.retentionPolicy.enabled` must be supplied if `options.minuteMetrics` is specified');
-      }
-      payload += '<Enabled>' + minuteMetrics.retentionPolicy.enabled + '</Enabled>';
-      if (minuteMetrics.retentionPolicy.enabled === true) {
-        assert(minuteMetrics.retentionPolicy.days, 'The `options.minuteMetrics.retentionPolicy.days` must be supplied if a retention policy is enabled');
-        assert(minuteMetrics.retentionPolicy.days >= 1 && minuteMetrics.retentionPolicy.days <= 365,
-          'The `options.minuteMetrics.retentionPolicy.days` must be a number between 1 and 365.');
-        payload += '<Days>' + minuteMetrics.retentionPolicy.days + '</Days>';
-      }
-      payload += '</RetentionPolicy>';
+  // check the content length
+  var contentLength = 0;
+  if (content && Buffer.isBuffer(content)) {
+    contentLength = content.length;
+  } else if (content) {
+    contentLength = Buffer.byteLength(content);
+  }
 
-      payload += '</MinuteMetrics>';
+  if (options.type === 'BlockBlob'
+    && contentLength > MAX_SINGLE_UPLOAD_BLOCK_BLOB_SIZE_IN_BYTES) {
+    throw new Error('The maximum size of a block blob that can be uploaded with putBlob() is ' + MAX_SINGLE_UPLOAD_BLOCK_BLOB_SIZE_IN_BYTES + '.' +
+      'In order to upload larger blobs, use putBlock() and putBlockList()');
+  }
+  if (options.type === 'PageBlob'){
+    if (options.pageBlobContentLength % PAGE_SIZE !== 0) {
+      throw new Error('Page blob length must be multiple of ' + PAGE_SIZE + '.');
     }
+    if (options.pageBlobContentLength > MAX_PAGE_SIZE) {
+      throw new Error('The maximum size of the page blob (options.pageBlobContentLength) is ' + MAX_PAGE_SIZE + '.');
+    }
+    if (options.pageBlobSequenceNumber !== undefined && !isSequenceNumber(options.pageBlobSequenceNumber)) {
+      throw new Error('The `options.pageBlobSequenceNumber` is invalid. It must be a non-negative safe integer');
+    }
+  }
 
-    if(options.corsRules) {
-      payload += '<Cors>';
-      options.corsRules.forEach(function(rule) {
-        payload += '<CorsRule>';
+  var query = {};
+  var path = '/' + container + '/' + blob;
+  var headers = {};
 
-        assert(rule.allowedOrigins, 'For CORS rule, the allowedOrigins must be specified');
-        payload += '<AllowedOrigins>' + rule.allowedOrigins.join(',') + '</AllowedOrigins>';
+  headers['content-length'] = options.type === 'PageBlob' || options.type === 'AppendBlob' ? 0 : contentLength;
 
-        assert(rule.allowedMethods, 'For CORS rule, the allowedMethods must be specified');
-        payload += '<AllowedMethods>' + rule.allowedMethods.join(',') + '</AllowedMethods>';
+  if (options.contentType) {
+    headers['content-type'] = options.contentType;
+  }
+  if (options.contentEncoding) {
+    headers['content-encoding'] = options.contentEncoding;
+  }
+  if (options.contentLanguage) {
+    headers['content-language'] = options.contentLanguage;
+  }
+  if (options.cacheControl) {
+    headers['cache-control'] = options.cacheControl;
+  }
 
-        assert(rule.maxAgeInSeconds, 'For CORS rule, the maxAgeInSeconds must be specified');
-        if (rule.maxAgeInSeconds) payload += '<MaxAgeInSeconds>' + rule.maxAgeInSeconds + '</MaxAgeInSeconds>';
+  headers['x-ms-blob-type'] = options.type;
 
-        assert(rule.exposedHeaders, 'For CORS rule, the exposedHeaders must be specified');
-        if (rule.exposedHeaders) payload += '<ExposedHeaders>' + rule.exposedHeaders.join(',') + '</ExposedHeaders>';
+  if (!options.disableContentMD5Check && options.type === 'BlockBlob' && content) {
+    headers['content-md5'] = utils.md5(content);
+  }
 
-        assert(rule.allowedHeaders, 'For CORS rule, the allowedHeaders must be specified');
-        if (rule.allowedHeaders) payload += '<AllowedHeaders>' + rule.allowedHeaders.join(',') + '</AllowedHeaders>';
+  if (options.contentDisposition) {
+    headers['x-ms-blob-content-disposition'] = options.contentDisposition;
+  }
+  if (options.accessTier) {
+    assert(ACCESS_TIER_PATTERN.test(options.accessTier), 'The `options.accessTier` is not a valid access tier');
+    headers['x-ms-access-tier'] = options.accessTier;
+  }
+  setTagsHeader(headers, options);
 
-        payload += '</CorsRule>';
-      });
-      payload += '</Cors>';
-    }
+  if (options.leaseId) {
+    assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
+    headers['x-ms-lease-id'] = options.leaseId;
   }
-  payload += '</StorageServiceProperties>';
 
-  var query = {
-    restype: 'service',
-    comp: 'properties'
-  };
+  // support for condition headers
+  utils.setConditionalHeaders(headers, options);
 
-  return this.request('PUT', '/', query, {}, payload).then(function(response) {
-    if (response.statusCode !== 202) {
-      throw new Error("setServiceProperties: Unexpected statusCode: " + response.statusCode);
+  if (options.pageBlobContentLength) {
+    headers['x-ms-blob-content-length'] = options.pageBlobContentLength.toString();
+  }
+  if (options.pageBlobSequenceNumber) {
+    headers['x-ms-blob-sequence-number'] = options.pageBlobSequenceNumber.toString();
+  }
+
+  // add metadata
+  if (options.metadata){
+    for(var key in options.metadata) {
+      if (options.metadata.hasOwnProperty(key)) {
+        headers['x-ms-meta-' + key] = options.metadata[key];
+      }
     }
-  });
-};
+  }
 
-/**
- * Gets the properties of a storage account’s Blob service, including properties for Storage Analytics and
- * CORS (Cross-Origin Resource Sharing) rules.
- *
- * @method getServiceProperties
- * @return {Promise} A promise for an object on the form:
- * ```js
- * {
- *    logging: {                  // The Azure Analytics Logging settings.
- *      version: '...',           // The version of Storage Analytics to configure
- *      delete: true|false,       // Indicates whether all delete requests should be logged
- *      read: true|false,         // Indicates whether all read requests should be logged
- *      write: true|false,        // Indicates whether all write requests should be logged
- *      retentionPolicy: {
- *        enabled: true|false,    // Indicates whether a retention policy is enabled for the storage service
- *        days: '...',            // Indicates the number of days that metrics or logging data should be retained.
- *      },
- *    },
- *    hourMetrics: {              // The Azure Analytics HourMetrics settings
- *      version: '...',           // The version of Storage Analytics to configure
- *      enabled: true|false,      // Indicates whether metrics are enabled for the Blob service
- *      includeAPIs: true|false,  // Indicates whether metrics should generate summary statistics
- *                                // for called API operations.
- *      retentionPolicy: {
- *        enabled: true|false,
- *        days: '...',
- *      },
- *    },
- *    minuteMetrics: {            // The Azure Analytics MinuteMetrics settings
- *      version: '...',           // The version of Storage Analytics to configure
- *      enabled: true|false,      // Indicates whether metrics are enabled for the Blob service
- *      includeAPIs: true|false,  // Indicates whether metrics should generate summary statistics
- *                                // for called API operations.
- *      retentionPolicy: {
- *        enabled: true|false,
- *        days: '...',
- *      },
- *    },
- *    corsRules: [{               // CORS rules
- *      allowedOrigins: [],       // A list of origin domains that will be allowed via CORS,
- *                                // or "*" to allow all domains.
- *      allowedMethods: [],       // List of HTTP methods that are allowed to be executed by the origin
- *      maxAgeInSeconds: [],      // The number of seconds that the client/browser should cache a preflight response
- *      exposedHeaders: [],       // List of response headers to expose to CORS clients
- *      allowedHeaders: [],       // List of headers allowed to be part of the cross-origin request
- *    }]
- * }
- * ```
- */
-Blob.prototype.getSeviceProperties = function getSeviceProperties() {
-  var query = {
-    restype: 'service',
-    comp: 'properties'
-  };
-  return this.request('GET', '/', query, {}).then(function(response) {
-    if (response.statusCode !== 200) {
-      throw new Error("setServiceProperties: Unexpected statusCode: " + response.statusCode);
+  return this.request('PUT', path, query, headers, content).then(function(response){
+    if(response.statusCode !== 201) {
+      throw new Error("putBlob: Unexpected statusCode: " + response.statusCode);
     }
 
-    return xml.blobParseServiceProperties(response);
+    return {
+      eTag: response.headers['etag'],
+      lastModified: new Date(response.headers['last-modified']),
+      contentMD5: response.headers['content-md5'],
+      versionId: response.headers['x-ms-version-id']
+    }
   });
 };
 
 /**
- * Create a new container with the given 'name' under the storage account.
+ * Creates a new block blob, or replaces an existing one, with the content of a source URL. The content is
+ * read by the service, without passing through the client. The source is read within the request timeout, so
+ * larger sources are better written in blocks with `uploadFromUrl`.
  *
- * @method createContainer
- * @param {string} name -  Name of the container to create
+ * A source in another storage account, or a private blob in the same account, must carry a
+ * shared-access-signature granting read access, see `sas`.
+ *
+ * @method putBlobFromUrl
+ * @param {string} container - Name of the container
+ * @param {string} blob - Name of the blob
+ * @param {string} source - URL of the source
  * @param {object} options - Options on the following form
  * ```js
  * {
- *    metadata: '...',          // Mapping from metadata keys to values. (optional)
- *    publicAccessLevel: '...', // Specifies whether data in the container may be accessed
- *                              // publicly and the level of access.
- *                              // Possible values: container, blob. (optional)
+ *    metadata: '...',                    // Name-value pairs associated with the blob as metadata (optional)
+ *    contentType: '...',                 // The MIME content type of the blob (optional)
+ *    contentEncoding: '...',             // The content encodings applied to the blob (optional)
+ *    contentLanguage: '...',             // The natural languages used by this resource (optional)
+ *    cacheControl: '...',                // The cache control of the blob (optional)
+ *    contentDisposition: '...',          // The content disposition of the blob (optional)
+ *    sourceContentMD5: '...',            // Base64 encoded MD5 hash of the source, the service fails the
+ *                                        // request if the content read doesn't match (optional)
+ *    accessTier: 'Hot|Cool|Archive',     // The access tier of the blob (optional)
+ *    tags: {branch: 'main'},             // Index tags of the blob, sent as `x-ms-tags`, see `setBlobTags`
+ *                                        // (optional)
+ *    leaseId: '...',                     // Lease id (required if the blob has an active lease)
+ *    sourceIfModifiedSince: new Date(),  // Write only if the source has been modified since the specified
+ *                                        // time. (optional)
+ *    sourceIfUnmodifiedSince: new Date(),// Write only if the source has not been modified since the
+ *                                        // specified date/time. (optional)
+ *    sourceIfMatch: '...',               // ETag value. Write only if the source's ETag matches the value
+ *                                        // specified. (optional)
+ *    sourceIfNoneMatch: '...',           // ETag value. Write only if the source's ETag does not match the
+ *                                        // value specified. (optional)
+ *    ifModifiedSince: new Date(),        // Specify this to perform the operation only if the resource has
+ *                                        // been modified since the specified time. (optional)
+ *    ifUnmodifiedSince: new Date(),      // Specify this to perform the operation only if the resource has
+ *                                        // not been modified since the specified date/time. (optional)
+ *    ifMatch: '...',                     // ETag value. Specify this to perform the operation only if the
+ *                                        // resource's ETag matches the value specified. (optional)
+ *    ifNoneMatch: '...',                 // ETag value. Specify this to perform the operation only if the
+ *                                        // resource's ETag does not match the value specified. (optional)
  * }
  * ```
- * @returns {Promise} a promise for metadata key/value pair
- * A promise for an object on the form:
+ * @return {Promise} A promise for an object on the form:
  * ```js
  * {
- *      eTag: '...',               // The entity tag of the container
- *      lastModified: '...',       // The date/time the container was last modified
+ *    eTag: '...',         // The entity tag of the blob
+ *    lastModified: '...', // The date/time the blob was last modified
+ *    contentMD5: '...',   // The MD5 hash of the blob
+ *    versionId: '...',    // The version created by the write, if versioning is enabled
  * }
  * ```
  */
-Blob.prototype.createContainer = function createContainer(name, options) {
-  assert(typeof name === 'string', 'The name of the container must be specified and must be a string value.');
-  // Construct headers
+Blob.prototype.putBlobFromUrl = function putBlobFromUrl(container, blob, source, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
+  assertSourceUrl(source);
+  options = options || {};
+
+  var query = {};
+  var path = '/' + container + '/' + blob;
   var headers = {};
-  if (options){
-    if (options.metadata) {
-      for(var key in options.metadata) {
-        if (options.metadata.hasOwnProperty(key)) {
-          headers['x-ms-meta-' + key] = options.metadata[key];
-        }
-      }
-    }
-    if(options.publicAccessLevel) {
-      assert( options.publicAccessLevel === 'container' || options.publicAccessLevel === 'blob',
-        'The `publicAccessLevel` is invalid. The possible values are: container and blob.'
-      )
-      headers['x-ms-blob-public-access'] = options.publicAccessLevel;
+  headers['content-length'] = 0;
+  headers['x-ms-blob-type'] = 'BlockBlob';
+  headers['x-ms-copy-source'] = source;
+
+  if (options.contentType) {
+    headers['x-ms-blob-content-type'] = options.contentType;
+  }
+  if (options.contentEncoding) {
+    headers['x-ms-blob-content-encoding'] = options.contentEncoding;
+  }
+  if (options.contentLanguage) {
+    headers['x-ms-blob-content-language'] = options.contentLanguage;
+  }
+  if (options.cacheControl) {
+    headers['x-ms-blob-cache-control'] = options.cacheControl;
+  }
+  if (options.contentDisposition) {
+    headers['x-ms-blob-content-disposition'] = options.contentDisposition;
+  }
+  if (options.sourceContentMD5) {
+    headers['x-ms-source-content-md5'] = options.sourceContentMD5;
+  }
+  if (options.accessTier) {
+    assert(ACCESS_TIER_PATTERN.test(options.accessTier), 'The `options.accessTier` is not a valid access tier');
+    headers['x-ms-access-tier'] = options.accessTier;
+  }
+  setTagsHeader(headers, options);
+  if (options.metadata) {
+    for(var key in options.metadata) {
+      if (options.metadata.hasOwnProperty(key)) {
+        headers['x-ms-meta-' + key] = options.metadata[key];
+      }
     }
   }
+  setSourceConditionalHeaders(headers, options);
+  if (options.leaseId) {
+    assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
+    headers['x-ms-lease-id'] = options.leaseId;
+  }
+  utils.setConditionalHeaders(headers, options);
 
-  // Construct query string
-  var query = {
-    restype: 'container'
-  };
-  var path = '/' + name;
   return this.request('PUT', path, query, headers).then(function(response) {
-    // container was created - response code 201
     if (response.statusCode !== 201) {
-      throw new Error("createContainer: Unexpected statusCode: " + response.statusCode);
+      throw new Error('putBlobFromUrl: Unexpected statusCode: ' + response.statusCode);
     }
-
     return {
       eTag: response.headers['etag'],
-      lastModified: new Date(response.headers['last-modified'])
+      lastModified: new Date(response.headers['last-modified']),
+      contentMD5: response.headers['content-md5'],
+      versionId: response.headers['x-ms-version-id']
     };
   });
 };
 
 /**
- * Sets metadata for the specified container.
- * Overwrites all existing metadata that is associated with the container.
+ * Reads or downloads a blob from the system, including its metadata and properties.
  *
- * @method setContainerMetadata
- * @param {string} name - Name of the container to set metadata on
- * @param {object} metadata - Mapping from metadata keys to values.
+ * When a range is requested with `offset` and `count` only that part of the blob is returned, notice
+ * that the content is decoded as UTF-8, so a range must not split multi-byte characters, use
+ * `getBlobStream` for binary content.
+ *
+ * The downloaded bytes are validated against the length and checksums returned, see `getBlobStream`, and
+ * downloads that fail validation, i.e. are truncated or corrupted by a proxy, are retried using the
+ * configured retry policy.
+ *
+ * If the client is configured with a `keyResolver` or `keyEncryptionKey`, client-side encrypted blobs are
+ * decrypted, in which case the `contentMD5` is that of the encrypted content, and ranges can't be read.
+ *
+ * If `options.decompress` is set, blobs with content-encoding `gzip`, `br` or `deflate` are decompressed,
+ * after decryption, in which case ranges can't be read either.
+ *
+ * @method getBlob
+ * @param {string} container - Name of the container where the blob should be stored
+ * @param {string} blob - Name of the blob
  * @param {object} options - Options on the following form
  * ```js
  * {
- *    leaseId: '...',               // Lease unique identifier. A GUID string.(optional)
- *    ifModifiedSince: new Date(),  // Specify this to perform the operation only if the resource has been
- *                                  // modified since the specified time. (optional)
+ *    disableContentMD5Check: false,    // Disable validation of the content MD5 and CRC64 (optional)
+ *    offset: 0,                        // Byte offset of the first byte to read, when reading a range. (optional)
+ *    count: 1024,                      // Number of bytes to read from `offset`, defaults to the rest of the
+ *                                      // blob if only `offset` is given. (optional)
+ *    rangeGetContentMD5: true,         // Request the MD5 hash of the range, requires `count` less than or equal
+ *                                      // to 4 MiB, defaults to true if `count` is at most 4 MiB. (optional)
+ *    rangeGetContentCRC64: false,      // Request the CRC64 of the range instead of the MD5 hash, requires
+ *                                      // `count` less than or equal to 4 MiB. (optional)
+ *    decompress: false,                // Decompress content based on the content-encoding (optional)
+ *    snapshot: '...',                  // The snapshot timestamp of the blob snapshot to read (optional)
+ *    versionId: '...',                 // The version of the blob to read, can't be combined with
+ *                                      // `snapshot` (optional)
+ *    ifModifiedSince: new Date(),      // Specify this to perform the operation only if the resource has been
+ *                                      // modified since the specified time. (optional)
+ *    ifUnmodifiedSince: new Date(),    // Specify this to perform the operation only if the resource has not
+ *                                      // been modified since the specified date/time. (optional)
+ *    ifMatch: '...',                   // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag matches the value specified. (optional)
+ *    ifNoneMatch: '...',               // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag does not match the value specified. (optional)
  * }
  *```
- * @returns {Promise} a promise for metadata key/value pair
- * A promise for an object on the form:
+ * @return {Promise} A promise for an object on the form:
  * ```js
  * {
- *      eTag: '...',               // The entity tag of the container
- *      lastModified: '...',       // The date/time the container was last modified
+ *    eTag: '...',                    // The entity tag of the blob
+ *    lastModified: '...',            // The date/time the blob was last modified.
+ *    contentType: '...',             // The content type specified for the blob
+ *    contentMD5: '...',              // The MD5 hash fo the blob, or the range
+ *    contentCRC64: '...',            // The CRC64 of the range, if requested
+ *    contentEncoding: '...',         // The content encoding of the blob
+ *    contentLanguage: '...',         // The content language of the blob
+ *    cacheControl: '...',            // The cache control of the blob
+ *    contentDisposition: '...',      // The content disposition of the blob
+ *    pageBlobSequenceNumber: '...',  // The current sequence number for a page blob.
+ *    type: '...',                    // The blob type: block, page or append blob.
+ *    blobCommittedBlockCount: '...', // The number of committed blocks present in the blob.
+ *                                    // This is returned only for append blobs.
+ *    contentRange: '...',            // The range returned, if a range was requested
+ *    blobContentMD5: '...',          // The MD5 hash of the entire blob, if a range was requested
+ *    versionId: '...',               // The version of the blob, if versioning is enabled
+ *    isCurrentVersion: '...',        // 'true' if this is the current version of the blob
+ *    metadata: '...',                // Name-value pairs associated with the blob as metadata
+ *    content: '...'                  // The content
  * }
  * ```
  */
-Blob.prototype.setContainerMetadata = function setContainerMetadata(name, metadata, options) {
-  assert(typeof name === 'string', 'The name of the container must be specified and must be a string value.');
-  // Construct query string
-  var query = {
-    restype: 'container',
-    comp: 'metadata'
-  };
-  // Construct headers
-  var headers = {};
-  if (options) {
-    if (options.leaseId) {
-      assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
-      headers['x-ms-lease-id'] = options.leaseId;
-    }
-    // set conditional header
-    if (options.ifModifiedSince){
-      assert(options.ifModifiedSince instanceof Date,
-        'If specified, the `options.ifModifiedSince` must be a Date');
-      headers['if-modified-since'] = options.ifModifiedSince.toUTCString();
-    }
-  }
+Blob.prototype.getBlob = function getBlob(container, blob, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
 
-  for(var key in metadata) {
-    if (metadata.hasOwnProperty(key)) {
-      headers['x-ms-meta-' + key] = metadata[key];
-    }
-  }
-  var path = "/" + name;
-  return this.request('PUT', path, query, headers).then(function(response) {
-    if(response.statusCode !== 200) {
-      throw new Error('setContainerMetadata: Unexpected statusCode: ' + response.statusCode);
-    }
-    return {
-      eTag: response.headers['etag'],
-      lastModified: new Date(response.headers['last-modified'])
-    }
+  var self = this;
+  var rawOptions = Object.assign({}, options, {decompress: false, raw: true});
+  return retryDownload(this, function() {
+    return self.getBlobStream(container, blob, rawOptions);
+  }, function(result) {
+    return readStream(result.stream).then(function(content) {
+      delete result.stream;
+      delete result.contentLength;
+      result.content = content;
+      return result;
+    });
+  }).then(function(result) {
+    return decryptContent(self, result, result.content).then(function(content) {
+      return decompressContent(result, content, options);
+    }).then(function(content) {
+      result.content = content.toString('utf8');
+      return result;
+    });
   });
 };
 
 /**
- * Get the metadata for the container with the given name.
+ * Downloads a blob as a readable stream of raw bytes, along with its metadata and properties.
  *
- * Note, this is a `HEAD` request, so if the container is missing you get an
- * error with `err.statusCode = 404`, but `err.code` property will be
- * `ErrorWithoutCode`.
+ * Unlike `getBlob` the content is neither decoded nor buffered in memory, which makes this method suitable
+ * for binary and large blobs. The request is retried until the response headers have been received, errors
+ * that happen while the stream is being consumed are emitted on the stream, and it is up to the caller to
+ * restart the download.
  *
- * @method getContainerMetadata
- * @param {string} name - the name of the container to get metadata from.
+ * If the blob has a content MD5, or a range is requested with `rangeGetContentMD5`, the MD5 hash of the
+ * downloaded bytes is computed as the stream is consumed, and the stream will emit an error with
+ * `err.code = 'ContentMD5Mismatch'` at the end, if the hashes don't match. Ranges of at most 4 MiB are
+ * requested with `rangeGetContentMD5` unless another checksum is requested. Similarly, the CRC64 is
+ * validated if requested with `rangeGetContentCRC64`, emitting `ContentCRC64Mismatch`, and a truncated
+ * download emits an error with `err.code = 'RequestContentLengthError'`. These errors are transient, so
+ * the download can be retried.
+ *
+ * If `options.decompress` is set, blobs with content-encoding `gzip`, `br` or `deflate` are decompressed as
+ * the stream is consumed, unless they are client-side encrypted. The `contentLength` is that of the
+ * compressed content.
+ *
+ * Client-side encrypted blobs can't be decrypted as a stream, as the authentication tag is at the end of
+ * the content, so they are rejected with `err.code = 'UnsupportedEncryption'`, use `getBlob`,
+ * `downloadToBuffer` or `downloadToFile` to decrypt them. If `options.raw` is set, the encrypted content
+ * is returned as stored.
+ *
+ * @method getBlobStream
+ * @param {string} container - Name of the container where the blob is stored
+ * @param {string} blob - Name of the blob
  * @param {object} options - Options on the following form
  * ```js
  * {
- *    leaseId: '...'  // Lease unique identifier. A GUID string.(optional)
+ *    disableContentMD5Check: false,    // Disable validation of the content MD5 and CRC64 (optional)
+ *    offset: 0,                        // Byte offset of the first byte to read, when reading a range. (optional)
+ *    count: 1024,                      // Number of bytes to read from `offset`, defaults to the rest of the
+ *                                      // blob if only `offset` is given. (optional)
+ *    rangeGetContentMD5: true,         // Request the MD5 hash of the range, requires `count` less than or equal
+ *                                      // to 4 MiB, defaults to true if `count` is at most 4 MiB. (optional)
+ *    rangeGetContentCRC64: false,      // Request the CRC64 of the range instead of the MD5 hash, requires
+ *                                      // `count` less than or equal to 4 MiB. (optional)
+ *    decompress: false,                // Decompress content based on the content-encoding (optional)
+ *    raw: false,                       // Return client-side encrypted content as stored (optional)
+ *    snapshot: '...',                  // The snapshot timestamp of the blob snapshot to read (optional)
+ *    versionId: '...',                 // The version of the blob to read, can't be combined with
+ *                                      // `snapshot` (optional)
+ *    ifModifiedSince: new Date(),      // Specify this to perform the operation only if the resource has been
+ *                                      // modified since the specified time. (optional)
+ *    ifUnmodifiedSince: new Date(),    // Specify this to perform the operation only if the resource has not
+ *                                      // been modified since the specified date/time. (optional)
+ *    ifMatch: '...',                   // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag matches the value specified. (optional)
+ *    ifNoneMatch: '...',               // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag does not match the value specified. (optional)
  * }
- * @returns {Promise} a promise for metadata key/value pair
- * A promise for an object on the form:
+ *```
+ * @return {Promise} A promise for an object on the form:
  * ```js
  * {
- *      eTag: '...',               // The entity tag of the container
- *      lastModified: '...',       // The date/time the container was last modified
+ *    eTag: '...',                    // The entity tag of the blob
+ *    lastModified: '...',            // The date/time the blob was last modified.
+ *    contentLength: 1024,            // The number of bytes in the stream
+ *    contentType: '...',             // The content type specified for the blob
+ *    contentMD5: '...',              // The MD5 hash fo the blob, or the range
+ *    contentCRC64: '...',            // The CRC64 of the range, if requested
+ *    contentEncoding: '...',         // The content encoding of the blob
+ *    contentLanguage: '...',         // The content language of the blob
+ *    cacheControl: '...',            // The cache control of the blob
+ *    contentDisposition: '...',      // The content disposition of the blob
+ *    pageBlobSequenceNumber: '...',  // The current sequence number for a page blob.
+ *    type: '...',                    // The blob type: block, page or append blob.
+ *    blobCommittedBlockCount: '...', // The number of committed blocks present in the blob.
+ *                                    // This is returned only for append blobs.
+ *    contentRange: '...',            // The range returned, if a range was requested
+ *    blobContentMD5: '...',          // The MD5 hash of the entire blob, if a range was requested
+ *    versionId: '...',               // The version of the blob, if versioning is enabled
+ *    isCurrentVersion: '...',        // 'true' if this is the current version of the blob
+ *    metadata: '...',                // Name-value pairs associated with the blob as metadata
+ *    stream: stream.Readable         // Readable stream of the content as Buffers
  * }
  * ```
  */
-Blob.prototype.getContainerMetadata = function getContainerMetadata(name, options) {
-  assert(typeof name === 'string', 'The name of the container must be specified and must be a string value.');
-  // Construct the query string
-  var query = {
-    comp: 'metadata',
-    restype: 'container'
-  }
-  var path = "/" + name;
+Blob.prototype.getBlobStream = function getBlobStream(container, blob, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
+
+  var query = {};
+  setBlobVersionQuery(query, options);
+  var path = '/' + container + '/' + blob;
   var headers = {};
-  if (options && options.leaseId) {
-    assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
-    headers['x-ms-lease-id'] = options.leaseId;
-  }
 
-  return this.request('HEAD', path, query, headers).then(function(response) {
-    if (response.statusCode !== 200) {
-      throw new Error("getContainerMetadata: Unexpected statusCode: " + response.statusCode);
+  options = rangeChecksumOptions(options);
+  utils.setConditionalHeaders(headers, options);
+  setRangeHeaders(headers, options);
+  var checkMD5 = !(options && options.disableContentMD5Check);
+
+  return this.requestStream('GET', path, query, headers).then(function (response) {
+    if (response.statusCode !== 200 && response.statusCode !== 206) {
+      response.resume();
+      throw new Error("getBlobStream: Unexpected statusCode: " + response.statusCode);
     }
-    return {
-      eTag: response.headers['etag'],
-      lastModified: new Date(response.headers['last-modified']),
-      metadata: utils.extractMetadataFromHeaders(response)
+
+    var result = parseGetBlobHeaders(response);
+    if (result.metadata[encryption.ENCRYPTION_METADATA_KEY] !== undefined && !(options && options.raw)) {
+      response.resume();
+      throw unsupportedEncryptionError('Client-side encrypted blobs can\'t be streamed, ' +
+        'use getBlob, downloadToBuffer or downloadToFile, or set `options.raw` for the encrypted content');
+    }
+    result.contentLength = parseInt(response.headers['content-length']);
+    result.stream = verifiedStream(response,
+      checkMD5 ? result.contentMD5 : undefined,
+      checkMD5 ? result.contentCRC64 : undefined
+    );
+    if (shouldDecompress(result, options) && result.metadata[encryption.ENCRYPTION_METADATA_KEY] === undefined) {
+      if (result.contentRange) {
+        result.stream.destroy();
+        throw rangeNotSupportedError('Ranges of compressed blobs can\'t be decompressed');
+      }
+      result.stream = stream.pipeline(result.stream, utils.decompressStream(result.contentEncoding), function() {});
     }
+    return result;
   });
 };
 
 /**
- * Delete container with the given 'name'.
+ * Downloads a blob into a Buffer by splitting it into ranges that are fetched concurrently.
  *
- * Note, when a container is deleted, a container with the same name cannot be created for at least 30 seconds;
- * the container may not be available for more than 30 seconds if the service is still processing the request.
- * Please see the documentation for more details.
+ * The entity tag of the blob is pinned with `if-match` on every range request, so the download fails with
+ * a `ConditionNotMet` error if the blob is modified while it is being downloaded. Ranges that fail partway
+ * are retried individually using the configured retry policy.
  *
- * @method deleteContainer
- * @param {string} name -  Name of the container to delete
+ * For page blobs only the populated page ranges are fetched, the rest of the Buffer is left zero-filled.
+ *
+ * Client-side encrypted blobs are decrypted, if the client is configured with a `keyResolver` or
+ * `keyEncryptionKey`, and compressed blobs are decompressed if `options.decompress` is set, see `getBlob`.
+ *
+ * @method downloadToBuffer
+ * @param {string} container - Name of the container where the blob is stored
+ * @param {string} blob - Name of the blob
  * @param {object} options - Options on the following form
  * ```js
  * {
- *    leaseId: '...',                   // Lease unique identifier. A GUID string.(optional)
- *    ifModifiedSince: new Date(),      // Specify this to perform the operation only if the resource has
- *                                      // been modified since the specified time. (optional)
- *    ifUnmodifiedSince: new Date(),    // Specify this to perform the operation only if the resource has
- *                                      // not been modified since the specified date/time. (optional)
+ *    blockSize: 4 * 1024 * 1024,       // Size of the ranges to download in bytes (optional)
+ *    concurrency: 4,                   // Maximum number of concurrent range requests (optional)
+ *    disableContentMD5Check: false,    // Disable validation of the content MD5 (optional)
+ *    useCRC64: false,                  // Validate ranges with CRC64 instead of MD5 (optional)
+ *    decompress: false,                // Decompress content based on the content-encoding (optional)
+ *    snapshot: '...',                  // The snapshot timestamp of the blob snapshot to read (optional)
+ *    versionId: '...',                 // The version of the blob to read, can't be combined with
+ *                                      // `snapshot` (optional)
+ *    ifModifiedSince: new Date(),      // Specify this to perform the operation only if the resource has been
+ *                                      // modified since the specified time. (optional)
+ *    ifUnmodifiedSince: new Date(),    // Specify this to perform the operation only if the resource has not
+ *                                      // been modified since the specified date/time. (optional)
+ *    ifMatch: '...',                   // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag matches the value specified. (optional)
+ *    ifNoneMatch: '...',               // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag does not match the value specified. (optional)
  * }
  *```
- * @returns {Promise} A promise that container has been marked for deletion.
+ * @return {Promise} A promise for the blob properties as returned by `getBlobProperties`, with the content
+ * as a Buffer in the `content` property.
  */
-Blob.prototype.deleteContainer = function deleteContainer(name, options) {
-  assert(typeof name === 'string', 'The name of the container must be specified and must be a string value.');
-  // construct query string
-  var query = {
-    restype: 'container'
-  };
-  var path = '/' + name;
-  var headers = {};
-  if (options) {
-    if (options.leaseId) {
-      assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
-      headers['x-ms-lease-id'] = options.leaseId;
-    }
+Blob.prototype.downloadToBuffer = function downloadToBuffer(container, blob, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
+  options = options || {};
+  var blockSize = options.blockSize || MAX_BLOCK_SIZE;
+  var concurrency = options.concurrency || DEFAULT_TRANSFER_CONCURRENCY;
 
-    utils.setConditionalHeaders(headers, options, true);
+  var self = this;
+  return this.getBlobProperties(container, blob, options).then(function(properties) {
+    var content = Buffer.alloc(parseInt(properties.contentLength));
+
+    return populatedRanges(self, container, blob, properties, blockSize, options).then(function(ranges) {
+      return utils.mapLimit(ranges, concurrency, function(range) {
+        return downloadRange(self, container, blob, range, properties.eTag, options).then(function(data) {
+          data.copy(content, range.offset);
+        });
+      });
+    }).then(function() {
+      if (!options.disableContentMD5Check && properties.contentMD5) {
+        var md5 = utils.md5(content);
+        if (md5 !== properties.contentMD5) {
+          throw contentMD5MismatchError(properties.contentMD5, md5);
+        }
+      }
+      return decryptContent(self, properties, content);
+    }).then(function(content) {
+      return decompressContent(properties, content, options);
+    }).then(function(content) {
+      properties.content = content;
+      return properties;
+    });
+  });
+};
+
+/**
+ * Downloads a blob to a local file by splitting it into ranges that are fetched concurrently and written
+ * at their offsets in the file.
+ *
+ * The entity tag of the blob is pinned with `if-match` on every range request, so the download fails with
+ * a `ConditionNotMet` error if the blob is modified while it is being downloaded. Ranges that fail partway
+ * are retried individually using the configured retry policy.
+ *
+ * For page blobs only the populated page ranges are fetched, the rest of the file is left as holes, which
+ * creates a sparse file on file systems that support it.
+ *
+ * If `options.resume` is set, the completed ranges are recorded in `<filename>.download` as the download
+ * progresses, and a later call with `options.resume` only fetches the ranges that are missing, provided the
+ * blob hasn't changed. The progress file is removed when the download completes.
+ *
+ * Client-side encrypted blobs are decrypted once downloaded, if the client is configured with a
+ * `keyResolver` or `keyEncryptionKey`, see `getBlob`. Notice that this reads the file into memory.
+ *
+ * @method downloadToFile
+ * @param {string} container - Name of the container where the blob is stored
+ * @param {string} blob - Name of the blob
+ * @param {string} filename - Path of the file to write to
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    blockSize: 4 * 1024 * 1024,       // Size of the ranges to download in bytes (optional)
+ *    concurrency: 4,                   // Maximum number of concurrent range requests (optional)
+ *    resume: false,                    // Resume a previous download to the same file (optional)
+ *    disableContentMD5Check: false,    // Disable validation of the content MD5 (optional)
+ *    useCRC64: false,                  // Validate ranges with CRC64 instead of MD5 (optional)
+ *    snapshot: '...',                  // The snapshot timestamp of the blob snapshot to read (optional)
+ *    versionId: '...',                 // The version of the blob to read, can't be combined with
+ *                                      // `snapshot` (optional)
+ *    ifModifiedSince: new Date(),      // Specify this to perform the operation only if the resource has been
+ *                                      // modified since the specified time. (optional)
+ *    ifUnmodifiedSince: new Date(),    // Specify this to perform the operation only if the resource has not
+ *                                      // been modified since the specified date/time. (optional)
+ *    ifMatch: '...',                   // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag matches the value specified. (optional)
+ *    ifNoneMatch: '...',               // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag does not match the value specified. (optional)
+ * }
+ *```
+ * @return {Promise} A promise for the blob properties as returned by `getBlobProperties`.
+ */
+Blob.prototype.downloadToFile = function downloadToFile(container, blob, filename, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
+  assert(typeof filename === 'string', 'The filename must be specified and must be a string value.');
+  options = options || {};
+  var blockSize = options.blockSize || MAX_BLOCK_SIZE;
+  var concurrency = options.concurrency || DEFAULT_TRANSFER_CONCURRENCY;
+  var stateFile = filename + '.download';
+
+  var self = this;
+  var properties, state, handle;
+  var saving = Promise.resolve();
+  function saveState() {
+    if (options.resume) {
+      saving = saving.then(function() {
+        return fs.promises.writeFile(stateFile, JSON.stringify(state));
+      });
+    }
+    return saving;
   }
 
-  return this.request('DELETE', path, query, headers).then(function(response) {
-    if(response.statusCode !== 202) {
-      throw new Error('deleteContainer: Unexpected statusCode: ' + response.statusCode);
+  return this.getBlobProperties(container, blob, options).then(function(result) {
+    properties = result;
+    if (!options.resume) {
+      return null;
+    }
+    return fs.promises.readFile(stateFile, 'utf8').then(JSON.parse, function(err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+      return null;
+    });
+  }).then(function(previous) {
+    var contentLength = parseInt(properties.contentLength);
+    state = {eTag: properties.eTag, contentLength: contentLength, blockSize: blockSize, completed: []};
+    if (previous && previous.eTag === state.eTag && previous.blockSize === blockSize &&
+        previous.contentLength === contentLength) {
+      debug("Resuming download of %s/%s to %s", container, blob, filename);
+      // Resume from existing file, if it is still there
+      return fs.promises.open(filename, 'r+').then(function(fd) {
+        state.completed = previous.completed;
+        return fd;
+      }, function(err) {
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+        return fs.promises.open(filename, 'w+');
+      });
+    }
+    return fs.promises.open(filename, 'w+');
+  }).then(function(fd) {
+    handle = fd;
+    return handle.truncate(state.contentLength);
+  }).then(function() {
+    return populatedRanges(self, container, blob, properties, blockSize, options);
+  }).then(function(ranges) {
+    ranges = ranges.filter(function(range) {
+      return state.completed.indexOf(range.offset) === -1;
+    });
+    return utils.mapLimit(ranges, concurrency, function(range) {
+      return downloadRange(self, container, blob, range, state.eTag, options).then(function(data) {
+        return handle.write(data, 0, data.length, range.offset);
+      }).then(function() {
+        state.completed.push(range.offset);
+        return saveState();
+      });
+    });
+  }).then(function() {
+    if (options.disableContentMD5Check || !properties.contentMD5) {
+      return;
+    }
+    var hash = crypto.createHash('md5');
+    return new Promise(function(resolve, reject) {
+      var input = handle.createReadStream({start: 0, autoClose: false});
+      input.on('data', function(chunk) {
+        hash.update(chunk);
+      });
+      input.once('error', reject);
+      input.once('end', resolve);
+    }).then(function() {
+      var md5 = hash.digest('base64');
+      if (md5 !== properties.contentMD5) {
+        // Forget progress, a resumed download must start over
+        state.completed = [];
+        return saveState().then(function() {
+          throw contentMD5MismatchError(properties.contentMD5, md5);
+        });
+      }
+    });
+  }).then(function() {
+    if (properties.metadata[encryption.ENCRYPTION_METADATA_KEY] === undefined || !canDecrypt(self)) {
+      return;
     }
+    var input = handle.createReadStream({start: 0, autoClose: false});
+    return readStream(input).then(function(content) {
+      return decryptContent(self, properties, content);
+    }).then(function(content) {
+      // Forget progress, as the file is overwritten with the decrypted content
+      state.completed = [];
+      return saveState().then(function() {
+        return handle.truncate(content.length);
+      }).then(function() {
+        return handle.write(content, 0, content.length, 0);
+      });
+    });
+  }).then(function() {
+    return handle.close();
+  }).then(function() {
+    handle = null;
+    if (options.resume) {
+      return saving.then(function() {
+        return fs.promises.rm(stateFile, {force: true});
+      });
+    }
+  }).then(function() {
+    return properties;
+  }, function(err) {
+    // Close the file, but leave it and the progress file for a later resume
+    return Promise.resolve(handle && handle.close()).then(function() {
+      return saving;
+    }).catch(function() {}).then(function() {
+      throw err;
+    });
   });
 };
 
 /**
- * List the containers under the storage account
- *
- * @method listContainers
- * @param {object} options - Options on the following form:
+ * Returns all user-defined metadata, standard HTTP properties, and system properties for the blob.
  *
+ * @method getBlobProperties
+ * @param {string} container - Name of the container
+ * @param {string} blob - Name of the blob
+ * @param {object} options - Options on the following form
  * ```js
  * {
- *   prefix:          '...',    // Prefix of containers to list
- *   marker:          '...',    // Marker to list containers from
- *   maxResults:      5000,     // Max number of results
- *   metadata:        false     // Whether or not to include metadata
+ *    snapshot: '...',                  // The snapshot timestamp of the blob snapshot to read (optional)
+ *    versionId: '...',                 // The version of the blob to read, can't be combined with
+ *                                      // `snapshot` (optional)
+ *    ifModifiedSince: new Date(),      // Specify this to perform the operation only if the resource has been
+ *                                      // modified since the specified time. (optional)
+ *    ifUnmodifiedSince: new Date(),    // Specify this to perform the operation only if the resource has not been
+ *                                      // modified since the specified date/time. (optional)
+ *    ifMatch: '...',                   // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag matches the value specified. (optional)
+ *    ifNoneMatch: '...',               // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag does not match the value specified. (optional)
  * }
+ *```
  *
- * @returns {Promise} A promise for an object on the form:
+ * @return {Promise} A promise for an object on the form:
  * ```js
  * {
- *   containers: [
- *     {
- *       name:       '...',           // Name of container
- *       properties: {
- *          lastModified: '...',      // Container's last modified time
- *          eTag: '...',              // The entity tag of the container
- *          leaseStatus: '...',       // The lease status of the container
- *          leaseState: '...',        // The lease state of the container
- *          leaseDuration: '...'      // The lease duration of the container
- *          publicAccessLevel: '...'  // Indicates whether data in the container may be accessed publicly
- *                                    // and the level of access. If this is not returned in the response,
- *                                    // the container is private to the account owner.
- *       }
- *       metadata:   {}               // Meta-data dictionary if requested
- *     }
- *   ],
- *   prefix:         '...',           // prefix given in options (if given)
- *   marker:         '...',           // marker given in options (if given)
- *   maxResults:     5000,            // maxResults given in options (if given)
- *   nextMarker:     '...'            // Next marker if not at end of list
+ *    metadata: '...',                // Name-value pairs that correspond to the user-defined metadata
+ *                                    // associated with this blob.
+ *    lastModified: '...',            // The date/time the blob was last modified.
+ *    type: '...',                    // The blob type
+ *    leaseDuration: '...',           // When a blob is leased, specifies whether the lease is of
+ *                                    // infinite or fixed duration
+ *    leaseState: '...',              // Lease state of the blob
+ *    leaseStatus: '...',             // The lease status of the blob.
+ *    contentLength: '...',           // The size of the blob in bytes
+ *    contentType: '...',             // The content type specified for the blob
+ *    eTag: '...',                    // The blob Etag
+ *    contentMD5: '...'               // The content-md5 of the blob
+ *    contentEncoding: '...',         // The content encoding of the blob
+ *    contentLanguage: '...'          // The content language of the blob
+ *    contentDisposition: '...',      // The content disposition of the blob
+ *    cacheControl: '...',            // The cache control of the blob
+ *    pageBlobSequenceNumber: '...',  // The current sequence number for a page blob.
+ *    committedBlockCount: '...',     // The number of committed blocks present in the blob (for append blob).
+ *    copyId: '...',                  // String identifier for the last copy operation, if the blob was
+ *                                    // the destination of a copy operation.
+ *    copyStatus: '...',              // The state of the copy operation: pending | success | aborted | failed
+ *    copySource: '...',              // The URL of the source blob of the copy operation
+ *    copyProgress: '...',            // The bytes copied/total bytes
+ *    copyCompletionTime: new Date(), // The date and time the copy operation finished
+ *    copyStatusDescription: '...',   // Describes the cause of a failed or aborted copy operation
+ *    incrementalCopy: '...',         // true for incremental copy blobs
+ *    copyDestinationSnapshot: '...', // The snapshot time of the last successful incremental copy
+ *    accessTier: '...',              // The access tier of the blob: Hot | Cool | Archive, or P4 - P80
+ *                                    // for premium page blobs
+ *    accessTierInferred: '...',      // 'true' if the access tier is inferred from the account default
+ *    archiveStatus: '...',           // The rehydration status if the blob is being moved out of the
+ *                                    // archive tier: rehydrate-pending-to-hot | rehydrate-pending-to-cool
+ *    accessTierChangeTime: new Date(), // The time the access tier was last changed
+ *    versionId: '...',               // The version of the blob, if versioning is enabled
+ *    isCurrentVersion: '...',        // 'true' if this is the current version of the blob
  * }
  * ```
  */
-Blob.prototype.listContainers = function listContainers(options) {
-  // Ensure options
-  options = options || {};
+Blob.prototype.getBlobProperties = function getBlobProperties(container, blob, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
 
-  // Construct query string
-  var query = {
-    comp: 'list'
-  };
-  if (options.prefix)     query.prefix      = options.prefix;
-  if (options.marker)     query.marker      = options.marker;
-  if (options.maxResults) query.maxresults  = options.maxResults;
-  if (options.metadata)   query.include     = 'metadata';
+  var query = {};
+  setBlobVersionQuery(query, options);
+  var path = '/' + container + '/' + blob;
+  var headers = {};
 
-  return this.request('GET', '/', query, {}).then(function(response) {
-    if(response.statusCode !== 200) {
-      throw new Error('listContainers: Unexpected statusCode: ' + response.statusCode);
+  utils.setConditionalHeaders(headers, options);
+
+  return this.request('HEAD', path, query, headers).then(function (response) {
+    if (response.statusCode !== 200) {
+      throw new Error("getBlobProperties: Unexpected statusCode: " + response);
     }
-    return xml.blobParseListContainers(response);
+
+    var result = {
+      metadata: utils.extractMetadataFromHeaders(response),
+      type: response.headers['x-ms-blob-type'],
+      leaseState: response.headers['x-ms-lease-state'],
+      leaseStatus: response.headers['x-ms-lease-status'],
+      contentLength: response.headers['content-length'],
+      contentType: response.headers['content-type'],
+      eTag: response.headers['etag']
+    };
+    if (response.headers['last-modified']) {
+      result.lastModified = new Date(response.headers['last-modified']);
+    }
+    if (response.headers['x-ms-lease-duration']) {
+      result.leaseDuration = response.headers['x-ms-lease-duration'];
+    }
+    if (response.headers['content-md5']) {
+      result.contentMD5 = response.headers['content-md5'];
+    }
+    if (response.headers['content-encoding']) {
+      result.contentEncoding = response.headers['content-encoding'];
+    }
+    if (response.headers['content-language']) {
+      result.contentLanguage = response.headers['content-language'];
+    }
+    if (response.headers['content-disposition']) {
+      result.contentDisposition = response.headers['content-disposition'];
+    }
+    if (response.headers['content-control']) {
+      result.cacheControl = response.headers['content-control'];
+    }
+    if (response.headers['x-ms-blob-sequence-number']) {
+      result.pageBlobSequenceNumber = response.headers['x-ms-blob-sequence-number'];
+    }
+    if (response.headers['x-ms-blob-committed-block-count']) {
+      result.committedBlockCount = response.headers['x-ms-blob-committed-block-count'];
+    }
+    if (response.headers['x-ms-copy-id']) {
+      result.copyId = response.headers['x-ms-copy-id'];
+      result.copyStatus = response.headers['x-ms-copy-status'];
+      result.copySource = response.headers['x-ms-copy-source'];
+      result.copyProgress = response.headers['x-ms-copy-progress'];
+    }
+    if (response.headers['x-ms-copy-completion-time']) {
+      result.copyCompletionTime = new Date(response.headers['x-ms-copy-completion-time']);
+    }
+    if (response.headers['x-ms-copy-status-description']) {
+      result.copyStatusDescription = response.headers['x-ms-copy-status-description'];
+    }
+    if (response.headers['x-ms-incremental-copy']) {
+      result.incrementalCopy = response.headers['x-ms-incremental-copy'];
+    }
+    if (response.headers['x-ms-copy-destination-snapshot']) {
+      result.copyDestinationSnapshot = response.headers['x-ms-copy-destination-snapshot'];
+    }
+    if (response.headers['x-ms-access-tier']) {
+      result.accessTier = response.headers['x-ms-access-tier'];
+    }
+    if (response.headers['x-ms-access-tier-inferred']) {
+      result.accessTierInferred = response.headers['x-ms-access-tier-inferred'];
+    }
+    if (response.headers['x-ms-archive-status']) {
+      result.archiveStatus = response.headers['x-ms-archive-status'];
+    }
+    if (response.headers['x-ms-access-tier-change-time']) {
+      result.accessTierChangeTime = new Date(response.headers['x-ms-access-tier-change-time']);
+    }
+    if (response.headers['x-ms-version-id']) {
+      result.versionId = response.headers['x-ms-version-id'];
+    }
+    if (response.headers['x-ms-is-current-version']) {
+      result.isCurrentVersion = response.headers['x-ms-is-current-version'];
+    }
+    return result;
   });
 };
 
 /**
- * Get all user-defined metadata and system properties for the container with the given name.
- *
- * Note, this is a `HEAD` request, so if the container is missing you get an
- * error with `err.statusCode = 404`, but `err.code` property will be
- * `ErrorWithoutCode`.
+ * Sets system properties on the blob
  *
- * @method getContainerProperties
- * @param {string} name - The name of the container to get properties from.
+ * @method setBlobProperties
+ * @param {string} container - Name of the container
+ * @param {string} blob - Name of the blob
  * @param {object} options - Options on the following form
  * ```js
  * {
- *    leaseId: '...' // GUID string; lease unique identifier (optional)
+ *    leaseId: '...',                           // Lease id (required if the blob has an active lease)
+ *    cacheControl: '...',                      // The cache control string for the blob (optional)
+ *                                              // If this property is not specified, then the property
+ *                                              // will be cleared for the blob.
+ *    contentType: '...',                       // The MIME content type of the blob (optional)
+ *                                              // If this property is not specified, then the property
+ *                                              // will be cleared for the blob.
+ *    contentMD5: '...',                        // The MD5 hash of the blob (optional)
+ *                                              // If this property is not specified, then the property
+ *                                              // will be cleared for the blob.
+ *    contentEncoding: '...',                   // The content encodings of the blob. (optional)
+ *                                              // If this property is not specified, then the property
+ *                                              // will be cleared for the blob.
+ *    contentLanguage: '...',                   // The content language of the blob. (optional)
+ *                                              // If this property is not specified, then the property
+ *                                              // will be cleared for the blob.
+ *    contentDisposition: '...',                // The content disposition (optional)
+ *                                              // If this property is not specified, then the property
+ *                                              // will be cleared for the blob.
+ *    pageBlobContentLength: '...',             // The new size of a page blob. If the specified value is
+ *                                              // less than the current size of the blob, then all pages
+ *                                              // above the specified value are cleared.
+ *                                              // This property applies to page blobs only.
+ *    pageBlobSequenceNumberAction:
+ *              'max|update|increment',         // Indicates how the service should modify the blob's
+ *                                              // sequence number.
+ *                                              // - max: Sets the sequence number to be the higher of the
+ *                                              //        value included with the request and the value
+ *                                              //        currently stored for the blob.
+ *                                              // - update: Sets the sequence number to the value
+ *                                              //           included with the request.
+ *                                              // - increment: Increments the value of the sequence
+ *                                              //              number by 1.
+ *                                              // This property applies to page blobs only. (optional)
+ *    pageBlobSequenceNumber: '...',            // The page blob sequence number.
+ *                                              // Optional, but required if the
+ *                                              // `pageBlobSequenceNumberAction` option is set to `max`
+ *                                              // or `update`.
+ *                                              // This property applies to page blobs only.
+ *    ifModifiedSince: new Date(),              // Specify this to perform the operation only if the
+ *                                              // resource has been modified since the specified time.
+ *                                              // (optional)
+ *    ifUnmodifiedSince: new Date(),            // Specify this to perform the operation only if the
+ *                                              // resource has not been modified since the specified
+ *                                              // date/time. (optional)
+ *    ifMatch: '...',                           // ETag value. Specify this to perform the operation only
+ *                                              // if the resource's ETag matches the value specified.
+ *                                              // (optional)
+ *    ifNoneMatch: '...',                       // ETag value. Specify this to perform the operation only
+ *                                              // if the resource's ETag does not match the value
+ *                                              // specified. (optional)
  * }
- * ```
- * @returns {Promise} A promise for an object on the form:
+ *```
+ *
+ * @return {Promise} A promise for an object on the form:
  * ```js
  * {
- *   metadata: {                 // Mapping from meta-data keys to values
- *     '<key>':      '<value>',  // Meta-data key/value pair
- *     ...
- *   },
- *   properties: {                // System properties
- *     eTag:          '...',      // The entity tag for the container
- *     lastModified: '...'        // The date and time the container was last modified
- *     leaseStatus: '...',        // The lease status of the container
- *     leaseState:  '...',        // Lease state of the container
- *     leaseDuration: '...',      // Specifies whether the lease on a container is of infinite or fixed duration.
- *     publicAccessLevel: '...',  // Indicates whether data in the container may be accessed publicly and
- *                                // the level of access. If this is not returned in the response,
- *                                // the container is private to the account owner.
- *   }
+ *      eTag: '...',               // The entity tag of the blob
+ *      lastModified: '...',       // The date/time the blob was last modified
+ *      blobSequenceNumber: '...', // The blob's current sequence number (if the blob is a page blob)
  * }
  * ```
  */
-Blob.prototype.getContainerProperties = function getContainerProperties(name, options) {
-  assert(typeof name === 'string', 'The name of the container must be specified and must be a string value.');
+Blob.prototype.setBlobProperties = function setBlobProperties(container, blob, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
+
   var query = {
-    restype: 'container'
-  }
-  var path = '/' + name;
+    comp: 'properties'
+  };
+  var path = '/' + container + '/' + blob;
   var headers = {};
-  if (options && options.leaseId) {
-    assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
-    headers['x-ms-lease-id'] = options.leaseId;
+
+  if (options){
+    if (options.cacheControl) headers['x-ms-blob-cache-control'] = options.cacheControl;
+    if (options.contentType) headers['x-ms-blob-content-type'] = options.contentType;
+    if (options.contentMD5) headers['x-ms-blob-content-md5'] = options.contentMD5;
+    if (options.contentEncoding) headers['x-ms-blob-content-encoding'] = options.contentEncoding;
+    if (options.contentLanguage) headers['x-ms-blob-content-language'] = options.contentLanguage;
+    if (options.contentDisposition) headers['x-ms-blob-content-disposition'] = options.contentDisposition;
+    if (options.pageBlobContentLength !== undefined) {
+      assert(options.pageBlobContentLength % PAGE_SIZE === 0, 'Page blob length must be multiple of ' + PAGE_SIZE + '.');
+      headers['x-ms-blob-content-length'] = options.pageBlobContentLength.toString();
+    }
+    if (options.pageBlobSequenceNumberAction){
+      assert(options.pageBlobSequenceNumberAction === 'max'
+        || options.pageBlobSequenceNumberAction === 'update'
+        || options.pageBlobSequenceNumberAction === 'increment',
+        'The `options.pageBlobSequenceNumberAction` is invalid. The possible values are: max, update and increment.');
+      headers['x-ms-sequence-number-action'] = options.pageBlobSequenceNumberAction;
+      if ((options.pageBlobSequenceNumberAction === 'max'
+        || options.pageBlobSequenceNumberAction === 'update')
+        && options.pageBlobSequenceNumber === undefined) {
+        throw new Error('If `options.pageBlobSequenceNumberAction` is `max` or `update`, the `options.pageBlobSequenceNumber` must be supplied.');
+      }
+      if (options.pageBlobSequenceNumber !== undefined) {
+        headers['x-ms-blob-sequence-number'] = options.pageBlobSequenceNumber.toString();
+      }
+    }
+
+    if (options.leaseId) {
+      assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
+      headers['x-ms-lease-id'] = options.leaseId;
+    }
+    utils.setConditionalHeaders(headers, options);
   }
 
-  return this.request('HEAD', path, query, headers).then(function(response) {
+  return this.request('PUT', path, query, headers).then(function (response) {
     if (response.statusCode !== 200) {
-      throw new Error("getContainerProperties: Unexpected statusCode: " + response.statusCode);
+      throw new Error("setBlobProperties: Unexpected statusCode: " + response.statusCode);
     }
 
-    // Extract metadata
-    var metadata = utils.extractMetadataFromHeaders(response);
-
-    // Extract system properties
-    var properties = {};
-    properties.eTag = response.headers.etag;
-    properties.lastModified = new Date(response.headers['last-modified']);
-    properties.leaseStatus = response.headers['x-ms-lease-status'];
-    properties.leaseState = response.headers['x-ms-lease-state'];
-    if (response.headers['x-ms-lease-duration']) {
-      properties.leaseDuration = response.headers['x-ms-lease-duration'];
-    }
-    if (response.headers['x-ms-blob-public-access']) {
-      properties.publicAccessLevel = response.headers['x-ms-blob-public-access'];
+    var result = {
+      eTag: response.headers['etag'],
+      lastModified: new Date(response.headers['last-modified'])
+    };
+    if (response.headers['x-ms-blob-sequence-number']) {
+      result.blobSequenceNumber = response.headers['x-ms-blob-sequence-number'];
     }
 
-    return {
-      metadata: metadata,
-      properties: properties
-    }
+    return result;
   });
 };
 
 /**
- * Gets the permissions for the container with the given name
+ * Get the metadata for the blob with the given name.
  *
- * @method getContainerACL
- * @param {string} name - Name of the container to get ACL from
+ * Note, this is a `HEAD` request, so if the container is missing you get an
+ * error with `err.statusCode = 404`, but `err.code` property will be
+ * `ErrorWithoutCode`.
+ *
+ * @method getBlobMetadata
+ * @param {string} container - the name of the container
+ * @param {string} blob - the name of the blob
  * @param {object} options - Options on the following form
  * ```js
  * {
- *    leaseId: '...' // GUID string; lease unique identifier (optional)
+ *    ifModifiedSince: new Date(),      // Specify this to perform the operation only if the resource has been
+ *                                      // modified since the specified time. (optional)
+ *    ifUnmodifiedSince: new Date(),    // Specify this to perform the operation only if the resource has not
+ *                                      // been modified since the specified date/time. (optional)
+ *    ifMatch: '...',                   // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag matches the value specified. (optional)
+ *    ifNoneMatch: '...',               // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag does not match the value specified. (optional)
  * }
- * ```
- * @returns {Promise} A promise for permissions
+ *```
+ *
+ * @returns {Promise} a promise for metadata key/value pair
+ * A promise for an object on the form:
  * ```js
  * {
- *    eTag: '...',                      // The entity tag of the container
- *    lastModified: '...',              // The date/time the container was last modified
- *    publicAccessLevel: '...',         // Indicate whether blobs in a container may be accessed publicly.(optional)
- *                                      // Possible values: container (full public read access for container
- *                                      // and blob data) or blob (public read access for blobs)
- *                                      // If it is not specified, the resource will be private and will be
- *                                      // accessed only by the account owner.
- *    accessPolicies: [{                // The container ACL settings.
- *                                      // An array with five maximum access policies objects (optional)
- *      id:     '...',                  // Unique identifier, up to 64 chars in length
- *      start:  new Date(),             // Time from which access policy is valid
- *      expiry: new Date(),             // Expiration of access policy
- *      permission: {                   // Set of permissions delegated
- *        read:              false,     // Read the content, properties, metadata or block list of a blob or, of
- *                                      // any blob in the container if the resource is a container.
- *        add:               false,     // Add a block to an append blob or, to any append blob
- *                                      // if the resource is a container.
- *        create:            false,     // Write a new blob, snapshot a blob, or copy a blob to a new blob.
- *                                      // These operations can be done to any blob in the container
- *                                      // if the resource is a container.
- *        write:             false,     // Create or write content, properties, metadata, or block list.
- *                                      // Snapshot or lease the blob. Resize the blob (page blob only).
- *                                      // These operations can be done for every blob in the container
- *                                      // f the resource is a container.
- *        delete:            false,     // Delete the blob or, any blob in the container if the resource
- *                                      // is a container.
- *        list:              false,     // List blobs in the container.
- *      }
- *    }]
+ *      eTag: '...',               // The entity tag of the blob
+ *      lastModified: '...',       // The date/time the blob was last modified
+ *      metadata: '...'            // Name-value pairs that correspond to the user-defined metadata
+ *                                 // associated with this blob.
  * }
  * ```
  */
-Blob.prototype.getContainerACL = function getContainerACL(name, options){
-  assert(typeof name === 'string', 'The name of the container must be specified and must be a string value.');
+Blob.prototype.getBlobMetadata = function getBlobMetadata(container, blob, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
+
   var query = {
-    restype: 'container',
-    comp: 'acl'
+    comp: 'metadata'
   }
-  var path = '/' + name;
-
+  var path = '/' + container + '/' + blob;
   var headers = {};
-  if (options && options.leaseId) {
-    assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
-    headers['x-ms-lease-id'] = options.leaseId;
-  }
 
-  return this.request('GET', path, query, headers).then(function (response) {
+  utils.setConditionalHeaders(headers, options);
+
+  return this.request('HEAD', path, query, headers).then(function(response) {
     if (response.statusCode !== 200) {
-      throw new Error("getContainerACL: Unexpected statusCode: " + response.statusCode);
+      throw new Error("getBlobMetadata: Unexpected statusCode: " + response.statusCode);
     }
-    return {
-      accessPolicies: xml.blobParseContainerACL(response),
-      publicAccessLevel: response.headers['x-ms-blob-public-access'],
+    var result = {
       eTag: response.headers['etag'],
-      lastModified: new Date(response.headers['last-modified'])
+      lastModified: new Date(response.headers['last-modified']),
+      metadata: utils.extractMetadataFromHeaders(response)
     };
+    return result;
   });
 };
 
 /**
- * Sets the permissions for the container with the given name.
- * The permissions indicate whether blobs in a container may be accessed publicly.
+ * Sets metadata for the specified blob.
+ * Overwrites all existing metadata that is associated with that blob.
  *
- * @method setContainerACL
- * @param {string} name - Name of the container to set ACL to
+ * @method setBlobMetadata
+ * @param {string} container - Name of the container
+ * @param {string} blob - Name of the blob
+ * @param {object} metadata - Mapping from metadata keys to values.
  * @param {object} options - Options on the following form
- *```js
+ * ```js
  * {
- *    publicAccessLevel: '...',       // Indicate whether blobs in a container may be accessed publicly.(optional)
- *                                    // Possible values: container (full public read access for container
- *                                    // and blob data) or blob (public read access for blobs).
- *                                    // If it is not specified, the resource will be private and will be accessed
- *                                    // only by the account owner.
- *    accessPolicies: [{              // The container ACL settings.
- *                                    // An array with five maximum access policies objects (optional)
- *      id:     '...',                // Unique identifier, up to 64 chars in length
- *      start:  new Date(),           // Time from which access policy is valid
- *      expiry: new Date(),           // Expiration of access policy
- *      permission: {                 // Set of permissions delegated
- *        read:              false,   // Read the content, properties, metadata or block list of a blob or of
- *                                    // any blob in the container if the resourceType is a container.
- *        add:               false,   // Add a block to an append blob or to any append blob
- *                                    // if the resourceType is a container.
- *        create:            false,   // Write a new blob, snapshot a blob, or copy a blob to a new blob.
- *                                    // These operations can be done to any blob in the container
- *                                    // if the resourceType is a container.
- *        write:             false,   // Create or write content, properties, metadata, or block list.
- *                                    // Snapshot or lease the blob. Resize the blob (page blob only).
- *                                    // These operations can be done for every blob in the container
- *                                    // if the resourceType is a container.
- *        delete:            false,   // Delete the blob or any blob in the container
- *                                    // if the resourceType is a container.
- *        list:              false,   // List blobs in the container.
- *      }
- *    }],
- *    leaseId: '...',                 // GUID string; lease unique identifier (optional)
- *    ifModifiedSince: new Date(),    // Specify this to perform the operation only if the resource has
- *                                    // been modified since the specified time. (optional)
- *    ifUnmodifiedSince: new Date(),  // Specify this to perform the operation only if the resource has
- *                                    // not been modified since the specified date/time. (optional)
+ *    leaseId: '...',                   // Lease id (required if the blob has an active lease)
+ *    ifModifiedSince: new Date(),      // Specify this to perform the operation only if the resource has been
+ *                                      // modified since the specified time. (optional)
+ *    ifUnmodifiedSince: new Date(),    // Specify this to perform the operation only if the resource has not
+ *                                      // been modified since the specified date/time. (optional)
+ *    ifMatch: '...',                   // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag matches the value specified. (optional)
+ *    ifNoneMatch: '...',               // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag does not match the value specified. (optional)
  * }
- * ```
- * @returns {Promise} a promise for metadata key/value pair
- * A promise for an object on the form:
+ *```
+ * @returns {Promise} A promise for an object on the form:
  * ```js
  * {
- *      eTag: '...',               // The entity tag of the container
- *      lastModified: '...',       // The date/time the container was last modified
+ *      eTag: '...',               // The entity tag of the blob
+ *      lastModified: '...',       // The date/time the blob was last modified.
+ *      versionId: '...'           // The version created by the write, if versioning is enabled
  * }
  * ```
  */
-Blob.prototype.setContainerACL = function setContainerACL(name, options) {
-  assert(typeof name === 'string', 'The name of the container must be specified and must be a string value.');
+Blob.prototype.setBlobMetadata = function setBlobMetadata(container, blob, metadata, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
+
+  // Construct query string
   var query = {
-    restype: 'container',
-    comp: 'acl'
+    comp: 'metadata'
   };
-  var path = '/' + name;
+  // Construct headers
   var headers = {};
-  if (options) {
-    if (options.leaseId) {
-      assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
-      headers['x-ms-lease-id'] = options.leaseId;
-    }
-
-    if (options.publicAccessLevel){
-      assert(options.publicAccessLevel === 'container' || options.publicAccessLevel === 'blob',
-        "The supplied `publicAccessLevel` is incorrect. The possible values are: container and blob")
-      headers['x-ms-blob-public-access'] = options.publicAccessLevel;
-    }
-    if (options.accessPolicies && options.accessPolicies.length > 5){
-      throw new Error("The supplied access policy is wrong. The maximum number of the access policies is 5");
-    }
-
-    // Construct the payload
-    var data = '<?xml version="1.0" encoding="utf-8"?>';
-    data += '<SignedIdentifiers>';
-    if (options.accessPolicies) {
-      options.accessPolicies.forEach(function(policy){
-        assert(/^[0-9a-fA-F]{1,64}$/i.test(policy.id), 'The access policy id is not valid.' );
-
-        data += '<SignedIdentifier><Id>' + policy.id + '</Id>';
-        data += '<AccessPolicy>';
-        if (policy.start) {
-          assert(policy.start instanceof Date, "If specified, policy.start must be a Date object");
-          data += '<Start>' + utils.dateToISOWithoutMS(policy.start) + '</Start>';
-        }
-        if (policy.expiry) {
-          assert(policy.expiry instanceof Date, "If specified, policy.expiry must be a Date object");
-          data += '<Expiry>' + utils.dateToISOWithoutMS(policy.expiry) + '</Expiry>';
-        }
-
-        if (policy.permission) {
-          var permissions = '';
-          if (policy.permission.read)    permissions += 'r';
-          if (policy.permission.add)     permissions += 'a';
-          if (policy.permission.create)  permissions += 'c';
-          if (policy.permission.write)   permissions += 'w';
-          if (policy.permission.delete)  permissions += 'd';
-          if (policy.permission.list)    permissions += 'l';
-
-          data += '<Permission>' + permissions + '</Permission>';
-        }
 
-        data += '</AccessPolicy></SignedIdentifier>';
-      });
-    }
-
-    data += '</SignedIdentifiers>';
-
-    utils.setConditionalHeaders(headers, options, true);
+  if (options && options.leaseId) {
+    assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
+    headers['x-ms-lease-id'] = options.leaseId;
   }
+  utils.setConditionalHeaders(headers, options);
 
-  return this.request('PUT', path, query, headers, data).then(function(response){
-    if(response.statusCode !== 200){
-      throw new Error("setContainerACL: Unexpected statusCode: " + response.statusCode);
+  for(var key in metadata) {
+    if (metadata.hasOwnProperty(key)) {
+      headers['x-ms-meta-' + key] = metadata[key];
+    }
+  }
+  var path = '/' + container + '/' + blob;
+  return this.request('PUT', path, query, headers).then(function(response) {
+    if(response.statusCode !== 200) {
+      throw new Error('setBlobMetadata: Unexpected statusCode: ' + response.statusCode);
     }
 
     return {
-      eTag: response.headers['etag'],
-      lastModified: new Date(response.headers['last-modified'])
+      eTag: response.headers.etag,
+      lastModified: new Date(response.headers['last-modified']),
+      versionId: response.headers['x-ms-version-id']
     }
   });
 };
 
 /**
- * Get the list of blobs under the specified container.
+ * Re-wraps the content encryption key of a client-side encrypted blob with a new key-encryption-key,
+ * without downloading or re-encrypting the content. The current key-encryption-key is resolved using the
+ * `keyResolver` or `keyEncryptionKey` client options, and the encryption metadata is replaced along with
+ * all other metadata of the blob, using `ifMatch` to ensure the blob isn't modified concurrently.
  *
- * @method listBlobs
- * @param {string} container - Name of the container(required)
+ * This allows rotation of key-encryption-keys, by re-wrapping all blobs with the new key before the old key
+ * is retired.
+ *
+ * @method rewrapBlobKey
+ * @param {string} container - Name of the container
+ * @param {string} blob - Name of the blob
+ * @param {object} keyEncryptionKey - New key-encryption-key, see `Blob.createKeyEncryptionKey`
  * @param {object} options - Options on the following form
  * ```js
  * {
- *    prefix: '...',              // Prefix of blobs to list (optional)
- *    delimiter: '...',           // Delimiter, i.e. '/', for specifying folder hierarchy. (optional)
- *    marker: '...',              // Marker to list blobs from (optional)
- *    maxResults: 5000,           // The maximum number of blobs to return (optional)
- *    include: {                  // Specifies one or more datasets to include in the response (optional)
- *      snapshots: false,         // Include snapshots in listing
- *      metadata: false,          // Include blob metadata in listing
- *      uncommittedBlobs: false,  // Include uncommitted blobs in listing
- *      copy: false               // Include metadata related to any current or previous Copy Blob operation
- *    }
+ *    leaseId: '...',                   // Lease id (required if the blob has an active lease)
  * }
  * ```
- * @returns {Promise} A promise for an object on the form:
+ * @returns {Promise} A promise for an object as returned by `setBlobMetadata`. An error with
+ * `err.code = 'BlobNotEncrypted'` is thrown if the blob isn't client-side encrypted.
+ */
+Blob.prototype.rewrapBlobKey = function rewrapBlobKey(container, blob, keyEncryptionKey, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
+  options = options || {};
+
+  var self = this;
+  return this.getBlobProperties(container, blob).then(function(properties) {
+    var metadata = properties.metadata;
+    var envelope = metadata[encryption.ENCRYPTION_METADATA_KEY];
+    if (envelope === undefined) {
+      var err = new Error('Blob ' + container + '/' + blob + ' is not client-side encrypted');
+      err.name = 'BlobNotEncryptedError';
+      err.code = 'BlobNotEncrypted';
+      throw err;
+    }
+    return encryption.rewrapKey(self.options, envelope, keyEncryptionKey).then(function(result) {
+      metadata[encryption.ENCRYPTION_METADATA_KEY] = result;
+      return self.setBlobMetadata(container, blob, metadata, {
+        leaseId: options.leaseId,
+        ifMatch: properties.eTag
+      });
+    });
+  });
+};
+
+/**
+ * Create a key-encryption-key for client-side encryption, that wraps content encryption keys with AES-256
+ * key wrap (RFC 3394) under a 256 bit key.
+ *
+ * Any object on the form `{keyId, wrapKey(key), unwrapKey(wrappedKey)}`, where `wrapKey` and `unwrapKey`
+ * take a Buffer and return a Buffer or a promise for a Buffer, can be used as key-encryption-key, so keys
+ * held in a key vault can be used by implementing this interface.
+ *
+ * @method createKeyEncryptionKey
+ * @static
+ * @param {string} keyId - Identifier of the key, stored in the metadata of encrypted blobs
+ * @param {Buffer} key - 32 byte key
+ * @returns {object} A key-encryption-key on the form `{keyId, algorithm, wrapKey, unwrapKey}`.
+ */
+Blob.createKeyEncryptionKey = encryption.createKeyEncryptionKey;
+
+/**
+ * Sets the index tags of a blob, replacing any existing tags. Tags can be
+ * used to find blobs with `findBlobsByTags`.
+ *
+ * A blob can have at most 10 tags. Tag keys must be 1 to 128 characters and
+ * values at most 256 characters, both may only contain letters, digits, space
+ * and `+ - . / : = _`.
+ *
+ * @method setBlobTags
+ * @param {string} container - Name of the container
+ * @param {string} blob - Name of the blob
+ * @param {object} tags - Name-value pairs of tags, i.e. `{branch: 'main'}`
+ * @param {object} options - Options on the following form
  * ```js
  * {
- *   blobs: [
- *     {
- *       name:       '...',               // Name of blob
- *       snapshot:    '...',              // A date and time value that uniquely identifies the snapshot
- *                                        // relative to its base blob
- *       properties:  {
- *          lastModified: '...',          // The date and time the blob was last modified
- *          eTag: '...',                  // The entity tag of the blob
- *          contentLength: '...',         // The content length of the blob
- *          contentType: '...',           // The MIME content type of the blob
- *          contentEncoding: '...',       // The content encoding of the blob
- *          contentLanguage: '...',       // The content language of the blob
- *          contentMD5: '...',            // An MD5 hash of the blob content
- *          cacheControl: '...',          // The blob cache control
- *          xmsBlobSequenceNumber: '...', // The page blob sequence number
- *          blobType: '...',              // The type of the blob: BlockBlob | PageBlob | AppendBlob
- *          leaseStatus: '...',           // The lease status of the blob
- *          leaseState: '...',            // The lease state of the blob
- *          leaseDuration: '...',         // The lease duration of the blob
- *          copyId: '...',                // String identifier for the copy operation
- *          copyStatus: '...',            // The state of the copy operation: pending | success | aborted | failed
- *          copySource: '...',            // The name of the source blob of the copy operation
- *          copyProgress: '...',          // The bytes copied/total bytes
- *          copyCompletionTime: '...',    // The date and time the copy operation finished
- *          copyStatusDescription: '...', // The status of the copy operation
- *          serverEncrypted: false,       // true if the blob and application metadata are completely encrypted,
- *                                        // and false otherwise
- *          incrementalCopy: '...',       // true for the incremental copy blobs operation and snapshots
- *       }
- *       metadata:   {}                   // Meta-data dictionary if requested
- *     }
- *   ],
- *   blobPrefixName: '...',
- *   prefix:         '...',               // prefix given in options (if given)
- *   marker:         '...',               // marker given in options (if given)
- *   maxResults:     5000,                // maxResults given in options (if given)
- *   nextMarker:     '...'                // Next marker if not at end of list
- *   delimiter:      '...'                // Delimiter
+ *    versionId: '...',                 // The version of the blob to set tags on (optional)
+ *    leaseId: '...',                   // Lease id (required if the blob has an active lease)
  * }
  * ```
+ * @return {Promise} A promise that the tags have been set.
  */
-Blob.prototype.listBlobs = function listBlobs(container, options) {
+Blob.prototype.setBlobTags = function setBlobTags(container, blob, tags, options) {
   assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
-  // Construct the query string
+  assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
+  assertValidTags(tags);
+
   var query = {
-    restype: 'container',
-    comp: 'list'
+    comp: 'tags'
   };
+  var path = '/' + container + '/' + blob;
+  var headers = {};
 
-  assert(container, 'The container name must be specified');
-
-  if (options) {
-    if (options.prefix)     query.prefix      = options.prefix;
-    if (options.marker)     query.marker      = options.marker;
-    if (options.maxResults) query.maxresults  = options.maxResults;
-    if (options.include)  {
-      var includeValues = [];
-      if (options.include.snapshot) includeValues.push('snapshot');
-      if (options.include.metadata) includeValues.push('metadata');
-      if (options.include.uncommittedBlobs) includeValues.push('uncommittedblobs');
-      if (options.include.copy) includeValues.push('copy');
-
-      query.include = includeValues.join(',');
-    }
-    if (options.delimiter)  query.delimiter = options.delimiter;
+  if (options && options.versionId) {
+    query.versionid = options.versionId;
+  }
+  if (options && options.leaseId) {
+    assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
+    headers['x-ms-lease-id'] = options.leaseId;
   }
 
-  var path = '/' + container;
-  var headers = {};
+  var data = '<?xml version="1.0" encoding="utf-8"?><Tags><TagSet>';
+  Object.keys(tags).forEach(function(key) {
+    data += '<Tag><Key>' + key + '</Key><Value>' + tags[key] + '</Value></Tag>';
+  });
+  data += '</TagSet></Tags>';
 
-  return this.request('GET', path, query, headers).then(function(response){
-    if(response.statusCode !== 200){
-      throw new Error("listBlobs: Unexpected statusCode: " + response.statusCode);
+  return this.request('PUT', path, query, headers, data).then(function(response) {
+    if (response.statusCode !== 204) {
+      throw new Error('setBlobTags: Unexpected statusCode: ' + response.statusCode);
     }
-    return xml.blobParseListBlobs(response);
   });
 };
 
 /**
- * Establishes and manages a lock on a container for delete operations.
- * The lock duration can be 15 to 60 seconds, or can be infinite.
+ * Gets the index tags of a blob.
  *
- * @method leaseContainer
- * @param name - Name of the container
+ * @method getBlobTags
+ * @param {string} container - Name of the container
+ * @param {string} blob - Name of the blob
  * @param {object} options - Options on the following form
  * ```js
  * {
- *    leaseId: '...',                   // GUID string; it is required in case of renew, change,
- *                                      // or release of the lease
- *    leaseAction: '...',               // Lease container operation. The possible values are: acquire, renew,
- *                                      // change, release, break (required)
- *    leaseBreakPeriod: '...',          // For a break operation, proposed duration the lease should continue
- *                                      // before it is broken, in seconds, between 0 and 60.
- *    leaseDuration: '...',             // Specifies the duration of the lease, in seconds, or negative one (-1)
- *                                      // for a lease that never expires. Required for `acquire` action.
- *    proposedLeaseId: '...'            // GUID string; Optional for `acquire`, required for `change` action.
- *    ifModifiedSince: new Date(),      // Specify this to perform the operation only if the resource has been
- *                                      // modified since the specified time. (optional)
- *    ifUnmodifiedSince: new Date(),    // Specify this to perform the operation only if the resource has not been
- *                                      // modified since the specified date/time. (optional)
+ *    snapshot: '...',                  // The snapshot timestamp of the blob snapshot to read (optional)
+ *    versionId: '...',                 // The version of the blob to read, can't be combined with
+ *                                      // `snapshot` (optional)
  * }
  * ```
- * @returns {Promise} A promise for an object on the form:
+ * @return {Promise} A promise for an object on the form:
  * ```js
  * {
- *    leaseId: '...',             // The unique lease id.
- *    leaseTime: '...'            // Approximate time remaining in the lease period, in seconds.
- *    eTag: '...',                // The entity tag of the container
- *    lastModified: '...',        // The date/time the container was last modified
+ *    tags: {},                         // Name-value pairs of the tags of the blob
  * }
  * ```
  */
-Blob.prototype.leaseContainer = function leaseContainer(name, options) {
-  assert(typeof name === 'string', 'The name of the container must be specified and must be a string value.');
-  assert(options, "options is required");
+Blob.prototype.getBlobTags = function getBlobTags(container, blob, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
+
   var query = {
-    restype: 'container',
-    comp: 'lease'
+    comp: 'tags'
   };
+  setBlobVersionQuery(query, options);
+  var path = '/' + container + '/' + blob;
 
-  var path = '/' + name;
-  var headers = {};
-
-  assert(options.leaseAction, "The `options.leaseAction` must be given");
-
-  if (options.leaseId) {
-    assert(utils.isValidGUID(options.leaseId), 'The supplied `leaseId` is not a valid GUID');
-    headers['x-ms-lease-id'] = options.leaseId;
-  }
-
-  assert(
-    options.leaseAction === 'acquire'
-    || options.leaseAction === 'renew'
-    || options.leaseAction === 'change'
-    || options.leaseAction === 'release'
-    || options.leaseAction === 'break',
-    'The supplied `options.leaseAction` is not valid. The possible values are: acquire, renew, change, release, break'
-  );
-  headers['x-ms-lease-action'] = options.leaseAction;
-
-  if((options.leaseAction === 'renew'
-    || options.leaseAction === 'change'
-    || options.leaseAction === 'release')
-    && !options.leaseId) {
-    throw new Error('The `options.leaseId` must be given if the `options.leaseAction` is `renew` or `change` or `release`');
-  }
-
-  if (options.leaseBreakPeriod){
-    assert(Number.isInteger(options.leaseBreakPeriod) && (options.leaseBreakPeriod >= 0 || options.leaseBreakPeriod <= 60),
-      'The `options.leaseBreakPeriod` is not valid; it should be a number between 0 and 60');
-    headers['x-ms-lease-break-period'] = this.options.leaseBreakPeriod;
-  }
-
-  if(options.leaseAction === 'acquire' && !options.leaseDuration){
-    throw new Error ('The `options.leaseDuration` must be given if the lease action is `acquire`');
-  }
-
-  if (options.leaseDuration) {
-    assert(options.leaseDuration >= 15 && (options.leaseDuration <= 60 || options.leaseDuration === -1),
-      'The `options.leaseDuration` must be a value between 15 and 60 or -1.');
-    headers['x-ms-lease-duration'] = options.leaseDuration.toString();
-  }
-
-  if (options.leaseAction === 'change' && !options.proposedLeaseId) {
-    throw new Error('The `options.proposedLeaseId` must be given if the lease action is `change`');
-  }
-  if(options.proposedLeaseId){
-    assert(utils.isValidGUID(this.options.leaseId), 'The supplied `proposedLeaseId` is not a valid GUID');
-    headers['x-ms-proposed-lease-id'] = options.proposedLeaseId;
-  }
-
-  utils.setConditionalHeaders(headers, options, true);
-
-  return this.request('PUT', path, query, headers).then(function(response) {
-    if (response.statusCode !== 200 && response.statusCode !== 201 && response.statusCode !== 202) {
-      throw new Error("leaseContainer: Unexpected statusCode: " + response.statusCode);
-    }
-
-    var result = {
-      leaseId: response.headers['x-ms-lease-id'],
-      eTag: response.headers['etag'],
-      lastModified: new Date(response.headers['last-modified'])
-    };
-    if (response.headers['x-ms-lease-time']) {
-      result.leaseTime = response.headers['x-ms-lease-time'];
+  return this.request('GET', path, query, {}).then(function(response) {
+    if (response.statusCode !== 200) {
+      throw new Error('getBlobTags: Unexpected statusCode: ' + response.statusCode);
     }
-    return result;
+    return xml.blobParseTags(response);
   });
 };
 
 /**
- * Creates a new block, page, or append blob, or updates the content of an existing block blob.
- * Updating an existing block blob overwrites any existing metadata on the blob,
- * and the content of the existing blob is overwritten with the content of the new blob.
+ * Establishes and manages a lock on a blob for write and delete operations.
+ * The lock duration can be 15 to 60 seconds, or can be infinite.
  *
- * Note that a call to a putBlob to create a page blob or an append blob only initializes the blob.
- * To add content to a page blob, call the putPage. To add content to an append blob, call the appendBlock.
+ * While a blob has an active lease, writes and deletes must be given the
+ * lease id as `options.leaseId`. See `acquireBlobLease` for a lease that is
+ * renewed automatically.
  *
- * @method putBlob
- * @param {string} container - Name of the container where the blob should be stored
+ * @method leaseBlob
+ * @param {string} container - Name of the container
  * @param {string} blob - Name of the blob
  * @param {object} options - Options on the following form
  * ```js
  * {
- *    metadata: '...',                          // Name-value pairs associated with the blob as metadata
- *    contentType: 'application/octet-stream',  // The MIME content type of the blob (optional)
- *    contentEncoding: '...',                   // Specifies which content encodings have been applied
- *                                              // to the blob. (optional)
- *    contentLanguage: '...',                   // Specifies the natural languages used by this resource(optional)
- *    cacheControl: '...',                      // The Blob service stores this value but does not
- *                                              // use or modify it. (optional)
- *    disableContentMD5Check: 'false',          // Enable/disable the content md5 check is disabled.(optional)
- *    type: BlockBlob|PageBlob|AppendBlob,      // The type of blob to create: block blob, page blob,
- *                                              // or append blob (required)
- *    leaseId: '...',                           // Lease id (required if the blob has an active lease)
- *    contentDisposition: '...',                // Specifies the content disposition of the blob (optional)
- *    ifModifiedSince: new Date(),              // Specify this to perform the operation only if the resource
- *                                              // has been modified since the specified time.
- *    ifUnmodifiedSince: new Date(),            // Specify this to perform the operation only if the resource
- *                                              // has not been modified since the specified date/time.
- *    ifMatch: '...',                           // ETag value. Specify this to perform the operation only if the
- *                                              // resource's ETag matches the value specified.
- *    ifNoneMatch: '...',                       // ETag value. Specify this to perform the operation only if the
- *                                              //resource's ETag does not match the value specified.
- *    pageBlobContentLength: '...',             // Specifies the maximum size for the page blob, up to 1 TB.
- *                                              // (required for page blobs)
- *    pageBlobSequenceNumber: 0,                // The sequence number - a user-controlled value that you can use
- *                                              // to track requests (optional, only for page blobs)
+ *    leaseId: '...',                   // GUID string; it is required in case of renew, change,
+ *                                      // or release of the lease
+ *    leaseAction: '...',               // Lease blob operation. The possible values are: acquire, renew,
+ *                                      // change, release, break (required)
+ *    leaseBreakPeriod: '...',          // For a break operation, proposed duration the lease should continue
+ *                                      // before it is broken, in seconds, between 0 and 60.
+ *    leaseDuration: '...',             // Specifies the duration of the lease, in seconds, or negative one (-1)
+ *                                      // for a lease that never expires. Required for `acquire` action.
+ *    proposedLeaseId: '...'            // GUID string; Optional for `acquire`, required for `change` action.
+ *    ifModifiedSince: new Date(),      // Specify this to perform the operation only if the resource has been
+ *                                      // modified since the specified time. (optional)
+ *    ifUnmodifiedSince: new Date(),    // Specify this to perform the operation only if the resource has not been
+ *                                      // modified since the specified date/time. (optional)
+ *    ifMatch: '...',                   // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag matches the value specified. (optional)
+ *    ifNoneMatch: '...',               // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag does not match the value specified. (optional)
  * }
- *```
- * @param {string|buffer} content - The content of the blob
- * @return {Promise} A promise for an object on the form:
+ * ```
+ * @returns {Promise} A promise for an object on the form:
  * ```js
  * {
- *    eTag: '...',         // The entity tag of the blob
- *    lastModified: '...', // The date/time the blob was last modified
- *    contentMD5: '...',   // The MD5 hash of the blob
+ *    leaseId: '...',             // The unique lease id.
+ *    leaseTime: '...'            // Approximate time remaining in the lease period, in seconds.
+ *    eTag: '...',                // The entity tag of the blob
+ *    lastModified: '...',        // The date/time the blob was last modified
  * }
  * ```
  */
-Blob.prototype.putBlob = function putBlob(container, blob, options, content) {
+Blob.prototype.leaseBlob = function leaseBlob(container, blob, options) {
   assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
   assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
   assert(options, "options is required");
-  assert(options.type, 'The blob type must be specified');
-  assert(options.type === 'BlockBlob'
-    || options.type === 'PageBlob'
-    || options.type === 'AppendBlob',
-    'The blob type is invalid. The possible types are: BlockBlob, PageBlob or AppendBlob.');
-
-  if (options.type === 'PageBlob' && content) {
-    throw new Error('Do not include content when a page blob is created. Use putPage() to add/modify the content of a page blob');
-  }
-  if(options.type === 'AppendBlob' && content) {
-    throw new Error('Do not include content when an append blob is created. Use appendBlock() to add content to the end of the append blob');
-  }
-
-  if ((options.type === 'BlockBlob'
-    || options.type === 'AppendBlob')) {
 
-    if (options.pageBlobContentLength) {
-      throw new Error('Do not include page blob content length to a block blob or to an append blob.');
-    }
-    if (options.pageBlobSequenceNumber) {
-      throw new Error('Do not include page blob sequence number to a block blob or to an append blob.');
-    }
-  }
-
-  // check the content length
-  var contentLength = 0;
-  if (content && Buffer.isBuffer(content)) {
-    contentLength = content.length;
-  } else if (content) {
-    contentLength = Buffer.byteLength(content);
-  }
-
-  if (options.type === 'BlockBlob'
-    && contentLength > MAX_SINGLE_UPLOAD_BLOCK_BLOB_SIZE_IN_BYTES) {
-    throw new Error('The maximum size of a block blob that can be uploaded with putBlob() is ' + MAX_SINGLE_UPLOAD_BLOCK_BLOB_SIZE_IN_BYTES + '.' +
-      'In order to upload larger blobs, use putBlock() and putBlockList()');
-  }
-  if (options.type === 'PageBlob'){
-    if (options.pageBlobContentLength % PAGE_SIZE !== 0) {
-      throw new Error('Page blob length must be multiple of ' + PAGE_SIZE + '.');
-    }
-    if (options.pageBlobContentLength < MAX_PAGE_SIZE) {
-      throw new Error('The maximum size of the page blob (options.pageBlobContentLength) is ' + MAX_PAGE_SIZE + '.');
-    }
-    if (options.pageBlobSequenceNumber && typeof options.pageBlobSequenceNumber !== 'number') {
-      throw new Error('The `options.pageBlobSequenceNumber` is invalid. It must be a number');
-    }
-    if (options.pageBlobSequenceNumber
-      && options.pageBlobSequenceNumber >= 0
-      && options.pageBlobSequenceNumber < Math.pow(2, 63)) {
-      throw new Error('The `options.pageBlobSequenceNumber` is invalid. It must be a number between 0 and 2^63 - 1');
-    }
-  }
-
-  var query = {};
+  var query = {
+    comp: 'lease'
+  };
   var path = '/' + container + '/' + blob;
   var headers = {};
 
-  headers['content-length'] = options.type === 'PageBlob' || options.type === 'AppendBlob' ? 0 : contentLength;
-
-  if (options.contentType) {
-    headers['content-type'] = options.contentType;
-  }
-  if (options.contentEncoding) {
-    headers['content-encoding'] = options.contentEncoding;
-  }
-  if (options.contentLanguage) {
-    headers['content-language'] = options.contentLanguage;
-  }
-  if (options.cacheControl) {
-    headers['cache-control'] = options.cacheControl;
-  }
-
-  headers['x-ms-blob-type'] = options.type;
-
-  if (!options.disableContentMD5Check && options.type === 'BlockBlob' && content) {
-    headers['content-md5'] = utils.md5(content);
-  }
-
-  if (options.contentDisposition) {
-    headers['x-ms-blob-content-disposition'] = options.contentDisposition;
-  }
+  setLeaseHeaders(headers, options);
 
-  // support for condition headers
   utils.setConditionalHeaders(headers, options);
 
-  if (options.pageBlobContentLength) {
-    headers['x-ms-blob-content-length'] = options.pageBlobContentLength;
-  }
-  if (options.pageBlobSequenceNumber) {
-    headers['x-ms-blob-sequence-number'] = options.pageBlobSequenceNumber;
-  }
-
-  // add metadata
-  if (options.metadata){
-    for(var key in options.metadata) {
-      if (options.metadata.hasOwnProperty(key)) {
-        headers['x-ms-meta-' + key] = options.metadata[key];
-      }
+  return this.request('PUT', path, query, headers).then(function(response) {
+    if (response.statusCode !== 200 && response.statusCode !== 201 && response.statusCode !== 202) {
+      throw new Error("leaseBlob: Unexpected statusCode: " + response.statusCode);
     }
-  }
+    return leaseResult(response);
+  });
+};
 
-  return this.request('PUT', path, query, headers, content).then(function(response){
-    if(response.statusCode !== 201) {
-      throw new Error("putBlob: Unexpected statusCode: " + response.statusCode);
+/**
+ * Acquire a lease on a blob and return a `BlobLease` handle that renews the
+ * lease in the background until `release()` is called. This makes it possible
+ * to use a blob as an exclusive lock. If renewal fails the handle emits
+ * `lost`, see `BlobLease` for details.
+ *
+ * @method acquireBlobLease
+ * @param {string} container - Name of the container
+ * @param {string} blob - Name of the blob
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    leaseDuration: 60,                // Duration of the lease in seconds, between 15 and 60, or -1 for
+ *                                      // a lease that never expires and isn't renewed. (defaults to 60)
+ *    renewInterval: 30000,             // Interval between renewals in ms, must be less than the
+ *                                      // lease duration. (defaults to half the lease duration)
+ *    proposedLeaseId: '...',           // GUID string; lease id to acquire the lease with (optional)
+ *    ifModifiedSince: new Date(),      // Specify this to perform the operation only if the resource has been
+ *                                      // modified since the specified time. (optional)
+ *    ifUnmodifiedSince: new Date(),    // Specify this to perform the operation only if the resource has not been
+ *                                      // modified since the specified date/time. (optional)
+ *    ifMatch: '...',                   // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag matches the value specified. (optional)
+ *    ifNoneMatch: '...',               // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag does not match the value specified. (optional)
+ * }
+ * ```
+ * @returns {Promise} A promise for a `BlobLease` with the lease id as `leaseId`.
+ */
+Blob.prototype.acquireBlobLease = function acquireBlobLease(container, blob, options) {
+  var self = this;
+  options = options || {};
+  var leaseDuration = options.leaseDuration || 60;
+  var renewInterval = options.renewInterval;
+  if (leaseDuration !== -1) {
+    if (renewInterval === undefined) {
+      renewInterval = leaseDuration * 1000 / 2;
     }
+    assert(renewInterval > 0 && renewInterval < leaseDuration * 1000,
+      'The `options.renewInterval` must be positive and less than the lease duration');
+  }
 
-    return {
-      eTag: response.headers['etag'],
-      lastModified: new Date(response.headers['last-modified']),
-      contentMD5: response.headers['content-md5']
-    }
+  return self.leaseBlob(container, blob, Object.assign({}, options, {
+    leaseAction:    'acquire',
+    leaseDuration:  leaseDuration
+  })).then(function(result) {
+    return new BlobLease(self, container, blob, {
+      leaseId:        result.leaseId,
+      leaseDuration:  leaseDuration,
+      renewInterval:  renewInterval
+    });
   });
 };
 
 /**
- * Reads or downloads a blob from the system, including its metadata and properties.
+ * Creates a read-only snapshot of a blob.
  *
- * @method getBlob
- * @param {string} container - Name of the container where the blob should be stored
+ * @method snapshotBlob
+ * @param {string} container - Name of the container
  * @param {string} blob - Name of the blob
  * @param {object} options - Options on the following form
  * ```js
  * {
+ *    leaseId: '...',                   // Lease id (required if the blob has an active lease)
+ *    metadata: '...',                  // Name-value pairs associated with the snapshot as metadata. If not
+ *                                      // given, the snapshot carries the metadata of the base blob. (optional)
  *    ifModifiedSince: new Date(),      // Specify this to perform the operation only if the resource has been
  *                                      // modified since the specified time. (optional)
- *    ifUnmodifiedSince: new Date(),    // Specify this to perform the operation only if the resource has not
- *                                      // been modified since the specified date/time. (optional)
+ *    ifUnmodifiedSince: new Date(),    // Specify this to perform the operation only if the resource has not been
+ *                                      // modified since the specified date/time. (optional)
  *    ifMatch: '...',                   // ETag value. Specify this to perform the operation only if the resource's
  *                                      // ETag matches the value specified. (optional)
  *    ifNoneMatch: '...',               // ETag value. Specify this to perform the operation only if the resource's
@@ -1673,66 +4864,66 @@ Blob.prototype.putBlob = function putBlob(container, blob, options, content) {
  * @return {Promise} A promise for an object on the form:
  * ```js
  * {
- *    eTag: '...',                    // The entity tag of the blob
- *    lastModified: '...',            // The date/time the blob was last modified.
- *    contentType: '...',             // The content type specified for the blob
- *    contentMD5: '...',              // The MD5 hash fo the blob
- *    contentEncoding: '...',         // The content encoding of the blob
- *    contentLanguage: '...',         // The content language of the blob
- *    cacheControl: '...',            // The cache control of the blob
- *    contentDisposition: '...',      // The content disposition of the blob
- *    pageBlobSequenceNumber: '...',  // The current sequence number for a page blob.
- *    type: '...',                    // The blob type: block, page or append blob.
- *    blobCommittedBlockCount: '...', // The number of committed blocks present in the blob.
- *                                    // This is returned only for append blobs.
- *    metadata: '...',                // Name-value pairs associated with the blob as metadata
- *    content: '...'                  // The content
+ *    snapshot: '...',     // The snapshot timestamp, which identifies the snapshot
+ *    eTag: '...',         // The entity tag of the snapshot
+ *    lastModified: '...', // The date/time the snapshot was last modified
+ *    versionId: '...',    // The version of the base blob captured by the snapshot, if versioning is enabled
  * }
  * ```
  */
-Blob.prototype.getBlob = function getBlob(container, blob, options) {
+Blob.prototype.snapshotBlob = function snapshotBlob(container, blob, options) {
   assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
   assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
 
-  var query = {};
+  var query = {
+    comp: 'snapshot'
+  };
   var path = '/' + container + '/' + blob;
   var headers = {};
 
+  if (options && options.metadata) {
+    for(var key in options.metadata) {
+      if (options.metadata.hasOwnProperty(key)) {
+        headers['x-ms-meta-' + key] = options.metadata[key];
+      }
+    }
+  }
+  if (options && options.leaseId) {
+    assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
+    headers['x-ms-lease-id'] = options.leaseId;
+  }
   utils.setConditionalHeaders(headers, options);
 
-  return this.request('GET', path, query, headers).then(function (response) {
-    if (response.statusCode !== 200) {
-      throw new Error("getBlob: Unexpected statusCode: " + response);
+  return this.request('PUT', path, query, headers).then(function(response) {
+    if (response.statusCode !== 201) {
+      throw new Error('snapshotBlob: Unexpected statusCode: ' + response.statusCode);
     }
-    var responseHeaders = response.headers;
 
     return {
-      contentType: response.headers['content-type'],
-      contentMD5: responseHeaders['content-md5'],
-      contentEncoding: responseHeaders['content-encoding'],
-      contentLanguage: responseHeaders['content-language'],
-      cacheControl: responseHeaders['cache-control'],
-      contentDisposition: responseHeaders['content-disposition'],
-      pageBlobSequenceNumber: responseHeaders['x-ms-blob-sequence-number'],
-      blobCommittedBlockCount: responseHeaders['x-ms-blob-committed-block-count'],
-      metadata: utils.extractMetadataFromHeaders(response),
-      type: responseHeaders['x-ms-blob-type'],
-      eTag: responseHeaders['etag'],
-      lastModified: new Date(responseHeaders['last-modified']),
-      content: response.payload
+      snapshot: response.headers['x-ms-snapshot'],
+      eTag: response.headers['etag'],
+      lastModified: new Date(response.headers['last-modified']),
+      versionId: response.headers['x-ms-version-id']
     };
   });
 };
 
 /**
- * Returns all user-defined metadata, standard HTTP properties, and system properties for the blob.
+ * Marks the specified blob for deletion. The blob is later deleted during garbage collection.
  *
- * @method getBlobProperties
+ * @method deleteBlob
  * @param {string} container - Name of the container
  * @param {string} blob - Name of the blob
  * @param {object} options - Options on the following form
  * ```js
  * {
+ *    leaseId: '...',                   // Lease id (required if the blob has an active lease)
+ *    snapshot: '...',                  // The snapshot timestamp of the blob snapshot to delete (optional)
+ *    versionId: '...',                 // The version of the blob to delete, can't be combined with
+ *                                      // `snapshot` (optional)
+ *    deleteSnapshots: 'include|only',  // Required if the blob has snapshots, `include` deletes the blob and
+ *                                      // all of its snapshots, `only` deletes only the snapshots.
+ *                                      // Can't be combined with `snapshot` or `versionId`. (optional)
  *    ifModifiedSince: new Date(),      // Specify this to perform the operation only if the resource has been
  *                                      // modified since the specified time. (optional)
  *    ifUnmodifiedSince: new Date(),    // Specify this to perform the operation only if the resource has not been
@@ -1743,32 +4934,9 @@ Blob.prototype.getBlob = function getBlob(container, blob, options) {
  *                                      // ETag does not match the value specified. (optional)
  * }
  *```
- *
- * @return {Promise} A promise for an object on the form:
- * ```js
- * {
- *    metadata: '...',                // Name-value pairs that correspond to the user-defined metadata
- *                                    // associated with this blob.
- *    lastModified: '...',            // The date/time the blob was last modified.
- *    type: '...',                    // The blob type
- *    leaseDuration: '...',           // When a blob is leased, specifies whether the lease is of
- *                                    // infinite or fixed duration
- *    leaseState: '...',              // Lease state of the blob
- *    leaseStatus: '...',             // The lease status of the blob.
- *    contentLength: '...',           // The size of the blob in bytes
- *    contentType: '...',             // The content type specified for the blob
- *    eTag: '...',                    // The blob Etag
- *    contentMD5: '...'               // The content-md5 of the blob
- *    contentEncoding: '...',         // The content encoding of the blob
- *    contentLanguage: '...'          // The content language of the blob
- *    contentDisposition: '...',      // The content disposition of the blob
- *    cacheControl: '...',            // The cache control of the blob
- *    pageBlobSequenceNumber: '...',  // The current sequence number for a page blob.
- *    committedBlockCount: '...',     // The number of committed blocks present in the blob (for append blob).
- * }
- * ```
+ * @return {Promise} A promise that container has been marked for deletion.
  */
-Blob.prototype.getBlobProperties = function getBlobProperties(container, blob, options) {
+Blob.prototype.deleteBlob = function deleteBlob(container, blob, options) {
   assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
   assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
 
@@ -1776,346 +4944,513 @@ Blob.prototype.getBlobProperties = function getBlobProperties(container, blob, o
   var path = '/' + container + '/' + blob;
   var headers = {};
 
-  utils.setConditionalHeaders(headers, options);
-
-  return this.request('HEAD', path, query, headers).then(function (response) {
-    if (response.statusCode !== 200) {
-      throw new Error("getBlobProperties: Unexpected statusCode: " + response);
+  setBlobVersionQuery(query, options);
+  if (options) {
+    if (options.deleteSnapshots) {
+      assert(options.deleteSnapshots === 'include' || options.deleteSnapshots === 'only',
+        'The `options.deleteSnapshots` is invalid. The possible values are: include and only');
+      assert(!options.snapshot && !options.versionId,
+        'The `options.deleteSnapshots` can not be used when deleting a snapshot or a version');
+      headers['x-ms-delete-snapshots'] = options.deleteSnapshots;
     }
+  }
 
-    /**
-     * TODO information about:
-     * - copyCompletionTime,
-     * - copyStatusDescription,
-     * - copyStatusDescription,
-     * - copyId,
-     * - copyProgress,
-     * - copySource,
-     * - copyStatus,
-     * - copyDestinationSnapshot
-     * - incrementalCopy
-     *
-     * will be added after the copyBlob will be implemented
-     */
-    var result = {
-      metadata: utils.extractMetadataFromHeaders(response),
-      type: response.headers['x-ms-blob-type'],
-      leaseState: response.headers['x-ms-lease-state'],
-      leaseStatus: response.headers['x-ms-lease-status'],
-      contentLength: response.headers['content-length'],
-      contentType: response.headers['content-type'],
-      eTag: response.headers['etag']
-    };
-    if (response.headers['last-modified']) {
-      result.lastModified = new Date(response.headers['last-modified']);
-    }
-    if (response.headers['x-ms-lease-duration']) {
-      result.leaseDuration = response.headers['x-ms-lease-duration'];
-    }
-    if (response.headers['content-md5']) {
-      result.contentMD5 = response.headers['content-md5'];
-    }
-    if (response.headers['content-encoding']) {
-      result.contentEncoding = response.headers['content-encoding'];
-    }
-    if (response.headers['content-language']) {
-      result.contentLanguage = response.headers['content-language'];
-    }
-    if (response.headers['content-disposition']) {
-      result.contentDisposition = response.headers['content-disposition'];
-    }
-    if (response.headers['content-control']) {
-      result.cacheControl = response.headers['content-control'];
-    }
-    if (response.headers['x-ms-blob-sequence-number']) {
-      result.pageBlobSequenceNumber = response.headers['x-ms-blob-sequence-number'];
-    }
-    if (response.headers['x-ms-blob-committed-block-count']) {
-      result.committedBlockCount = response.headers['x-ms-blob-committed-block-count'];
+  if (options && options.leaseId) {
+    assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
+    headers['x-ms-lease-id'] = options.leaseId;
+  }
+  utils.setConditionalHeaders(headers, options);
+
+  return this.request('DELETE', path, query, headers).then(function(response) {
+    if(response.statusCode !== 202) {
+      throw new Error('deleteBlob: Unexpected statusCode: ' + response.statusCode);
     }
-    return result;
   });
 };
 
 /**
- * Sets system properties on the blob
+ * Restores the contents and metadata of a soft-deleted blob and any associated soft-deleted snapshots.
+ * This requires a `deleteRetentionPolicy` to be enabled in the service properties, and the blob to be within
+ * the retention period. Undeleting a blob that isn't deleted has no effect.
  *
- * @method setBlobProperties
+ * @method undeleteBlob
  * @param {string} container - Name of the container
  * @param {string} blob - Name of the blob
+ * @returns {Promise} A promise that the blob has been restored.
+ */
+Blob.prototype.undeleteBlob = function undeleteBlob(container, blob) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
+
+  var query = {
+    comp: 'undelete'
+  };
+  var path = '/' + container + '/' + blob;
+
+  return this.request('PUT', path, query, {}).then(function(response) {
+    if(response.statusCode !== 200) {
+      throw new Error('undeleteBlob: Unexpected statusCode: ' + response.statusCode);
+    }
+  });
+};
+
+/**
+ * Marks a list of blobs for deletion using the Blob Batch API. The blobs are submitted in batches of up to 256
+ * blobs, with `options.concurrency` batches in flight. Blobs failing with transient errors are retried using the
+ * configured retry policy. The promise doesn't reject if individual blobs fail to be deleted, instead the
+ * errors are reported per blob. Batches are sent with version 2020-04-08, if the client is configured with an
+ * older version.
+ *
+ * @method deleteBlobs
+ * @param {string} container - Name of the container
+ * @param {Array} blobs - List of blob names, or objects on the form `{name, snapshot, versionId}` to delete
+ *                        a snapshot or a version of a blob
  * @param {object} options - Options on the following form
  * ```js
  * {
- *    cacheControl: '...',                      // The cache control string for the blob (optional)
- *                                              // If this property is not specified, then the property
- *                                              // will be cleared for the blob.
- *    contentType: '...',                       // The MIME content type of the blob (optional)
- *                                              // If this property is not specified, then the property
- *                                              // will be cleared for the blob.
- *    contentMD5: '...',                        // The MD5 hash of the blob (optional)
- *                                              // If this property is not specified, then the property
- *                                              // will be cleared for the blob.
- *    contentEncoding: '...',                   // The content encodings of the blob. (optional)
- *                                              // If this property is not specified, then the property
- *                                              // will be cleared for the blob.
- *    contentLanguage: '...',                   // The content language of the blob. (optional)
- *                                              // If this property is not specified, then the property
- *                                              // will be cleared for the blob.
- *    contentDisposition: '...',                // The content disposition (optional)
- *                                              // If this property is not specified, then the property
- *                                              // will be cleared for the blob.
- *    pageBlobContentLength: '...',             // The new size of a page blob. If the specified value is
- *                                              // less than the current size of the blob, then all pages
- *                                              // above the specified value are cleared.
- *                                              // This property applies to page blobs only.
- *    pageBlobSequenceNumberAction:
- *              'max|update|increment',         // Indicates how the service should modify the blob's
- *                                              // sequence number.
- *                                              // - max: Sets the sequence number to be the higher of the
- *                                              //        value included with the request and the value
- *                                              //        currently stored for the blob.
- *                                              // - update: Sets the sequence number to the value
- *                                              //           included with the request.
- *                                              // - increment: Increments the value of the sequence
- *                                              //              number by 1.
- *                                              // This property applies to page blobs only. (optional)
- *    pageBlobSequenceNumber: '...',            // The page blob sequence number.
- *                                              // Optional, but required if the
- *                                              // `pageBlobSequenceNumberAction` option is set to `max`
- *                                              // or `update`.
- *                                              // This property applies to page blobs only.
- *    ifModifiedSince: new Date(),              // Specify this to perform the operation only if the
- *                                              // resource has been modified since the specified time.
- *                                              // (optional)
- *    ifUnmodifiedSince: new Date(),            // Specify this to perform the operation only if the
- *                                              // resource has not been modified since the specified
- *                                              // date/time. (optional)
- *    ifMatch: '...',                           // ETag value. Specify this to perform the operation only
- *                                              // if the resource's ETag matches the value specified.
- *                                              // (optional)
- *    ifNoneMatch: '...',                       // ETag value. Specify this to perform the operation only
- *                                              // if the resource's ETag does not match the value
- *                                              // specified. (optional)
+ *    deleteSnapshots: 'include|only',  // Delete the snapshots of the blobs, see `deleteBlob`. Not applied to
+ *                                      // entries with a `snapshot` or `versionId` (optional)
+ *    concurrency: 4,                   // Number of batches in flight (optional)
  * }
- *```
+ * ```
+ * @return {Promise} A promise for an object on the form:
+ * ```js
+ * {
+ *    succeeded: 2,                     // Number of blobs deleted
+ *    failed: 1,                        // Number of blobs that failed to be deleted
+ *    results: [                        // Result for each blob, in the order given
+ *      {
+ *        name: '...',                  // Name of the blob
+ *        snapshot: '...',              // Snapshot of the blob, if given
+ *        versionId: '...',             // Version of the blob, if given
+ *        statusCode: 202,              // Status code of the sub-response, null if none was received
+ *        error: null,                  // Error for the blob, with `err.code` as for `deleteBlob`, or null
+ *      },
+ *      ...
+ *    ]
+ * }
+ * ```
+ */
+Blob.prototype.deleteBlobs = function deleteBlobs(container, blobs, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(Array.isArray(blobs), 'The `blobs` must be an array');
+  options = options || {};
+  if (options.deleteSnapshots) {
+    assert(options.deleteSnapshots === 'include' || options.deleteSnapshots === 'only',
+      'The `options.deleteSnapshots` is invalid. The possible values are: include and only');
+  }
+
+  var requests = blobs.map(function(item) {
+    var entry = batchEntry(item);
+    var query = {};
+    var headers = {};
+    setBlobVersionQuery(query, entry);
+    if (options.deleteSnapshots && !entry.snapshot && !entry.versionId) {
+      headers['x-ms-delete-snapshots'] = options.deleteSnapshots;
+    }
+    return {
+      entry: entry,
+      method: 'DELETE',
+      path: '/' + container + '/' + entry.name,
+      query: query,
+      headers: headers
+    };
+  });
+
+  return runBatches(this, container, requests, options);
+};
+
+/**
+ * Copies a blob to a destination within the storage account, or from a blob in another storage account.
+ * The copy operation is performed asynchronously by the service, use `waitForCopy` to wait for it to
+ * complete, or `abortCopyBlob` to abort a pending copy operation.
  *
+ * @method copyBlob
+ * @param {string} container - Name of the destination container
+ * @param {string} blob - Name of the destination blob
+ * @param {string} source - URL of the source blob, a blob in another account must be public or the URL
+ *                          must carry a shared-access-signature. A blob within the same storage account may
+ *                          also be given as `'<container>/<blob>'`.
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    sourceSnapshot: '...',              // The snapshot timestamp of the source blob snapshot to copy
+ *                                        // (optional)
+ *    sourceVersionId: '...',             // The version of the source blob to copy, can't be combined
+ *                                        // with `sourceSnapshot`. Copying a previous version of a blob
+ *                                        // over the blob restores that version. (optional)
+ *    leaseId: '...',                     // Lease id (required if the blob has an active lease)
+ *    metadata: '...',                    // Name-value pairs associated with the destination blob as
+ *                                        // metadata. If not given, the metadata is copied from the
+ *                                        // source blob. (optional)
+ *    sourceIfModifiedSince: new Date(),  // Copy only if the source blob has been modified since the
+ *                                        // specified time. (optional)
+ *    sourceIfUnmodifiedSince: new Date(),// Copy only if the source blob has not been modified since the
+ *                                        // specified date/time. (optional)
+ *    sourceIfMatch: '...',               // ETag value. Copy only if the source blob's ETag matches the
+ *                                        // value specified. (optional)
+ *    sourceIfNoneMatch: '...',           // ETag value. Copy only if the source blob's ETag does not match
+ *                                        // the value specified. (optional)
+ *    ifModifiedSince: new Date(),        // Specify this to perform the operation only if the destination
+ *                                        // blob has been modified since the specified time. (optional)
+ *    ifUnmodifiedSince: new Date(),      // Specify this to perform the operation only if the destination
+ *                                        // blob has not been modified since the specified date/time.
+ *                                        // (optional)
+ *    ifMatch: '...',                     // ETag value. Specify this to perform the operation only if the
+ *                                        // destination blob's ETag matches the value specified. (optional)
+ *    ifNoneMatch: '...',                 // ETag value. Specify this to perform the operation only if the
+ *                                        // destination blob's ETag does not match the value specified.
+ *                                        // (optional)
+ * }
+ * ```
  * @return {Promise} A promise for an object on the form:
  * ```js
  * {
- *      eTag: '...',               // The entity tag of the blob
- *      lastModified: '...',       // The date/time the blob was last modified
- *      blobSequenceNumber: '...', // The blob's current sequence number (if the blob is a page blob)
+ *    eTag: '...',         // The entity tag of the destination blob
+ *    lastModified: '...', // The date/time the destination blob was last modified
+ *    copyId: '...',       // String identifier for the copy operation
+ *    copyStatus: '...',   // The state of the copy operation: success | pending
+ *    versionId: '...',    // The version created by the copy, if versioning is enabled
  * }
  * ```
  */
-Blob.prototype.setBlobProperties = function setBlobProperties(container, blob, options) {
+Blob.prototype.copyBlob = function copyBlob(container, blob, source, options) {
   assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
   assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
+  assert(typeof source === 'string', 'The source must be specified and must be a string value.');
 
-  var query = {
-    comp: 'properties'
-  };
+  var query = {};
   var path = '/' + container + '/' + blob;
   var headers = {};
 
-  if (options){
-    if (options.cacheControl) headers['x-ms-blob-cache-control'] = options.cacheControl;
-    if (options.contentType) headers['x-ms-blob-content-type'] = options.contentType;
-    if (options.contentMD5) headers['x-ms-blob-content-md5'] = options.contentMD5;
-    if (options.contentEncoding) headers['x-ms-blob-content-encoding'] = options.contentEncoding;
-    if (options.contentLanguage) headers['x-ms-blob-content-language'] = options.contentLanguage;
-    if (options.contentDisposition) headers['x-ms-blob-content-disposition'] = options.contentDisposition;
-    if (options.pageBlobContentLength) headers['x-ms-blob-content-length'] = options.pageBlobContentLength;
-    if (options.pageBlobSequenceNumberAction){
-      assert(options.pageBlobSequenceNumberAction === 'max'
-        || options.pageBlobSequenceNumberAction === 'update'
-        || options.pageBlobSequenceNumberAction === 'increment',
-        'The `options.pageBlobSequenceNumberAction` is invalid. The possible values are: max, update and increment.');
-      headers['x-ms-sequence-number-action'] = options.pageBlobSequenceNumberAction;
-      if (options.pageBlobSequenceNumberAction === 'max'
-        || options.pageBlobSequenceNumberAction === 'update'
-        && !options.pageBlobSequenceNumber) {
-        throw new Error('If `options.pageBlobSequenceNumberAction` is `max` or `update`, the `options.pageBlobSequenceNumber` must be supplied.');
+  if (/^https?:\/\//.test(source)) {
+    headers['x-ms-copy-source'] = source;
+  } else {
+    headers['x-ms-copy-source'] = endpointURL(this) + '/' + source.replace(/^\//, '');
+  }
+
+  if (options) {
+    assert(!(options.sourceSnapshot && options.sourceVersionId),
+      'The `options.sourceSnapshot` and `options.sourceVersionId` can not be combined');
+    var separator = headers['x-ms-copy-source'].indexOf('?') === -1 ? '?' : '&';
+    if (options.sourceSnapshot) {
+      headers['x-ms-copy-source'] += separator + 'snapshot=' + encodeURIComponent(options.sourceSnapshot);
+    }
+    if (options.sourceVersionId) {
+      headers['x-ms-copy-source'] += separator + 'versionid=' + encodeURIComponent(options.sourceVersionId);
+    }
+    if (options.metadata) {
+      for(var key in options.metadata) {
+        if (options.metadata.hasOwnProperty(key)) {
+          headers['x-ms-meta-' + key] = options.metadata[key];
+        }
       }
-      if (options.pageBlobSequenceNumber) headers['x-ms-blob-sequence-number'] = options.pageBlobSequenceNumber;
     }
-
+    setSourceConditionalHeaders(headers, options);
+    if (options.leaseId) {
+      assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
+      headers['x-ms-lease-id'] = options.leaseId;
+    }
     utils.setConditionalHeaders(headers, options);
   }
 
-  return this.request('PUT', path, query, headers).then(function (response) {
-    if (response.statusCode !== 200) {
-      throw new Error("setBlobProperties: Unexpected statusCode: " + response);
+  return this.request('PUT', path, query, headers).then(function(response) {
+    if (response.statusCode !== 202) {
+      throw new Error('copyBlob: Unexpected statusCode: ' + response.statusCode);
     }
 
-    var result = {
+    return {
       eTag: response.headers['etag'],
-      lastModified: new Date(response.headers['last-modified'])
+      lastModified: new Date(response.headers['last-modified']),
+      copyId: response.headers['x-ms-copy-id'],
+      copyStatus: response.headers['x-ms-copy-status'],
+      versionId: response.headers['x-ms-version-id']
     };
-    if (response.headers['x-ms-blob-sequence-number']) {
-      result.blobSequenceNumber = response.headers['x-ms-blob-sequence-number'];
-    }
+  });
+};
 
-    return result;
+/**
+ * Aborts a pending copy operation, and leaves a destination blob with zero length and full metadata.
+ *
+ * @method abortCopyBlob
+ * @param {string} container - Name of the destination container
+ * @param {string} blob - Name of the destination blob
+ * @param {string} copyId - Identifier of the copy operation, as returned by `copyBlob`
+ * @return {Promise} A promise that the copy operation has been aborted
+ */
+Blob.prototype.abortCopyBlob = function abortCopyBlob(container, blob, copyId) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
+  assert(typeof copyId === 'string', 'The copyId must be specified and must be a string value.');
+
+  var query = {
+    comp: 'copy',
+    copyid: copyId
+  };
+  var path = '/' + container + '/' + blob;
+  var headers = {
+    'x-ms-copy-action': 'abort'
+  };
+
+  return this.request('PUT', path, query, headers).then(function(response) {
+    if (response.statusCode !== 204) {
+      throw new Error('abortCopyBlob: Unexpected statusCode: ' + response.statusCode);
+    }
   });
 };
 
 /**
- * Get the metadata for the blob with the given name.
+ * Waits for a copy operation to complete by polling `getBlobProperties` of the destination blob until the
+ * copy status is no longer `pending`.
  *
- * Note, this is a `HEAD` request, so if the container is missing you get an
- * error with `err.statusCode = 404`, but `err.code` property will be
- * `ErrorWithoutCode`.
+ * If the copy operation fails or is aborted, the promise is rejected with an error with `err.code` set to
+ * `CopyFailed` or `CopyAborted`, and the blob properties as `err.properties`.
  *
- * @method getBlobMetadata
- * @param {string} container - the name of the container
- * @param {string} blob - the name of the blob
+ * @method waitForCopy
+ * @param {string} container - Name of the destination container
+ * @param {string} blob - Name of the destination blob
  * @param {object} options - Options on the following form
  * ```js
  * {
- *    ifModifiedSince: new Date(),      // Specify this to perform the operation only if the resource has been
- *                                      // modified since the specified time. (optional)
- *    ifUnmodifiedSince: new Date(),    // Specify this to perform the operation only if the resource has not
- *                                      // been modified since the specified date/time. (optional)
- *    ifMatch: '...',                   // ETag value. Specify this to perform the operation only if the resource's
- *                                      // ETag matches the value specified. (optional)
- *    ifNoneMatch: '...',               // ETag value. Specify this to perform the operation only if the resource's
- *                                      // ETag does not match the value specified. (optional)
+ *    copyId: '...',      // Identifier of the copy operation to wait for, if the blob is found to be the
+ *                        // destination of another copy operation an error is thrown. (optional)
+ *    interval: 1000,     // Delay between polls in ms (optional)
+ *    timeout: 0,         // Maximum time to wait in ms, zero for no limit (optional)
  * }
- *```
+ * ```
+ * @return {Promise} A promise for the blob properties, as returned by `getBlobProperties`, once the copy
+ * operation has completed successfully.
+ */
+Blob.prototype.waitForCopy = function waitForCopy(container, blob, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
+  options = options || {};
+  var interval = options.interval || 1000;
+  var deadline = options.timeout ? Date.now() + options.timeout : Infinity;
+
+  var self = this;
+  function poll() {
+    return self.getBlobProperties(container, blob).then(function(properties) {
+      if (options.copyId && properties.copyId !== options.copyId) {
+        throw new Error('waitForCopy: The blob is not the destination of copy operation ' + options.copyId);
+      }
+      if (properties.copyStatus === 'success') {
+        return properties;
+      }
+      if (properties.copyStatus === 'failed' || properties.copyStatus === 'aborted') {
+        var code = properties.copyStatus === 'failed' ? 'CopyFailed' : 'CopyAborted';
+        var err = new Error('Copy operation ' + properties.copyStatus + ': ' +
+                            properties.copyStatusDescription);
+        err.name = code + 'Error';
+        err.code = code;
+        err.properties = properties;
+        throw err;
+      }
+      if (properties.copyStatus !== 'pending') {
+        throw new Error('waitForCopy: The blob is not the destination of a copy operation');
+      }
+      if (Date.now() + interval > deadline) {
+        var err = new Error('Timed out waiting for copy operation, progress: ' + properties.copyProgress);
+        err.name = 'CopyTimeoutError';
+        err.code = 'CopyTimeout';
+        err.properties = properties;
+        throw err;
+      }
+      debug("Copy of %s/%s pending, progress: %s", container, blob, properties.copyProgress);
+      return utils.sleep(interval).then(poll);
+    });
+  }
+  return poll();
+};
+
+/**
+ * Sets the access tier of a blob. Block blobs can be moved between the Hot, Cool and Archive tiers, page blobs
+ * in premium storage accounts between the P4 to P80 tiers.
  *
- * @returns {Promise} a promise for metadata key/value pair
- * A promise for an object on the form:
+ * Moving a blob out of the Archive tier rehydrates it, which can take hours. The blob remains in the Archive
+ * tier until rehydration has finished, use `waitForRehydration` to wait for it.
+ *
+ * @method setBlobTier
+ * @param {string} container - Name of the container
+ * @param {string} blob - Name of the blob
+ * @param {string} tier - The new access tier: Hot, Cool, Archive, or P4 - P80 for premium page blobs
+ * @param {object} options - Options on the following form
  * ```js
  * {
- *      eTag: '...',               // The entity tag of the blob
- *      lastModified: '...',       // The date/time the blob was last modified
- *      metadata: '...'            // Name-value pairs that correspond to the user-defined metadata
- *                                 // associated with this blob.
+ *    rehydratePriority: 'Standard|High', // Priority of rehydration when moving a blob out of the Archive
+ *                                        // tier (optional)
+ *    leaseId: '...',                     // Lease id (required if the blob has an active lease)
+ * }
+ * ```
+ * @return {Promise} A promise for an object on the form:
+ * ```js
+ * {
+ *    rehydrating: false,  // true, if the blob is being rehydrated from the Archive tier
  * }
  * ```
  */
-Blob.prototype.getBlobMetadata = function getBlobMetadata(container, blob, options) {
+Blob.prototype.setBlobTier = function setBlobTier(container, blob, tier, options) {
   assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
   assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
+  assert(ACCESS_TIER_PATTERN.test(tier), 'The access tier is invalid. The possible values are: Hot, Cool, ' +
+    'Archive and P4 - P80');
 
   var query = {
-    comp: 'metadata'
-  }
+    comp: 'tier'
+  };
   var path = '/' + container + '/' + blob;
   var headers = {};
+  headers['x-ms-access-tier'] = tier;
 
-  utils.setConditionalHeaders(headers, options);
+  if (options) {
+    if (options.rehydratePriority) {
+      assert(options.rehydratePriority === 'Standard' || options.rehydratePriority === 'High',
+        'The `options.rehydratePriority` is invalid. The possible values are: Standard and High');
+      headers['x-ms-rehydrate-priority'] = options.rehydratePriority;
+    }
+    if (options.leaseId) {
+      assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
+      headers['x-ms-lease-id'] = options.leaseId;
+    }
+  }
 
-  return this.request('HEAD', path, query, headers).then(function(response) {
-    if (response.statusCode !== 200) {
-      throw new Error("getBlobMetadata: Unexpected statusCode: " + response.statusCode);
+  return this.request('PUT', path, query, headers).then(function(response) {
+    if (response.statusCode !== 200 && response.statusCode !== 202) {
+      throw new Error('setBlobTier: Unexpected statusCode: ' + response.statusCode);
     }
-    var result = {
-      eTag: response.headers['etag'],
-      lastModified: new Date(response.headers['last-modified']),
-      metadata: utils.extractMetadataFromHeaders(response)
+    return {
+      rehydrating: response.statusCode === 202
     };
-    return result;
   });
 };
 
 /**
- * Sets metadata for the specified blob.
- * Overwrites all existing metadata that is associated with that blob.
+ * Sets the access tier of a list of blobs using the Blob Batch API, see `setBlobTier`. The blobs are submitted
+ * in batches of up to 256 blobs, with `options.concurrency` batches in flight. Blobs failing with transient
+ * errors are retried using the configured retry policy. The promise doesn't reject if the tier of individual
+ * blobs fails to be set, instead the errors are reported per blob. Batches are sent with version 2020-04-08,
+ * if the client is configured with an older version.
  *
- * @method setBlobMetadata
- * @param {string} container - Name of the container
- * @param {string} blob - Name of the blob
- * @param {object} metadata - Mapping from metadata keys to values.
- * @param {object} options - Options on the following form
- * ```js
- * {
- *    ifModifiedSince: new Date(),      // Specify this to perform the operation only if the resource has been
- *                                      // modified since the specified time. (optional)
- *    ifUnmodifiedSince: new Date(),    // Specify this to perform the operation only if the resource has not
- *                                      // been modified since the specified date/time. (optional)
- *    ifMatch: '...',                   // ETag value. Specify this to perform the operation only if the resource's
- *                                      // ETag matches the value specified. (optional)
- *    ifNoneMatch: '...',               // ETag value. Specify this to perform the operation only if the resource's
- *                                      // ETag does not match the value specified. (optional)
+ * @method setBlobTiers
+ * @param {string} container - Name of the container
+ * @param {Array} blobs - List of blob names, or objects on the form `{name, snapshot, versionId}` to set the
+ *                        tier of a snapshot or a version of a blob
+ * @param {string} tier - The new access tier: Hot, Cool, Archive, or P4 - P80 for premium page blobs
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    rehydratePriority: 'Standard|High', // Priority of rehydration when moving blobs out of the Archive
+ *                                        // tier (optional)
+ *    concurrency: 4,                     // Number of batches in flight (optional)
  * }
- *```
- * @returns {Promise} A promise for an object on the form:
+ * ```
+ * @return {Promise} A promise for an object on the form:
  * ```js
  * {
- *      eTag: '...',               // The entity tag of the blob
- *      lastModified: '...'        // The date/time the blob was last modified.
+ *    succeeded: 2,                       // Number of blobs for which the tier was set
+ *    failed: 1,                          // Number of blobs for which the tier failed to be set
+ *    results: [                          // Result for each blob, in the order given
+ *      {
+ *        name: '...',                    // Name of the blob
+ *        snapshot: '...',                // Snapshot of the blob, if given
+ *        versionId: '...',               // Version of the blob, if given
+ *        statusCode: 200,                // Status code of the sub-response, 202 if the blob is being
+ *                                        // rehydrated, null if no response was received
+ *        error: null,                    // Error for the blob, with `err.code` as for `setBlobTier`, or null
+ *      },
+ *      ...
+ *    ]
  * }
  * ```
  */
-Blob.prototype.setBlobMetadata = function setBlobMetadata(container, blob, metadata, options) {
+Blob.prototype.setBlobTiers = function setBlobTiers(container, blobs, tier, options) {
   assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
-  assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
-
-  // Construct query string
-  var query = {
-    comp: 'metadata'
-  };
-  // Construct headers
-  var headers = {};
-
-  utils.setConditionalHeaders(headers, options);
-
-  for(var key in metadata) {
-    if (metadata.hasOwnProperty(key)) {
-      headers['x-ms-meta-' + key] = metadata[key];
-    }
+  assert(Array.isArray(blobs), 'The `blobs` must be an array');
+  assert(ACCESS_TIER_PATTERN.test(tier), 'The access tier is invalid. The possible values are: Hot, Cool, ' +
+    'Archive and P4 - P80');
+  options = options || {};
+  if (options.rehydratePriority) {
+    assert(options.rehydratePriority === 'Standard' || options.rehydratePriority === 'High',
+      'The `options.rehydratePriority` is invalid. The possible values are: Standard and High');
   }
-  var path = '/' + container + '/' + blob;
-  return this.request('PUT', path, query, headers).then(function(response) {
-    if(response.statusCode !== 200) {
-      throw new Error('setBlobMetadata: Unexpected statusCode: ' + response.statusCode);
-    }
 
-    return {
-      eTag: response.headers.etag,
-      lastModified: new Date(response.headers['last-modified'])
+  var requests = blobs.map(function(item) {
+    var entry = batchEntry(item);
+    var query = {
+      comp: 'tier'
+    };
+    var headers = {};
+    headers['x-ms-access-tier'] = tier;
+    if (options.rehydratePriority) {
+      headers['x-ms-rehydrate-priority'] = options.rehydratePriority;
     }
+    setBlobVersionQuery(query, entry);
+    return {
+      entry: entry,
+      method: 'PUT',
+      path: '/' + container + '/' + entry.name,
+      query: query,
+      headers: headers
+    };
   });
+
+  return runBatches(this, container, requests, options);
 };
 
 /**
- * Marks the specified blob for deletion. The blob is later deleted during garbage collection.
+ * Wait for a blob to be rehydrated from the Archive tier, by polling `getBlobProperties` until the blob is no
+ * longer pending rehydration. Rehydration is started with `setBlobTier`.
  *
- * @method deleteBlob
+ * If the blob isn't being rehydrated and is still in the Archive tier, an error with code `NotRehydrating`
+ * is thrown, if the timeout expires an error with code `RehydrationTimeout` is thrown. These errors have the
+ * last blob properties in `err.properties`.
+ *
+ * @method waitForRehydration
  * @param {string} container - Name of the container
  * @param {string} blob - Name of the blob
  * @param {object} options - Options on the following form
  * ```js
  * {
- *    ifModifiedSince: new Date(),      // Specify this to perform the operation only if the resource has been
- *                                      // modified since the specified time. (optional)
- *    ifUnmodifiedSince: new Date(),    // Specify this to perform the operation only if the resource has not been
- *                                      // modified since the specified date/time. (optional)
- *    ifMatch: '...',                   // ETag value. Specify this to perform the operation only if the resource's
- *                                      // ETag matches the value specified. (optional)
- *    ifNoneMatch: '...',               // ETag value. Specify this to perform the operation only if the resource's
- *                                      // ETag does not match the value specified. (optional)
+ *    interval: 60 * 1000,  // Delay between polls in ms (optional)
+ *    timeout: 0,           // Maximum time to wait in ms, zero for no limit (optional)
  * }
- *```
- * @return {Promise} A promise that container has been marked for deletion.
+ * ```
+ * @return {Promise} A promise for the blob properties, as returned by `getBlobProperties`, once the blob has
+ * been rehydrated.
  */
-Blob.prototype.deleteBlob = function deleteBlob(container, blob, options) {
+Blob.prototype.waitForRehydration = function waitForRehydration(container, blob, options) {
   assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
   assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
+  options = options || {};
+  var interval = options.interval || 60 * 1000;
+  var deadline = options.timeout ? Date.now() + options.timeout : Infinity;
 
-  var query = {};
-  var path = '/' + container + '/' + blob;
-  var headers = {};
-
-  utils.setConditionalHeaders(headers, options);
-
-  return this.request('DELETE', path, query, headers).then(function(response) {
-    if(response.statusCode !== 202) {
-      throw new Error('deleteBlob: Unexpected statusCode: ' + response.statusCode);
-    }
-  });
+  var self = this;
+  function poll() {
+    return self.getBlobProperties(container, blob).then(function(properties) {
+      var pending = /^rehydrate-pending-to-/.test(properties.archiveStatus || '');
+      if (!pending && properties.accessTier !== 'Archive') {
+        return properties;
+      }
+      if (!pending) {
+        var err = new Error('waitForRehydration: The blob is in the Archive tier and isn\'t being rehydrated');
+        err.name = 'NotRehydratingError';
+        err.code = 'NotRehydrating';
+        err.properties = properties;
+        throw err;
+      }
+      if (Date.now() + interval > deadline) {
+        var err = new Error('Timed out waiting for rehydration, status: ' + properties.archiveStatus);
+        err.name = 'RehydrationTimeoutError';
+        err.code = 'RehydrationTimeout';
+        err.properties = properties;
+        throw err;
+      }
+      debug("Rehydration of %s/%s pending, status: %s", container, blob, properties.archiveStatus);
+      return utils.sleep(interval).then(poll);
+    });
+  }
+  return poll();
 };
 
 /**
@@ -2127,6 +5462,7 @@ Blob.prototype.deleteBlob = function deleteBlob(container, blob, options) {
  * @param {object} options - Options on the following form
  * ```js
  * {
+ *    leaseId: '...',                  // Lease id (required if the blob has an active lease)
  *    blockId: '...',                  // A valid Base64 string value that identifies the block
  *                                     // For a given blob, the length of the value specified for the
  *                                     // blockId must be the same size for each block.(required)
@@ -2173,6 +5509,11 @@ Blob.prototype.putBlock = function putBlock(container, blob, options, content) {
     headers['content-md5'] = utils.md5(content);
   }
 
+  if (options.leaseId) {
+    assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
+    headers['x-ms-lease-id'] = options.leaseId;
+  }
+
   return this.request('PUT', path, query, headers, content).then(function(response) {
     if(response.statusCode !== 201) {
       throw new Error('putBlock: Unexpected statusCode: ' + response.statusCode);
@@ -2184,6 +5525,91 @@ Blob.prototype.putBlock = function putBlock(container, blob, options, content) {
   });
 };
 
+/**
+ * Creates a new block to be committed as part of a blob, with content read by the service from a range of a
+ * source URL. The source must be readable by URL, see `putBlobFromUrl`.
+ *
+ * @method putBlockFromUrl
+ * @param {string} container - Name of the container
+ * @param {string} blob - Name of the blob
+ * @param {string} source - URL of the source
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    blockId: '...',                     // A valid Base64 string value that identifies the block, see
+ *                                        // `putBlock` (required)
+ *    sourceOffset: 0,                    // Offset of the range of the source to read (optional)
+ *    sourceCount: 1024,                  // Number of bytes to read from the source, at most 100 MiB
+ *                                        // (required if `sourceOffset` is given)
+ *    sourceContentMD5: '...',            // Base64 encoded MD5 hash of the range read, the service fails the
+ *                                        // request if the content read doesn't match (optional)
+ *    leaseId: '...',                     // Lease id (required if the blob has an active lease)
+ *    sourceIfModifiedSince: new Date(),  // Read only if the source has been modified since the specified
+ *                                        // time. (optional)
+ *    sourceIfUnmodifiedSince: new Date(),// Read only if the source has not been modified since the
+ *                                        // specified date/time. (optional)
+ *    sourceIfMatch: '...',               // ETag value. Read only if the source's ETag matches the value
+ *                                        // specified. (optional)
+ *    sourceIfNoneMatch: '...',           // ETag value. Read only if the source's ETag does not match the
+ *                                        // value specified. (optional)
+ * }
+ * ```
+ * @return {Promise} A promise for an object on the form:
+ * ```js
+ * {
+ *    contentMD5: '...',   // The MD5 hash of the block
+ *    contentCRC64: '...', // The CRC64 of the block, if no `sourceContentMD5` was given
+ * }
+ * ```
+ */
+Blob.prototype.putBlockFromUrl = function putBlockFromUrl(container, blob, source, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
+  assertSourceUrl(source);
+  assert(options, 'options is required');
+  assert(options.blockId, 'The block identifier must be specified');
+
+  var blockIdLength = Buffer.from(options.blockId, 'base64').length;
+  assert(blockIdLength <= 64, 'The block id is invalid. It must be less than or equal to 64 bytes in size.');
+
+  var query = {
+    comp: 'block',
+    blockid: options.blockId
+  };
+  var path = '/' + container + '/' + blob;
+  var headers = {};
+  headers['content-length'] = 0;
+  headers['x-ms-copy-source'] = source;
+
+  if (options.sourceOffset !== undefined || options.sourceCount !== undefined) {
+    var sourceOffset = options.sourceOffset || 0;
+    assert(typeof sourceOffset === 'number' && sourceOffset >= 0,
+      'The `options.sourceOffset` must be a non-negative number');
+    assert(typeof options.sourceCount === 'number' && options.sourceCount > 0 &&
+      options.sourceCount <= MAX_BLOCK_FROM_URL_SIZE,
+      'The `options.sourceCount` must be a positive number less than or equal to ' + MAX_BLOCK_FROM_URL_SIZE);
+    headers['x-ms-source-range'] = 'bytes=' + sourceOffset + '-' + (sourceOffset + options.sourceCount - 1);
+  }
+  if (options.sourceContentMD5) {
+    headers['x-ms-source-content-md5'] = options.sourceContentMD5;
+  }
+  setSourceConditionalHeaders(headers, options);
+  if (options.leaseId) {
+    assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
+    headers['x-ms-lease-id'] = options.leaseId;
+  }
+
+  return this.request('PUT', path, query, headers).then(function(response) {
+    if (response.statusCode !== 201) {
+      throw new Error('putBlockFromUrl: Unexpected statusCode: ' + response.statusCode);
+    }
+    return {
+      contentMD5: response.headers['content-md5'],
+      contentCRC64: response.headers['x-ms-content-crc64']
+    };
+  });
+};
+
 /**
  * Writes a blob by specifying the list of block IDs that make up the blob.
  * In order to be written as part of a blob, a block must have been successfully written
@@ -2195,6 +5621,7 @@ Blob.prototype.putBlock = function putBlock(container, blob, options, content) {
  * @param {object} options - Options on the following form
  * ```js
  * {
+ *    leaseId: '...',                   // Lease id (required if the blob has an active lease)
  *    cacheControl: '...',              // Blob's cache control (optional)
  *    contentType: '...',               // Blob's content type (optional)
  *    contentEncoding: '...',           // Blob's content encoding (optional)
@@ -2202,6 +5629,11 @@ Blob.prototype.putBlock = function putBlock(container, blob, options, content) {
  *    metadata: '...',                  // Name-value pairs that correspond to the user-defined metadata
  *                                      // associated with this blob.
  *    contentDisposition: '...',        // Blob's content disposition
+ *    blobContentMD5: '...',            // Base64 encoded MD5 hash of the entire blob, stored as the blob's
+ *                                      // content MD5. Not validated by the service. (optional)
+ *    accessTier: 'Hot|Cool|Archive',   // The access tier of the blob (optional)
+ *    tags: {branch: 'main'},           // Index tags of the blob, sent as `x-ms-tags`, see `setBlobTags`
+ *                                      // (optional)
  *    ifModifiedSince: new Date(),      // Specify this to perform the operation only if the resource has been
  *                                      // modified since the specified time. (optional)
  *    ifUnmodifiedSince: new Date(),    // Specify this to perform the operation only if the resource has not been
@@ -2228,6 +5660,7 @@ Blob.prototype.putBlock = function putBlock(container, blob, options, content) {
  * {
  *    eTag: '...',         // The entity tag of the blob
  *    lastModified: '...', // The date/time the blob was last modified.
+ *    versionId: '...',    // The version created by the write, if versioning is enabled
  * }
  */
 Blob.prototype.putBlockList = function putBlockList(container, blob, options) {
@@ -2241,7 +5674,6 @@ Blob.prototype.putBlockList = function putBlockList(container, blob, options) {
   var path = '/' + container + '/' + blob;
   var headers = {};
 
-  // TODO content-md5 check
   if (options) {
     var data = '<?xml version="1.0" encoding="utf-8"?>';
     data += '<BlockList>';
@@ -2286,6 +5718,18 @@ Blob.prototype.putBlockList = function putBlockList(container, blob, options) {
     if (options.contentDisposition) {
       headers['x-ms-blob-content-disposition'] = options.contentDisposition;
     }
+    if (options.blobContentMD5) {
+      headers['x-ms-blob-content-md5'] = options.blobContentMD5;
+    }
+    if (options.accessTier) {
+      assert(ACCESS_TIER_PATTERN.test(options.accessTier), 'The `options.accessTier` is not a valid access tier');
+      headers['x-ms-access-tier'] = options.accessTier;
+    }
+    setTagsHeader(headers, options);
+    if (options.leaseId) {
+      assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
+      headers['x-ms-lease-id'] = options.leaseId;
+    }
     utils.setConditionalHeaders(headers, options);
   }
 
@@ -2296,6 +5740,7 @@ Blob.prototype.putBlockList = function putBlockList(container, blob, options) {
     return {
       eTag: response.headers['etag'],
       lastModified: new Date(response.headers['last-modified']),
+      versionId: response.headers['x-ms-version-id']
     }
   });
 };
@@ -2351,45 +5796,537 @@ Blob.prototype.getBlockList = function getBlockList(container, blob, options) {
     query.blocklisttype = options.blockListType;
   }
 
-  var path = '/' + container + '/' + blob;
-  var headers = {};
-
-  return this.request('GET', path, query, headers).then(function(response) {
-    if(response.statusCode !== 200) {
-      throw new Error('getBlockList: Unexpected statusCode: ' + response.statusCode);
+  var path = '/' + container + '/' + blob;
+  var headers = {};
+
+  return this.request('GET', path, query, headers).then(function(response) {
+    if(response.statusCode !== 200) {
+      throw new Error('getBlockList: Unexpected statusCode: ' + response.statusCode);
+    }
+
+    var result = xml.blobParseListBlock(response);
+
+    // The ETag is returned only if the blob has committed blocks
+    if (response.headers['ETag']) {
+      result.eTag = response.headers['ETag'];
+    }
+
+    return result;
+  });
+};
+
+/**
+ * Generates a base64 string that identifies a block.
+ *
+ * @method getBlockId
+ * @param {string} prefix - the prefix of the block id
+ * @param {number} blockNumber - the block number
+ * @param {number} length - length of the block id
+ *
+ * @return {string} - a base64 string as a block identifier
+ */
+Blob.prototype.getBlockId = function getBlockId(prefix, blockNumber, length) {
+  assert (typeof prefix === 'string', 'prefix must be specified and must be a string value and must be a string value.');
+  assert (typeof blockNumber === 'number', 'blockNumber must be specified and must be a number.');
+  assert (length, 'The block id length must be specified');
+
+  var paddingStr = blockNumber + '';
+  while (paddingStr.length < length){
+    paddingStr = '0' + paddingStr;
+  }
+  return new Buffer(prefix + '-' + paddingStr).toString('base64');
+};
+
+/**
+ * Uploads the content of a readable stream as a block blob.
+ *
+ * If the stream ends within the first block, the content is uploaded with a single `putBlob` request.
+ * Otherwise the stream is split into blocks of `blockSize` bytes that are uploaded concurrently with
+ * `putBlock`, and committed with `putBlockList` once the stream has ended. At most `concurrency` blocks are
+ * held in memory at any time, and the MD5 hash of the entire content is stored as the blob's content MD5.
+ *
+ * If `options.resume` is set, the uncommitted blocks of the blob are read with `getBlockList`, and blocks
+ * that were already uploaded by a previous attempt with the same `blockIdPrefix` and `blockSize` are not
+ * uploaded again. Block ids are derived from the prefix, the index and the MD5 hash of the block content, so
+ * only blocks with the same content are skipped, even if an upload of other content left blocks of the same
+ * size behind.
+ *
+ * If `options.compress` is given, the stream is compressed as it is uploaded. If a key-encryption-key is given,
+ * the stream is encrypted client-side as it is uploaded, after compression, see `putBlob`. The `contentMD5`
+ * and `contentLength` returned are those of the bytes stored. With encryption `options.resume` is not
+ * supported, as the content is encrypted with a new key for every attempt.
+ *
+ * @method uploadStream
+ * @param {string} container - Name of the container where the blob should be stored
+ * @param {string} blob - Name of the blob
+ * @param {stream.Readable} readable - Stream with the content of the blob
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    blockSize: 4 * 1024 * 1024,       // Size of the blocks in bytes, at most 4 MiB (optional)
+ *    concurrency: 4,                   // Maximum number of concurrent block uploads (optional)
+ *    resume: false,                    // Skip blocks uploaded by a previous attempt (optional)
+ *    blockIdPrefix: 'block',           // Prefix for the block identifiers, at most 32 characters (optional)
+ *    metadata: '...',                  // Name-value pairs associated with the blob as metadata (optional)
+ *    contentType: '...',               // The MIME content type of the blob (optional)
+ *    contentEncoding: '...',           // The content encodings applied to the blob (optional)
+ *    contentLanguage: '...',           // The natural languages used by this resource (optional)
+ *    cacheControl: '...',              // The cache control of the blob (optional)
+ *    contentDisposition: '...',        // The content disposition of the blob (optional)
+ *    compress: 'gzip|br|deflate',      // Compress the stream, setting `contentEncoding` (optional)
+ *    keyEncryptionKey: {...},          // Key-encryption-key to encrypt the blob with, overriding the client
+ *                                      // option, `null` disables encryption (optional)
+ *    ifModifiedSince: new Date(),      // Specify this to perform the operation only if the resource has been
+ *                                      // modified since the specified time. (optional)
+ *    ifUnmodifiedSince: new Date(),    // Specify this to perform the operation only if the resource has not been
+ *                                      // modified since the specified date/time. (optional)
+ *    ifMatch: '...',                   // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag matches the value specified. (optional)
+ *    ifNoneMatch: '...',               // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag does not match the value specified. (optional)
+ * }
+ * ```
+ * @return {Promise} A promise for an object on the form:
+ * ```js
+ * {
+ *    eTag: '...',         // The entity tag of the blob
+ *    lastModified: '...', // The date/time the blob was last modified
+ *    contentMD5: '...',   // The MD5 hash of the blob
+ *    contentLength: 1024, // The number of bytes uploaded
+ *    blockCount: 1,       // The number of blocks committed, zero if uploaded with putBlob
+ *    versionId: '...',    // The version created by the write, if versioning is enabled
+ * }
+ * ```
+ */
+Blob.prototype.uploadStream = function uploadStream(container, blob, readable, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
+  assert(readable && typeof readable.read === 'function', 'The readable must be a readable stream');
+  options = options || {};
+  var blockSize = options.blockSize || MAX_BLOCK_SIZE;
+  var concurrency = options.concurrency || DEFAULT_TRANSFER_CONCURRENCY;
+  var blockIdPrefix = options.blockIdPrefix || 'block';
+  assert(blockSize > 0 && blockSize <= MAX_BLOCK_SIZE,
+    'The `options.blockSize` must be a positive number less than or equal to ' + MAX_BLOCK_SIZE);
+  assert(blockIdPrefix.length <= 32, 'The `options.blockIdPrefix` must be at most 32 characters');
+
+  var self = this;
+
+  // Upload the stream through a compressor, and then a cipher, if requested
+  if (options.compress) {
+    assert(utils.isCompressionEncoding(options.compress), 'The `options.compress` must be gzip, br or deflate');
+    assert(!options.contentEncoding || options.contentEncoding === options.compress,
+      'The `options.contentEncoding` can\'t be given with `options.compress`');
+    var compressed = utils.compressStream(options.compress);
+    stream.pipeline(readable, compressed, function() {});
+    return this.uploadStream(container, blob, compressed, Object.assign({}, options, {
+      compress: undefined,
+      contentEncoding: options.compress
+    }));
+  }
+  var keyEncryptionKey = uploadKeyEncryptionKey(this, options);
+  if (keyEncryptionKey) {
+    assert(!options.resume, 'The `options.resume` is not supported with client-side encryption');
+    return encryption.createEncryptStream(keyEncryptionKey).then(function(result) {
+      stream.pipeline(readable, result.stream, function() {});
+      return self.uploadStream(container, blob, result.stream, encryptedUploadOptions(options, result.metadata));
+    });
+  }
+
+  var hash = crypto.createHash('md5');
+  var contentLength = 0;
+  var blockIds = [];
+  var uncommitted = {};
+  var inflight = new Set();
+  var failure = null;
+  var readChunk = chunkReader(readable, blockSize);
+  var prefetched = [];
+
+  // Upload a block, unless it was uploaded by a previous attempt
+  function uploadBlock(blockId, chunk) {
+    if (uncommitted[blockId] === chunk.length) {
+      debug("Skipping block %s of %s/%s uploaded by previous attempt", blockId, container, blob);
+      return Promise.resolve();
+    }
+    return self.putBlock(container, blob, {blockId: blockId, leaseId: options.leaseId}, chunk);
+  }
+
+  // Read chunks and upload them as blocks, with at most `concurrency` pending uploads
+  function pump(chunk) {
+    if (failure) {
+      throw failure;
+    }
+    if (chunk === null) {
+      return Promise.all(inflight);
+    }
+    hash.update(chunk);
+    contentLength += chunk.length;
+    // Derive the block id from the content, so a resumed upload only skips
+    // blocks with the same content
+    var blockId = self.getBlockId(blockIdPrefix + '-' + utils.md5(chunk), blockIds.length, 5);
+    blockIds.push(blockId);
+    var upload = uploadBlock(blockId, chunk).then(function() {
+      inflight.delete(upload);
+    });
+    // Stop reading from the stream as soon as an upload fails
+    upload.catch(function(err) {
+      failure = failure || err;
+    });
+    inflight.add(upload);
+    return Promise.resolve(inflight.size >= concurrency ? Promise.race(inflight) : null).then(function() {
+      return prefetched.length > 0 ? prefetched.shift() : readChunk();
+    }).then(pump);
+  }
+
+  var first;
+  return readChunk().then(function(chunk) {
+    first = chunk || Buffer.alloc(0);
+    if (first.length < blockSize) {
+      return null;
+    }
+    return readChunk();
+  }).then(function(second) {
+    // Upload with a single request, if the content fits in the first block
+    if (second === null) {
+      var putOptions = Object.assign({}, options, {type: 'BlockBlob'});
+      return self.putBlob(container, blob, putOptions, first).then(function(result) {
+        return {
+          eTag: result.eTag,
+          lastModified: result.lastModified,
+          contentMD5: utils.md5(first),
+          contentLength: first.length,
+          blockCount: 0,
+          versionId: result.versionId
+        };
+      });
+    }
+
+    return Promise.resolve(options.resume ? self.getBlockList(container, blob, {
+      blockListType: 'uncommitted'
+    }).then(function(result) {
+      result.uncommittedBlocks.forEach(function(block) {
+        uncommitted[block.blockId] = parseInt(block.size);
+      });
+    }, function(err) {
+      if (err.code !== 'BlobNotFound') {
+        throw err;
+      }
+    }) : null).then(function() {
+      prefetched.push(second);
+      return pump(first);
+    }).then(function() {
+      var contentMD5 = hash.digest('base64');
+      var commitOptions = Object.assign({}, options, {
+        blobContentMD5: contentMD5,
+        latestBlockIds: blockIds
+      });
+      return self.putBlockList(container, blob, commitOptions).then(function(result) {
+        return {
+          eTag: result.eTag,
+          lastModified: result.lastModified,
+          contentMD5: contentMD5,
+          contentLength: contentLength,
+          blockCount: blockIds.length,
+          versionId: result.versionId
+        };
+      });
+    });
+  });
+};
+
+/**
+ * Uploads a local file as a block blob, see `uploadStream` for details.
+ *
+ * @method uploadFile
+ * @param {string} container - Name of the container where the blob should be stored
+ * @param {string} blob - Name of the blob
+ * @param {string} filename - Path of the file to upload
+ * @param {object} options - Options as accepted by `uploadStream`
+ * @return {Promise} A promise for an object as returned by `uploadStream`
+ */
+Blob.prototype.uploadFile = function uploadFile(container, blob, filename, options) {
+  assert(typeof filename === 'string', 'The filename must be specified and must be a string value.');
+  var readable = fs.createReadStream(filename);
+  return this.uploadStream(container, blob, readable, options).catch(function(err) {
+    readable.destroy();
+    throw err;
+  });
+};
+
+/**
+ * Writes the content of a source URL to a block blob, without passing the content through the client.
+ *
+ * The length of the source is found with a HEAD request, unless given as `options.sourceLength`. If the
+ * source fits in a single block, it is written with a single `putBlobFromUrl` request. Otherwise the source
+ * is split into ranges of `blockSize` bytes that are written concurrently with `putBlockFromUrl`, and
+ * committed with `putBlockList`. Each block is read only if the source still has the entity tag returned by
+ * the HEAD request, so a source modified during the copy fails with a `CannotVerifyCopySource` error
+ * rather than producing a blob mixing old and new content.
+ *
+ * The source must be readable by URL, see `putBlobFromUrl`.
+ *
+ * @method uploadFromUrl
+ * @param {string} container - Name of the container
+ * @param {string} blob - Name of the blob
+ * @param {string} source - URL of the source
+ * @param {object} options - Options on the following form, along with the properties, metadata, tags,
+ * access tier, lease id and conditions of the blob as accepted by `putBlockList`
+ * ```js
+ * {
+ *    sourceLength: 1024,                 // Length of the source in bytes, skips the HEAD request (optional)
+ *    sourceIfMatch: '...',               // ETag of the source, if not found by the HEAD request (optional)
+ *    sourceContentMD5: '...',            // MD5 hash of the source, if not found by the HEAD request (optional)
+ *    blockSize: 100 * 1024 * 1024,       // Size of the blocks in bytes, at most 100 MiB (optional)
+ *    concurrency: 4,                     // Maximum number of concurrent block writes (optional)
+ *    blockIdPrefix: 'block',             // Prefix for the block identifiers (optional)
+ * }
+ * ```
+ * @return {Promise} A promise for an object on the form:
+ * ```js
+ * {
+ *    eTag: '...',         // The entity tag of the blob
+ *    lastModified: '...', // The date/time the blob was last modified
+ *    contentLength: 1024, // The number of bytes written
+ *    blockCount: 1,       // The number of blocks committed, zero if written with putBlobFromUrl
+ *    versionId: '...',    // The version created by the write, if versioning is enabled
+ * }
+ * ```
+ */
+Blob.prototype.uploadFromUrl = function uploadFromUrl(container, blob, source, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
+  assertSourceUrl(source);
+  options = options || {};
+  var blockSize = options.blockSize || MAX_BLOCK_FROM_URL_SIZE;
+  var concurrency = options.concurrency || DEFAULT_TRANSFER_CONCURRENCY;
+  var blockIdPrefix = options.blockIdPrefix || 'block';
+  assert(blockSize > 0 && blockSize <= MAX_BLOCK_FROM_URL_SIZE,
+    'The `options.blockSize` must be a positive number less than or equal to ' + MAX_BLOCK_FROM_URL_SIZE);
+  if (options.sourceLength !== undefined) {
+    assert(typeof options.sourceLength === 'number' && options.sourceLength >= 0,
+      'The `options.sourceLength` must be a non-negative number');
+  }
+
+  var self = this;
+  return Promise.resolve(options.sourceLength !== undefined ? {
+    contentLength: options.sourceLength
+  } : sourceProperties(this, source)).then(function(properties) {
+    var contentLength = properties.contentLength;
+    var sourceIfMatch = properties.eTag || options.sourceIfMatch;
+
+    // Write with a single request, if the source fits in a single block
+    if (contentLength <= blockSize) {
+      return self.putBlobFromUrl(container, blob, source, Object.assign({}, options, {
+        sourceIfMatch: sourceIfMatch,
+        sourceContentMD5: properties.contentMD5 || options.sourceContentMD5
+      })).then(function(result) {
+        return {
+          eTag: result.eTag,
+          lastModified: result.lastModified,
+          contentLength: contentLength,
+          blockCount: 0,
+          versionId: result.versionId
+        };
+      });
     }
 
-    var result = xml.blobParseListBlock(response);
+    var ranges = splitRanges(contentLength, blockSize);
+    assert(ranges.length <= MAX_BLOCK_COUNT, 'The source is too large to be written in blocks of ' +
+      blockSize + ' bytes, a blob can have at most ' + MAX_BLOCK_COUNT + ' blocks');
+    var blockIds = ranges.map(function(range, index) {
+      return self.getBlockId(blockIdPrefix, index, 5);
+    });
+    return utils.mapLimit(ranges, concurrency, function(range, index) {
+      return self.putBlockFromUrl(container, blob, source, {
+        blockId: blockIds[index],
+        sourceOffset: range.offset,
+        sourceCount: range.count,
+        sourceIfMatch: sourceIfMatch,
+        leaseId: options.leaseId
+      });
+    }).then(function() {
+      var commitOptions = Object.assign({}, options, {
+        blobContentMD5: properties.contentMD5,
+        latestBlockIds: blockIds
+      });
+      return self.putBlockList(container, blob, commitOptions);
+    }).then(function(result) {
+      return {
+        eTag: result.eTag,
+        lastModified: result.lastModified,
+        contentLength: contentLength,
+        blockCount: blockIds.length,
+        versionId: result.versionId
+      };
+    });
+  });
+};
 
-    // The ETag is returned only if the blob has committed blocks
-    if (response.headers['ETag']) {
-      result.eTag = response.headers['ETag'];
-    }
+/**
+ * Synchronize a container, or a virtual directory in it, with a local
+ * directory, by uploading new and changed files. Files are compared by size
+ * and Content-MD5, local files are only hashed when the sizes match. Blobs
+ * that aren't present locally are deleted if `options.deleteExtra` is set.
+ *
+ * Files are matched against the `include` and `exclude` glob patterns by their
+ * path relative to the directory, with `/` as separator. Patterns without `/`
+ * are matched against the file name, so `'*.log'` matches log files in any
+ * directory, while `'logs/**'` matches all files in the top level `logs`
+ * directory. Blobs outside the patterns are neither uploaded nor deleted.
+ *
+ * Files are uploaded without client-side encryption, even if the client is
+ * configured with a `keyEncryptionKey`, as the size and Content-MD5 of an
+ * encrypted blob are those of the ciphertext, which can't be compared with the
+ * local file.
+ *
+ * @method syncToContainer
+ * @param {string} directory - Local directory to upload from
+ * @param {string} container - Name of the container
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    prefix: 'task/run/',        // Prefix of the blob names, as virtual directory (optional)
+ *    include: ['*.log'],         // Only synchronize files matching one of these patterns (optional)
+ *    exclude: ['tmp/**'],        // Don't synchronize files matching any of these patterns (optional)
+ *    deleteExtra: false,         // Delete blobs that aren't present locally (optional)
+ *    dryRun: false,              // Only compute the changes, without making them (optional)
+ *    concurrency: 4,             // Maximum number of concurrent file transfers (optional)
+ * }
+ * ```
+ * @return {Promise} A promise for an object on the form:
+ * ```js
+ * {
+ *    created: ['...'],           // Relative paths of files uploaded as new blobs
+ *    updated: ['...'],           // Relative paths of files uploaded over changed blobs
+ *    deleted: ['...'],           // Relative paths of blobs deleted, if `deleteExtra` is set
+ *    unchanged: ['...'],         // Relative paths of files already up to date
+ * }
+ * ```
+ */
+Blob.prototype.syncToContainer = function syncToContainer(directory, container, options) {
+  assert(typeof directory === 'string', 'The directory must be specified and must be a string value.');
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  options = options || {};
+  assert(!options.keyEncryptionKey, 'Files can\'t be synchronized with client-side encryption');
+  var prefix = directoryPrefix(options.prefix || '', DEFAULT_DELIMITER);
+  var concurrency = options.concurrency || DEFAULT_TRANSFER_CONCURRENCY;
+  var filter = syncFilter(options);
 
+  var self = this;
+  var local, result;
+  return Promise.all([
+    listLocalFiles(directory, filter),
+    listRemoteFiles(this, container, prefix, filter)
+  ]).then(function(listings) {
+    local = listings[0];
+    return compareFiles(local, listings[1], concurrency);
+  }).then(function(comparison) {
+    result = {
+      created:    comparison.localOnly,
+      updated:    comparison.changed,
+      deleted:    options.deleteExtra ? comparison.remoteOnly : [],
+      unchanged:  comparison.unchanged
+    };
+    if (options.dryRun) {
+      return;
+    }
+    var uploads = result.created.concat(result.updated);
+    return utils.mapLimit(uploads, concurrency, function(relative) {
+      debug("Uploading %s to %s/%s", relative, container, prefix + relative);
+      return self.uploadFile(container, prefix + relative, local.get(relative).filename, {
+        keyEncryptionKey: null
+      });
+    }).then(function() {
+      return utils.mapLimit(result.deleted, concurrency, function(relative) {
+        debug("Deleting %s/%s", container, prefix + relative);
+        return self.deleteBlob(container, prefix + relative).catch(function(err) {
+          if (err.code !== 'BlobNotFound') {
+            throw err;
+          }
+        });
+      });
+    });
+  }).then(function() {
     return result;
   });
 };
 
 /**
- * Generates a base64 string that identifies a block.
+ * Synchronize a local directory with a container, or a virtual directory in
+ * it, by downloading new and changed blobs. Files are compared by size and
+ * Content-MD5, see `syncToContainer` for details and the `include` and
+ * `exclude` patterns. Local files that aren't present in the container are
+ * deleted if `options.deleteExtra` is set, empty directories are left behind.
  *
- * @method getBlockId
- * @param {string} prefix - the prefix of the block id
- * @param {number} blockNumber - the block number
- * @param {number} length - length of the block id
+ * Client-side encrypted blobs are compared by the size and Content-MD5 of the
+ * ciphertext, so they are downloaded, and decrypted if the client can, on
+ * every run. `syncToContainer` uploads files without encryption.
  *
- * @return {string} - a base64 string as a block identifier
+ * Blob names that can't be mapped to a file under the directory, such as names
+ * with `..` segments, make the operation fail with `InvalidLocalFilename`.
+ *
+ * @method syncFromContainer
+ * @param {string} container - Name of the container
+ * @param {string} directory - Local directory to download to, created if missing
+ * @param {object} options - Options as accepted by `syncToContainer`
+ * @return {Promise} A promise for an object on the form:
+ * ```js
+ * {
+ *    created: ['...'],           // Relative paths of blobs downloaded as new files
+ *    updated: ['...'],           // Relative paths of blobs downloaded over changed files
+ *    deleted: ['...'],           // Relative paths of files deleted, if `deleteExtra` is set
+ *    unchanged: ['...'],         // Relative paths of files already up to date
+ * }
+ * ```
  */
-Blob.prototype.getBlockId = function getBlockId(prefix, blockNumber, length) {
-  assert (typeof prefix === 'string', 'prefix must be specified and must be a string value and must be a string value.');
-  assert (typeof blockNumber === 'number', 'blockNumber must be specified and must be a number.');
-  assert (length, 'The block id length must be specified');
+Blob.prototype.syncFromContainer = function syncFromContainer(container, directory, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(typeof directory === 'string', 'The directory must be specified and must be a string value.');
+  options = options || {};
+  var prefix = directoryPrefix(options.prefix || '', DEFAULT_DELIMITER);
+  var concurrency = options.concurrency || DEFAULT_TRANSFER_CONCURRENCY;
+  var filter = syncFilter(options);
 
-  var paddingStr = blockNumber + '';
-  while (paddingStr.length < length){
-    paddingStr = '0' + paddingStr;
-  }
-  return new Buffer(prefix + '-' + paddingStr).toString('base64');
+  var self = this;
+  var local, result;
+  return fs.promises.mkdir(directory, {recursive: true}).then(function() {
+    return Promise.all([
+      listLocalFiles(directory, filter),
+      listRemoteFiles(self, container, prefix, filter)
+    ]);
+  }).then(function(listings) {
+    local = listings[0];
+    // Fail before making any changes, if a blob can't be downloaded
+    listings[1].forEach(function(blob, relative) {
+      localFilename(directory, relative);
+    });
+    return compareFiles(local, listings[1], concurrency);
+  }).then(function(comparison) {
+    result = {
+      created:    comparison.remoteOnly,
+      updated:    comparison.changed,
+      deleted:    options.deleteExtra ? comparison.localOnly : [],
+      unchanged:  comparison.unchanged
+    };
+    if (options.dryRun) {
+      return;
+    }
+    var downloads = result.created.concat(result.updated);
+    return utils.mapLimit(downloads, concurrency, function(relative) {
+      var filename = localFilename(directory, relative);
+      debug("Downloading %s/%s to %s", container, prefix + relative, filename);
+      return fs.promises.mkdir(path.dirname(filename), {recursive: true}).then(function() {
+        return self.downloadToFile(container, prefix + relative, filename);
+      });
+    }).then(function() {
+      return utils.mapLimit(result.deleted, concurrency, function(relative) {
+        debug("Deleting %s", local.get(relative).filename);
+        return fs.promises.unlink(local.get(relative).filename);
+      });
+    });
+  }).then(function() {
+    return result;
+  });
 };
 
 /**
@@ -2402,6 +6339,7 @@ Blob.prototype.getBlockId = function getBlockId(prefix, blockNumber, length) {
  * ```js
  * {
  *
+ *    leaseId: '...',                           // Lease id (required if the blob has an active lease)
  *    disableContentMD5Check: 'false',          // Enable/disable the content md5 check is disabled.(optional)
  *    blobConditionMaxSize: '...',              // The max length in bytes permitted for the append blob (optional)
  *    blobConditionAppendPositionOffset: '...', // A number indicating the byte offset to compare (optional)
@@ -2455,12 +6393,16 @@ Blob.prototype.appendBlock = function appendBlock(container, blob, options, cont
       headers['content-md5'] = utils.md5(content);
     }
     if (options.blobConditionMaxSize) {
-      headers['x-ms-blob-condition-maxsize'] = options.blobConditionMaxSize;
+      headers['x-ms-blob-condition-maxsize'] = options.blobConditionMaxSize.toString();
     }
-    if (options.blobConditionAppendPositionOffset) {
+    if (options.blobConditionAppendPositionOffset !== undefined) {
       assert(typeof options.blobConditionAppendPositionOffset === 'number',
         'The `options.blobConditionAppendPositionOffset` must be a number');
-      headers['x-ms-blob-condition-appendpos'] = options.blobConditionAppendPositionOffset;
+      headers['x-ms-blob-condition-appendpos'] = options.blobConditionAppendPositionOffset.toString();
+    }
+    if (options.leaseId) {
+      assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
+      headers['x-ms-lease-id'] = options.leaseId;
     }
     utils.setConditionalHeaders(headers, options);
   }
@@ -2479,3 +6421,331 @@ Blob.prototype.appendBlock = function appendBlock(container, blob, options, cont
     };
   });
 };
+
+/**
+ * Creates a writable stream that appends to an append blob, for streaming logs and similar content as it is
+ * produced. The blob is created if it is missing, otherwise writes are appended to the existing content.
+ *
+ * Writes are appended as they are made, writes made while an append is in progress are buffered and appended
+ * together, as blocks of at most `blockSize` bytes. Blocks are appended with append-position conditions, so a
+ * retried append can't duplicate content.
+ *
+ * When a block would make the blob larger than `maxSize`, or the blob has 50,000 blocks, the stream rolls over
+ * to a new blob named by `blobName`, by default `<blob>.1`, `<blob>.2`, etc. Opening a stream on a blob that
+ * has been rolled over continues in the last blob of the sequence.
+ *
+ * @method createAppendStream
+ * @param {string} container - Name of the container
+ * @param {string} blob - Name of the first blob
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    blockSize: 4 * 1024 * 1024,       // Maximum size of the blocks appended, at most 4 MiB (optional)
+ *    maxSize: 1024 * 1024 * 1024,      // Roll over to a new blob before the blob exceeds this size, must be at
+ *                                      // least `blockSize` (optional)
+ *    blobName: function(index) {...},  // Name of the blob with `index` in the sequence, the first blob has
+ *                                      // index 0 (optional)
+ *    metadata: '...',                  // Name-value pairs associated with new blobs as metadata (optional)
+ *    contentType: '...',               // The MIME content type of new blobs (optional)
+ *    contentEncoding: '...',           // The content encodings applied to new blobs (optional)
+ *    contentLanguage: '...',           // The natural languages used by new blobs (optional)
+ *    cacheControl: '...',              // The cache control of new blobs (optional)
+ *    contentDisposition: '...',        // The content disposition of new blobs (optional)
+ *    tags: {branch: 'main'},           // Index tags of new blobs, see `setBlobTags` (optional)
+ * }
+ * ```
+ * @return {AppendBlobStream} A `stream.Writable` with the properties:
+ * ```js
+ * {
+ *    blob: '...',          // Name of the blob appended to, `null` until the first blob is opened
+ *    index: 0,             // Index of the blob in the sequence
+ *    offset: 1024,         // Length of the blob, i.e. the offset of the next append
+ *    blockCount: 1,        // Number of committed blocks in the blob
+ * }
+ * ```
+ * It emits `rollover` with `{blob, index}` when it starts appending to a new blob.
+ */
+Blob.prototype.createAppendStream = function createAppendStream(container, blob, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
+  options = Object.assign({blockSize: MAX_APPEND_BLOCK_SIZE}, options);
+  assert(options.blockSize > 0 && options.blockSize <= MAX_APPEND_BLOCK_SIZE,
+    'The `options.blockSize` must be a positive number less than or equal to ' + MAX_APPEND_BLOCK_SIZE);
+  if (options.maxSize !== undefined) {
+    assert(typeof options.maxSize === 'number' && options.maxSize >= options.blockSize,
+      'The `options.maxSize` must be a number greater than or equal to the `options.blockSize`');
+  }
+  if (options.blobName) {
+    assert(typeof options.blobName === 'function', 'The `options.blobName` must be a function');
+  }
+  return new AppendBlobStream(this, container, blob, options);
+};
+
+/**
+ * Writes a range of pages to a page blob, or clears a range of pages.
+ * Pages are 512 bytes, so the range must start and end on a 512-byte boundary. At most 4 MiB can be written
+ * with a single call.
+ *
+ * @method putPage
+ * @param {string} container - Name of the container
+ * @param {string} blob - Name of the blob
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    offset: 0,                                // Offset of the first page to write or clear, in bytes. Must be
+ *                                              // a multiple of 512. (required)
+ *    count: 512,                               // Number of bytes to clear, must be a multiple of 512. Required
+ *                                              // for `clear`, for `update` it is the length of the content.
+ *    pageWrite: 'update|clear',                // Write the content to the pages, or clear the pages.
+ *                                              // (defaults to `update`)
+ *    disableContentMD5Check: 'false',          // Enable/disable the content md5 check is disabled.(optional)
+ *    leaseId: '...',                           // Lease id (required if the blob has an active lease)
+ *    ifSequenceNumberLessThanOrEqual: 0,       // Perform the write only if the sequence number of the blob is
+ *                                              // less than or equal to the value specified. (optional)
+ *    ifSequenceNumberLessThan: 0,              // Perform the write only if the sequence number of the blob is
+ *                                              // less than the value specified. (optional)
+ *    ifSequenceNumberEqual: 0,                 // Perform the write only if the sequence number of the blob is
+ *                                              // equal to the value specified. (optional)
+ *    ifModifiedSince: new Date(),              // Specify this to perform the operation only if the resource has
+ *                                              // been modified since the specified time. (optional)
+ *    ifUnmodifiedSince: new Date(),            // Specify this to perform the operation only if the resource has
+ *                                              // not been modified since the specified date/time. (optional)
+ *    ifMatch: '...',                           // ETag value. Specify this to perform the operation only if the
+ *                                              // resource's ETag matches the value specified. (optional)
+ *    ifNoneMatch: '...',                       // ETag value. Specify this to perform the operation only if the
+ *                                              // resource's ETag does not match the value specified. (optional)
+ * }
+ *```
+ * @param {string|buffer} content - The content of the pages, must be omitted for `clear`
+ *
+ * @return {Promise} A promise for an object on the form:
+ * ```js
+ * {
+ *    eTag: '...',                // The entity tag of the page blob
+ *    lastModified: '...',        // The date/time the blob was last modified
+ *    contentMD5: '...',          // The MD5 hash of the pages written
+ *    blobSequenceNumber: '...',  // The current sequence number of the page blob
+ * }
+ * ```
+ */
+Blob.prototype.putPage = function putPage(container, blob, options, content) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
+  assert(options, 'options is required');
+  assert(typeof options.offset === 'number', 'The `options.offset` must be specified and must be a number');
+  var pageWrite = options.pageWrite || 'update';
+  assert(pageWrite === 'update' || pageWrite === 'clear',
+    'The `options.pageWrite` is invalid. The possible values are: update and clear');
+
+  var contentLength = 0;
+  if (content && Buffer.isBuffer(content)) {
+    contentLength = content.length;
+  } else if (content) {
+    contentLength = Buffer.byteLength(content);
+  }
+
+  var count;
+  if (pageWrite === 'clear') {
+    assert(!content, 'Do not include content when pages are cleared');
+    assert(typeof options.count === 'number', 'The `options.count` must be specified when pages are cleared');
+    count = options.count;
+  } else {
+    assert(content, 'The content of the pages must be specified');
+    assert(options.count === undefined || options.count === contentLength,
+      'The `options.count` must be equal to the length of the content');
+    count = contentLength;
+    if (contentLength > MAX_PUT_PAGE_SIZE) {
+      throw new Error('The maximum size of pages written with putPage() is ' + MAX_PUT_PAGE_SIZE + '.');
+    }
+  }
+  if (options.offset % PAGE_SIZE !== 0 || count % PAGE_SIZE !== 0 || count === 0) {
+    throw new Error('The offset and length of pages must be non-zero multiples of ' + PAGE_SIZE + '.');
+  }
+
+  var query = {
+    comp: 'page'
+  };
+  var path = '/' + container + '/' + blob;
+  var headers = {};
+  headers['content-length'] = contentLength;
+  headers['x-ms-page-write'] = pageWrite;
+  headers['x-ms-range'] = 'bytes=' + options.offset + '-' + (options.offset + count - 1);
+  if (pageWrite === 'update' && !options.disableContentMD5Check) {
+    headers['content-md5'] = utils.md5(content);
+  }
+  if (options.ifSequenceNumberLessThanOrEqual !== undefined) {
+    headers['x-ms-if-sequence-number-le'] = options.ifSequenceNumberLessThanOrEqual.toString();
+  }
+  if (options.ifSequenceNumberLessThan !== undefined) {
+    headers['x-ms-if-sequence-number-lt'] = options.ifSequenceNumberLessThan.toString();
+  }
+  if (options.ifSequenceNumberEqual !== undefined) {
+    headers['x-ms-if-sequence-number-eq'] = options.ifSequenceNumberEqual.toString();
+  }
+  if (options.leaseId) {
+    assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
+    headers['x-ms-lease-id'] = options.leaseId;
+  }
+  utils.setConditionalHeaders(headers, options);
+
+  return this.request('PUT', path, query, headers, content).then(function(response) {
+    if(response.statusCode !== 201) {
+      throw new Error('putPage: Unexpected statusCode: ' + response.statusCode);
+    }
+
+    return {
+      eTag: response.headers['etag'],
+      lastModified: new Date(response.headers['last-modified']),
+      contentMD5: response.headers['content-md5'],
+      blobSequenceNumber: response.headers['x-ms-blob-sequence-number']
+    };
+  });
+};
+
+/**
+ * Returns the list of valid page ranges for a page blob or snapshot of a page blob.
+ * If `options.prevSnapshot` is given, only the pages that changed since that snapshot are returned, along
+ * with the pages that were cleared since that snapshot.
+ *
+ * @method getPageRanges
+ * @param {string} container - Name of the container
+ * @param {string} blob - Name of the blob
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    offset: 0,                        // Offset of the range to list pages for, in bytes. (optional)
+ *    count: 512,                       // Length of the range to list pages for, in bytes. Defaults to the end of
+ *                                      // the blob if only `offset` is given. (optional)
+ *    snapshot: '...',                  // The snapshot timestamp of the blob snapshot to list pages for (optional)
+ *    prevSnapshot: '...',              // The snapshot timestamp of an earlier snapshot to compute the changed
+ *                                      // pages against (optional)
+ *    leaseId: '...',                   // Lease id, the operation fails if it doesn't match the active lease
+ *                                      // (optional)
+ *    ifModifiedSince: new Date(),      // Specify this to perform the operation only if the resource has been
+ *                                      // modified since the specified time. (optional)
+ *    ifUnmodifiedSince: new Date(),    // Specify this to perform the operation only if the resource has not been
+ *                                      // modified since the specified date/time. (optional)
+ *    ifMatch: '...',                   // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag matches the value specified. (optional)
+ *    ifNoneMatch: '...',               // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag does not match the value specified. (optional)
+ * }
+ *```
+ * @return {Promise} A promise for an object on the form:
+ * ```js
+ * {
+ *    pageRanges: [                     // The populated (or with `prevSnapshot`, changed) page ranges, in order
+ *      {
+ *        start: 0,                     // Offset of the first byte in the range
+ *        end: 511                      // Offset of the last byte in the range (inclusive)
+ *      }
+ *    ],
+ *    clearRanges: [],                  // The page ranges cleared since `prevSnapshot`, on the same form
+ *    eTag: '...',                      // The entity tag of the blob
+ *    lastModified: '...',              // The date/time the blob was last modified
+ *    blobContentLength: '...',         // The size of the blob in bytes
+ * }
+ * ```
+ */
+Blob.prototype.getPageRanges = function getPageRanges(container, blob, options) {
+  assert(typeof container === 'string', 'The name of the container must be specified and must be a string value.');
+  assert(typeof blob === 'string', 'The name of the blob must be specified and must be a string value.');
+
+  var query = {
+    comp: 'pagelist'
+  };
+  var path = '/' + container + '/' + blob;
+  var headers = {};
+
+  if (options) {
+    if (options.snapshot) {
+      query.snapshot = options.snapshot;
+    }
+    if (options.prevSnapshot) {
+      query.prevsnapshot = options.prevSnapshot;
+    }
+    setRangeHeaders(headers, options);
+    if (options.leaseId) {
+      assert(utils.isValidGUID(options.leaseId), '`leaseId` is not a valid GUID.');
+      headers['x-ms-lease-id'] = options.leaseId;
+    }
+    utils.setConditionalHeaders(headers, options);
+  }
+
+  return this.request('GET', path, query, headers).then(function(response) {
+    if (response.statusCode !== 200) {
+      throw new Error('getPageRanges: Unexpected statusCode: ' + response.statusCode);
+    }
+
+    var result = xml.blobParsePageRanges(response);
+    result.eTag = response.headers['etag'];
+    result.lastModified = new Date(response.headers['last-modified']);
+    result.blobContentLength = response.headers['x-ms-blob-content-length'];
+    return result;
+  });
+};
+
+/**
+ * Resizes a page blob. If the new size is smaller than the current size, all pages above the new size are
+ * cleared. Other properties of the blob are left unchanged.
+ *
+ * @method resizePageBlob
+ * @param {string} container - Name of the container
+ * @param {string} blob - Name of the blob
+ * @param {number} size - The new size of the page blob, must be a multiple of 512
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    leaseId: '...',                   // Lease id (required if the blob has an active lease)
+ *    ifModifiedSince: new Date(),      // Specify this to perform the operation only if the resource has been
+ *                                      // modified since the specified time. (optional)
+ *    ifUnmodifiedSince: new Date(),    // Specify this to perform the operation only if the resource has not been
+ *                                      // modified since the specified date/time. (optional)
+ *    ifMatch: '...',                   // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag matches the value specified. (optional)
+ *    ifNoneMatch: '...',               // ETag value. Specify this to perform the operation only if the resource's
+ *                                      // ETag does not match the value specified. (optional)
+ * }
+ *```
+ * @return {Promise} A promise for an object on the form returned by `setBlobProperties`.
+ */
+Blob.prototype.resizePageBlob = function resizePageBlob(container, blob, size, options) {
+  assert(typeof size === 'number', 'The size of the page blob must be specified and must be a number');
+  assert(size <= MAX_PAGE_SIZE, 'The maximum size of a page blob is ' + MAX_PAGE_SIZE + '.');
+
+  return this.setBlobProperties(container, blob, Object.assign({}, writeConditions(options), {
+    pageBlobContentLength: size
+  }));
+};
+
+/**
+ * Sets the sequence number of a page blob. Other properties of the blob are left unchanged.
+ *
+ * @method setPageBlobSequenceNumber
+ * @param {string} container - Name of the container
+ * @param {string} blob - Name of the blob
+ * @param {string} action - How to modify the sequence number:
+ *                            - max: Sets the sequence number to the higher of `sequenceNumber` and the current
+ *                                   sequence number of the blob.
+ *                            - update: Sets the sequence number to `sequenceNumber`.
+ *                            - increment: Increments the sequence number by 1, `sequenceNumber` must be omitted.
+ * @param {number} sequenceNumber - The sequence number, required for `max` and `update`. The service accepts
+ * numbers up to 2^63 - 1, but only integers up to `Number.MAX_SAFE_INTEGER` can be given exactly.
+ * @param {object} options - Options on the form accepted by `resizePageBlob`
+ * @return {Promise} A promise for an object on the form returned by `setBlobProperties`, including the new
+ * `blobSequenceNumber`.
+ */
+Blob.prototype.setPageBlobSequenceNumber = function setPageBlobSequenceNumber(container, blob, action, sequenceNumber, options) {
+  if (action === 'increment') {
+    assert(sequenceNumber === undefined || sequenceNumber === null,
+      'The sequence number must be omitted when the action is `increment`');
+    sequenceNumber = undefined;
+  } else {
+    assert(isSequenceNumber(sequenceNumber), 'The sequence number must be a non-negative safe integer');
+  }
+
+  return this.setBlobProperties(container, blob, Object.assign({}, writeConditions(options), {
+    pageBlobSequenceNumberAction: action,
+    pageBlobSequenceNumber:       sequenceNumber
+  }));
+};
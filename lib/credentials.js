@@ -0,0 +1,139 @@
+'use strict';
+
+import assert from 'assert';
+import debugFactory from 'debug';
+const debug = debugFactory('azure:credentials');
+import querystring from 'querystring';
+import * as utils from './utils.js';
+
+/*
+ * Default authority host of the Microsoft identity platform.
+ * @const
+ */
+var DEFAULT_AUTHORITY_HOST = 'https://login.microsoftonline.com';
+
+/*
+ * Scope of tokens for Azure Storage.
+ * @const
+ */
+var STORAGE_SCOPE = 'https://storage.azure.com/.default';
+
+/*
+ * Error codes for which token requests are retried.
+ * @const
+ */
+var TRANSIENT_ERROR_CODES = [
+  'InternalErrorWithoutCode'
+].concat(utils.TRANSIENT_HTTP_ERROR_CODES);
+
+/*
+ * Construct an error from a failed response `res` of the token endpoint.
+ */
+function tokenError(res) {
+  var data = {};
+  try {
+    data = JSON.parse(res.payload);
+  } catch (err) {
+    // Ignore parsing errors
+  }
+  var err = new Error('Token request failed: ' + (data.error_description || data.error || res.statusCode));
+  if (500 <= res.statusCode && res.statusCode < 600) {
+    err.code = 'InternalErrorWithoutCode';
+  } else {
+    err.code = 'TokenRequestFailed';
+  }
+  err.name = err.code + 'Error';
+  err.statusCode = res.statusCode;
+  err.tokenError = data.error;
+  return err;
+}
+
+/**
+ * Create a function fetching OAuth tokens for Azure Storage with the client
+ * credentials flow, using the secret of an application registered in Azure
+ * Active Directory. The function can be given as the `tokenCredential` option
+ * of the `Blob`, `Queue` and `Table` clients:
+ * ```js
+ * var blob = new azure.Blob({
+ *   accountId:        '...',
+ *   tokenCredential:  azure.clientSecretCredential({
+ *     tenantId:       '...',
+ *     clientId:       '...',
+ *     clientSecret:   '...'
+ *   })
+ * });
+ * ```
+ *
+ * Requests for tokens that fail with 5xx or network errors are retried, other
+ * errors have `err.code = 'TokenRequestFailed'` and the error returned by the
+ * token endpoint as `err.tokenError`.
+ *
+ * @method clientSecretCredential
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *   tenantId:       '...',                    // Directory (tenant) id (required)
+ *   clientId:       '...',                    // Application (client) id (required)
+ *   clientSecret:   '...',                    // Client secret of the application (required)
+ *   authorityHost:  'https://login.microsoftonline.com', // URL of the token service (optional)
+ *   scope:          'https://storage.azure.com/.default', // Scope of the tokens (optional)
+ *   timeout:        30 * 1000,                // Timeout of token requests in ms (optional)
+ *   retries:        5,                        // Max number of request retries (optional)
+ * }
+ * ```
+ * @return {Function} A function that returns a promise for a new token on the
+ * form `{token, expiresOn}`, where `expiresOn` is a `Date`.
+ */
+export const clientSecretCredential = function clientSecretCredential(options) {
+  assert(options, 'options is required');
+  assert(typeof options.tenantId === 'string', '`options.tenantId` must be given');
+  assert(typeof options.clientId === 'string', '`options.clientId` must be given');
+  assert(typeof options.clientSecret === 'string', '`options.clientSecret` must be given');
+
+  var url = new URL((options.authorityHost || DEFAULT_AUTHORITY_HOST).replace(/\/$/, '') +
+    '/' + encodeURIComponent(options.tenantId) + '/oauth2/v2.0/token');
+  assert(url.protocol === 'https:' || url.protocol === 'http:',
+    '`options.authorityHost` must be an http or https URL');
+  var timeout = options.timeout || 30 * 1000;
+  var retryOptions = {
+    retries:              options.retries === undefined ? 5 : options.retries,
+    delayFactor:          100,
+    randomizationFactor:  0.25,
+    maxDelay:             30 * 1000,
+    transientErrorCodes:  TRANSIENT_ERROR_CODES
+  };
+
+  return function() {
+    var body = querystring.stringify({
+      grant_type:     'client_credentials',
+      client_id:      options.clientId,
+      client_secret:  options.clientSecret,
+      scope:          options.scope || STORAGE_SCOPE
+    });
+    return utils.retry(function(retry) {
+      debug("Requesting token for %s from %s, retry: %s", options.clientId, url.origin, retry);
+      var requestedAt = Date.now();
+      return utils.request({
+        method:   'POST',
+        protocol: url.protocol,
+        hostname: url.hostname,
+        port:     url.port || undefined,
+        path:     url.pathname,
+        headers:  {
+          'content-type':   'application/x-www-form-urlencoded',
+          'content-length': Buffer.byteLength(body)
+        }
+      }, body, timeout).then(function(res) {
+        if (res.statusCode !== 200) {
+          throw tokenError(res);
+        }
+        var data = utils.parseJSON(res.payload);
+        assert(data.access_token && data.expires_in, 'The token response has no access_token or expires_in');
+        return {
+          token:      data.access_token,
+          expiresOn:  new Date(requestedAt + parseInt(data.expires_in, 10) * 1000)
+        };
+      });
+    }, retryOptions);
+  };
+};
@@ -0,0 +1,285 @@
+'use strict';
+
+import assert from 'assert';
+import debugFactory from 'debug';
+const debug = debugFactory('azure:encryption');
+import crypto from 'crypto';
+import stream from 'stream';
+
+/*
+ * Metadata key under which the encryption envelope of a client-side encrypted
+ * blob is stored.
+ * @const
+ */
+export var ENCRYPTION_METADATA_KEY = 'clientencryption';
+
+/*
+ * Version of the envelope format, blobs with other versions are rejected.
+ * @const
+ */
+var ENCRYPTION_PROTOCOL = '1.0';
+
+/*
+ * Algorithm used to encrypt the content with the content encryption key.
+ * @const
+ */
+var CONTENT_ALGORITHM = 'AES-256-GCM';
+
+/*
+ * Size of the content encryption key, the GCM initialization vector and the
+ * GCM authentication tag appended to the ciphertext, in bytes.
+ * @const
+ */
+var KEY_SIZE = 32;
+var IV_SIZE = 12;
+var AUTH_TAG_SIZE = 16;
+
+/*
+ * Default initial value for AES key wrap, as defined in RFC 3394.
+ * @const
+ */
+var KEY_WRAP_IV = Buffer.from('A6A6A6A6A6A6A6A6', 'hex');
+
+/*
+ * Construct an error with `err.code = code`.
+ */
+function encryptionError(code, message) {
+  var err = new Error(message);
+  err.name = code + 'Error';
+  err.code = code;
+  return err;
+}
+
+/*
+ * Assert that `kek` implements the key-encryption-key interface.
+ */
+function assertKeyEncryptionKey(kek) {
+  assert(kek && typeof kek.keyId === 'string' && kek.keyId.length > 0,
+    'The key-encryption-key must have a non-empty string `keyId`');
+  assert(typeof kek.wrapKey === 'function' && typeof kek.unwrapKey === 'function',
+    'The key-encryption-key must implement `wrapKey` and `unwrapKey`');
+}
+
+/*
+ * Resolve the key-encryption-key identified by `keyId` using the
+ * `keyResolver` or `keyEncryptionKey` from the client `options`, return a
+ * promise for the key-encryption-key.
+ */
+function resolveKey(options, keyId) {
+  return Promise.resolve().then(function() {
+    if (options.keyResolver) {
+      return options.keyResolver(keyId);
+    }
+    if (options.keyEncryptionKey && options.keyEncryptionKey.keyId === keyId) {
+      return options.keyEncryptionKey;
+    }
+    return null;
+  }).then(function(kek) {
+    if (!kek) {
+      throw encryptionError('KeyNotFound', 'No key-encryption-key found for keyId: ' + keyId);
+    }
+    assertKeyEncryptionKey(kek);
+    return kek;
+  });
+}
+
+/*
+ * Unwrap the content encryption key of an envelope with the key-encryption-key
+ * resolved from the client `options`, return a promise for the key.
+ */
+function unwrapContentKey(options, envelope) {
+  return resolveKey(options, envelope.keyId).then(function(kek) {
+    return kek.unwrapKey(Buffer.from(envelope.wrappedKey, 'base64'));
+  }).then(function(key) {
+    if (!Buffer.isBuffer(key) || key.length !== KEY_SIZE) {
+      throw encryptionError('DecryptionFailed', 'Unwrapped content encryption key is invalid');
+    }
+    return key;
+  });
+}
+
+/*
+ * Create a content encryption key and IV, and wrap the key with `kek`.
+ * Returns a promise for `{key, iv, metadata}`, where `metadata` is the
+ * envelope on string form.
+ */
+function createContentKey(kek) {
+  assertKeyEncryptionKey(kek);
+  var key = crypto.randomBytes(KEY_SIZE);
+  var iv = crypto.randomBytes(IV_SIZE);
+  return Promise.resolve(kek.wrapKey(key)).then(function(wrappedKey) {
+    assert(Buffer.isBuffer(wrappedKey), '`wrapKey` must return a Buffer');
+    var metadata = JSON.stringify({
+      protocol:         ENCRYPTION_PROTOCOL,
+      algorithm:        CONTENT_ALGORITHM,
+      keyId:            kek.keyId,
+      keyWrapAlgorithm: kek.algorithm,
+      wrappedKey:       wrappedKey.toString('base64'),
+      iv:               iv.toString('base64'),
+    });
+    return {key: key, iv: iv, metadata: metadata};
+  });
+}
+
+/**
+ * Create a key-encryption-key using AES-256 key wrap, exposed as
+ * `Blob.createKeyEncryptionKey`.
+ *
+ * @method createKeyEncryptionKey
+ * @param {string} keyId - Identifier of the key
+ * @param {Buffer} key - 32 byte key
+ * @return {object} Key-encryption-key on the form `{keyId, algorithm, wrapKey, unwrapKey}`.
+ */
+export function createKeyEncryptionKey(keyId, key) {
+  assert(typeof keyId === 'string' && keyId.length > 0, 'The `keyId` must be a non-empty string');
+  assert(Buffer.isBuffer(key) && key.length === KEY_SIZE, 'The `key` must be a Buffer of ' + KEY_SIZE + ' bytes');
+  return {
+    keyId:      keyId,
+    algorithm:  'A256KW',
+    wrapKey: function(contentKey) {
+      var cipher = crypto.createCipheriv('id-aes256-wrap', key, KEY_WRAP_IV);
+      return Promise.resolve(Buffer.concat([cipher.update(contentKey), cipher.final()]));
+    },
+    unwrapKey: function(wrappedKey) {
+      return new Promise(function(resolve) {
+        var decipher = crypto.createDecipheriv('id-aes256-wrap', key, KEY_WRAP_IV);
+        try {
+          resolve(Buffer.concat([decipher.update(wrappedKey), decipher.final()]));
+        } catch (err) {
+          debug("Failed to unwrap key with %s: %s", keyId, err.message);
+          throw encryptionError('DecryptionFailed', 'Failed to unwrap key with keyId: ' + keyId);
+        }
+      });
+    },
+  };
+};
+
+/**
+ * Parse the encryption envelope stored under `ENCRYPTION_METADATA_KEY` in the
+ * metadata of a blob, throws an error with `err.code = 'UnsupportedEncryption'`
+ * if the envelope is malformed or uses an unknown protocol or algorithm.
+ *
+ * @method parseEnvelope
+ * @param {string} value - Metadata value
+ * @return {object} Envelope on the form `{keyId, wrappedKey, iv, ...}`
+ */
+export function parseEnvelope(value) {
+  var envelope;
+  try {
+    envelope = JSON.parse(value);
+  } catch (err) {
+    throw encryptionError('UnsupportedEncryption', 'Malformed encryption metadata: ' + err.message);
+  }
+  if (!envelope || envelope.protocol !== ENCRYPTION_PROTOCOL || envelope.algorithm !== CONTENT_ALGORITHM ||
+      typeof envelope.keyId !== 'string' || typeof envelope.wrappedKey !== 'string' ||
+      typeof envelope.iv !== 'string') {
+    throw encryptionError('UnsupportedEncryption', 'Unsupported encryption metadata: ' + value);
+  }
+  return envelope;
+};
+
+/**
+ * Encrypt `content` with a new content encryption key wrapped by `kek`.
+ *
+ * @method encrypt
+ * @param {object} kek - Key-encryption-key, see `createKeyEncryptionKey`
+ * @param {string|Buffer} content - Content to encrypt, strings are encoded as UTF-8
+ * @return {Promise} A promise for `{content, metadata}` with the ciphertext
+ * followed by the authentication tag and the envelope to store as metadata.
+ */
+export function encrypt(kek, content) {
+  return createContentKey(kek).then(function(result) {
+    var cipher = crypto.createCipheriv('aes-256-gcm', result.key, result.iv);
+    var data = Buffer.isBuffer(content) ? content : Buffer.from(content || '', 'utf8');
+    return {
+      content:  Buffer.concat([cipher.update(data), cipher.final(), cipher.getAuthTag()]),
+      metadata: result.metadata,
+    };
+  });
+};
+
+/**
+ * Create a transform stream that encrypts with a new content encryption key
+ * wrapped by `kek`, the authentication tag is appended when the stream ends.
+ *
+ * @method createEncryptStream
+ * @param {object} kek - Key-encryption-key, see `createKeyEncryptionKey`
+ * @return {Promise} A promise for `{stream, metadata}` with a
+ * `stream.Transform` and the envelope to store as metadata.
+ */
+export function createEncryptStream(kek) {
+  return createContentKey(kek).then(function(result) {
+    var cipher = crypto.createCipheriv('aes-256-gcm', result.key, result.iv);
+    var transform = new stream.Transform({
+      transform: function(chunk, encoding, callback) {
+        callback(null, cipher.update(chunk));
+      },
+      flush: function(callback) {
+        this.push(cipher.final());
+        callback(null, cipher.getAuthTag());
+      },
+    });
+    return {stream: transform, metadata: result.metadata};
+  });
+};
+
+/**
+ * Decrypt `content` encrypted by `encrypt` or `createEncryptStream`, resolving
+ * the key-encryption-key with `options.keyResolver`, or using
+ * `options.keyEncryptionKey` if its `keyId` matches.
+ *
+ * Errors have `err.code` set to `KeyNotFound` if the key can't be resolved, or
+ * `DecryptionFailed` if the key can't be unwrapped or the content fails
+ * authentication.
+ *
+ * @method decrypt
+ * @param {object} options - Client options with `keyResolver` and/or `keyEncryptionKey`
+ * @param {string} metadata - Envelope stored as metadata
+ * @param {Buffer} content - Ciphertext followed by the authentication tag
+ * @return {Promise} A promise for the decrypted content as a Buffer.
+ */
+export function decrypt(options, metadata, content) {
+  return Promise.resolve().then(function() {
+    var envelope = parseEnvelope(metadata);
+    if (content.length < AUTH_TAG_SIZE) {
+      throw encryptionError('DecryptionFailed', 'Encrypted content is truncated');
+    }
+    return unwrapContentKey(options, envelope).then(function(key) {
+      var decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+      decipher.setAuthTag(content.subarray(content.length - AUTH_TAG_SIZE));
+      var data = decipher.update(content.subarray(0, content.length - AUTH_TAG_SIZE));
+      try {
+        return Buffer.concat([data, decipher.final()]);
+      } catch (err) {
+        throw encryptionError('DecryptionFailed', 'Encrypted content failed authentication');
+      }
+    });
+  });
+};
+
+/**
+ * Re-wrap the content encryption key of an envelope with `kek`, the key is
+ * unwrapped with the key-encryption-key resolved from `options`, as in
+ * `decrypt`.
+ *
+ * @method rewrapKey
+ * @param {object} options - Client options with `keyResolver` and/or `keyEncryptionKey`
+ * @param {string} metadata - Envelope stored as metadata
+ * @param {object} kek - New key-encryption-key
+ * @return {Promise} A promise for the new envelope on string form.
+ */
+export function rewrapKey(options, metadata, kek) {
+  assertKeyEncryptionKey(kek);
+  return Promise.resolve().then(function() {
+    var envelope = parseEnvelope(metadata);
+    return unwrapContentKey(options, envelope).then(function(key) {
+      return kek.wrapKey(key);
+    }).then(function(wrappedKey) {
+      assert(Buffer.isBuffer(wrappedKey), '`wrapKey` must return a Buffer');
+      envelope.keyId = kek.keyId;
+      envelope.keyWrapAlgorithm = kek.algorithm;
+      envelope.wrappedKey = wrappedKey.toString('base64');
+      return JSON.stringify(envelope);
+    });
+  });
+};
@@ -11,6 +11,8 @@ import { Table } from './table.js';
 import { Blob } from './blob.js';
 import { Queue } from './queue.js';
 import { Agent } from './agent.js';
+import { clientSecretCredential } from './credentials.js';
+import { parseSas, verifySas } from './authorization.js';
 
-export { Table, Blob, Queue, Agent };
-export default { Table, Blob, Queue, Agent };
+export { Table, Blob, Queue, Agent, clientSecretCredential, parseSas, verifySas };
+export default { Table, Blob, Queue, Agent, clientSecretCredential, parseSas, verifySas };
@@ -0,0 +1,148 @@
+'use strict';
+
+import assert from 'assert';
+import debugFactory from 'debug';
+const debug = debugFactory('azure:lease');
+import util from 'util';
+import events from 'events';
+
+/**
+ * Handle for a blob lease that renews itself in the background, until it is
+ * released. Instances are created with `Blob#acquireBlobLease`, and should
+ * not be constructed directly.
+ *
+ * The lease is renewed every `renewInterval` ms. If a renewal fails (after
+ * the retries done by the client), the lease is considered lost, renewal
+ * stops and the `lost` event is emitted with the error. Code holding the
+ * lease as an exclusive lock must stop working on the blob when this happens.
+ *
+ * Events:
+ *  - `renewed`, emitted with the response of `Blob#leaseBlob` after renewal.
+ *  - `lost`, emitted with an error if renewal failed.
+ *
+ * @class BlobLease
+ * @extends EventEmitter
+ * @constructor
+ * @param {Blob} client - Blob client the lease was acquired with.
+ * @param {string} container - Name of the container
+ * @param {string} blob - Name of the blob
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    leaseId: '...',         // Id of the acquired lease (required)
+ *    leaseDuration: 60,      // Duration of the lease in seconds, -1 for infinite (required)
+ *    renewInterval: 30000,   // Interval between renewals in ms (required unless leaseDuration is -1)
+ * }
+ * ```
+ */
+export function BlobLease(client, container, blob, options) {
+  // Initialize EventEmitter parent class
+  events.EventEmitter.call(this);
+
+  assert(options.leaseId, '`options.leaseId` must be given');
+  assert(options.leaseDuration, '`options.leaseDuration` must be given');
+
+  this.client = client;
+  this.container = container;
+  this.blob = blob;
+  this.leaseId = options.leaseId;
+  this.leaseDuration = options.leaseDuration;
+  this.renewInterval = options.renewInterval;
+
+  // Error that caused the lease to be lost, null while the lease is held
+  this.lost = null;
+  this.released = false;
+
+  this._timer = null;
+  this._renewal = Promise.resolve();
+  this._release = null;
+
+  // Infinite leases don't need renewal
+  if (this.leaseDuration !== -1) {
+    assert(typeof this.renewInterval === 'number' && this.renewInterval > 0,
+      '`options.renewInterval` must be a positive number');
+    this._scheduleRenewal();
+  }
+};
+
+// Export BlobLease
+export default BlobLease;
+
+// Subclass EventEmitter
+util.inherits(BlobLease, events.EventEmitter);
+
+/*
+ * Schedule the next renewal. Like an open socket, a held lease keeps the
+ * process alive until it is released or lost.
+ */
+BlobLease.prototype._scheduleRenewal = function _scheduleRenewal() {
+  var self = this;
+  self._timer = setTimeout(function() {
+    self._timer = null;
+    self._renewal = self._renew();
+  }, self.renewInterval);
+};
+
+/*
+ * Renew the lease, scheduling the next renewal on success and emitting `lost`
+ * on failure. The returned promise never rejects.
+ */
+BlobLease.prototype._renew = function _renew() {
+  var self = this;
+  return self.client.leaseBlob(self.container, self.blob, {
+    leaseAction:  'renew',
+    leaseId:      self.leaseId
+  }).then(function(result) {
+    if (self.released) {
+      return;
+    }
+    debug("Renewed lease %s on %s/%s", self.leaseId, self.container, self.blob);
+    self._scheduleRenewal();
+    self.emit('renewed', result);
+  }, function(err) {
+    if (self.released) {
+      return;
+    }
+    debug("Failed to renew lease %s on %s/%s: %s", self.leaseId, self.container, self.blob, err.stack);
+    self.lost = err;
+    self.emit('lost', err);
+  });
+};
+
+/**
+ * Stop renewing the lease and release it. Calling this more than once
+ * returns the same promise. If the lease has been lost, there is nothing to
+ * release and the promise resolves without contacting the service.
+ *
+ * @method release
+ * @return {Promise} A promise that the lease has been released.
+ */
+BlobLease.prototype.release = function release() {
+  var self = this;
+  if (self._release) {
+    return self._release;
+  }
+  self.released = true;
+  if (self._timer) {
+    clearTimeout(self._timer);
+    self._timer = null;
+  }
+  // Wait for any renewal in progress, so it doesn't race with the release
+  self._release = self._renewal.then(function() {
+    if (self.lost) {
+      return;
+    }
+    return self.client.leaseBlob(self.container, self.blob, {
+      leaseAction:  'release',
+      leaseId:      self.leaseId
+    }).then(function() {
+      debug("Released lease %s on %s/%s", self.leaseId, self.container, self.blob);
+    });
+  });
+  return self._release;
+};
+
+// Allow `await using lease = await blob.acquireBlobLease(...)` where supported
+if (typeof Symbol.asyncDispose === 'symbol') {
+  BlobLease.prototype[Symbol.asyncDispose] = BlobLease.prototype.release;
+}
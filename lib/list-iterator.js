@@ -0,0 +1,156 @@
+'use strict';
+
+import assert from 'assert';
+import debugFactory from 'debug';
+const debug = debugFactory('azure:list-iterator');
+
+/*
+ * The maximum number of results the service returns in a page of a listing.
+ * @const
+ */
+var MAX_LIST_RESULTS = 5000;
+
+/**
+ * Async iterator over a paged listing, such as `Blob#listBlobs` or
+ * `Table#queryEntities`, that follows the continuation tokens of the listing.
+ * Instances are created with the `iterate...` methods of the clients, i.e.
+ * `Blob#iterateBlobs`, and should not be constructed directly.
+ *
+ * Use it with `for await`:
+ * ```js
+ * var blobs = blob.iterateBlobs('my-container', {limit: 1000});
+ * for await (var item of blobs) {
+ *   // ...
+ *   checkpoint(blobs.continuation);
+ * }
+ * ```
+ *
+ * The `continuation` property is a JSON serializable value which, given as
+ * `options.continuation` to a new iterator, resumes the listing with the item
+ * following the last item returned. It is `null` when the listing has been
+ * exhausted.
+ *
+ * @class ListIterator
+ * @constructor
+ * @param {Function} fetchPage - Function that given the continuation token of
+ * a page and the number of items wanted from it, returns a promise for an
+ * object on the form `{items: [...], next: token}`, where `next` is `null` for
+ * the last page. The token is `undefined` for the first page.
+ * @param {object} options - Options on the following form
+ * ```js
+ * {
+ *    limit: 1000,          // Maximum number of items to return (optional)
+ *    pages: false,         // Return arrays of items, one for each page, instead of items (optional)
+ *    continuation: {...},  // Continuation from a previous iterator to resume from (optional)
+ * }
+ * ```
+ */
+export function ListIterator(fetchPage, options) {
+  options = options || {};
+  assert(options.limit === undefined || (Number.isInteger(options.limit) && options.limit >= 0),
+    'The `options.limit` must be a non-negative integer');
+
+  this.limit = options.limit === undefined ? Infinity : options.limit;
+  this.pages = !!options.pages;
+  // Number of items returned so far
+  this.count = 0;
+  // Token for the page holding the next item and offset of the item in it
+  this.continuation = options.continuation === undefined ? {token: undefined, offset: 0} : options.continuation;
+
+  this._fetchPage = fetchPage;
+  this._items = null;
+  this._next = null;
+  this._pending = Promise.resolve();
+};
+
+// Export ListIterator
+export default ListIterator;
+
+/*
+ * Iterate over a listing paged with `marker` and `nextMarker`, as used by the
+ * Blob and Queue services, where `list` returns a promise for a page with the
+ * items in property `key`, given the list `options`.
+ */
+export function iterateMarkerPages(list, key, options) {
+  options = options || {};
+  return new ListIterator(function(marker, wanted) {
+    return list(Object.assign({}, options, {
+      marker:     marker || options.marker,
+      maxResults: Math.min(options.maxResults || MAX_LIST_RESULTS, wanted)
+    })).then(function(result) {
+      return {items: result[key], next: result.nextMarker || null};
+    });
+  }, options);
+};
+
+/*
+ * Fetch the page holding the next item, skipping empty pages.
+ */
+ListIterator.prototype._load = function _load() {
+  var self = this;
+  var wanted = self.continuation.offset + self.limit - self.count;
+  return Promise.resolve(self._fetchPage(self.continuation.token, wanted)).then(function(page) {
+    if (page.items.length > self.continuation.offset) {
+      self._items = page.items;
+      self._next = page.next;
+      return;
+    }
+    debug("Skipping page without remaining items, next: %j", page.next);
+    self.continuation = page.next === null ? null : {token: page.next, offset: 0};
+    if (self.continuation !== null) {
+      return self._load();
+    }
+  });
+};
+
+/*
+ * Advance past `n` items of the current page, moving on to the next page when
+ * the current page is exhausted.
+ */
+ListIterator.prototype._advance = function _advance(n) {
+  var offset = this.continuation.offset + n;
+  this.count += n;
+  if (offset < this._items.length) {
+    this.continuation = {token: this.continuation.token, offset: offset};
+    return;
+  }
+  this.continuation = this._next === null ? null : {token: this._next, offset: 0};
+  this._items = null;
+  this._next = null;
+};
+
+/**
+ * Get the next item, or page of items if `options.pages` was given.
+ *
+ * @method next
+ * @return {Promise} A promise for an object on the form `{done, value}`.
+ */
+ListIterator.prototype.next = function next() {
+  var self = this;
+  // Serialize calls, so concurrent calls don't fetch the same page
+  var result = self._pending.then(function() {
+    if (self.continuation === null || self.count >= self.limit) {
+      return null;
+    }
+    return self._items ? null : self._load();
+  }).then(function() {
+    if (self.continuation === null || self.count >= self.limit) {
+      return {done: true, value: undefined};
+    }
+    var offset = self.continuation.offset;
+    if (self.pages) {
+      var items = self._items.slice(offset, offset + self.limit - self.count);
+      self._advance(items.length);
+      return {done: false, value: items};
+    }
+    var item = self._items[offset];
+    self._advance(1);
+    return {done: false, value: item};
+  });
+  self._pending = result.catch(function() {});
+  return result;
+};
+
+ListIterator.prototype[Symbol.asyncIterator] = function() {
+  return this;
+};
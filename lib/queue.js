@@ -10,6 +10,7 @@ import * as agent from './agent.js';
 import * as utils from './utils.js';
 import * as xml from './xml-parser.js';
 import * as auth from './authorization.js';
+import { iterateMarkerPages } from './list-iterator.js';
 
 const debug = debugFactory('azure:queue');
 
@@ -91,7 +92,8 @@ var QUERY_PARAMS_SUPPORTED = [
  *   // Azure storage accountId (required)
  *   accountId:            undefined,
  *
- *   // Azure shared accessKey, required unless options.sas is given
+ *   // Azure shared accessKey, required unless options.sas or
+ *   // options.tokenCredential is given
  *   accessKey:            undefined,
  *
  *   // Function that returns SAS string or promise for SAS string, in which
@@ -102,7 +104,17 @@ var QUERY_PARAMS_SUPPORTED = [
  *
  *   // Minimum SAS expiry before refreshing SAS credentials, if a function for
  *   // refreshing SAS credentials is given as options.sas
- *   minSASAuthExpiry:     15 * 60 * 1000
+ *   minSASAuthExpiry:     15 * 60 * 1000,
+ *
+ *   // Function that returns an OAuth token for https://storage.azure.com, or
+ *   // a promise for it, on the form {token, expiresOn}, where expiresOn is a
+ *   // Date or a time in ms. Used instead of accessKey and sas, see
+ *   // azure.clientSecretCredential.
+ *   tokenCredential:      undefined,
+ *
+ *   // Minimum token expiry before refreshing the token in the background, if
+ *   // options.tokenCredential is given
+ *   minTokenAuthExpiry:   5 * 60 * 1000
  * }
  * ```
  */
@@ -126,6 +138,8 @@ export function Queue(options) {
     accessKey:            undefined,
     sas:                  undefined,
     minSASAuthExpiry:     15 * 60 * 1000,
+    tokenCredential:      undefined,
+    minTokenAuthExpiry:   5 * 60 * 1000,
   };
 
   // Overwrite default options
@@ -152,6 +166,14 @@ export function Queue(options) {
     this.authorize = auth.authorizeWithSharedKey.call(this, 'queue', QUERY_PARAMS_SUPPORTED);
     // Decode accessKey
     this._accessKey = new Buffer(this.options.accessKey, 'base64');
+  } else if (this.options.tokenCredential) {
+    assert(this.options.tokenCredential instanceof Function,
+      "`options.tokenCredential` must be a function");
+    // Set authorize to use OAuth tokens, refreshed with the function given
+    this.authorize = auth.authorizeWithToken.call(this, 'queue');
+    this._token = null;
+    this._tokenExpiresOn = 0;
+    this._tokenRefresh = null;
   } else if (this.options.sas instanceof Function) {
     // Set authorize to use shared-access-signatures with refresh function
     this.authorize = auth.authorizeWithRefreshSAS;
@@ -162,8 +184,8 @@ export function Queue(options) {
     // Set authorize to use shared-access-signature as hardcoded
     this.authorize = auth.authorizeWithSAS;
   } else {
-    throw new Error("Either options.accessKey, options.sas as function or " +
-                    "options.sas as string must be given!");
+    throw new Error("Either options.accessKey, options.tokenCredential, options.sas " +
+                    "as function or options.sas as string must be given!");
   }
 };
 
@@ -189,6 +211,10 @@ util.inherits(Queue, events.EventEmitter);
  *     update:        false,      // Update messages (after get messages)
  *     process:       false       // Process messages (get and delete messages)
  *   },
+ *   ipRange:         '...',      // IPv4 address or range of addresses, e.g.
+ *                                // '168.1.5.60-168.1.5.70', to accept requests from
+ *   protocol:        'https',    // Protocols permitted, `https` or `https,http`
+ *                                // (defaults to `https`)
  *   accessPolicy:    '...'       // Reference to stored access policy
  * }
  * ```
@@ -206,21 +232,14 @@ Queue.prototype.sas = function sas(queue, options) {
     throw new Error("accountId and accessKey are required for SAS creation!");
   }
 
-  // Construct permissions string (in correct order)
-  var permissions = '';
-  if (options.permissions.read)     permissions += 'r';
-  if (options.permissions.add)      permissions += 'a';
-  if (options.permissions.update)   permissions += 'u';
-  if (options.permissions.process)  permissions += 'p';
-
   // Construct query-string with required parameters
   var query = {
     sv:   SERVICE_VERSION,
     se:   utils.dateToISOWithoutMS(options.expiry),
-    sp:   permissions,
-    spr:  'https',
+    sp:   auth.sasPermissions('queue', options.permissions),
     sig:  null
   };
+  auth.setSasProtocolAndIP(query, options);
 
   // Add optional parameters to query-string
   if (options.start) {
@@ -229,20 +248,11 @@ Queue.prototype.sas = function sas(queue, options) {
     query.st = utils.dateToISOWithoutMS(options.start);
   }
   if (options.accessPolicy) {
-    query.se = options.accessPolicy;
+    query.si = options.accessPolicy;
   }
 
   // Construct string to sign
-  var stringToSign = [
-    query.sp,
-    query.st  || '',
-    query.se,
-    '/queue/' + this.options.accountId.toLowerCase() + '/' + queue,
-    query.si  || '',
-    '', // TODO: Support signed IP addresses
-    query.spr,
-    query.sv
-  ].join('\n');
+  var stringToSign = auth.sasStringToSign('queue', this.options.accountId, queue, query);
 
   // Compute signature
   query.sig = utils.hmacSha256(this._accessKey, stringToSign);;
@@ -251,6 +261,16 @@ Queue.prototype.sas = function sas(queue, options) {
   return querystring.stringify(query);
 };
 
+/**
+ * Generate an account shared-access-signature on the form `'key1=val1&key2=val2&...'`, that can grant access
+ * to several services, see `Blob#accountSas` for the options.
+ *
+ * @method accountSas
+ * @param {object} options - Options, see `Blob#accountSas`
+ * @returns {string} Shared-Access-Signature on string form.
+ */
+Queue.prototype.accountSas = auth.accountSAS;
+
 /**
  * Construct authorized request options by adding signature or
  * shared-access-signature, return promise for the request options.
@@ -392,6 +412,29 @@ Queue.prototype.listQueues = function listQueues(options) {
   return this.request('GET', '/', query, {}).then(xml.queueParseListQueues);
 };
 
+/**
+ * Iterate over queues under the storage account, following `nextMarker`
+ * across pages, see `ListIterator` for details.
+ *
+ * @method iterateQueues
+ * @param {object} options -  `options` on the following form:
+ * ```js
+ * {
+ *   prefix:          '',     // Prefix of queues to list
+ *   maxResults:      5000,   // Max number of results per page
+ *   metadata:        false,  // Whether or not to include metadata
+ *   limit:           1000,   // Max number of queues to return in total
+ *   pages:           false,  // Return arrays of queues, one for each page
+ *   continuation:    {...}   // `continuation` of a previous iterator to resume from
+ * }
+ * ```
+ * @returns {ListIterator} An async iterator over queues as returned by
+ * `listQueues`.
+ */
+Queue.prototype.iterateQueues = function iterateQueues(options) {
+  return iterateMarkerPages(this.listQueues.bind(this), 'queues', options);
+};
+
 // TODO: Implement someday when we need it:
 // Queue.prototype.getServiceProperties = function getServiceProperties() {};
 // Queue.prototype.setServiceProperties = function setServiceProperties() {};
@@ -9,6 +9,7 @@ import util from 'util';
 import agent from './agent.js';
 import * as utils from './utils.js';
 import * as auth from './authorization.js';
+import { ListIterator } from './list-iterator.js';
 
 /* Transient error codes (we'll retry request when encountering these codes */
 var TRANSIENT_ERROR_CODES = [
@@ -22,6 +23,12 @@ var TRANSIENT_ERROR_CODES = [
   'ServerBusy'
 ].concat(utils.TRANSIENT_HTTP_ERROR_CODES);
 
+/*
+ * Version of the shared-access-signatures generated by `sas`, signed IP
+ * ranges and protocols require 2015-04-05 or later.
+ * @const
+ */
+var SAS_VERSION = '2019-02-02';
 
 /*
  * Authorize the request with shared key
@@ -118,7 +125,8 @@ var authorizeWithSharedKey = function (method, path, query, headers) {
  *   // Azure storage accountId (required)
  *   accountId:            undefined,
  *
- *   // Azure shared accessKey, required unless options.sas is given
+ *   // Azure shared accessKey, required unless options.sas or
+ *   // options.tokenCredential is given
  *   accessKey:            undefined,
  *
  *   // Function that returns SAS string or promise for SAS string, in which
@@ -129,7 +137,17 @@ var authorizeWithSharedKey = function (method, path, query, headers) {
  *
  *   // Minimum SAS expiry before refreshing SAS credentials, if a function for
  *   // refreshing SAS credentials is given as options.sas
- *   minSASAuthExpiry:     15 * 60 * 1000
+ *   minSASAuthExpiry:     15 * 60 * 1000,
+ *
+ *   // Function that returns an OAuth token for https://storage.azure.com, or
+ *   // a promise for it, on the form {token, expiresOn}, where expiresOn is a
+ *   // Date or a time in ms. Used instead of accessKey and sas, see
+ *   // azure.clientSecretCredential.
+ *   tokenCredential:      undefined,
+ *
+ *   // Minimum token expiry before refreshing the token in the background, if
+ *   // options.tokenCredential is given
+ *   minTokenAuthExpiry:   5 * 60 * 1000
  * }
  * ```
  */
@@ -155,6 +173,8 @@ export function Table(options) {
     accessKey:            undefined,
     sas:                  undefined,
     minSASAuthExpiry:     15 * 60 * 1000,
+    tokenCredential:      undefined,
+    minTokenAuthExpiry:   5 * 60 * 1000,
   };
 
   // Overwrite default options
@@ -187,6 +207,14 @@ export function Table(options) {
     this.authorize = auth.authorizeWithSharedKey.call(this, 'table');
     // Decode accessKey
     this._accessKey = new Buffer(this.options.accessKey, 'base64');
+  } else if (this.options.tokenCredential) {
+    assert(this.options.tokenCredential instanceof Function,
+      "`options.tokenCredential` must be a function");
+    // Set authorize to use OAuth tokens, refreshed with the function given
+    this.authorize = auth.authorizeWithToken.call(this, 'table');
+    this._token = null;
+    this._tokenExpiresOn = 0;
+    this._tokenRefresh = null;
   } else if (this.options.sas instanceof Function) {
     // Set authorize to use shared-access-signatures with refresh function
     this.authorize = auth.authorizeWithRefreshSAS;
@@ -197,8 +225,8 @@ export function Table(options) {
     // Set authorize to use shared-access-signature as hardcoded
     this.authorize = auth.authorizeWithSAS;
   } else {
-    throw new Error("Either options.accessKey, options.sas as function or " +
-                    "options.sas as string must be given!");
+    throw new Error("Either options.accessKey, options.tokenCredential, options.sas " +
+                    "as function or options.sas as string must be given!");
   }
 };
 
@@ -232,6 +260,10 @@ export default Table;
  *     partitionKey:  '...',      // Last accessible partition key (required)
  *     rowKey:        '...'       // Last accessible row key (required)
  *   },
+ *   ipRange:         '...',      // IPv4 address or range of addresses, e.g.
+ *                                // '168.1.5.60-168.1.5.70', to accept requests from
+ *   protocol:        'https',    // Protocols permitted, `https` or `https,http`
+ *                                // (defaults to `https`)
  *   accessPolicy:    '...'       // Reference to stored access policy
  * }
  * ```
@@ -249,21 +281,15 @@ Table.prototype.sas = function(table, options) {
     throw new Error("accountId and accessKey are required for SAS creation!");
   }
 
-  // Construct permissions string (in correct order)
-  var permissions = '';
-  if (options.permissions.read)   permissions += 'r';
-  if (options.permissions.add)    permissions += 'a';
-  if (options.permissions.update) permissions += 'u';
-  if (options.permissions.delete) permissions += 'd';
-
   // Construct query-string with required parameters
   var query = {
-    sv:   '2014-02-14',
+    sv:   SAS_VERSION,
     tn:   table,
     se:   utils.dateToISOWithoutMS(options.expiry),
-    sp:   permissions,
+    sp:   auth.sasPermissions('table', options.permissions),
     sig:  null
   };
+  auth.setSasProtocolAndIP(query, options);
   // Add optional parameters to query-string
   if (options.start) {
     assert(options.start instanceof Date,
@@ -289,18 +315,7 @@ Table.prototype.sas = function(table, options) {
   }
 
   // Construct string to sign
-  var stringToSign = [
-    query.sp,
-    query.st  || '',
-    query.se,
-    '/' + this.options.accountId.toLowerCase() + '/' + table.toLowerCase(),
-    query.si  || '',
-    query.sv,
-    query.spk || '',
-    query.srk || '',
-    query.epk || '',
-    query.erk || ''
-  ].join('\n');
+  var stringToSign = auth.sasStringToSign('table', this.options.accountId, table, query);
 
   // Compute signature
   query.sig = utils.hmacSha256(this._accessKey, stringToSign);
@@ -309,6 +324,16 @@ Table.prototype.sas = function(table, options) {
   return querystring.stringify(query);
 };
 
+/**
+ * Generate an account shared-access-signature on the form `'key1=val1&key2=val2&...'`, that can grant access
+ * to several services, see `Blob#accountSas` for the options.
+ *
+ * @method accountSas
+ * @param {object} options - Options, see `Blob#accountSas`
+ * @returns {string} Shared-Access-Signature on string form.
+ */
+Table.prototype.accountSas = auth.accountSAS;
+
 /**
  * Construct authorized request options by adding signature or
  * shared-access-signature, return promise for the request options.
@@ -469,6 +494,30 @@ Table.prototype.queryTables = function queryTables(options) {
   });
 };
 
+/**
+ * Iterate over tables on the storage account, following `nextTableName`
+ * across pages, see `ListIterator` for details.
+ *
+ * @method iterateTables
+ * @param {object} options - `options` on the following form:
+ * ```js
+ * {
+ *   limit:         1000,       // Max number of tables to return in total
+ *   pages:         false,      // Return arrays of table names, one for each page
+ *   continuation:  {...}       // `continuation` of a previous iterator to resume from
+ * }
+ * ```
+ * @returns {ListIterator} An async iterator over table names.
+ */
+Table.prototype.iterateTables = function iterateTables(options) {
+  var self = this;
+  return new ListIterator(function(nextTableName) {
+    return self.queryTables({nextTableName: nextTableName}).then(function(result) {
+      return {items: result.tables, next: result.nextTableName};
+    });
+  }, options);
+};
+
 /**
  * Create table with given `name`.
  *
@@ -737,6 +786,46 @@ Table.prototype.queryEntities = function queryEntities(table, options) {
   });
 };
 
+/**
+ * Iterate over entities from `table`, following `nextPartitionKey` and
+ * `nextRowKey` across pages, see `ListIterator` for details.
+ *
+ * @method iterateEntities
+ * @param {string} table - Name of table to query entities for.
+ * @param {object} options - Query options as accepted by `queryEntities`,
+ * where `top` is the page size, and the following iterator options:
+ * ```js
+ * {
+ *   limit:             1000,   // Max number of entities to return in total
+ *   pages:             false,  // Return arrays of entities, one for each page
+ *   continuation:      {...}   // `continuation` of a previous iterator to resume from
+ * }
+ * ```
+ * @returns {ListIterator} An async iterator over entities as returned by
+ * `queryEntities`.
+ */
+Table.prototype.iterateEntities = function iterateEntities(table, options) {
+  var self = this;
+  options = options || {};
+  return new ListIterator(function(next, wanted) {
+    return self.queryEntities(table, {
+      select:           options.select,
+      filter:           options.filter,
+      top:              Math.min(options.top || 1000, wanted),
+      nextPartitionKey: next ? next.nextPartitionKey : options.nextPartitionKey,
+      nextRowKey:       next ? next.nextRowKey : options.nextRowKey
+    }).then(function(result) {
+      if (!result.nextPartitionKey && !result.nextRowKey) {
+        return {items: result.entities, next: null};
+      }
+      return {items: result.entities, next: {
+        nextPartitionKey: result.nextPartitionKey,
+        nextRowKey:       result.nextRowKey
+      }};
+    });
+  }, options);
+};
+
 
 /**
  * Insert `entity` into `table`, the `entity` object must be on the format
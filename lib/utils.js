@@ -1,10 +1,13 @@
 'use strict';
 
+import http from 'http';
 import https from 'https';
 import crypto from 'crypto';
+import zlib from 'zlib';
 import querystring from 'querystring';
 import debugFactory from 'debug';
 import assert from 'assert';
+import util from 'util';
 
 const debug = debugFactory('azure:utils');
 
@@ -80,14 +83,18 @@ export const retry = function retry(f, options) {
       // Add 'fast-azure-storage' as module, so that errors can be traced
       err.module = 'fast-azure-storage';
 
-      // Add number of retries to the error object
-      err.retries = retry;
-
-      // Don't retry if this is a non-transient error
+      // Don't retry if this is a non-transient error, keeping the number of
+      // retries of a nested retry loop that gave up on it
       if (options.transientErrorCodes.indexOf(err.code) === -1) {
+        if (err.retries === undefined) {
+          err.retries = retry;
+        }
         throw err;
       }
 
+      // Add number of retries to the error object
+      err.retries = retry;
+
       // Don't retry if retries have been exhausted
       if (retry >= options.retries) {
         throw err;
@@ -111,9 +118,53 @@ export const retry = function retry(f, options) {
   return attempt();
 };
 
+/*
+ * Call the asynchronous function `f(item, index)` for each entry in `items`,
+ * with at most `concurrency` calls pending at any time. If a call fails no
+ * further calls are started, and the returned promise is rejected with the
+ * error once the pending calls have settled.
+ *
+ * @param {Array} items - Items to call `f` with.
+ * @param {number} concurrency - Maximum number of concurrent calls.
+ * @param {Function} f - Function that returns a promise.
+ * @returns {Promise} A promise for the results of `f` in the order of `items`.
+ */
+export const mapLimit = function mapLimit(items, concurrency, f) {
+  assert(concurrency >= 1, 'concurrency must be at least 1');
+  var results = new Array(items.length);
+  var next = 0;
+  var error = null;
+  function worker() {
+    if (error || next >= items.length) {
+      return Promise.resolve();
+    }
+    var index = next++;
+    return Promise.resolve().then(function() {
+      return f(items[index], index);
+    }).then(function(result) {
+      results[index] = result;
+      return worker();
+    }, function(err) {
+      error = error || err;
+    });
+  }
+  var workers = [];
+  for (var i = 0; i < Math.min(concurrency, items.length); i++) {
+    workers.push(worker());
+  }
+  return Promise.all(workers).then(function() {
+    if (error) {
+      throw error;
+    }
+    return results;
+  });
+};
+
 /*
  * Auxiliary function to create `https.request` with `options` send `data` as
  * UTF-8 and buffer up the response as `payload` property on the response.
+ * Plain `http.request` is used if `options.protocol` is `'http:'`, as for
+ * local storage emulators.
  *
  * @param {object} options - `options` compatible with `https.request`.
  * @param {string} data - String to send as UTF-8, or `undefined`.
@@ -124,7 +175,7 @@ export const retry = function retry(f, options) {
 export const request = function request(options, data, timeout) {
   return new Promise(function(resolve, reject) {
     // Create https request
-    var req = https.request(options);
+    var req = (options.protocol === 'http:' ? http : https).request(options);
     req.setTimeout(timeout, function() {
       req.abort();
     });
@@ -192,6 +243,85 @@ export const request = function request(options, data, timeout) {
   });
 };
 
+/*
+ * Auxiliary function to create `https.request` with `options` and send `data`,
+ * but unlike `request` this resolves as soon as the response headers have
+ * arrived. The response is returned as a raw stream of bytes, no encoding is
+ * set and nothing is buffered, so the caller is responsible for consuming it.
+ *
+ * Note, the client-side `timeout` still applies to the socket while the
+ * response is being consumed, if the timeout is hit the response stream will
+ * emit `aborted`. Like `request`, plain `http.request` is used if
+ * `options.protocol` is `'http:'`.
+ *
+ * @param {object} options - `options` compatible with `https.request`.
+ * @param {string|Buffer} data - Data to send, or `undefined`.
+ * @param {number} timeout - Client-side timeout in milliseconds.
+ * @returns {Promise}
+ * A promise for the response object, as soon as headers have been received.
+ */
+export const requestStream = function requestStream(options, data, timeout) {
+  return new Promise(function(resolve, reject) {
+    // Create https request
+    var req = (options.protocol === 'http:' ? http : https).request(options);
+    req.setTimeout(timeout, function() {
+      req.abort();
+    });
+
+    // Reject promise
+    req.once('error', reject);
+
+    // Reject on abort which happens if there is a timeout
+    req.once('abort', function() {
+      var err = new Error('Requested aborted by client due to timeout');
+      err.code = 'RequestTimeoutError';
+      reject(err);
+    });
+
+    // Resolve with the response as soon as we have the headers, any errors
+    // after this point will be emitted on the response.
+    req.once('response', function(res) {
+      // Ignore errors after the response has been given to the caller, the
+      // response will emit 'aborted' or 'error' itself.
+      req.removeListener('error', reject);
+      req.on('error', function(err) {
+        debug("Error after response headers: %s", err.stack);
+      });
+      resolve(res);
+    });
+
+    // Send data with request
+    req.end(data);
+  });
+};
+
+/*
+ * Buffer up the payload of response `res` obtained with `requestStream`, and
+ * set it as UTF-8 string on the `payload` property, like `request` does.
+ *
+ * @param {object} res - Response object from `requestStream`.
+ * @returns {Promise} A promise for the response object with `payload` property.
+ */
+export const readPayload = function readPayload(res) {
+  return new Promise(function(resolve, reject) {
+    res.setEncoding('utf8');
+    var chunks = [];
+    res.on('data', function(chunk) {
+      chunks.push(chunk);
+    });
+    res.once('error', reject);
+    res.once('aborted', function() {
+      var err = new Error('Request aborted by server');
+      err.code = 'RequestAbortedError';
+      reject(err);
+    });
+    res.once('end', function() {
+      res.payload = chunks.join('');
+      resolve(res);
+    });
+  });
+};
+
 /*
  * Convert Date object to JSON format without milliseconds
  *
@@ -333,7 +463,9 @@ export const hmacSha256 = function hmacSha256(accessKey, stringToSign) {
 }
 
 /*
- * Calculate MD5sum for the content
+ * Calculate MD5sum for the content, strings are hashed as UTF-8. When content
+ * is compressed or encrypted before upload, the MD5 must be computed on the
+ * resulting bytes, as that is what is stored.
  */
 export const md5 = function md5(content) {
   return crypto
@@ -341,3 +473,248 @@ export const md5 = function md5(content) {
     .update(content, 'utf8')
     .digest('base64');
 }
+
+/*
+ * Serialize `requests` as the multipart/mixed body of a batch request with
+ * `boundary`. Each request is on the form `{method, path, headers}`, as
+ * returned by `authorize`, and is identified by its index as Content-ID.
+ */
+export const serializeBatchBody = function serializeBatchBody(boundary, requests) {
+  var lines = [];
+  requests.forEach(function(request, index) {
+    lines.push('--' + boundary);
+    lines.push('Content-Type: application/http');
+    lines.push('Content-Transfer-Encoding: binary');
+    lines.push('Content-ID: ' + index);
+    lines.push('');
+    lines.push(request.method + ' ' + request.path + ' HTTP/1.1');
+    Object.keys(request.headers).forEach(function(key) {
+      lines.push(key + ': ' + request.headers[key]);
+    });
+    lines.push('');
+  });
+  lines.push('--' + boundary + '--');
+  lines.push('');
+  return lines.join('\r\n');
+}
+
+/*
+ * Split `text` at the first empty line, return the lines before it and the
+ * text after it.
+ */
+function splitHead(text) {
+  var match = /\r?\n\r?\n/.exec(text);
+  if (!match) {
+    return {lines: text.split(/\r?\n/), rest: ''};
+  }
+  return {
+    lines: text.slice(0, match.index).split(/\r?\n/),
+    rest: text.slice(match.index + match[0].length)
+  };
+}
+
+/*
+ * Parse header `lines` on the form `Key: value`, return an object mapping
+ * lower-case keys to values.
+ */
+function parseHeaderLines(lines) {
+  var headers = {};
+  lines.forEach(function(line) {
+    var index = line.indexOf(':');
+    if (index > 0) {
+      headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+    }
+  });
+  return headers;
+}
+
+/*
+ * Parse the multipart/mixed `payload` of a batch response, given the value of
+ * its content-type header. Returns a list of responses on the form
+ * `{contentId, statusCode, statusMessage, headers, payload}`, where
+ * `contentId` is the index of the request given to `serializeBatchBody`.
+ */
+export const parseBatchResponse = function parseBatchResponse(contentType, payload) {
+  var match = /boundary=("?)([^";]+)\1/i.exec(contentType || '');
+  assert(match, 'The batch response has no multipart boundary');
+  var parts = payload.split('--' + match[2]);
+  var responses = [];
+  // Skip the preamble before the first boundary, and stop at the final boundary
+  for (var i = 1; i < parts.length && !/^--/.test(parts[i]); i++) {
+    var mime = splitHead(parts[i].replace(/^\r?\n/, ''));
+    var mimeHeaders = parseHeaderLines(mime.lines);
+    var message = splitHead(mime.rest);
+    var status = /^HTTP\/\d\.\d (\d{3}) ?(.*)$/.exec(message.lines[0]);
+    assert(status, 'The batch response has a malformed status line: ' + message.lines[0]);
+    responses.push({
+      contentId: mimeHeaders['content-id'] !== undefined ? parseInt(mimeHeaders['content-id']) : i - 1,
+      statusCode: parseInt(status[1]),
+      statusMessage: status[2],
+      headers: parseHeaderLines(message.lines.slice(1)),
+      // The line break before the boundary belongs to the boundary
+      payload: message.rest.replace(/\r?\n$/, '')
+    });
+  }
+  return responses;
+}
+
+/*
+ * Lookup tables for the CRC64 used by Azure Storage, the reflected form of the
+ * polynomial 0xAD93D23594C93659 (also known as CRC-64/NVME). The 64 bit values
+ * are split in high and low 32 bit halves.
+ */
+var CRC64_TABLE_HIGH = new Uint32Array(256);
+var CRC64_TABLE_LOW = new Uint32Array(256);
+(function() {
+  for (var i = 0; i < 256; i++) {
+    var high = 0;
+    var low = i;
+    for (var j = 0; j < 8; j++) {
+      var carry = low & 1;
+      low = ((low >>> 1) | ((high & 1) << 31)) >>> 0;
+      high = high >>> 1;
+      if (carry) {
+        high = (high ^ 0x9A6C9329) >>> 0;
+        low = (low ^ 0xAC4BC9B5) >>> 0;
+      }
+    }
+    CRC64_TABLE_HIGH[i] = high;
+    CRC64_TABLE_LOW[i] = low;
+  }
+})();
+
+/*
+ * Create a hash object computing the CRC64 used by Azure Storage for the
+ * `x-ms-content-crc64` header. Like `crypto.Hash`, it has `update(data)` and
+ * `digest()`, which returns the CRC64 on the base64 form used by the header.
+ */
+export const createCRC64 = function createCRC64() {
+  var high = 0xFFFFFFFF;
+  var low = 0xFFFFFFFF;
+  return {
+    update: function(data) {
+      if (!Buffer.isBuffer(data)) {
+        data = Buffer.from(data, 'utf8');
+      }
+      for (var i = 0; i < data.length; i++) {
+        var index = (low ^ data[i]) & 0xFF;
+        low = (CRC64_TABLE_LOW[index] ^ ((low >>> 8) | (high << 24))) >>> 0;
+        high = (CRC64_TABLE_HIGH[index] ^ (high >>> 8)) >>> 0;
+      }
+      return this;
+    },
+    digest: function() {
+      // The CRC64 is encoded as a little-endian 64 bit integer
+      var result = Buffer.alloc(8);
+      result.writeUInt32LE((low ^ 0xFFFFFFFF) >>> 0, 0);
+      result.writeUInt32LE((high ^ 0xFFFFFFFF) >>> 0, 4);
+      return result.toString('base64');
+    }
+  };
+}
+
+/*
+ * Calculate the CRC64 used by Azure Storage for the content, on base64 form.
+ */
+export const crc64 = function crc64(content) {
+  return createCRC64().update(content).digest();
+}
+
+/*
+ * zlib functions for the content-encodings supported by `compress` and
+ * `decompress`.
+ */
+var COMPRESSION_METHODS = {
+  gzip: {
+    compress:         zlib.gzip,
+    decompress:       zlib.gunzip,
+    compressStream:   zlib.createGzip,
+    decompressStream: zlib.createGunzip
+  },
+  br: {
+    compress:         zlib.brotliCompress,
+    decompress:       zlib.brotliDecompress,
+    compressStream:   zlib.createBrotliCompress,
+    decompressStream: zlib.createBrotliDecompress
+  },
+  deflate: {
+    compress:         zlib.deflate,
+    decompress:       zlib.inflate,
+    compressStream:   zlib.createDeflate,
+    decompressStream: zlib.createInflate
+  }
+};
+
+/*
+ * True, if `encoding` is a content-encoding supported by `compress` and
+ * `decompress`, i.e. 'gzip', 'br' or 'deflate'.
+ */
+export const isCompressionEncoding = function isCompressionEncoding(encoding) {
+  return typeof encoding === 'string' && COMPRESSION_METHODS.hasOwnProperty(encoding);
+}
+
+/*
+ * Compress `content` with the content-encoding `encoding`, strings are
+ * encoded as UTF-8. Returns a promise for a Buffer.
+ */
+export const compress = function compress(content, encoding) {
+  assert(isCompressionEncoding(encoding), 'Unsupported content-encoding: ' + encoding);
+  return util.promisify(COMPRESSION_METHODS[encoding].compress)(content);
+}
+
+/*
+ * Decompress `content` with the content-encoding `encoding`. Returns a
+ * promise for a Buffer.
+ */
+export const decompress = function decompress(content, encoding) {
+  assert(isCompressionEncoding(encoding), 'Unsupported content-encoding: ' + encoding);
+  return util.promisify(COMPRESSION_METHODS[encoding].decompress)(content);
+}
+
+/*
+ * Create a transform stream compressing with the content-encoding `encoding`.
+ */
+export const compressStream = function compressStream(encoding) {
+  assert(isCompressionEncoding(encoding), 'Unsupported content-encoding: ' + encoding);
+  return COMPRESSION_METHODS[encoding].compressStream();
+}
+
+/*
+ * Create a transform stream decompressing the content-encoding `encoding`.
+ */
+export const decompressStream = function decompressStream(encoding) {
+  assert(isCompressionEncoding(encoding), 'Unsupported content-encoding: ' + encoding);
+  return COMPRESSION_METHODS[encoding].decompressStream();
+}
+
+/*
+ * Convert a glob `pattern` to a regular expression matching paths with `/` as
+ * separator. A `*` matches any characters and `?` a single character within a
+ * path segment, while `**` matches across segments, with `**\/` matching zero
+ * or more directories.
+ *
+ * @param {string} pattern - Glob pattern, i.e. `'logs/**\/*.txt'`.
+ * @returns {RegExp} A regular expression matching the entire path.
+ */
+export const globToRegExp = function globToRegExp(pattern) {
+  var source = '';
+  for (var i = 0; i < pattern.length; i++) {
+    var c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else {
+      source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp('^' + source + '$');
+};
@@ -161,13 +161,27 @@ export const blobParseListContainers = function blobParseListContainers(res) {
         if (publicAccessLevel) {
           properties.publicAccessLevel = publicAccessLevel;
         }
+        let deletedTime = getValue(props, 'DeletedTime', 0);
+        if (deletedTime) {
+          properties.deletedTime = deletedTime;
+        }
+        let remainingRetentionDays = getValue(props, 'RemainingRetentionDays', 0);
+        if (remainingRetentionDays) {
+          properties.remainingRetentionDays = remainingRetentionDays;
+        }
       }
 
-      return {
+      const result = {
         name:       getValue(container, 'Name', 0),
         properties: properties,
         metadata:   metadata,
       };
+      // Soft-deleted containers, listed if requested
+      if (getValue(container, 'Deleted', 0) === 'true') {
+        result.deleted = true;
+        result.version = getValue(container, 'Version', 0);
+      }
+      return result;
     })
   };
 
@@ -264,6 +278,12 @@ export const blobParseListBlobs = function blobParseListBlobs(response) {
 
       b('Name', 'name');
       b('Snapshot', 'snapshot');
+      // Soft-deleted blobs, listed if requested
+      if (getValue(blob, 'Deleted', 0) === 'true') {
+        theBlob.deleted = true;
+      }
+      b('VersionId', 'versionId');
+      b('IsCurrentVersion', 'isCurrentVersion');
       p('Last-Modified', 'lastModified');
       p('Etag', 'eTag');
       p('Content-Length', 'contentLength');
@@ -284,6 +304,12 @@ export const blobParseListBlobs = function blobParseListBlobs(response) {
       p('CopyCompletionTime', 'copyCompletionTime');
       p('CopyStatusDescription', 'copyStatusDescription');
       p('ServerEncrypted', 'serverEncrypted');
+      p('AccessTier', 'accessTier');
+      p('AccessTierInferred', 'accessTierInferred');
+      p('ArchiveStatus', 'archiveStatus');
+      p('AccessTierChangeTime', 'accessTierChangeTime');
+      p('DeletedTime', 'deletedTime');
+      p('RemainingRetentionDays', 'remainingRetentionDays');
 
       let metadata = undefined;
       if (Object.hasOwnProperty.bind(blob)('Metadata')) {
@@ -298,6 +324,12 @@ export const blobParseListBlobs = function blobParseListBlobs(response) {
     });
   }
 
+  // Get the prefixes of virtual directories, if a delimiter was given
+  const blobPrefixes = getValue(xml, 'EnumerationResults', 'Blobs', 0, 'BlobPrefix');
+  if (blobPrefixes) {
+    result.blobPrefixes = blobPrefixes.map(blobPrefix => getValue(blobPrefix, 'Name', 0));
+  }
+
   // Get Marker, Prefix, MaxResults and NextMarker, if present
   const marker = getValue(xml, 'EnumerationResults', 'Marker', 0);
   if (marker !== undefined) {
@@ -349,6 +381,67 @@ export const blobParseListBlock = function blobParseListBlock(response) {
   return result;
 };
 
+/* Parse list of page ranges and return object for getPageRanges */
+export const blobParsePageRanges = function blobParsePageRanges(response) {
+  const xml = parseString(response.payload);
+
+  const getRange = function(range) {
+    return {
+      start: parseInt(getValue(range, 'Start', 0), 10),
+      end: parseInt(getValue(range, 'End', 0), 10),
+    };
+  };
+
+  return {
+    pageRanges: array(getValue(xml, 'PageList', 'PageRange')).map(getRange),
+    clearRanges: array(getValue(xml, 'PageList', 'ClearRange')).map(getRange),
+  };
+};
+
+// convert a <Tags> element to a dictionary of tags
+const parseTagSet = function(tags) {
+  const result = {};
+  array(getValue(tags, 'TagSet', 0, 'Tag')).forEach(function(tag) {
+    result[getValue(tag, 'Key', 0)] = getValue(tag, 'Value', 0) || '';
+  });
+  return result;
+};
+
+/* Parse blob tags and return object for getBlobTags */
+export const blobParseTags = function blobParseTags(response) {
+  const xml = parseString(response.payload);
+  return {
+    tags: parseTagSet(xml.Tags),
+  };
+};
+
+/* Parse blobs found by tags and return object for findBlobsByTags */
+export const blobParseFindBlobsByTags = function blobParseFindBlobsByTags(response) {
+  const xml = parseString(response.payload);
+  const blobs = array(getValue(xml, 'EnumerationResults', 'Blobs', 0, 'Blob'));
+
+  const result = {
+    blobs: blobs.map(function(blob) {
+      return {
+        name: getValue(blob, 'Name', 0),
+        container: getValue(blob, 'ContainerName', 0),
+        tags: parseTagSet(getValue(blob, 'Tags', 0)),
+      };
+    }),
+  };
+
+  const where = getValue(xml, 'EnumerationResults', 'Where', 0);
+  if (where !== undefined) {
+    result.where = where;
+  }
+  const nextMarker = getValue(xml, 'EnumerationResults', 'NextMarker', 0);
+  if (nextMarker !== undefined) {
+    result.nextMarker = nextMarker;
+  }
+
+  return result;
+};
+
 /* Parse the blob service properties and return object for getServiceProperties */
 export const blobParseServiceProperties = function blobParseServiceProperties(response) {
   const xml = parseString(response.payload);
@@ -414,6 +507,17 @@ export const blobParseServiceProperties = function blobParseServiceProperties(re
     }
   }
 
+  const deleteRetentionPolicy = getValue(xml, 'StorageServiceProperties', 'DeleteRetentionPolicy', 0);
+  if (deleteRetentionPolicy) {
+    result.deleteRetentionPolicy = {
+      enabled: getValue(deleteRetentionPolicy, 'Enabled', 0),
+    };
+    const days = getValue(deleteRetentionPolicy, 'Days', 0);
+    if (days) {
+      result.deleteRetentionPolicy.days = days;
+    }
+  }
+
   const corsRules = array(getValue(xml, 'StorageServiceProperties', 'Cors', 0, 'CorsRule'));
   if (corsRules) {
     result.corsRules = corsRules.map(function(rule) {
@@ -429,3 +533,17 @@ export const blobParseServiceProperties = function blobParseServiceProperties(re
 
   return result;
 };
+
+/* Parse the user delegation key and return object for getUserDelegationKey */
+export const blobParseUserDelegationKey = function blobParseUserDelegationKey(response) {
+  const xml = parseString(response.payload);
+  return {
+    signedOid: getValue(xml, 'UserDelegationKey', 'SignedOid', 0),
+    signedTid: getValue(xml, 'UserDelegationKey', 'SignedTid', 0),
+    signedStart: getValue(xml, 'UserDelegationKey', 'SignedStart', 0),
+    signedExpiry: getValue(xml, 'UserDelegationKey', 'SignedExpiry', 0),
+    signedService: getValue(xml, 'UserDelegationKey', 'SignedService', 0),
+    signedVersion: getValue(xml, 'UserDelegationKey', 'SignedVersion', 0),
+    value: getValue(xml, 'UserDelegationKey', 'Value', 0),
+  };
+};
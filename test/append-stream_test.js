@@ -0,0 +1,137 @@
+import assert from 'assert';
+import { Readable } from 'stream';
+import { finished } from 'stream/promises';
+import { AppendBlobStream } from '../lib/append-stream.js';
+
+suite('AppendBlobStream', function() {
+  const errorWithCode = function(code) {
+    const err = new Error(code);
+    err.code = code;
+    return err;
+  };
+
+  // Fake client storing append blobs in memory, `lostResponses` is the number
+  // of appends that are committed, but fail as retried requests would.
+  const fakeClient = function() {
+    const client = {
+      blobs: {},
+      lostResponses: 0,
+      putBlob: async function(container, blob, options) {
+        if (client.blobs[blob]) {
+          throw errorWithCode('BlobAlreadyExists');
+        }
+        client.blobs[blob] = {type: options.type, content: Buffer.alloc(0), blockCount: 0};
+        return {};
+      },
+      getBlobProperties: async function(container, blob) {
+        const item = client.blobs[blob];
+        if (!item) {
+          const err = errorWithCode('ErrorWithoutCode');
+          err.statusCode = 404;
+          throw err;
+        }
+        return {
+          type: item.type,
+          contentLength: String(item.content.length),
+          committedBlockCount: String(item.blockCount),
+        };
+      },
+      appendBlock: async function(container, blob, options, content) {
+        const item = client.blobs[blob];
+        if (options.blobConditionAppendPositionOffset !== item.content.length) {
+          throw errorWithCode('AppendPositionConditionNotMet');
+        }
+        if (options.blobConditionMaxSize < item.content.length + content.length) {
+          throw errorWithCode('MaxBlobSizeConditionNotMet');
+        }
+        item.content = Buffer.concat([item.content, content]);
+        item.blockCount += 1;
+        if (client.lostResponses > 0) {
+          client.lostResponses -= 1;
+          throw errorWithCode('AppendPositionConditionNotMet');
+        }
+        return {committedBlockCount: String(item.blockCount)};
+      },
+      getBlobStream: async function(container, blob, options) {
+        const item = client.blobs[blob];
+        if (options.offset + options.count > item.content.length) {
+          throw errorWithCode('InvalidRange');
+        }
+        return {
+          blobCommittedBlockCount: String(item.blockCount),
+          stream: Readable.from([item.content.subarray(options.offset, options.offset + options.count)]),
+        };
+      },
+    };
+    return client;
+  };
+
+  const writeAll = async function(writable, chunks) {
+    for (const chunk of chunks) {
+      writable.write(chunk);
+    }
+    writable.end();
+    await finished(writable);
+  };
+
+  test('create blob and append writes', async function() {
+    const client = fakeClient();
+    const writable = new AppendBlobStream(client, 'container', 'log', {blockSize: 4});
+    await writeAll(writable, ['hello', ' ', 'world']);
+    assert.equal(client.blobs.log.content.toString(), 'hello world');
+    assert.equal(writable.offset, 11);
+    assert(client.blobs.log.blockCount >= 3);
+  });
+
+  test('roll over at max size and resume in the last blob', async function() {
+    const client = fakeClient();
+    const rollovers = [];
+    let writable = new AppendBlobStream(client, 'container', 'log', {blockSize: 4, maxSize: 8});
+    writable.on('rollover', rollover => rollovers.push(rollover));
+    await writeAll(writable, ['aaaa', 'bbbb', 'cccc', 'dd']);
+    assert.deepEqual(rollovers, [{blob: 'log.1', index: 1}]);
+    assert.equal(client.blobs.log.content.toString(), 'aaaabbbb');
+    assert.equal(client.blobs['log.1'].content.toString(), 'ccccdd');
+
+    writable = new AppendBlobStream(client, 'container', 'log', {blockSize: 4, maxSize: 8});
+    await writeAll(writable, ['ee']);
+    assert.equal(writable.blob, 'log.1');
+    assert.equal(client.blobs['log.1'].content.toString(), 'ccccddee');
+    assert.equal(client.blobs['log.2'], undefined);
+  });
+
+  test('resume in the last blob when a rolled over blob is not full', async function() {
+    const client = fakeClient();
+    let writable = new AppendBlobStream(client, 'container', 'log', {blockSize: 4, maxSize: 8});
+    for (const chunk of ['aaa', 'bbbb']) {
+      await new Promise(resolve => writable.write(chunk, resolve));
+    }
+    await writeAll(writable, ['cccc']);
+    assert.equal(client.blobs.log.content.toString(), 'aaabbbb');
+    assert.equal(client.blobs['log.1'].content.toString(), 'cccc');
+
+    writable = new AppendBlobStream(client, 'container', 'log', {blockSize: 4, maxSize: 8});
+    await writeAll(writable, ['d']);
+    assert.equal(writable.blob, 'log.1');
+    assert.equal(client.blobs.log.content.toString(), 'aaabbbb');
+    assert.equal(client.blobs['log.1'].content.toString(), 'ccccd');
+  });
+
+  test('retried append is not duplicated', async function() {
+    const client = fakeClient();
+    const writable = new AppendBlobStream(client, 'container', 'log', {blockSize: 1024});
+    await new Promise(resolve => writable.write('first', resolve));
+    client.lostResponses = 1;
+    await writeAll(writable, [' second']);
+    assert.equal(client.blobs.log.content.toString(), 'first second');
+    assert.equal(writable.offset, 12);
+  });
+
+  test('append by another writer fails the stream', async function() {
+    const client = fakeClient();
+    const writable = new AppendBlobStream(client, 'container', 'log', {blockSize: 1024});
+    await new Promise(resolve => writable.write('mine', resolve));
+    client.blobs.log.content = Buffer.from('mine, theirs');
+    await assert.rejects(writeAll(writable, ['more']), {code: 'AppendPositionConditionNotMet'});
+  });
+});
@@ -0,0 +1,475 @@
+import assert from 'assert';
+import azure from '../lib/index.js';
+
+suite("Authorization", function() {
+  var accessKey = Buffer.from('not-a-real-account-key').toString('base64');
+  var options = {accountId: 'myaccount', accessKey: accessKey};
+  var start = new Date('2021-03-01T10:00:00Z');
+  var expiry = new Date('2021-03-02T10:00:00Z');
+
+  test("parseSas (blob)", function() {
+    var blob = new azure.Blob(options);
+    var sas = blob.sas('container', 'dir/blob', {
+      start:        start,
+      expiry:       expiry,
+      resourceType: 'blob',
+      permissions:  {read: true, write: true},
+      contentType:  'text/plain'
+    });
+    assert.deepEqual(azure.parseSas(sas), {
+      type:         'service',
+      service:      'blob',
+      resourceType: 'blob',
+      permissions:  {read: true, write: true},
+      start:        start,
+      expiry:       expiry,
+      protocol:     'https',
+      version:      '2020-04-08',
+      contentType:  'text/plain',
+      signature:    azure.parseSas(sas).signature
+    });
+  });
+
+  test("parseSas (account SAS in URL)", function() {
+    var queue = new azure.Queue(options);
+    var sas = queue.accountSas({
+      expiry:         expiry,
+      services:       {queue: true, table: true},
+      resourceTypes:  {container: true, object: true},
+      permissions:    {read: true, add: true, process: true},
+      ipRange:        '10.0.0.1-10.0.0.255'
+    });
+    var result = azure.parseSas('https://myaccount.queue.core.windows.net/myqueue/messages?' + sas);
+    assert.equal(result.type, 'account');
+    assert.deepEqual(result.services, {queue: true, table: true});
+    assert.deepEqual(result.resourceTypes, {container: true, object: true});
+    assert.deepEqual(result.permissions, {read: true, add: true, process: true});
+    assert.equal(result.ipRange, '10.0.0.1-10.0.0.255');
+    assert.equal(result.start, undefined);
+    assert.equal(result.expiry.getTime(), expiry.getTime());
+  });
+
+  test("parseSas (queue and table)", function() {
+    var queue = new azure.Queue(options);
+    var result = azure.parseSas(queue.sas('myqueue', {
+      expiry:       expiry,
+      permissions:  {read: true, process: true}
+    }));
+    assert.equal(result.type, 'service');
+    assert.equal(result.service, 'queue');
+    assert.deepEqual(result.permissions, {read: true, process: true});
+
+    var table = new azure.Table(options);
+    result = azure.parseSas(table.sas('MyTable', {
+      expiry:       expiry,
+      permissions:  {read: true, update: true},
+      first:        {partitionKey: 'a', rowKey: '1'},
+      last:         {partitionKey: 'b', rowKey: '2'}
+    }));
+    assert.equal(result.service, 'table');
+    assert.equal(result.table, 'MyTable');
+    assert.deepEqual(result.permissions, {read: true, update: true});
+    assert.deepEqual(result.first, {partitionKey: 'a', rowKey: '1'});
+    assert.deepEqual(result.last, {partitionKey: 'b', rowKey: '2'});
+    assert.equal(result.protocol, 'https');
+  });
+
+  test("parseSas (unknown permissions)", function() {
+    var result = azure.parseSas('?sv=2020-04-08&sr=c&sp=rlop&se=2021-03-02T10%3A00%3A00Z&sig=abc');
+    assert.equal(result.resourceType, 'container');
+    assert.deepEqual(result.permissions, {read: true, list: true});
+    assert.equal(result.unknownPermissions, 'op');
+    assert.throws(() => azure.parseSas('foo=bar'), /shared-access-signature/);
+  });
+
+  test("verifySas", function() {
+    var blob = new azure.Blob(options);
+    var sas = blob.sas('container', 'blob', {
+      expiry:       expiry,
+      resourceType: 'blob',
+      permissions:  {read: true}
+    });
+    var result = azure.verifySas(sas, {...options, resource: 'container/blob'});
+    assert(result.valid);
+    assert.deepEqual(result.differences, []);
+    assert.equal(result.signature, azure.parseSas(sas).signature);
+
+    var queue = new azure.Queue(options);
+    sas = queue.sas('myqueue', {expiry: expiry, permissions: {add: true}});
+    assert(azure.verifySas(sas, {...options, resource: 'myqueue'}).valid);
+
+    var table = new azure.Table(options);
+    sas = table.sas('MyTable', {expiry: expiry, permissions: {read: true}});
+    assert(azure.verifySas(sas, options).valid);
+
+    sas = table.accountSas({
+      expiry:         expiry,
+      services:       {table: true},
+      resourceTypes:  {object: true},
+      permissions:    {read: true}
+    });
+    assert(azure.verifySas(sas, options).valid);
+  });
+
+  test("verifySas (user delegation SAS)", async function() {
+    var blob = new azure.Blob({
+      accountId:        'myaccount',
+      tokenCredential:  async () => ({token: 'token', expiresOn: new Date(Date.now() + 60 * 60 * 1000)})
+    });
+    var userDelegationKey = {
+      signedOid:      'oid',
+      signedTid:      'tid',
+      signedStart:    '2021-03-01T00:00:00Z',
+      signedExpiry:   '2021-03-03T00:00:00Z',
+      signedService:  'b',
+      signedVersion:  '2020-04-08',
+      value:          accessKey
+    };
+    var sas = await blob.userDelegationSas('container', null, {
+      expiry:             expiry,
+      resourceType:       'container',
+      permissions:        {list: true},
+      userDelegationKey:  userDelegationKey
+    });
+    var result = azure.parseSas(sas);
+    assert.equal(result.type, 'userDelegation');
+    assert.equal(result.service, 'blob');
+    assert.deepEqual(result.userDelegationKey, {
+      signedOid:      'oid',
+      signedTid:      'tid',
+      signedStart:    '2021-03-01T00:00:00Z',
+      signedExpiry:   '2021-03-03T00:00:00Z',
+      signedService:  'b',
+      signedVersion:  '2020-04-08'
+    });
+    assert(azure.verifySas(sas, {...options, resource: 'container'}).valid);
+  });
+
+  test("verifySas (wrong key or resource)", function() {
+    var blob = new azure.Blob(options);
+    var sas = blob.sas('container', 'blob', {
+      expiry:       expiry,
+      resourceType: 'blob',
+      permissions:  {read: true}
+    });
+    var result = azure.verifySas(sas, {
+      ...options,
+      accessKey:  Buffer.from('another-key').toString('base64'),
+      resource:   'container/blob'
+    });
+    assert(!result.valid);
+    assert.deepEqual(result.differences.map(d => d.field), ['sig']);
+    assert.equal(result.differences[0].actual, azure.parseSas(sas).signature);
+
+    result = azure.verifySas(sas, {...options, resource: 'container/other-blob'});
+    assert.deepEqual(result.differences.map(d => d.field), ['sig']);
+  });
+
+  test("verifySas (string-to-sign from error detail)", function() {
+    var blob = new azure.Blob(options);
+    var sas = blob.sas('container', 'blob', {
+      expiry:       expiry,
+      resourceType: 'blob',
+      permissions:  {read: true}
+    });
+    // String-to-sign of a request for another blob, with a tampered expiry
+    var stringToSign = azure.verifySas(sas, {...options, resource: 'container/blob'}).stringToSign
+      .replace('/container/blob', '/container/other-blob')
+      .replace('2021-03-02T10:00:00Z', '2021-03-09T10:00:00Z');
+    var detail = 'Signature did not match. String to sign used was ' + stringToSign;
+
+    var result = azure.verifySas(sas, {...options, resource: 'container/blob', stringToSign: detail});
+    assert(!result.valid);
+    assert.deepEqual(result.differences, [{
+      field:    'se',
+      expected: '2021-03-02T10:00:00Z',
+      actual:   '2021-03-09T10:00:00Z'
+    }, {
+      field:    'canonicalizedResource',
+      expected: '/blob/myaccount/container/blob',
+      actual:   '/blob/myaccount/container/other-blob'
+    }]);
+  });
+
+  test("ipRange and protocol", function() {
+    var restrictions = {ipRange: '10.1.0.0-10.1.255.255', protocol: 'https,http'};
+    var blob = new azure.Blob(options);
+    var sas = blob.sas('container', null, {
+      expiry:       expiry,
+      resourceType: 'container',
+      permissions:  {list: true},
+      ...restrictions
+    });
+    var result = azure.parseSas(sas);
+    assert.equal(result.ipRange, '10.1.0.0-10.1.255.255');
+    assert.equal(result.protocol, 'https,http');
+    assert(azure.verifySas(sas, {...options, resource: 'container'}).valid);
+
+    var queue = new azure.Queue(options);
+    sas = queue.sas('myqueue', {expiry: expiry, permissions: {read: true}, ...restrictions});
+    result = azure.parseSas(sas);
+    assert.equal(result.ipRange, '10.1.0.0-10.1.255.255');
+    assert.equal(result.protocol, 'https,http');
+    assert(azure.verifySas(sas, {...options, resource: 'myqueue'}).valid);
+
+    var table = new azure.Table(options);
+    sas = table.sas('MyTable', {expiry: expiry, permissions: {read: true}, ...restrictions});
+    result = azure.parseSas(sas);
+    assert.equal(result.version, '2019-02-02');
+    assert.equal(result.ipRange, '10.1.0.0-10.1.255.255');
+    assert.equal(result.protocol, 'https,http');
+    assert(azure.verifySas(sas, options).valid);
+
+    assert.throws(() => queue.sas('myqueue', {expiry: expiry, permissions: {read: true}, ipRange: '10.1.0.0/16'}),
+      /ipRange/);
+    assert.throws(() => table.sas('MyTable', {expiry: expiry, permissions: {read: true}, protocol: 'http'}),
+      /protocol/);
+  });
+
+  test("queue accessPolicy", function() {
+    var queue = new azure.Queue(options);
+    var result = azure.parseSas(queue.sas('myqueue', {
+      expiry:       expiry,
+      permissions:  {read: true},
+      accessPolicy: 'policy'
+    }));
+    assert.equal(result.accessPolicy, 'policy');
+    assert.equal(result.expiry.getTime(), expiry.getTime());
+  });
+
+  test("blob permissions, snapshots and versions", function() {
+    var blob = new azure.Blob(options);
+    var permissions = {read: true, deleteVersion: true, tag: true, move: true, execute: true};
+    var sas = blob.sas('container', 'blob', {
+      expiry:       expiry,
+      resourceType: 'blob',
+      permissions:  permissions
+    });
+    assert.equal(new URLSearchParams(sas).get('sp'), 'rxtme');
+    assert.deepEqual(azure.parseSas(sas).permissions, permissions);
+
+    var snapshot = '2021-03-01T10:00:00.0000000Z';
+    sas = blob.sas('container', 'blob', {
+      expiry:       expiry,
+      resourceType: 'snapshot',
+      snapshot:     snapshot,
+      permissions:  {read: true, delete: true}
+    });
+    var result = azure.parseSas(sas);
+    assert.equal(result.resourceType, 'snapshot');
+    assert.equal(new URLSearchParams(sas).get('snapshot'), null);
+    // The snapshot is signed, but given by the request
+    assert(!azure.verifySas(sas, {...options, resource: 'container/blob'}).valid);
+    assert(azure.verifySas(sas, {...options, resource: 'container/blob', snapshot: snapshot}).valid);
+    var url = 'https://myaccount.blob.core.windows.net/container/blob?snapshot=' +
+      encodeURIComponent(snapshot) + '&' + sas;
+    assert(azure.verifySas(url, {...options, resource: 'container/blob'}).valid);
+
+    var versionId = '2021-03-01T10:00:00.1234567Z';
+    sas = blob.sas('container', 'blob', {
+      expiry:       expiry,
+      resourceType: 'version',
+      versionId:    versionId,
+      permissions:  {deleteVersion: true}
+    });
+    assert.equal(azure.parseSas(sas).resourceType, 'version');
+    assert(azure.verifySas(sas, {...options, resource: 'container/blob', snapshot: versionId}).valid);
+
+    assert.throws(() => blob.sas('container', 'blob', {
+      expiry:       expiry,
+      resourceType: 'snapshot',
+      permissions:  {read: true}
+    }), /options.snapshot/);
+    assert.throws(() => blob.sas('container', 'blob', {
+      expiry:       expiry,
+      resourceType: 'version',
+      versionId:    versionId,
+      permissions:  {list: true}
+    }), /list/);
+  });
+
+  test("verifySas (table SAS before 2015-04-05)", function() {
+    var sas = 'sv=2014-02-14&tn=TaBle&se=2030-01-01T00%3A00%3A00Z&sp=r&sig=%2BUbbEQ7LQ8IZ3tXj13ZzMoN4ow0wdlc1mA8ZKcKbPTs%3D' +
+      '&spk=a&srk=b&epk=c&erk=d&si=p';
+    var result = azure.verifySas(sas, {
+      accountId:  'MyAccount',
+      accessKey:  Buffer.from('secret-key').toString('base64')
+    });
+    assert(result.valid);
+    assert.equal(result.stringToSign.split('\n')[3], '/myaccount/table');
+  });
+
+  test("verifySas (encryption scope from 2020-12-06)", function() {
+    var sas = 'sv=2020-12-06&se=2021-03-02T10%3A00%3A00Z&sr=b&sp=r&ses=myscope&spr=https&sig=x';
+    var result = azure.verifySas(sas, {...options, resource: 'container/blob'});
+    assert.equal(result.stringToSign, [
+      'r', '', '2021-03-02T10:00:00Z', '/blob/myaccount/container/blob', '', '', 'https',
+      '2020-12-06', 'b', '', 'myscope', '', '', '', '', ''
+    ].join('\n'));
+
+    sas = 'sv=2020-12-06&ss=b&srt=o&sp=r&se=2021-03-02T10%3A00%3A00Z&spr=https&ses=myscope&sig=x';
+    result = azure.verifySas(sas, options);
+    assert.equal(result.stringToSign, 'myaccount\nr\nb\no\n\n2021-03-02T10:00:00Z\n\nhttps\n2020-12-06\nmyscope\n');
+
+    // Blob SAS are generated at a version without the encryption scope
+    var blob = new azure.Blob(options);
+    sas = blob.sas('container', 'blob', {expiry: expiry, resourceType: 'blob', permissions: {read: true}});
+    assert.equal(azure.parseSas(sas).version, '2020-04-08');
+    assert.equal(azure.verifySas(sas, {...options, resource: 'container/blob'}).stringToSign.split('\n').length, 15);
+  });
+
+  // The string-to-sign of each type of SAS, at the version emitted by the
+  // generators, with every field in the order given by the service docs
+  test("verifySas (string-to-sign of blob SAS)", function() {
+    var blob = new azure.Blob(options);
+    var sas = blob.sas('container', 'dir/blob', {
+      start:              start,
+      expiry:             expiry,
+      resourceType:       'blob',
+      permissions:        {read: true, write: true},
+      ipRange:            '168.1.5.60-168.1.5.70',
+      protocol:           'https,http',
+      accessPolicy:       'abc123',
+      cacheControl:       'no-cache',
+      contentDisposition: 'inline',
+      contentEncoding:    'gzip',
+      contentLanguage:    'en',
+      contentType:        'text/plain'
+    });
+    var result = azure.verifySas(sas, {...options, resource: 'container/dir/blob'});
+    assert(result.valid);
+    assert.equal(result.stringToSign, [
+      'rw',                                 // signedPermissions
+      '2021-03-01T10:00:00Z',               // signedStart
+      '2021-03-02T10:00:00Z',               // signedExpiry
+      '/blob/myaccount/container/dir/blob', // canonicalizedResource
+      'abc123',                             // signedIdentifier
+      '168.1.5.60-168.1.5.70',              // signedIP
+      'https,http',                         // signedProtocol
+      '2020-04-08',                         // signedVersion
+      'b',                                  // signedResource
+      '',                                   // signedSnapshotTime
+      'no-cache',                           // rscc
+      'inline',                             // rscd
+      'gzip',                               // rsce
+      'en',                                 // rscl
+      'text/plain'                          // rsct
+    ].join('\n'));
+  });
+
+  test("verifySas (string-to-sign of user delegation SAS)", function() {
+    var sas = [
+      'sv=2020-04-08', 'sr=b', 'sp=r', 'st=2021-03-01T10%3A00%3A00Z', 'se=2021-03-02T10%3A00%3A00Z',
+      'skoid=oid', 'sktid=tid', 'skt=2021-03-01T00%3A00%3A00Z', 'ske=2021-03-03T00%3A00%3A00Z',
+      'sks=b', 'skv=2020-04-08', 'saoid=agent', 'suoid=user', 'scid=correlation',
+      'sip=168.1.5.60', 'spr=https', 'rsct=text%2Fplain', 'sig=x'
+    ].join('&');
+    var result = azure.verifySas(sas, {...options, resource: 'container/blob'});
+    assert(!result.valid);
+    assert.equal(result.stringToSign, [
+      'r',                                  // signedPermissions
+      '2021-03-01T10:00:00Z',               // signedStart
+      '2021-03-02T10:00:00Z',               // signedExpiry
+      '/blob/myaccount/container/blob',     // canonicalizedResource
+      'oid',                                // signedKeyObjectId
+      'tid',                                // signedKeyTenantId
+      '2021-03-01T00:00:00Z',               // signedKeyStart
+      '2021-03-03T00:00:00Z',               // signedKeyExpiry
+      'b',                                  // signedKeyService
+      '2020-04-08',                         // signedKeyVersion
+      'agent',                              // signedAuthorizedUserObjectId
+      'user',                               // signedUnauthorizedUserObjectId
+      'correlation',                        // signedCorrelationId
+      '168.1.5.60',                         // signedIP
+      'https',                              // signedProtocol
+      '2020-04-08',                         // signedVersion
+      'b',                                  // signedResource
+      '',                                   // signedSnapshotTime
+      '',                                   // rscc
+      '',                                   // rscd
+      '',                                   // rsce
+      '',                                   // rscl
+      'text/plain'                          // rsct
+    ].join('\n'));
+  });
+
+  test("verifySas (string-to-sign of queue SAS)", function() {
+    var queue = new azure.Queue(options);
+    var sas = queue.sas('myqueue', {
+      start:        start,
+      expiry:       expiry,
+      permissions:  {read: true, process: true},
+      ipRange:      '168.1.5.60',
+      accessPolicy: 'policy'
+    });
+    var result = azure.verifySas(sas, {...options, resource: 'myqueue'});
+    assert(result.valid);
+    assert.equal(result.stringToSign, [
+      'rp',                                 // signedPermissions
+      '2021-03-01T10:00:00Z',               // signedStart
+      '2021-03-02T10:00:00Z',               // signedExpiry
+      '/queue/myaccount/myqueue',           // canonicalizedResource
+      'policy',                             // signedIdentifier
+      '168.1.5.60',                         // signedIP
+      'https',                              // signedProtocol
+      '2015-04-05'                          // signedVersion
+    ].join('\n'));
+  });
+
+  test("verifySas (string-to-sign of table SAS)", function() {
+    var table = new azure.Table(options);
+    var sas = table.sas('MyTable', {
+      start:        start,
+      expiry:       expiry,
+      permissions:  {read: true, add: true},
+      first:        {partitionKey: 'pk1', rowKey: 'rk1'},
+      last:         {partitionKey: 'pk2', rowKey: 'rk2'},
+      ipRange:      '168.1.5.60',
+      protocol:     'https,http',
+      accessPolicy: 'policy'
+    });
+    var result = azure.verifySas(sas, options);
+    assert(result.valid);
+    assert.equal(result.stringToSign, [
+      'ra',                                 // signedPermissions
+      '2021-03-01T10:00:00Z',               // signedStart
+      '2021-03-02T10:00:00Z',               // signedExpiry
+      '/table/myaccount/mytable',           // canonicalizedResource
+      'policy',                             // signedIdentifier
+      '168.1.5.60',                         // signedIP
+      'https,http',                         // signedProtocol
+      '2019-02-02',                         // signedVersion
+      'pk1',                                // startingPartitionKey
+      'rk1',                                // startingRowKey
+      'pk2',                                // endingPartitionKey
+      'rk2'                                 // endingRowKey
+    ].join('\n'));
+  });
+
+  test("verifySas (string-to-sign of account SAS)", function() {
+    var blob = new azure.Blob(options);
+    var sas = blob.accountSas({
+      start:          start,
+      expiry:         expiry,
+      services:       {blob: true, queue: true},
+      resourceTypes:  {container: true, object: true},
+      permissions:    {read: true, list: true},
+      ipRange:        '168.1.5.60',
+      protocol:       'https,http'
+    });
+    var result = azure.verifySas(sas, options);
+    assert(result.valid);
+    assert.equal(result.stringToSign, [
+      'myaccount',                          // accountname
+      'rl',                                 // signedPermissions
+      'bq',                                 // signedService
+      'co',                                 // signedResourceType
+      '2021-03-01T10:00:00Z',               // signedStart
+      '2021-03-02T10:00:00Z',               // signedExpiry
+      '168.1.5.60',                         // signedIP
+      'https,http',                         // signedProtocol
+      '2020-04-08',                         // signedVersion
+      ''                                    // trailing newline
+    ].join('\n'));
+  });
+});
@@ -2,6 +2,12 @@ import azure from '../lib/index.js';
 import assert from 'assert';
 import * as utils from '../lib/utils.js';
 import * as helpers from './helpers.js';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough, Readable } from 'stream';
+import { finished } from 'stream/promises';
 
 suite.skip("Azure Blob", function() {
   // Create azure blob client
@@ -61,7 +67,8 @@ suite.skip("Azure Blob", function() {
             allowedMethods: ['POST'],
             maxAgeInSeconds: 300,
             exposedHeaders: ['content-length'],
-            allowedHeaders: [] } ]
+            allowedHeaders: [] } ],
+        deleteRetentionPolicy: { enabled: true, days: 1 }
       }).then(function () {
         return blob.getSeviceProperties();
       }).then(function (response) {
@@ -82,6 +89,9 @@ suite.skip("Azure Blob", function() {
         assert(response.corsRules.length === 1);
         assert(response.corsRules[0].allowedMethods === 'POST');
         assert(response.corsRules[0].exposedHeaders === 'content-length');
+
+        assert(response.deleteRetentionPolicy.enabled === 'true');
+        assert(response.deleteRetentionPolicy.days === '1');
       })
     });
   });
@@ -310,6 +320,97 @@ suite.skip("Azure Blob", function() {
       });
     });
 
+    test('Shared-Access-Signature (with ip range)', async function() {
+      containerName = containerNamePrefix + '-with-metadata';
+      var options = {
+        expiry:       new Date(Date.now() + 30 * 60 * 1000),
+        resourceType: 'container',
+        permissions:  {read: true, list: true}
+      };
+      // Requests from outside the range are rejected
+      var blobWithSas = new azure.Blob({
+        accountId:    blob.options.accountId,
+        sas:          blob.sas(containerName, null, {...options, ipRange: '192.0.2.0-192.0.2.255'})
+      });
+      await assert.rejects(blobWithSas.listBlobs(containerName, {}), function(err) {
+        assert(err.code === 'AuthorizationSourceIPMismatch');
+        assert(err.statusCode === 403);
+        return true;
+      });
+
+      blobWithSas = new azure.Blob({
+        accountId:    blob.options.accountId,
+        sas:          blob.sas(containerName, null, {...options, ipRange: '0.0.0.0-255.255.255.255'})
+      });
+      await blobWithSas.listBlobs(containerName, {});
+    });
+
+    test('Account Shared-Access-Signature', function(){
+      containerName = containerNamePrefix + '-with-metadata';
+      var sas = blob.accountSas({
+        expiry:   new Date(Date.now() + 30 * 60 * 1000),
+        services: {
+          blob: true
+        },
+        resourceTypes: {
+          container: true,
+          object: true
+        },
+        permissions: {
+          read: true,
+          list: true
+        }
+      });
+      var blobWithSas = new azure.Blob({
+        accountId:    blob.options.accountId,
+        sas:          sas
+      });
+      return blobWithSas.listBlobs(containerName, {}).then(function() {
+        return blobWithSas.putBlob(containerName, 'forbidden', {type: 'BlockBlob'}, 'hello');
+      }).then(function() {
+        assert(false, 'Expected an error');
+      }, function(err) {
+        assert(err.code === 'AuthorizationPermissionMismatch');
+        assert(err.statusCode === 403);
+      });
+    });
+
+    test('User delegation Shared-Access-Signature', async function() {
+      // Requires an application with the Storage Blob Data Contributor role
+      if (!process.env.AZURE_TENANT_ID || !process.env.AZURE_CLIENT_ID || !process.env.AZURE_CLIENT_SECRET) {
+        this.skip();
+      }
+      containerName = containerNamePrefix + '-with-metadata';
+      var oauthBlob = new azure.Blob({
+        accountId:        blob.options.accountId,
+        tokenCredential:  azure.clientSecretCredential({
+          tenantId:       process.env.AZURE_TENANT_ID,
+          clientId:       process.env.AZURE_CLIENT_ID,
+          clientSecret:   process.env.AZURE_CLIENT_SECRET
+        })
+      });
+      var options = {
+        expiry:       new Date(Date.now() + 30 * 60 * 1000),
+        resourceType: 'container',
+        permissions:  {read: true, list: true}
+      };
+      var sas = await oauthBlob.userDelegationSas(containerName, null, options);
+      assert(/(^|&)skoid=/.test(sas));
+      var key = oauthBlob._userDelegationKey;
+      await oauthBlob.userDelegationSas(containerName, null, options);
+      assert(oauthBlob._userDelegationKey === key, 'Expected the user delegation key to be reused');
+
+      var blobWithSas = new azure.Blob({
+        accountId:    blob.options.accountId,
+        sas:          sas
+      });
+      await blobWithSas.listBlobs(containerName, {});
+      await assert.rejects(blobWithSas.putBlob(containerName, 'forbidden', {type: 'BlockBlob'}, 'hello'), function(err) {
+        assert(err.statusCode === 403);
+        return true;
+      });
+    });
+
     test('Shared-Access-Signature (forbid list blobs)', function(){
       containerName = containerNamePrefix + '-with-metadata';
       var sas = blob.sas(containerName, null, {
@@ -611,6 +712,447 @@ suite.skip("Azure Blob", function() {
       });
     });
 
+    test('put and get binary block blob as stream', function(){
+      blobName = tempBlockBlobNamePrefix + '_binary_stream';
+      var content = Buffer.alloc(256);
+      for (var i = 0; i < 256; i++) {
+        content[i] = i;
+      }
+      return blob.putBlob(containerName, blobName, { type: 'BlockBlob' }, content).then(function() {
+        return blob.getBlobStream(containerName, blobName);
+      }).then(function(result) {
+        assert(result.contentLength === 256);
+        assert(result.eTag);
+        return new Promise(function(accept, reject) {
+          var chunks = [];
+          result.stream.on('data', function(chunk) {
+            chunks.push(chunk);
+          });
+          result.stream.once('error', reject);
+          result.stream.once('end', function() {
+            accept(Buffer.concat(chunks));
+          });
+        });
+      }).then(function(data) {
+        assert(data.equals(content));
+      });
+    });
+
+    test('get a range of a block blob', function(){
+      blobName = tempBlockBlobNamePrefix + '_range';
+      return blob.putBlob(containerName, blobName, { type: 'BlockBlob' }, 'hello world').then(function() {
+        return blob.getBlob(containerName, blobName, {offset: 6, count: 5, rangeGetContentMD5: true});
+      }).then(function(result) {
+        assert(result.content === 'world');
+        assert(result.contentRange === 'bytes 6-10/11');
+        assert(result.contentMD5 === utils.md5('world'));
+        return blob.getBlob(containerName, blobName, {offset: 0, count: 5, rangeGetContentCRC64: true});
+      }).then(function(result) {
+        assert(result.content === 'hello');
+        assert(result.contentCRC64 === utils.crc64('hello'));
+      });
+    });
+
+    test('download block blob to buffer and file in ranges', function(){
+      blobName = tempBlockBlobNamePrefix + '_ranged_download';
+      var content = Buffer.alloc(10000);
+      for (var i = 0; i < content.length; i++) {
+        content[i] = i % 251;
+      }
+      var filename = path.join(os.tmpdir(), 'fast-azure-storage-' + rand + '.bin');
+      return blob.putBlob(containerName, blobName, { type: 'BlockBlob' }, content).then(function() {
+        return blob.downloadToBuffer(containerName, blobName, {blockSize: 1024, concurrency: 3});
+      }).then(function(result) {
+        assert(result.content.equals(content));
+        return blob.downloadToFile(containerName, blobName, filename, {blockSize: 1024, resume: true});
+      }).then(function(result) {
+        assert(result.eTag);
+        assert(fs.readFileSync(filename).equals(content));
+        assert(!fs.existsSync(filename + '.download'));
+        fs.unlinkSync(filename);
+      });
+    });
+
+    test('upload small stream with a single putBlob', function(){
+      blobName = tempBlockBlobNamePrefix + '_upload_small_stream';
+      var content = Buffer.from('hello world');
+      return blob.uploadStream(containerName, blobName, Readable.from([content]), {
+        contentType: 'text/plain'
+      }).then(function(result) {
+        assert(result.blockCount === 0);
+        assert(result.contentMD5 === utils.md5(content));
+        return blob.getBlobProperties(containerName, blobName);
+      }).then(function(properties) {
+        assert(properties.contentType === 'text/plain');
+        assert(properties.contentMD5 === utils.md5(content));
+      });
+    });
+
+    test('upload file in blocks and resume', function(){
+      blobName = tempBlockBlobNamePrefix + '_upload_file';
+      var content = Buffer.alloc(10000);
+      for (var i = 0; i < content.length; i++) {
+        content[i] = i % 251;
+      }
+      var filename = path.join(os.tmpdir(), 'fast-azure-storage-upload-' + rand + '.bin');
+      fs.writeFileSync(filename, content);
+      // Upload the first two blocks without committing them
+      return Promise.all([0, 1].map(function(n) {
+        var block = content.subarray(n * 1024, (n + 1) * 1024);
+        return blob.putBlock(containerName, blobName, {
+          blockId: blob.getBlockId('block-' + utils.md5(block), n, 5)
+        }, block);
+      })).then(function() {
+        return blob.uploadFile(containerName, blobName, filename, {
+          blockSize: 1024,
+          concurrency: 3,
+          resume: true
+        });
+      }).then(function(result) {
+        assert(result.blockCount === 10);
+        assert(result.contentLength === content.length);
+        return blob.downloadToBuffer(containerName, blobName);
+      }).then(function(result) {
+        assert(result.content.equals(content));
+        assert(result.contentMD5 === utils.md5(content));
+        fs.unlinkSync(filename);
+      });
+    });
+
+    test('upload from URL in blocks and with a single putBlobFromUrl', function(){
+      var sourceName = tempBlockBlobNamePrefix + '_from_url_source';
+      blobName = tempBlockBlobNamePrefix + '_from_url';
+      var content = Buffer.alloc(3000);
+      for (var i = 0; i < content.length; i++) {
+        content[i] = i % 251;
+      }
+      var sas = blob.sas(containerName, sourceName, {
+        expiry:   new Date(Date.now() + 30 * 60 * 1000),
+        resourceType: 'blob',
+        permissions: {
+          read: true
+        }
+      });
+      var source = 'https://' + blob.options.accountId + '.blob.core.windows.net/' +
+        containerName + '/' + sourceName + '?' + sas;
+      return blob.putBlob(containerName, sourceName, { type: 'BlockBlob' }, content).then(function() {
+        return blob.uploadFromUrl(containerName, blobName, source, { blockSize: 1024 });
+      }).then(function(result) {
+        assert(result.blockCount === 3);
+        assert(result.contentLength === content.length);
+        return blob.downloadToBuffer(containerName, blobName);
+      }).then(function(result) {
+        assert(result.content.equals(content));
+        assert(result.contentMD5 === utils.md5(content));
+        return blob.uploadFromUrl(containerName, blobName, source, { contentType: 'application/x-test' });
+      }).then(function(result) {
+        assert(result.blockCount === 0);
+        return blob.getBlobProperties(containerName, blobName);
+      }).then(function(properties) {
+        assert(properties.contentType === 'application/x-test');
+        assert(properties.contentMD5 === utils.md5(content));
+      });
+    });
+
+    test('copy blob within the account and wait for copy', function(){
+      var sourceName = tempBlockBlobNamePrefix + '_copy_source';
+      blobName = tempBlockBlobNamePrefix + '_copy_destination';
+      var sourceETag;
+      return blob.putBlob(containerName, sourceName, { type: 'BlockBlob' }, 'hello copy').then(function(result) {
+        sourceETag = result.eTag;
+        return blob.copyBlob(containerName, blobName, containerName + '/' + sourceName, {
+          sourceIfMatch: sourceETag
+        });
+      }).then(function(result) {
+        assert(result.copyId);
+        return blob.waitForCopy(containerName, blobName, {copyId: result.copyId, interval: 100});
+      }).then(function(properties) {
+        assert(properties.copyStatus === 'success');
+        return blob.getBlob(containerName, blobName);
+      }).then(function(result) {
+        assert(result.content === 'hello copy');
+      });
+    });
+
+    test('copy blob with source-if-none-match conditional header', function(){
+      var sourceName = tempBlockBlobNamePrefix + '_copy_source_conditional';
+      blobName = tempBlockBlobNamePrefix + '_copy_destination_conditional';
+      return blob.putBlob(containerName, sourceName, { type: 'BlockBlob' }, 'hello copy').then(function(result) {
+        return blob.copyBlob(containerName, blobName, containerName + '/' + sourceName, {
+          sourceIfNoneMatch: result.eTag
+        });
+      }).then(function() {
+        assert(false, 'Expected an error');
+      }, function(error) {
+        assert(error.statusCode === 412);
+      });
+    });
+
+    test('write and clear pages, list page ranges and download a page blob', function(){
+      blobName = tempBlockBlobNamePrefix + '_page';
+      var pages = Buffer.alloc(1024, 'a');
+      return blob.putBlob(containerName, blobName, {
+        type: 'PageBlob',
+        pageBlobContentLength: 4096
+      }).then(function() {
+        return blob.putPage(containerName, blobName, { offset: 1024 }, pages);
+      }).then(function() {
+        return blob.putPage(containerName, blobName, { offset: 1024, count: 512, pageWrite: 'clear' });
+      }).then(function() {
+        return blob.getPageRanges(containerName, blobName);
+      }).then(function(result) {
+        assert.deepEqual(result.pageRanges, [{start: 1536, end: 2047}]);
+        assert(result.blobContentLength === '4096');
+        return blob.setPageBlobSequenceNumber(containerName, blobName, 'update', 7);
+      }).then(function(result) {
+        assert(result.blobSequenceNumber === '7');
+        return blob.resizePageBlob(containerName, blobName, 2048);
+      }).then(function() {
+        return blob.downloadToBuffer(containerName, blobName);
+      }).then(function(result) {
+        assert(result.content.length === 2048);
+        assert(result.content.slice(0, 1536).equals(Buffer.alloc(1536)));
+        assert(result.content.slice(1536).equals(pages.slice(512)));
+      });
+    });
+
+    test('put blob with an access tier and change the tier', function(){
+      blobName = tempBlockBlobNamePrefix + '_tier';
+      return blob.putBlob(containerName, blobName, { type: 'BlockBlob', accessTier: 'Cool' }, 'cold').then(function() {
+        return blob.getBlobProperties(containerName, blobName);
+      }).then(function(properties) {
+        assert(properties.accessTier === 'Cool');
+        return blob.setBlobTier(containerName, blobName, 'Hot');
+      }).then(function(result) {
+        assert(result.rehydrating === false);
+        return blob.waitForRehydration(containerName, blobName);
+      }).then(function(properties) {
+        assert(properties.accessTier === 'Hot');
+        assert(properties.accessTierChangeTime instanceof Date);
+      });
+    });
+
+    test('set blob tiers and delete blobs in a batch', function(){
+      var blobNames = [1, 2, 3].map(function(i) {
+        return tempBlockBlobNamePrefix + '_batch' + i;
+      });
+      return Promise.all(blobNames.map(function(name) {
+        return blob.putBlob(containerName, name, { type: 'BlockBlob' }, 'batch');
+      })).then(function() {
+        return blob.setBlobTiers(containerName, blobNames, 'Cool');
+      }).then(function(result) {
+        assert(result.succeeded === 3);
+        assert(result.failed === 0);
+        return blob.getBlobProperties(containerName, blobNames[2]);
+      }).then(function(properties) {
+        assert(properties.accessTier === 'Cool');
+        return blob.deleteBlobs(containerName, blobNames.concat([tempBlockBlobNamePrefix + '_batch_missing']));
+      }).then(function(result) {
+        assert(result.succeeded === 3);
+        assert(result.failed === 1);
+        assert(result.results[0].statusCode === 202);
+        assert(result.results[3].error.code === 'BlobNotFound');
+        assert(result.results[3].error.statusCode === 404);
+      });
+    });
+
+    test('acquire a blob lease, write with the lease id and release the lease', function(){
+      blobName = tempBlockBlobNamePrefix + '_lease';
+      var lease;
+      return blob.putBlob(containerName, blobName, { type: 'BlockBlob' }, 'locked').then(function() {
+        return blob.acquireBlobLease(containerName, blobName, { leaseDuration: 15 });
+      }).then(function(result) {
+        lease = result;
+        assert(lease.leaseId);
+        return blob.setBlobMetadata(containerName, blobName, { owner: 'someone' }).then(function() {
+          assert(false, 'Expected an error');
+        }, function(error) {
+          assert(error.code === 'LeaseIdMissing');
+          assert(error.statusCode === 412);
+        });
+      }).then(function() {
+        return blob.setBlobMetadata(containerName, blobName, { owner: 'me' }, { leaseId: lease.leaseId });
+      }).then(function() {
+        return lease.release();
+      }).then(function() {
+        assert(!lease.lost);
+        return blob.deleteBlob(containerName, blobName);
+      });
+    });
+
+    test('delete blob, list deleted blobs and undelete blob', function(){
+      blobName = tempBlockBlobNamePrefix + '_undelete';
+      return blob.putBlob(containerName, blobName, { type: 'BlockBlob' }, 'keep me').then(function() {
+        return blob.deleteBlob(containerName, blobName);
+      }).then(function() {
+        return blob.listBlobs(containerName, { prefix: blobName, include: { deleted: true } });
+      }).then(function(result) {
+        assert(result.blobs.length === 1);
+        assert(result.blobs[0].deleted === true);
+        return blob.undeleteBlob(containerName, blobName);
+      }).then(function() {
+        return blob.getBlob(containerName, blobName);
+      }).then(function(result) {
+        assert(result.content === 'keep me');
+      });
+    });
+
+    test('snapshot blob, read the snapshot and delete snapshots', function(){
+      blobName = tempBlockBlobNamePrefix + '_snapshot';
+      var snapshot;
+      return blob.putBlob(containerName, blobName, { type: 'BlockBlob' }, 'version 1').then(function() {
+        return blob.snapshotBlob(containerName, blobName, { metadata: { version: '1' } });
+      }).then(function(result) {
+        assert(result.snapshot);
+        snapshot = result.snapshot;
+        return blob.putBlob(containerName, blobName, { type: 'BlockBlob' }, 'version 2');
+      }).then(function() {
+        return blob.getBlob(containerName, blobName, { snapshot: snapshot });
+      }).then(function(result) {
+        assert(result.content === 'version 1');
+        assert(result.metadata.version === '1');
+        return blob.getBlobProperties(containerName, blobName, { snapshot: snapshot });
+      }).then(function(result) {
+        assert(result.contentLength === '9');
+        return blob.listBlobs(containerName, { prefix: blobName, include: { snapshots: true } });
+      }).then(function(result) {
+        assert(result.blobs.length === 2);
+        assert(result.blobs.some(function(item) { return item.snapshot === snapshot; }));
+        return blob.deleteBlob(containerName, blobName, { deleteSnapshots: 'only' });
+      }).then(function() {
+        return blob.getBlob(containerName, blobName);
+      }).then(function(result) {
+        assert(result.content === 'version 2');
+        return blob.getBlobProperties(containerName, blobName, { snapshot: snapshot }).then(function() {
+          assert(false, 'Expected an error');
+        }, function(error) {
+          assert(error.statusCode === 404);
+        });
+      });
+    });
+
+    test('put blob with tags, set tags and find blobs by tags', function(){
+      blobName = tempBlockBlobNamePrefix + '_tags';
+      var op = azure.Blob.TagOperators;
+      var where = azure.Blob.tagFilter(
+        [op.Container, op.Equal, op.string(containerName)],
+        op.And,
+        [op.tag('retention'), op.Equal, op.string('short')]
+      );
+      return blob.putBlob(containerName, blobName, {
+        type: 'BlockBlob',
+        tags: { branch: 'main' }
+      }, 'tagged').then(function() {
+        return blob.getBlobTags(containerName, blobName);
+      }).then(function(result) {
+        assert.deepEqual(result.tags, { branch: 'main' });
+        return blob.setBlobTags(containerName, blobName, { branch: 'main', retention: 'short' });
+      }).then(function() {
+        // the tag index is updated asynchronously
+        return utils.sleep(2000);
+      }).then(function() {
+        return blob.findBlobsByTags(where);
+      }).then(function(result) {
+        assert(result.blobs.some(function(item) {
+          return item.name === blobName && item.container === containerName && item.tags.retention === 'short';
+        }));
+        return blob.findBlobsByTags(where, { container: containerName, maxResults: 1 });
+      }).then(function(result) {
+        assert(result.blobs.length === 1);
+      });
+    });
+
+    test('put compressed blob and read it decompressed', function(){
+      blobName = tempBlockBlobNamePrefix + '_compressed';
+      var text = 'log line\n'.repeat(1000);
+      return blob.putBlob(containerName, blobName, {
+        type: 'BlockBlob',
+        contentType: 'text/plain',
+        compress: 'gzip'
+      }, text).then(function(result) {
+        return blob.getBlobProperties(containerName, blobName).then(function(properties) {
+          assert(properties.contentEncoding === 'gzip');
+          assert(properties.contentMD5 === result.contentMD5);
+          assert(parseInt(properties.contentLength) < text.length / 10);
+        });
+      }).then(function() {
+        return blob.getBlob(containerName, blobName, { decompress: true });
+      }).then(function(result) {
+        assert(result.content === text);
+        assert(result.contentType === 'text/plain');
+      });
+    });
+
+    test('put encrypted blob, read it with a key resolver and re-wrap the key', function(){
+      blobName = tempBlockBlobNamePrefix + '_encrypted';
+      var key1 = azure.Blob.createKeyEncryptionKey('key1', crypto.randomBytes(32));
+      var key2 = azure.Blob.createKeyEncryptionKey('key2', crypto.randomBytes(32));
+      var keys = { key1: key1, key2: key2 };
+      var reader = new azure.Blob({
+        ...helpers.credentials,
+        keyResolver: function(keyId) { return keys[keyId]; }
+      });
+      return blob.putBlob(containerName, blobName, {
+        type: 'BlockBlob',
+        keyEncryptionKey: key1
+      }, 'secret').then(function() {
+        return blob.getBlobProperties(containerName, blobName);
+      }).then(function(result) {
+        assert(result.contentLength === '22');
+        assert(JSON.parse(result.metadata.clientencryption).keyId === 'key1');
+        return reader.getBlob(containerName, blobName);
+      }).then(function(result) {
+        assert(result.content === 'secret');
+        return reader.rewrapBlobKey(containerName, blobName, key2);
+      }).then(function() {
+        delete keys.key1;
+        return reader.downloadToBuffer(containerName, blobName);
+      }).then(function(result) {
+        assert(result.content.toString() === 'secret');
+        assert(JSON.parse(result.metadata.clientencryption).keyId === 'key2');
+      });
+    });
+
+    // requires blob versioning to be enabled on the storage account
+    test('put blob twice, list versions and roll back to the previous version', function(){
+      blobName = tempBlockBlobNamePrefix + '_versions';
+      var firstVersion;
+      return blob.putBlob(containerName, blobName, { type: 'BlockBlob' }, 'version 1').then(function(result) {
+        assert(result.versionId);
+        firstVersion = result.versionId;
+        return blob.putBlob(containerName, blobName, { type: 'BlockBlob' }, 'version 2');
+      }).then(function(result) {
+        assert(result.versionId && result.versionId !== firstVersion);
+        return blob.listBlobs(containerName, { prefix: blobName, include: { versions: true } });
+      }).then(function(result) {
+        assert(result.blobs.length === 2);
+        assert(result.blobs.some(function(item) {
+          return item.versionId === firstVersion && !item.isCurrentVersion;
+        }));
+        return blob.getBlob(containerName, blobName, { versionId: firstVersion });
+      }).then(function(result) {
+        assert(result.content === 'version 1');
+        assert(result.versionId === firstVersion);
+        return blob.copyBlob(containerName, blobName, containerName + '/' + blobName, {
+          sourceVersionId: firstVersion
+        });
+      }).then(function() {
+        return blob.waitForCopy(containerName, blobName);
+      }).then(function() {
+        return blob.getBlob(containerName, blobName);
+      }).then(function(result) {
+        assert(result.content === 'version 1');
+        assert(result.isCurrentVersion === 'true');
+        return blob.deleteBlob(containerName, blobName, { versionId: firstVersion });
+      }).then(function() {
+        return blob.getBlobProperties(containerName, blobName, { versionId: firstVersion }).then(function() {
+          assert(false, 'Expected an error');
+        }, function(error) {
+          assert(error.statusCode === 404);
+        });
+      });
+    });
+
     test('set and get blob metadata', function() {
       var metadata = {
         origin: 'taskcluster'
@@ -713,6 +1255,37 @@ suite.skip("Azure Blob", function() {
       });
     });
 
+    test('append stream with rollover', function () {
+      blobName = tempBlockBlobNamePrefix + '_append_stream.log';
+      var writable = blob.createAppendStream(containerName, blobName, {
+        blockSize: 16,
+        maxSize: 32,
+        contentType: 'text/plain'
+      });
+      var rollovers = [];
+      writable.on('rollover', function(rollover) {
+        rollovers.push(rollover.blob);
+      });
+      for (var i = 0; i < 5; i++) {
+        writable.write('line ' + i + ' of the log\n');
+      }
+      writable.end();
+      return finished(writable).then(function() {
+        assert(rollovers.length > 0);
+        return blob.getBlob(containerName, blobName);
+      }).then(function(result) {
+        assert(result.type === 'AppendBlob');
+        assert(result.contentType === 'text/plain');
+        assert(/^line 0 of the log\n/.test(result.content));
+        // Appending again continues in the last blob
+        writable = blob.createAppendStream(containerName, blobName, { blockSize: 16, maxSize: 32 });
+        writable.end('x');
+        return finished(writable);
+      }).then(function() {
+        assert(writable.blob === rollovers[rollovers.length - 1]);
+      });
+    });
+
     test('delete blob', function () {
       return blob.deleteBlob(containerName, blockBlobName);
     });
@@ -1093,6 +1666,49 @@ suite.skip("Azure Blob", function() {
       });
     });
 
+    test('list, measure and delete a virtual directory', function () {
+      var dir = tempBlockBlobNamePrefix + '_dir/';
+      var names = ['task/log.txt', 'task/run-0/a.txt', 'task/run-0/b/c.txt', 'task/run-1/a.txt'];
+      return Promise.all(names.map(function(name) {
+        return blob.putBlob(containerName, dir + name, { type: 'BlockBlob' }, 'data');
+      })).then(function() {
+        return blob.listDirectory(containerName, dir + 'task');
+      }).then(function(result) {
+        assert.deepEqual(result.files.map(function(item) { return item.name; }), [dir + 'task/log.txt']);
+        assert.deepEqual(result.directories, [dir + 'task/run-0/', dir + 'task/run-1/']);
+        return blob.getDirectoryUsage(containerName, dir + 'task');
+      }).then(function(result) {
+        assert(result.count === 4);
+        assert(result.size === 16);
+        assert.deepEqual(result.directories, [
+          { prefix: dir + 'task/run-0/', count: 2, size: 8 },
+          { prefix: dir + 'task/run-1/', count: 1, size: 4 }
+        ]);
+        return blob.deleteDirectory(containerName, dir + 'task/run-0', { concurrency: 2 });
+      }).then(function(result) {
+        assert(result.count === 2);
+        return blob.listBlobs(containerName, { prefix: dir });
+      }).then(function(result) {
+        assert(result.blobs.length === 2);
+      });
+    });
+
+    test('iterate blobs with page size and limit, and resume from continuation', async function () {
+      var all = await blob.listBlobs(containerName);
+      assert(all.blobs.length > 2);
+
+      var iterator = blob.iterateBlobs(containerName, {maxResults: 2, limit: 3});
+      var names = [];
+      for await (var item of iterator) {
+        names.push(item.name);
+      }
+      assert(names.length === 3);
+      for await (var item of blob.iterateBlobs(containerName, {continuation: iterator.continuation})) {
+        names.push(item.name);
+      }
+      assert.deepEqual(names, all.blobs.map(function(item) { return item.name; }));
+    });
+
     test('Shared-Access-Signature(resourceType=container, all permissions, create a blob', function() {
       var sas = blob.sas(containerName, null, {
         start:    date15MinAgo,
@@ -1154,3 +1770,392 @@ suite.skip("Azure Blob", function() {
     });
   });
 });
+
+suite("Blob (offline)", function() {
+  var accessKey = Buffer.from('key').toString('base64');
+  var blob = new azure.Blob({accountId: 'myaccount', accessKey: accessKey});
+
+  // Local stand-in for the blob service, answering requests with `respond`
+  var server = null;
+  var respond = null;
+  suiteSetup(async function() {
+    server = await helpers.localServer(function(req, res, body) {
+      respond(req, res, body);
+    });
+  });
+
+  suiteTeardown(function() {
+    server.closeAllConnections();
+    return new Promise(function(resolve) {
+      server.close(resolve);
+    });
+  });
+
+  setup(function() {
+    server.requests = [];
+    respond = function(req, res) {
+      sendError(res, 500, 'InternalError');
+    };
+  });
+
+  // Client of the local server, retrying without delay
+  var localClient = function(options) {
+    return new azure.Blob({
+      accountId:    'myaccount',
+      accessKey:    accessKey,
+      endpoint:     server.url + '/myaccount',
+      retries:      2,
+      delayFactor:  0,
+      ...options
+    });
+  };
+
+  var sendError = function(res, statusCode, code) {
+    res.writeHead(statusCode, {'content-type': 'application/xml'});
+    res.end('<?xml version="1.0" encoding="utf-8"?><Error><Code>' + code + '</Code><Message>' + code +
+      '</Message></Error>');
+  };
+
+  // Answer a Get Blob request for `content`, or the range requested of it.
+  // If `sent` is given, the connection is reset after that many bytes.
+  var sendBlob = function(req, res, content, sent) {
+    var headers = {
+      'etag':           '"0x1"',
+      'last-modified':  'Mon, 01 Mar 2021 10:00:00 GMT',
+      'x-ms-blob-type': 'BlockBlob',
+      'content-md5':    utils.md5(content)
+    };
+    var data = content;
+    var range = /^bytes=(\d+)-(\d+)$/.exec(req.headers['x-ms-range'] || '');
+    if (range) {
+      var offset = parseInt(range[1], 10);
+      data = content.subarray(offset, parseInt(range[2], 10) + 1);
+      headers['content-range'] = 'bytes ' + offset + '-' + (offset + data.length - 1) + '/' + content.length;
+      headers['content-md5'] = req.headers['x-ms-range-get-content-md5'] ? utils.md5(data) : undefined;
+    }
+    headers['content-length'] = req.method === 'HEAD' ? content.length : data.length;
+    res.writeHead(range ? 206 : 200, JSON.parse(JSON.stringify(headers)));
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+    if (sent === undefined) {
+      return res.end(data);
+    }
+    res.write(data.subarray(0, sent), function() {
+      req.socket.destroy();
+    });
+  };
+
+  var gets = function(path) {
+    return server.requests.filter(function(req) {
+      return req.method === 'GET' && req.url.pathname === path;
+    });
+  };
+
+  // Answer Put Block and Put Block List requests, Put Block after `delay` ms,
+  // and Get Block List requests with the `uncommitted` blocks
+  var blockService = function(delay, uncommitted) {
+    return function(req, res) {
+      var comp = new URL(req.url, server.url).searchParams.get('comp');
+      if (req.method === 'GET' && comp === 'blocklist') {
+        res.writeHead(200, {'content-type': 'application/xml'});
+        return res.end('<?xml version="1.0" encoding="utf-8"?><BlockList><CommittedBlocks />' +
+          '<UncommittedBlocks>' + (uncommitted || []).map(function(block) {
+            return '<Block><Name>' + block.blockId + '</Name><Size>' + block.size + '</Size></Block>';
+          }).join('') + '</UncommittedBlocks></BlockList>');
+      }
+      setTimeout(function() {
+        res.writeHead(201, {'etag': '"0x2"', 'last-modified': 'Mon, 01 Mar 2021 10:00:00 GMT'});
+        res.end();
+      }, comp === 'block' ? delay : 0);
+    };
+  };
+
+  var putBlocks = function() {
+    return server.requests.filter(function(req) {
+      return req.method === 'PUT' && req.url.searchParams.get('comp') === 'block';
+    });
+  };
+
+  test("uploadStream rejects when the source fails between reads", async function() {
+    respond = blockService(300);
+    var source = new PassThrough();
+    source.write(Buffer.alloc(12, 'a'));
+    setTimeout(function() {
+      source.destroy(new Error('source failed'));
+    }, 100);
+    await assert.rejects(localClient().uploadStream('container', 'blob', source, {
+      blockSize:    4,
+      concurrency:  1
+    }), /source failed/);
+    assert(!server.requests.some(function(req) {
+      return req.url.searchParams.get('comp') === 'blocklist';
+    }));
+  });
+
+  test("uploadStream rejects when the source is destroyed", async function() {
+    respond = blockService(0);
+    var source = new PassThrough();
+    source.write(Buffer.alloc(8, 'a'));
+    setTimeout(function() {
+      source.destroy();
+    }, 50);
+    await assert.rejects(localClient().uploadStream('container', 'blob', source, {
+      blockSize:    4,
+      concurrency:  1
+    }), function(err) {
+      assert.equal(err.code, 'ERR_STREAM_PREMATURE_CLOSE');
+      return true;
+    });
+    assert(!server.requests.some(function(req) {
+      return req.url.searchParams.get('comp') === 'blocklist';
+    }));
+  });
+
+  test("uploadStream resumes only blocks with the same content", async function() {
+    var client = localClient();
+    respond = blockService(0, [
+      // Uploaded by a previous attempt with the same content
+      {blockId: client.getBlockId('block-' + utils.md5(Buffer.from('aaaa')), 0, 5), size: 4},
+      // Uploaded by an attempt with other content of the same size
+      {blockId: client.getBlockId('block-' + utils.md5(Buffer.from('xxxx')), 1, 5), size: 4},
+      {blockId: client.getBlockId('block', 1, 5), size: 4}
+    ]);
+    var result = await client.uploadStream('container', 'blob', Readable.from([Buffer.from('aaaabbbb')]), {
+      blockSize:  4,
+      resume:     true
+    });
+    assert.equal(result.blockCount, 2);
+    assert.deepEqual(putBlocks().map(function(req) {
+      return req.url.searchParams.get('blockid');
+    }), [client.getBlockId('block-' + utils.md5(Buffer.from('bbbb')), 1, 5)]);
+    assert.equal(putBlocks()[0].body.toString(), 'bbbb');
+  });
+
+  test("findBlobsByTags within a container requires version 2021-04-10", async function() {
+    respond = function(req, res) {
+      res.writeHead(200, {'content-type': 'application/xml'});
+      res.end('<?xml version="1.0" encoding="utf-8"?><EnumerationResults><Where>"a" = \'b\'</Where>' +
+        '<Blobs><Blob><Name>blob</Name><ContainerName>container</ContainerName>' +
+        '<Tags><TagSet><Tag><Key>a</Key><Value>b</Value></Tag></TagSet></Tags></Blob></Blobs>' +
+        '<NextMarker /></EnumerationResults>');
+    };
+    var client = localClient();
+    await client.findBlobsByTags('"a" = \'b\'');
+    var result = await client.findBlobsByTags('"a" = \'b\'', {container: 'container'});
+    assert.deepEqual(result.blobs, [{name: 'blob', container: 'container', tags: {a: 'b'}}]);
+    assert.deepEqual(server.requests.map(function(req) {
+      return [req.url.pathname, req.url.searchParams.get('restype'), req.headers['x-ms-version']];
+    }), [
+      ['/myaccount/', null, '2020-04-08'],
+      ['/myaccount/container', 'container', '2021-04-10']
+    ]);
+  });
+
+  test("getBlob retries a download aborted partway", async function() {
+    var content = Buffer.from('helloworld');
+    respond = function(req, res) {
+      sendBlob(req, res, content, gets('/myaccount/container/blob').length === 1 ? 5 : undefined);
+    };
+    var result = await localClient().getBlob('container', 'blob');
+    assert.equal(result.content, 'helloworld');
+    assert.equal(gets('/myaccount/container/blob').length, 2);
+  });
+
+  test("getBlob retries downloads that fail validation", async function() {
+    var content = Buffer.from('content');
+    respond = function(req, res) {
+      if (gets('/myaccount/container/blob').length === 1) {
+        // Content corrupted on the way, failing the content MD5 check
+        res.writeHead(200, {'content-md5': utils.md5(content), 'content-length': 9});
+        return res.end('corrupted');
+      }
+      sendBlob(req, res, content);
+    };
+    var result = await localClient().getBlob('container', 'blob');
+    assert.equal(result.content, 'content');
+    assert.equal(gets('/myaccount/container/blob').length, 2);
+  });
+
+  test("getBlob doesn't retry errors already retried by the request", async function() {
+    respond = function(req, res) {
+      sendError(res, 503, 'ServerBusy');
+    };
+    await assert.rejects(localClient().getBlob('container', 'blob'), function(err) {
+      assert.equal(err.code, 'ServerBusy');
+      assert.equal(err.retries, 2);
+      return true;
+    });
+    assert.equal(server.requests.length, 3);
+  });
+
+  test("getBlobStream rejects client-side encrypted blobs unless raw is set", async function() {
+    var content = Buffer.from('ciphertext');
+    respond = function(req, res) {
+      res.setHeader('x-ms-meta-clientencryption', '{}');
+      sendBlob(req, res, content);
+    };
+    var client = localClient();
+    await assert.rejects(client.getBlobStream('container', 'blob'), function(err) {
+      return err.code === 'UnsupportedEncryption' && err.name === 'UnsupportedEncryptionError';
+    });
+    var result = await client.getBlobStream('container', 'blob', {raw: true});
+    assert.deepEqual(Buffer.concat(await result.stream.toArray()), content);
+    assert.equal((await client.getBlob('container', 'blob')).content, 'ciphertext');
+    assert.equal(gets('/myaccount/container/blob').length, 3);
+  });
+
+  test("downloadToBuffer retries a range aborted partway", async function() {
+    var content = Buffer.from('0123456789');
+    var aborted = false;
+    respond = function(req, res) {
+      if (req.headers['x-ms-range'] === 'bytes=4-7' && !aborted) {
+        aborted = true;
+        return sendBlob(req, res, content, 2);
+      }
+      sendBlob(req, res, content);
+    };
+    var result = await localClient().downloadToBuffer('container', 'blob', {blockSize: 4});
+    assert.equal(result.content.toString(), '0123456789');
+    assert.deepEqual(gets('/myaccount/container/blob').map(function(req) {
+      return req.headers['x-ms-range'];
+    }).sort(), ['bytes=0-3', 'bytes=4-7', 'bytes=4-7', 'bytes=8-9']);
+  });
+
+  test("uploadFromUrl writes sources larger than a block in concurrent blocks", async function() {
+    var content = Buffer.from('0123456789');
+    respond = function(req, res) {
+      if (req.url === '/source') {
+        return sendBlob(req, res, content);
+      }
+      res.writeHead(201, {'etag': '"0x2"', 'last-modified': 'Mon, 01 Mar 2021 10:00:00 GMT'});
+      res.end();
+    };
+    var source = server.url + '/source';
+    var result = await localClient().uploadFromUrl('container', 'blob', source, {blockSize: 4});
+    assert.equal(result.contentLength, 10);
+    assert.equal(result.blockCount, 3);
+    var puts = server.requests.filter(function(req) {
+      return req.method === 'PUT';
+    });
+    assert.deepEqual(puts.map(function(req) {
+      return [req.url.searchParams.get('comp'), req.headers['x-ms-source-range'], req.headers['x-ms-source-if-match']];
+    }), [
+      ['block', 'bytes=0-3', '"0x1"'],
+      ['block', 'bytes=4-7', '"0x1"'],
+      ['block', 'bytes=8-9', '"0x1"'],
+      ['blocklist', undefined, undefined]
+    ]);
+    assert(puts.slice(0, 3).every(function(req) {
+      return req.headers['x-ms-copy-source'] === source;
+    }));
+
+    // Sources that fit in a block are written with a single request
+    server.requests = [];
+    result = await localClient().uploadFromUrl('container', 'blob', source, {blockSize: 10});
+    assert.equal(result.blockCount, 0);
+    assert.deepEqual(server.requests.map(function(req) {
+      return req.method + ' ' + req.url.pathname + req.url.search.replace(/[?&]timeout=\d+/, '');
+    }), ['HEAD /source', 'PUT /myaccount/container/blob']);
+    assert.equal(server.requests[1].headers['x-ms-copy-source'], source);
+  });
+
+  test("setPageBlobSequenceNumber only accepts safe integers", async function() {
+    respond = function(req, res) {
+      res.writeHead(200, {
+        'etag':                       '"0x2"',
+        'last-modified':              'Mon, 01 Mar 2021 10:00:00 GMT',
+        'x-ms-blob-sequence-number':  req.headers['x-ms-blob-sequence-number']
+      });
+      res.end();
+    };
+    var client = localClient();
+    var result = await client.setPageBlobSequenceNumber('container', 'blob', 'update', Number.MAX_SAFE_INTEGER);
+    assert.equal(result.blobSequenceNumber, '9007199254740991');
+    assert.equal(server.requests[0].url.searchParams.get('comp'), 'properties');
+    assert.equal(server.requests[0].headers['x-ms-sequence-number-action'], 'update');
+
+    [Math.pow(2, 63) - 1, Number.MAX_SAFE_INTEGER + 1, -1, 1.5, '1'].forEach(function(sequenceNumber) {
+      assert.throws(function() {
+        client.setPageBlobSequenceNumber('container', 'blob', 'update', sequenceNumber);
+      }, /safe integer/);
+    });
+    assert.equal(server.requests.length, 1);
+  });
+
+  test("listBlobs reports soft-deleted blobs", async function() {
+    respond = function(req, res) {
+      res.writeHead(200, {'content-type': 'application/xml'});
+      res.end('<?xml version="1.0" encoding="utf-8"?>' +
+        '<EnumerationResults ContainerName="container"><Blobs>' +
+        '<Blob><Name>deleted</Name><Deleted>true</Deleted><Properties><BlobType>BlockBlob</BlobType></Properties></Blob>' +
+        '<Blob><Name>live</Name><Properties><BlobType>BlockBlob</BlobType></Properties></Blob>' +
+        '</Blobs><NextMarker /></EnumerationResults>');
+    };
+    var result = await localClient().listBlobs('container', {include: {deleted: true}});
+    assert.equal(server.requests[0].url.searchParams.get('include'), 'deleted');
+    assert.strictEqual(result.blobs[0].deleted, true);
+    assert.strictEqual(result.blobs[1].deleted, undefined);
+  });
+
+  test("syncToContainer uploads files without client-side encryption", async function() {
+    var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fast-azure-sync-'));
+    var content = Buffer.from('log');
+    fs.writeFileSync(path.join(directory, 'log.txt'), content);
+    var listed = '';
+    respond = function(req, res) {
+      if (req.method === 'PUT') {
+        listed = '<Blob><Name>log.txt</Name><Properties><Content-Length>' + content.length +
+          '</Content-Length><Content-MD5>' + utils.md5(content) + '</Content-MD5>' +
+          '<BlobType>BlockBlob</BlobType></Properties></Blob>';
+        res.writeHead(201, {'etag': '"0x2"', 'last-modified': 'Mon, 01 Mar 2021 10:00:00 GMT'});
+        return res.end();
+      }
+      res.writeHead(200, {'content-type': 'application/xml'});
+      res.end('<?xml version="1.0" encoding="utf-8"?><EnumerationResults ContainerName="container"><Blobs>' +
+        listed + '</Blobs><NextMarker /></EnumerationResults>');
+    };
+    var client = localClient({
+      keyEncryptionKey: azure.Blob.createKeyEncryptionKey('key1', crypto.randomBytes(32))
+    });
+    try {
+      var result = await client.syncToContainer(directory, 'container');
+      assert.deepEqual(result.created, ['log.txt']);
+      var puts = server.requests.filter(function(req) {
+        return req.method === 'PUT';
+      });
+      assert.equal(puts.length, 1);
+      assert.deepEqual(puts[0].body, content);
+      assert.strictEqual(puts[0].headers['x-ms-meta-clientencryption'], undefined);
+
+      // The uploaded file compares as unchanged on the next run
+      result = await client.syncToContainer(directory, 'container');
+      assert.deepEqual(result.unchanged, ['log.txt']);
+      assert.throws(function() {
+        client.syncToContainer(directory, 'container', {keyEncryptionKey: client.options.keyEncryptionKey});
+      }, /client-side encryption/);
+    } finally {
+      fs.rmSync(directory, {recursive: true, force: true});
+    }
+  });
+
+  test("deleteBlobs sends container batches with version 2020-04-08", async function() {
+    respond = function(req, res, body) {
+      var ids = body.toString().match(/^Content-ID: \d+/mg);
+      res.writeHead(202, {'content-type': 'multipart/mixed; boundary=batchresponse_1'});
+      res.end(ids.map(function(id) {
+        return ['--batchresponse_1', 'Content-Type: application/http', id, '', 'HTTP/1.1 202 Accepted', '', ''];
+      }).flat().concat(['--batchresponse_1--', '']).join('\r\n'));
+    };
+    var result = await localClient().deleteBlobs('container', ['a', 'b']);
+    assert.equal(result.succeeded, 2);
+    assert.equal(result.failed, 0);
+    await localClient({version: '2019-12-12'}).deleteBlobs('container', ['c']);
+    assert.deepEqual(server.requests.map(function(req) {
+      return [req.method, req.url.pathname, req.url.searchParams.get('comp'), req.headers['x-ms-version']];
+    }), [
+      ['POST', '/myaccount/container', 'batch', '2020-04-08'],
+      ['POST', '/myaccount/container', 'batch', '2020-04-08']
+    ]);
+  });
+});
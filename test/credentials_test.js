@@ -0,0 +1,236 @@
+import assert from 'assert';
+import http from 'http';
+import querystring from 'querystring';
+import azure from '../lib/index.js';
+
+const port = 61039;
+
+suite("Credentials", function() {
+  // Local stand-in for the token endpoint of the Microsoft identity platform
+  var server = null;
+  var requests = [];
+  var failures = 0;
+  suiteSetup(function() {
+    server = http.createServer(function(req, res) {
+      var body = '';
+      req.on('data', function(chunk) {
+        body += chunk;
+      });
+      req.on('end', function() {
+        var form = querystring.parse(body);
+        requests.push({url: req.url, form: form});
+        if (failures > 0) {
+          failures -= 1;
+          res.writeHead(503);
+          return res.end();
+        }
+        res.writeHead(form.client_secret === 'secret' ? 200 : 401, {
+          'content-type': 'application/json'
+        });
+        if (form.client_secret !== 'secret') {
+          return res.end(JSON.stringify({
+            error:              'invalid_client',
+            error_description:  'Invalid client secret provided.'
+          }));
+        }
+        res.end(JSON.stringify({
+          token_type:   'Bearer',
+          expires_in:   3599,
+          access_token: 'token-' + requests.length
+        }));
+      });
+    });
+    return new Promise(function(accept) {
+      server.listen(port, '127.0.0.1', accept);
+    });
+  });
+
+  suiteTeardown(function() {
+    return new Promise(function(accept) {
+      server.close(accept);
+    });
+  });
+
+  setup(function() {
+    requests = [];
+    failures = 0;
+  });
+
+  var credential = function(clientSecret) {
+    return azure.clientSecretCredential({
+      tenantId:       'my-tenant',
+      clientId:       'my-client',
+      clientSecret:   clientSecret,
+      authorityHost:  'http://127.0.0.1:' + port
+    });
+  };
+
+  test("clientSecretCredential", async function() {
+    var before = Date.now();
+    var result = await credential('secret')();
+    assert.equal(result.token, 'token-1');
+    assert(result.expiresOn instanceof Date);
+    assert(result.expiresOn.getTime() >= before + 3599 * 1000);
+    assert.equal(requests[0].url, '/my-tenant/oauth2/v2.0/token');
+    assert.deepEqual(requests[0].form, {
+      grant_type:     'client_credentials',
+      client_id:      'my-client',
+      client_secret:  'secret',
+      scope:          'https://storage.azure.com/.default'
+    });
+  });
+
+  test("clientSecretCredential (retry on 5xx)", async function() {
+    failures = 2;
+    var result = await credential('secret')();
+    assert.equal(result.token, 'token-3');
+    assert.equal(requests.length, 3);
+  });
+
+  test("clientSecretCredential (invalid secret)", async function() {
+    await assert.rejects(credential('wrong')(), function(err) {
+      assert.equal(err.code, 'TokenRequestFailed');
+      assert.equal(err.statusCode, 401);
+      assert.equal(err.tokenError, 'invalid_client');
+      return true;
+    });
+    assert.equal(requests.length, 1);
+  });
+
+  test("Blob with tokenCredential", async function() {
+    var blob = new azure.Blob({
+      accountId:        'myaccount',
+      tokenCredential:  credential('secret')
+    });
+    var headers = {'x-ms-version': '2020-04-08'};
+    var req = await blob.authorize('GET', '/container/blob', {comp: 'tags'}, headers);
+    assert.equal(req.host, 'myaccount.blob.core.windows.net');
+    assert.equal(req.path, '/container/blob?comp=tags');
+    assert.equal(req.headers.authorization, 'Bearer token-1');
+    assert.equal(req.headers['x-ms-version'], '2020-04-08');
+  });
+
+  test("Queue with tokenCredential (raises x-ms-version)", async function() {
+    var queue = new azure.Queue({
+      accountId:        'myaccount',
+      tokenCredential:  credential('secret')
+    });
+    var req = await queue.authorize('GET', '/myqueue/messages', {}, {'x-ms-version': '2015-04-05'});
+    assert.equal(req.headers.authorization, 'Bearer token-1');
+    assert.equal(req.headers['x-ms-version'], '2017-11-09');
+  });
+
+  test("tokenCredential is refreshed before it expires", async function() {
+    var calls = 0;
+    var expiresIn = 60 * 1000;
+    var queue = new azure.Queue({
+      accountId:          'myaccount',
+      minTokenAuthExpiry: 2 * 60 * 1000,
+      tokenCredential:    async function() {
+        calls += 1;
+        await new Promise(function(accept) {
+          setTimeout(accept, 10);
+        });
+        return {token: 'token-' + calls, expiresOn: new Date(Date.now() + expiresIn)};
+      }
+    });
+
+    // Concurrent requests share the request for the first token
+    var reqs = await Promise.all([
+      queue.authorize('GET', '/myqueue', {}, {}),
+      queue.authorize('GET', '/myqueue', {}, {})
+    ]);
+    assert.equal(calls, 1);
+    assert.equal(reqs[0].headers.authorization, 'Bearer token-1');
+    assert.equal(reqs[1].headers.authorization, 'Bearer token-1');
+
+    // The token expires within minTokenAuthExpiry, so it is used while a new
+    // token is fetched in the background
+    var req = await queue.authorize('GET', '/myqueue', {}, {});
+    assert.equal(req.headers.authorization, 'Bearer token-1');
+    assert.equal(calls, 2);
+    expiresIn = 60 * 60 * 1000;
+    await queue._tokenRefresh;
+    req = await queue.authorize('GET', '/myqueue', {}, {});
+    assert.equal(req.headers.authorization, 'Bearer token-2');
+
+    // Requests wait for a new token, once the token has expired
+    queue._tokenExpiresOn = Date.now() - 1;
+    req = await queue.authorize('GET', '/myqueue', {}, {});
+    assert.equal(req.headers.authorization, 'Bearer token-3');
+    req = await queue.authorize('GET', '/myqueue', {}, {});
+    assert.equal(req.headers.authorization, 'Bearer token-3');
+    assert.equal(calls, 3);
+  });
+
+  test("userDelegationSas caches the user delegation key", async function() {
+    var blob = new azure.Blob({
+      accountId:        'myaccount',
+      tokenCredential:  credential('secret')
+    });
+    var requested = [];
+    blob.getUserDelegationKey = async function(start, expiry) {
+      requested.push({start, expiry});
+      await new Promise(function(accept) {
+        setTimeout(accept, 10);
+      });
+      return {
+        signedOid:      'oid-' + requested.length,
+        signedTid:      'tid',
+        signedStart:    start.toJSON().replace(/\.\d+Z$/, 'Z'),
+        signedExpiry:   expiry.toJSON().replace(/\.\d+Z$/, 'Z'),
+        signedService:  'b',
+        signedVersion:  '2020-04-08',
+        value:          Buffer.from('key-' + requested.length).toString('base64')
+      };
+    };
+    var options = function(expiresIn) {
+      return {
+        expiry:       new Date(Date.now() + expiresIn),
+        resourceType: 'blob',
+        permissions:  {read: true}
+      };
+    };
+
+    // Concurrent signatures share the request for a key valid for a day
+    var sas = await Promise.all([
+      blob.userDelegationSas('container', 'blob', options(60 * 60 * 1000)),
+      blob.userDelegationSas('container', 'blob', options(60 * 60 * 1000))
+    ]);
+    assert.equal(requested.length, 1);
+    assert(requested[0].expiry.getTime() >= Date.now() + 23 * 60 * 60 * 1000);
+    var query = querystring.parse(sas[0]);
+    assert.equal(query.skoid, 'oid-1');
+    assert.equal(query.sktid, 'tid');
+    assert.equal(query.sks, 'b');
+    assert.equal(query.skv, '2020-04-08');
+    assert.equal(query.sr, 'b');
+    assert.equal(query.sp, 'r');
+    assert(query.sig);
+
+    // The key is reused for signatures expiring before it
+    await blob.userDelegationSas('container', 'blob', options(20 * 60 * 60 * 1000));
+    assert.equal(requested.length, 1);
+
+    // A new key is requested for signatures expiring after the cached key
+    sas = await blob.userDelegationSas('container', 'blob', options(3 * 24 * 60 * 60 * 1000));
+    assert.equal(requested.length, 2);
+    assert.equal(querystring.parse(sas).skoid, 'oid-2');
+
+    // A given key is used as is
+    var key = blob._userDelegationKey;
+    sas = await blob.userDelegationSas('container', null, {
+      expiry:             new Date(Date.now() + 60 * 1000),
+      resourceType:       'container',
+      permissions:        {list: true},
+      userDelegationKey:  {...key, signedOid: 'given'}
+    });
+    assert.equal(requested.length, 2);
+    assert.equal(querystring.parse(sas).skoid, 'given');
+
+    // Stored access policies can't be used
+    assert.throws(function() {
+      blob.userDelegationSas('container', 'blob', {...options(60 * 1000), accessPolicy: '1'});
+    }, /accessPolicy/);
+  });
+});
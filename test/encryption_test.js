@@ -0,0 +1,74 @@
+import assert from 'assert';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import * as encryption from '../lib/encryption.js';
+
+suite('Encryption', function() {
+  const key1 = encryption.createKeyEncryptionKey('key1', crypto.randomBytes(32));
+  const key2 = encryption.createKeyEncryptionKey('key2', crypto.randomBytes(32));
+  const resolver = {
+    keyResolver: keyId => ({key1, key2})[keyId],
+  };
+
+  const readAll = async function(readable) {
+    const chunks = [];
+    for await (const chunk of readable) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  };
+
+  test('encrypt and decrypt', async function() {
+    const result = await encryption.encrypt(key1, 'hello world');
+    assert.equal(result.content.length, 11 + 16);
+    const envelope = encryption.parseEnvelope(result.metadata);
+    assert.equal(envelope.keyId, 'key1');
+    assert.equal(envelope.algorithm, 'AES-256-GCM');
+    const content = await encryption.decrypt({keyEncryptionKey: key1}, result.metadata, result.content);
+    assert.equal(content.toString(), 'hello world');
+  });
+
+  test('encrypt stream', async function() {
+    const data = crypto.randomBytes(10000);
+    const result = await encryption.createEncryptStream(key1);
+    const encrypted = await readAll(Readable.from([data.subarray(0, 3000), data.subarray(3000)]).pipe(result.stream));
+    const content = await encryption.decrypt(resolver, result.metadata, encrypted);
+    assert(content.equals(data));
+  });
+
+  test('tampered content fails authentication', async function() {
+    const result = await encryption.encrypt(key1, Buffer.from('hello world'));
+    result.content[0] ^= 1;
+    await assert.rejects(encryption.decrypt(resolver, result.metadata, result.content), {
+      code: 'DecryptionFailed',
+    });
+  });
+
+  test('unknown key', async function() {
+    const result = await encryption.encrypt(key1, 'hello world');
+    await assert.rejects(encryption.decrypt({keyEncryptionKey: key2}, result.metadata, result.content), {
+      code: 'KeyNotFound',
+    });
+  });
+
+  test('wrong key fails to unwrap', async function() {
+    const result = await encryption.encrypt(key1, 'hello world');
+    const impostor = encryption.createKeyEncryptionKey('key1', crypto.randomBytes(32));
+    await assert.rejects(encryption.decrypt({keyEncryptionKey: impostor}, result.metadata, result.content), {
+      code: 'DecryptionFailed',
+    });
+  });
+
+  test('rewrap key', async function() {
+    const result = await encryption.encrypt(key1, 'hello world');
+    const metadata = await encryption.rewrapKey(resolver, result.metadata, key2);
+    assert.equal(encryption.parseEnvelope(metadata).keyId, 'key2');
+    const content = await encryption.decrypt({keyEncryptionKey: key2}, metadata, result.content);
+    assert.equal(content.toString(), 'hello world');
+  });
+
+  test('unsupported envelope', function() {
+    assert.throws(() => encryption.parseEnvelope('{"protocol":"2.0"}'), {code: 'UnsupportedEncryption'});
+    assert.throws(() => encryption.parseEnvelope('not json'), {code: 'UnsupportedEncryption'});
+  });
+});
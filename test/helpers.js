@@ -1,4 +1,5 @@
 import taskcluster from 'taskcluster-client';
+import http from 'http';
 
 export const credentials = {};
 
@@ -25,3 +26,23 @@ suiteSetup(async () => {
   console.error('set $AZURE_ACCOUNT and $AZURE_ACCOUNT_KEY to a testing Azure storage account.');
   // process.exit(1);
 });
+
+// Start a local HTTP server, standing in for a storage service, that answers
+// each request with `handler(req, res, body)`, where `body` is the request
+// payload. The server records the requests in `server.requests` and has the
+// endpoint URL `server.url`.
+export const localServer = async (handler) => {
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      server.requests.push({method: req.method, url: new URL(req.url, server.url), headers: req.headers, body});
+      handler(req, res, body);
+    });
+  });
+  server.requests = [];
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  server.url = 'http://127.0.0.1:' + server.address().port;
+  return server;
+};
@@ -0,0 +1,132 @@
+import assert from 'assert';
+import { ListIterator, iterateMarkerPages } from '../lib/list-iterator.js';
+
+suite('ListIterator', function() {
+  // Fake listing of `pages`, where page tokens are the page indexes
+  const fakeListing = function(pages) {
+    const calls = [];
+    const fetchPage = function(token, wanted) {
+      calls.push({token, wanted});
+      const index = token === undefined ? 0 : token;
+      return Promise.resolve({
+        items: pages[index],
+        next: index + 1 < pages.length ? index + 1 : null,
+      });
+    };
+    return {calls, fetchPage};
+  };
+
+  const collect = async function(iterator) {
+    const result = [];
+    for await (const value of iterator) {
+      result.push(value);
+    }
+    return result;
+  };
+
+  test('items across pages', async function() {
+    const {calls, fetchPage} = fakeListing([['a', 'b'], ['c'], ['d', 'e']]);
+    const iterator = new ListIterator(fetchPage);
+    assert.deepEqual(await collect(iterator), ['a', 'b', 'c', 'd', 'e']);
+    assert.deepEqual(calls.map(call => call.token), [undefined, 1, 2]);
+    assert.equal(iterator.continuation, null);
+    assert.equal(iterator.count, 5);
+  });
+
+  test('pages', async function() {
+    const {fetchPage} = fakeListing([['a', 'b'], ['c'], ['d', 'e']]);
+    const iterator = new ListIterator(fetchPage, {pages: true});
+    assert.deepEqual(await collect(iterator), [['a', 'b'], ['c'], ['d', 'e']]);
+  });
+
+  test('empty pages are skipped', async function() {
+    const {fetchPage} = fakeListing([[], ['a'], [], []]);
+    assert.deepEqual(await collect(new ListIterator(fetchPage)), ['a']);
+    assert.deepEqual(await collect(new ListIterator(fetchPage, {pages: true})), [['a']]);
+  });
+
+  test('limit', async function() {
+    const {calls, fetchPage} = fakeListing([['a', 'b'], ['c', 'd']]);
+    const iterator = new ListIterator(fetchPage, {limit: 3});
+    assert.deepEqual(await collect(iterator), ['a', 'b', 'c']);
+    assert.deepEqual(calls.map(call => call.wanted), [3, 1]);
+    assert.deepEqual(iterator.continuation, {token: 1, offset: 1});
+  });
+
+  test('limit with pages', async function() {
+    const {fetchPage} = fakeListing([['a', 'b'], ['c', 'd']]);
+    const iterator = new ListIterator(fetchPage, {limit: 3, pages: true});
+    assert.deepEqual(await collect(iterator), [['a', 'b'], ['c']]);
+  });
+
+  test('limit zero', async function() {
+    const {calls, fetchPage} = fakeListing([['a']]);
+    assert.deepEqual(await collect(new ListIterator(fetchPage, {limit: 0})), []);
+    assert.equal(calls.length, 0);
+  });
+
+  test('resume from continuation', async function() {
+    const {fetchPage} = fakeListing([['a', 'b', 'c'], ['d']]);
+    const first = new ListIterator(fetchPage, {limit: 2});
+    assert.deepEqual(await collect(first), ['a', 'b']);
+    const continuation = JSON.parse(JSON.stringify(first.continuation));
+    const second = new ListIterator(fetchPage, {continuation});
+    assert.deepEqual(await collect(second), ['c', 'd']);
+  });
+
+  test('resume from exhausted continuation', async function() {
+    const {calls, fetchPage} = fakeListing([['a']]);
+    assert.deepEqual(await collect(new ListIterator(fetchPage, {continuation: null})), []);
+    assert.equal(calls.length, 0);
+  });
+
+  test('concurrent calls to next', async function() {
+    const {calls, fetchPage} = fakeListing([['a', 'b']]);
+    const iterator = new ListIterator(fetchPage);
+    const values = await Promise.all([iterator.next(), iterator.next(), iterator.next()]);
+    assert.deepEqual(values, [
+      {done: false, value: 'a'},
+      {done: false, value: 'b'},
+      {done: true, value: undefined},
+    ]);
+    assert.equal(calls.length, 1);
+  });
+
+  test('errors are propagated and can be retried', async function() {
+    const {fetchPage} = fakeListing([['a'], ['b']]);
+    let fail = true;
+    const iterator = new ListIterator(function(token, wanted) {
+      if (token === 1 && fail) {
+        fail = false;
+        return Promise.reject(new Error('ServerBusy'));
+      }
+      return fetchPage(token, wanted);
+    });
+    assert.deepEqual(await iterator.next(), {done: false, value: 'a'});
+    await assert.rejects(iterator.next(), /ServerBusy/);
+    assert.deepEqual(await iterator.next(), {done: false, value: 'b'});
+  });
+
+  test('iterateMarkerPages', async function() {
+    const pages = {'': ['a', 'b'], 'm1': ['c'], 'm2': ['d']};
+    const next = {'': 'm1', 'm1': 'm2'};
+    const calls = [];
+    const list = function(options) {
+      calls.push({marker: options.marker, maxResults: options.maxResults, prefix: options.prefix});
+      return Promise.resolve({queues: pages[options.marker || ''], nextMarker: next[options.marker || '']});
+    };
+    let iterator = iterateMarkerPages(list, 'queues', {prefix: 'q', limit: 3});
+    assert.deepEqual(await collect(iterator), ['a', 'b', 'c']);
+    assert.deepEqual(calls, [
+      {marker: undefined, maxResults: 3, prefix: 'q'},
+      {marker: 'm1', maxResults: 1, prefix: 'q'},
+    ]);
+
+    // Resume from the continuation of a previous iterator
+    calls.length = 0;
+    iterator = iterateMarkerPages(list, 'queues', {maxResults: 2, continuation: iterator.continuation});
+    assert.deepEqual(await collect(iterator), ['d']);
+    assert.deepEqual(calls, [{marker: 'm2', maxResults: 2, prefix: undefined}]);
+    assert.equal(iterator.continuation, null);
+  });
+});
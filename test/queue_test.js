@@ -239,6 +239,41 @@ suite.skip("Queue", function() {
     return queue2.putMessage(queueName, 'my-message');
   });
 
+  test("Account Shared-Access-Signature for queues and blobs", function() {
+    var sas = queue.accountSas({
+      expiry:   new Date(Date.now() + 30 * 60 * 1000),
+      services: {
+        queue:    true,
+        blob:     true
+      },
+      resourceTypes: {
+        container:  true,
+        object:     true
+      },
+      permissions: {
+        read:     true,
+        list:     true,
+        add:      true,
+        process:  true
+      }
+    });
+    var queue2 = new azure.Queue({
+      accountId:    queue.options.accountId,
+      sas:          sas
+    });
+    var blob2 = new azure.Blob({
+      accountId:    queue.options.accountId,
+      sas:          sas
+    });
+    return queue2.putMessage(queueName, 'my-message').then(function() {
+      return blob2.listContainers();
+    }).then(function() {
+      assert(false, 'Expected an error, the signature doesn\'t grant service level access');
+    }, function(err) {
+      assert(err.statusCode === 403);
+    });
+  });
+
   test("Shared-Access-Signature (forbid add)", function() {
     var sas = queue.sas(queueName, {
       start:    new Date(Date.now() - 15 * 60 * 1000),
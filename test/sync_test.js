@@ -0,0 +1,109 @@
+import azure from '../lib/index.js';
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Well-known account and key of the local storage emulator, Azurite
+var EMULATOR_ACCOUNT = 'devstoreaccount1';
+var EMULATOR_KEY = 'Eby8vdM02xNOcqFlqUwJPLlmEtlCDXJ1OUzFT50uSRZ6IFsuFq2UVErCz4I6tq/K1SZFPTOtr/KBHBeksoGMGw==';
+
+// Tests run against a local emulator, started with `azurite-blob`, if
+// $AZURE_STORAGE_EMULATOR is set to its blob endpoint, i.e.
+// http://127.0.0.1:10000/devstoreaccount1
+var endpoint = process.env.AZURE_STORAGE_EMULATOR;
+
+(endpoint ? suite : suite.skip)("Blob sync (emulator)", function() {
+  var blob, localDir, otherDir;
+  var containerName = 'sync-test-' + Math.floor(Math.random() * 1000);
+
+  var writeFile = function(dir, relative, content) {
+    var filename = path.join(dir, relative);
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+    fs.writeFileSync(filename, content);
+  };
+
+  suiteSetup(function() {
+    blob = new azure.Blob({
+      accountId:  EMULATOR_ACCOUNT,
+      accessKey:  EMULATOR_KEY,
+      endpoint:   endpoint
+    });
+    localDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fast-azure-sync-'));
+    otherDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fast-azure-sync-'));
+    writeFile(localDir, 'task/run-0/log.txt', 'log');
+    writeFile(localDir, 'task/run-0/out.bin', Buffer.from([0, 1, 2, 255]));
+    writeFile(localDir, 'task/tmp/scratch.txt', 'scratch');
+    return blob.createContainer(containerName);
+  });
+
+  suiteTeardown(function() {
+    fs.rmSync(localDir, { recursive: true, force: true });
+    fs.rmSync(otherDir, { recursive: true, force: true });
+    return blob.deleteContainer(containerName);
+  });
+
+  test('dry-run upload makes no changes', function() {
+    return blob.syncToContainer(localDir, containerName, { prefix: 'artifacts', dryRun: true }).then(function(result) {
+      assert.deepEqual(result.created, ['task/run-0/log.txt', 'task/run-0/out.bin', 'task/tmp/scratch.txt']);
+      return blob.listBlobs(containerName);
+    }).then(function(result) {
+      assert(result.blobs.length === 0);
+    });
+  });
+
+  test('upload new files, excluding a pattern', function() {
+    return blob.syncToContainer(localDir, containerName, {
+      prefix:   'artifacts',
+      exclude:  ['tmp/**', 'task/tmp/**']
+    }).then(function(result) {
+      assert.deepEqual(result.created, ['task/run-0/log.txt', 'task/run-0/out.bin']);
+      return blob.listBlobs(containerName);
+    }).then(function(result) {
+      assert.deepEqual(result.blobs.map(function(item) { return item.name; }), [
+        'artifacts/task/run-0/log.txt',
+        'artifacts/task/run-0/out.bin'
+      ]);
+    });
+  });
+
+  test('upload changed files and delete extra blobs', function() {
+    writeFile(localDir, 'task/run-0/log.txt', 'longer log');
+    fs.unlinkSync(path.join(localDir, 'task/run-0/out.bin'));
+    return blob.syncToContainer(localDir, containerName, {
+      prefix:       'artifacts',
+      include:      ['*.txt', '*.bin'],
+      exclude:      ['task/tmp/**'],
+      deleteExtra:  true
+    }).then(function(result) {
+      assert.deepEqual(result, {
+        created:    [],
+        updated:    ['task/run-0/log.txt'],
+        deleted:    ['task/run-0/out.bin'],
+        unchanged:  []
+      });
+    });
+  });
+
+  test('download to a new directory, then nothing changes', function() {
+    return blob.syncFromContainer(containerName, otherDir, { prefix: 'artifacts' }).then(function(result) {
+      assert.deepEqual(result.created, ['task/run-0/log.txt']);
+      assert(fs.readFileSync(path.join(otherDir, 'task/run-0/log.txt'), 'utf8') === 'longer log');
+      return blob.syncFromContainer(containerName, otherDir, { prefix: 'artifacts' });
+    }).then(function(result) {
+      assert.deepEqual(result.unchanged, ['task/run-0/log.txt']);
+      assert(result.created.length === 0 && result.updated.length === 0);
+    });
+  });
+
+  test('download deletes extra local files', function() {
+    writeFile(otherDir, 'extra.txt', 'extra');
+    return blob.syncFromContainer(containerName, otherDir, {
+      prefix:       'artifacts',
+      deleteExtra:  true
+    }).then(function(result) {
+      assert.deepEqual(result.deleted, ['extra.txt']);
+      assert(!fs.existsSync(path.join(otherDir, 'extra.txt')));
+    });
+  });
+});
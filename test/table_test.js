@@ -206,6 +206,33 @@ suite.skip("Table", function() {
     });
   });
 
+  test("iterateEntities w. $filter, $top, limit and continuation", async function() {
+    var pk = 'test-pk-' + Math.random();
+    await Promise.all(['rk1', 'rk2', 'rk3'].map(function(rk) {
+      return table.insertEntity(tableName, {
+        PartitionKey:       pk,
+        RowKey:             rk,
+      });
+    }));
+    var op = azure.Table.Operators;
+    var filter = azure.Table.filter(['PartitionKey', op.Equal, op.string(pk)]);
+
+    var iterator = table.iterateEntities(tableName, {filter: filter, top: 1, limit: 2});
+    var rowKeys = [];
+    for await (var entity of iterator) {
+      rowKeys.push(entity.RowKey);
+    }
+    assert.deepEqual(rowKeys, ['rk1', 'rk2']);
+    for await (var page of table.iterateEntities(tableName, {
+      filter:       filter,
+      pages:        true,
+      continuation: iterator.continuation
+    })) {
+      rowKeys = rowKeys.concat(page.map(function(entity) { return entity.RowKey; }));
+    }
+    assert.deepEqual(rowKeys, ['rk1', 'rk2', 'rk3']);
+  });
+
   test("queryEntities w. $filter, $select", function() {
     var pk = 'test-pk-' + Math.random();
     return Promise.all([
@@ -34,6 +34,18 @@ suite("Utils", function() {
         }, 500);
       }
 
+      if (req.url === '/binary') {
+        res.writeHead(200, {
+          'content-type': 'application/octet-stream',
+          'content-length': 256
+        });
+        var data = Buffer.alloc(256);
+        for (var i = 0; i < 256; i++) {
+          data[i] = i;
+        }
+        res.end(data);
+      }
+
       if (req.url === '/delayed-body') {
         res.writeHead(200, {
           'content-type': 'plain/text'
@@ -111,6 +123,29 @@ suite("Utils", function() {
     });
   });
 
+  test("retry (nested retries)", function() {
+    var count = 0;
+    var options = {
+      retries:              3,
+      delayFactor:          1,
+      maxDelay:             30 * 1000,
+      transientErrorCodes:  ['MyTransientError']
+    };
+    return utils.retry(function() {
+      return utils.retry(function() {
+        count += 1;
+        var err = new Error("Some error message");
+        err.code = 'MyTransientError';
+        throw err;
+      }, options);
+    }, {...options, transientErrorCodes: ['MyOtherTransientError']}).then(function() {
+      assert(false, "Expected an error!");
+    }, function(err) {
+      assert(count === 4, "Expected that only the inner loop retried");
+      assert(err.retries === 3, "Expected the retries of the inner loop");
+    });
+  });
+
   test("retry (Can recovered w. retries)", function() {
     var count = 0;
     return utils.retry(function(retry) {
@@ -153,6 +188,37 @@ suite("Utils", function() {
     });
   });
 
+  test("mapLimit", function() {
+    var pending = 0;
+    var maxPending = 0;
+    return utils.mapLimit([5, 4, 3, 2, 1], 2, function(item, index) {
+      pending += 1;
+      maxPending = Math.max(maxPending, pending);
+      return utils.sleep(item * 10).then(function() {
+        pending -= 1;
+        return item * 2 + index;
+      });
+    }).then(function(results) {
+      assert.deepEqual(results, [10, 9, 8, 7, 6]);
+      assert(maxPending === 2, "Expected at most 2 concurrent calls");
+    });
+  });
+
+  test("mapLimit (error)", function() {
+    var calls = 0;
+    return utils.mapLimit([1, 2, 3, 4, 5], 1, function(item) {
+      calls += 1;
+      if (item === 2) {
+        throw new Error("Some error message");
+      }
+    }).then(function() {
+      assert(false, "Expected an error!");
+    }, function(err) {
+      assert(err.message === "Some error message");
+      assert(calls === 2, "Expected no calls after the error");
+    });
+  });
+
   test("request", function() {
     return utils.request({
       host:               'localhost',
@@ -224,6 +290,63 @@ suite("Utils", function() {
     });
   });
 
+  test("requestStream (binary)", function() {
+    return utils.requestStream({
+      host:               'localhost',
+      port:               port,
+      method:             'get',
+      path:               '/binary',
+      headers:            {},
+      rejectUnauthorized: false
+    }, undefined, 700).then(function(res) {
+      assert(res.statusCode === 200, "Expected 200");
+      return new Promise(function(accept, reject) {
+        var chunks = [];
+        res.on('data', function(chunk) {
+          chunks.push(chunk);
+        });
+        res.once('error', reject);
+        res.once('end', function() {
+          accept(Buffer.concat(chunks));
+        });
+      });
+    }).then(function(data) {
+      assert(data.length === 256, "Expected 256 bytes");
+      for (var i = 0; i < 256; i++) {
+        assert(data[i] === i, "Expected bytes to be unmodified");
+      }
+    });
+  });
+
+  test("requestStream (delayed-header - timeout)", function() {
+    return utils.requestStream({
+      host:               'localhost',
+      port:               port,
+      method:             'get',
+      path:               '/delayed-header',
+      headers:            {},
+      rejectUnauthorized: false
+    }, undefined, 300).then(function() {
+      assert(false, "Expected an error");
+    }, function(err) {
+      assert(utils.TRANSIENT_HTTP_ERROR_CODES.indexOf(err.code) !== -1,
+             "Expected a transient error");
+    });
+  });
+
+  test("readPayload", function() {
+    return utils.requestStream({
+      host:               'localhost',
+      port:               port,
+      method:             'get',
+      path:               '/hello',
+      headers:            {},
+      rejectUnauthorized: false
+    }, undefined, 700).then(utils.readPayload).then(function(res) {
+      assert(res.payload === 'Hello World', "Expected a greeting!");
+    });
+  });
+
   test("dateToISOWithoutMS", function() {
     var date = new Date('2015-07-23T20:53:51.161Z');
     assert(utils.dateToISOWithoutMS(date) === '2015-07-23T20:53:51Z',
@@ -264,4 +387,106 @@ suite("Utils", function() {
     var value = '{0xf11489dc,f5bb,0x4eee,{0xa2,0x05,0xb6,0xbb,0xe3,0xa0,0x9c,0xc5}}';
     assert(utils.isValidGUID(value) === false);
   });
+
+  test("globToRegExp", function() {
+    assert(utils.globToRegExp('*.log').test('build.log'));
+    assert(!utils.globToRegExp('*.log').test('logs/build.log'));
+    assert(!utils.globToRegExp('*.log').test('build.log.gz'));
+    assert(utils.globToRegExp('logs/*.txt').test('logs/a.txt'));
+    assert(!utils.globToRegExp('logs/*.txt').test('logs/a/b.txt'));
+    assert(utils.globToRegExp('logs/**').test('logs/a/b.txt'));
+    assert(utils.globToRegExp('**/*.txt').test('a.txt'));
+    assert(utils.globToRegExp('**/*.txt').test('a/b/c.txt'));
+    assert(utils.globToRegExp('a/**/c.txt').test('a/c.txt'));
+    assert(utils.globToRegExp('a/**/c.txt').test('a/b/b/c.txt'));
+    assert(utils.globToRegExp('file?.txt').test('file1.txt'));
+    assert(!utils.globToRegExp('file?.txt').test('file/.txt'));
+    assert(utils.globToRegExp('a+(b).txt').test('a+(b).txt'));
+    assert(!utils.globToRegExp('a.txt').test('abtxt'));
+  });
+
+  test("crc64", function() {
+    // Check value of CRC-64/NVME, as used by Azure Storage, in little-endian
+    assert(utils.crc64('123456789') === 'iJh5CoYUi64=');
+    var crc64 = utils.createCRC64();
+    crc64.update('1234');
+    crc64.update(Buffer.from('56789'));
+    assert(crc64.digest() === 'iJh5CoYUi64=');
+    assert(utils.crc64('') === 'AAAAAAAAAAA=');
+  });
+
+  test("compress and decompress", async function() {
+    var text = 'log line\n'.repeat(1000);
+    for (var encoding of ['gzip', 'br', 'deflate']) {
+      var compressed = await utils.compress(text, encoding);
+      assert(compressed.length < text.length / 10);
+      var content = await utils.decompress(compressed, encoding);
+      assert(content.toString() === text);
+    }
+    assert(!utils.isCompressionEncoding('identity'));
+    assert(!utils.isCompressionEncoding('hasOwnProperty'));
+  });
+
+  test("serializeBatchBody and parseBatchResponse", function() {
+    var body = utils.serializeBatchBody('batch_1', [
+      {method: 'DELETE', path: '/container/a', headers: {'x-ms-date': 'date', 'content-length': 0}},
+      {method: 'DELETE', path: '/container/b?snapshot=x', headers: {'x-ms-date': 'date', 'content-length': 0}},
+    ]);
+    assert(body === [
+      '--batch_1',
+      'Content-Type: application/http',
+      'Content-Transfer-Encoding: binary',
+      'Content-ID: 0',
+      '',
+      'DELETE /container/a HTTP/1.1',
+      'x-ms-date: date',
+      'content-length: 0',
+      '',
+      '--batch_1',
+      'Content-Type: application/http',
+      'Content-Transfer-Encoding: binary',
+      'Content-ID: 1',
+      '',
+      'DELETE /container/b?snapshot=x HTTP/1.1',
+      'x-ms-date: date',
+      'content-length: 0',
+      '',
+      '--batch_1--',
+      '',
+    ].join('\r\n'));
+
+    var responses = utils.parseBatchResponse('multipart/mixed; boundary=batchresponse_1', [
+      '--batchresponse_1',
+      'Content-Type: application/http',
+      'Content-ID: 1',
+      '',
+      'HTTP/1.1 404 The specified blob does not exist.',
+      'x-ms-error-code: BlobNotFound',
+      'Content-Type: application/xml',
+      '',
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<Error><Code>BlobNotFound</Code><Message>The specified blob does not exist.</Message></Error>',
+      '--batchresponse_1',
+      'Content-Type: application/http',
+      'Content-ID: 0',
+      '',
+      'HTTP/1.1 202 Accepted',
+      'x-ms-delete-type-permanent: true',
+      '',
+      '',
+      '--batchresponse_1--',
+      '',
+    ].join('\r\n'));
+    assert(responses.length === 2);
+    assert(responses[0].contentId === 1);
+    assert(responses[0].statusCode === 404);
+    assert(responses[0].headers['x-ms-error-code'] === 'BlobNotFound');
+    assert(/<Code>BlobNotFound<\/Code>/.test(responses[0].payload));
+    assert(/<\/Error>$/.test(responses[0].payload));
+    assert(responses[1].contentId === 0);
+    assert(responses[1].statusCode === 202);
+    assert(responses[1].statusMessage === 'Accepted');
+    assert(responses[1].headers['x-ms-delete-type-permanent'] === 'true');
+    assert(responses[1].payload === '');
+  });
 });
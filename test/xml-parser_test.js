@@ -304,6 +304,46 @@ suite('xml-parser', function() {
     });
   });
 
+  test('blobParseListContainers deleted', function() {
+    const payload = stripWS(`<?xml version="1.0" encoding="utf-8"?>
+    <EnumerationResults ServiceEndpoint="https://jungle.blob.core.windows.net/">
+      <Containers>
+        <Container>
+          <Name>fast-azure-blob-container-deleted</Name>
+          <Deleted>true</Deleted>
+          <Version>01D60F8BB59A4652</Version>
+          <Properties>
+            <Last-Modified>Sun, 30 Jun 2019 20:16:29 GMT</Last-Modified>
+            <Etag>"0x8D6FD97D62F6E79"</Etag>
+            <LeaseStatus>unlocked</LeaseStatus>
+            <LeaseState>expired</LeaseState>
+            <DeletedTime>Mon, 01 Jul 2019 10:00:00 GMT</DeletedTime>
+            <RemainingRetentionDays>6</RemainingRetentionDays>
+          </Properties>
+        </Container>
+      </Containers>
+    </EnumerationResults>`);
+    assert.deepEqual(xml.blobParseListContainers({payload}), {
+      containers: [
+        {
+          name: 'fast-azure-blob-container-deleted',
+          deleted: true,
+          version: '01D60F8BB59A4652',
+          properties:
+          {
+            eTag: '"0x8D6FD97D62F6E79"',
+            lastModified: 'Sun, 30 Jun 2019 20:16:29 GMT',
+            leaseStatus: 'unlocked',
+            leaseState: 'expired',
+            deletedTime: 'Mon, 01 Jul 2019 10:00:00 GMT',
+            remainingRetentionDays: '6',
+          },
+          metadata: undefined,
+        },
+      ],
+    });
+  });
+
   test('blobParseContainerACL singular', function() {
     const payload = stripWS(`<?xml version="1.0" encoding="utf-8"?>
       <SignedIdentifiers>
@@ -472,6 +512,150 @@ suite('xml-parser', function() {
     });
   });
 
+  test('blobParseListBlobs access tier', function() {
+    const payload = stripWS(`<?xml version="1.0" encoding="utf-8"?>
+      <EnumerationResults ServiceEndpoint="https://jungle.blob.core.windows.net/" ContainerName="fast-azure-blob-container-with-blobs">
+        <Blobs>
+          <Blob>
+            <Name>archived</Name>
+            <Properties>
+              <BlobType>BlockBlob</BlobType>
+              <AccessTier>Archive</AccessTier>
+              <ArchiveStatus>rehydrate-pending-to-hot</ArchiveStatus>
+              <AccessTierChangeTime>Sat, 29 Jun 2019 02:19:56 GMT</AccessTierChangeTime>
+            </Properties>
+          </Blob>
+          <Blob>
+            <Name>default</Name>
+            <Properties>
+              <BlobType>BlockBlob</BlobType>
+              <AccessTier>Hot</AccessTier>
+              <AccessTierInferred>true</AccessTierInferred>
+            </Properties>
+          </Blob>
+        </Blobs>
+    </EnumerationResults>`);
+
+    assert.deepEqual(xml.blobParseListBlobs({payload}), {
+      blobs: [{
+        name: 'archived',
+        type: 'BlockBlob',
+        accessTier: 'Archive',
+        archiveStatus: 'rehydrate-pending-to-hot',
+        accessTierChangeTime: 'Sat, 29 Jun 2019 02:19:56 GMT',
+      }, {
+        name: 'default',
+        type: 'BlockBlob',
+        accessTier: 'Hot',
+        accessTierInferred: 'true',
+      }],
+    });
+  });
+
+  test('blobParseListBlobs versions', function() {
+    const payload = stripWS(`<?xml version="1.0" encoding="utf-8"?>
+      <EnumerationResults ServiceEndpoint="https://jungle.blob.core.windows.net/" ContainerName="fast-azure-blob-container-with-blobs">
+        <Blobs>
+          <Blob>
+            <Name>config.json</Name>
+            <VersionId>2020-06-01T12:00:00.0000000Z</VersionId>
+            <Properties>
+              <BlobType>BlockBlob</BlobType>
+            </Properties>
+          </Blob>
+          <Blob>
+            <Name>config.json</Name>
+            <VersionId>2020-06-02T12:00:00.0000000Z</VersionId>
+            <IsCurrentVersion>true</IsCurrentVersion>
+            <Properties>
+              <BlobType>BlockBlob</BlobType>
+            </Properties>
+          </Blob>
+        </Blobs>
+    </EnumerationResults>`);
+
+    assert.deepEqual(xml.blobParseListBlobs({payload}), {
+      blobs: [{
+        name: 'config.json',
+        versionId: '2020-06-01T12:00:00.0000000Z',
+        type: 'BlockBlob',
+      }, {
+        name: 'config.json',
+        versionId: '2020-06-02T12:00:00.0000000Z',
+        isCurrentVersion: 'true',
+        type: 'BlockBlob',
+      }],
+    });
+  });
+
+  test('blobParseListBlobs deleted', function() {
+    const payload = stripWS(`<?xml version="1.0" encoding="utf-8"?>
+      <EnumerationResults ServiceEndpoint="https://jungle.blob.core.windows.net/" ContainerName="artifacts">
+        <Blobs>
+          <Blob>
+            <Name>deleted.txt</Name>
+            <Deleted>true</Deleted>
+            <Properties>
+              <BlobType>BlockBlob</BlobType>
+              <DeletedTime>Mon, 01 Jul 2019 10:00:00 GMT</DeletedTime>
+              <RemainingRetentionDays>6</RemainingRetentionDays>
+            </Properties>
+          </Blob>
+          <Blob>
+            <Name>live.txt</Name>
+            <Properties>
+              <BlobType>BlockBlob</BlobType>
+            </Properties>
+          </Blob>
+        </Blobs>
+    </EnumerationResults>`);
+
+    assert.deepEqual(xml.blobParseListBlobs({payload}), {
+      blobs: [{
+        name: 'deleted.txt',
+        deleted: true,
+        type: 'BlockBlob',
+        deletedTime: 'Mon, 01 Jul 2019 10:00:00 GMT',
+        remainingRetentionDays: '6',
+      }, {
+        name: 'live.txt',
+        type: 'BlockBlob',
+      }],
+    });
+  });
+
+  test('blobParseListBlobs blob prefixes', function() {
+    const payload = stripWS(`<?xml version="1.0" encoding="utf-8"?>
+      <EnumerationResults ServiceEndpoint="https://jungle.blob.core.windows.net/" ContainerName="artifacts">
+        <Prefix>task/</Prefix>
+        <Delimiter>/</Delimiter>
+        <Blobs>
+          <Blob>
+            <Name>task/log.txt</Name>
+            <Properties>
+              <BlobType>BlockBlob</BlobType>
+            </Properties>
+          </Blob>
+          <BlobPrefix>
+            <Name>task/run-0/</Name>
+          </BlobPrefix>
+          <BlobPrefix>
+            <Name>task/run-1/</Name>
+          </BlobPrefix>
+        </Blobs>
+    </EnumerationResults>`);
+
+    assert.deepEqual(xml.blobParseListBlobs({payload}), {
+      blobs: [{
+        name: 'task/log.txt',
+        type: 'BlockBlob',
+      }],
+      blobPrefixes: ['task/run-0/', 'task/run-1/'],
+      prefix: 'task/',
+      delimiter: '/',
+    });
+  });
+
   test('blobParseListBlock empty', function() {
     const payload = stripWS(`<?xml version="1.0" encoding="utf-8"?>
       <BlockList>
@@ -549,6 +733,126 @@ suite('xml-parser', function() {
     });
   });
 
+  test('blobParsePageRanges empty', function() {
+    const payload = stripWS(`<?xml version="1.0" encoding="utf-8"?>
+      <PageList />`);
+
+    assert.deepEqual(xml.blobParsePageRanges({payload}), {
+      pageRanges: [],
+      clearRanges: [],
+    });
+  });
+
+  test('blobParsePageRanges plural', function() {
+    const payload = stripWS(`<?xml version="1.0" encoding="utf-8"?>
+      <PageList>
+        <PageRange>
+          <Start>0</Start>
+          <End>511</End>
+        </PageRange>
+        <ClearRange>
+          <Start>512</Start>
+          <End>1023</End>
+        </ClearRange>
+        <PageRange>
+          <Start>2048</Start>
+          <End>4095</End>
+        </PageRange>
+      </PageList>`);
+
+    assert.deepEqual(xml.blobParsePageRanges({payload}), {
+      pageRanges: [
+        {start: 0, end: 511},
+        {start: 2048, end: 4095}
+      ],
+      clearRanges: [
+        {start: 512, end: 1023}
+      ],
+    });
+  });
+
+  test('blobParseTags empty', function() {
+    const payload = stripWS(`<?xml version="1.0" encoding="utf-8"?>
+      <Tags>
+        <TagSet />
+      </Tags>`);
+
+    assert.deepEqual(xml.blobParseTags({payload}), {
+      tags: {},
+    });
+  });
+
+  test('blobParseTags plural', function() {
+    const payload = stripWS(`<?xml version="1.0" encoding="utf-8"?>
+      <Tags>
+        <TagSet>
+          <Tag>
+            <Key>branch</Key>
+            <Value>main</Value>
+          </Tag>
+          <Tag>
+            <Key>reviewed</Key>
+            <Value></Value>
+          </Tag>
+        </TagSet>
+      </Tags>`);
+
+    assert.deepEqual(xml.blobParseTags({payload}), {
+      tags: {
+        branch: 'main',
+        reviewed: '',
+      },
+    });
+  });
+
+  test('blobParseFindBlobsByTags plural', function() {
+    const payload = stripWS(`<?xml version="1.0" encoding="utf-8"?>
+      <EnumerationResults ServiceEndpoint="https://jungle.blob.core.windows.net/">
+        <Where>"branch" = 'main'</Where>
+        <Blobs>
+          <Blob>
+            <Name>artifact-1.tar.gz</Name>
+            <ContainerName>artifacts</ContainerName>
+            <Tags>
+              <TagSet>
+                <Tag>
+                  <Key>branch</Key>
+                  <Value>main</Value>
+                </Tag>
+              </TagSet>
+            </Tags>
+          </Blob>
+          <Blob>
+            <Name>artifact-2.tar.gz</Name>
+            <ContainerName>artifacts</ContainerName>
+            <Tags>
+              <TagSet>
+                <Tag>
+                  <Key>branch</Key>
+                  <Value>main</Value>
+                </Tag>
+              </TagSet>
+            </Tags>
+          </Blob>
+        </Blobs>
+        <NextMarker>marker</NextMarker>
+      </EnumerationResults>`);
+
+    assert.deepEqual(xml.blobParseFindBlobsByTags({payload}), {
+      blobs: [{
+        name: 'artifact-1.tar.gz',
+        container: 'artifacts',
+        tags: {branch: 'main'},
+      }, {
+        name: 'artifact-2.tar.gz',
+        container: 'artifacts',
+        tags: {branch: 'main'},
+      }],
+      where: '"branch" = \'main\'',
+      nextMarker: 'marker',
+    });
+  });
+
   test('blobParseServiceProperties singular', function() {
     const payload = stripWS(`<?xml version="1.0" encoding="utf-8"?>
       <StorageServiceProperties>
@@ -619,4 +923,43 @@ suite('xml-parser', function() {
       }
     });
   });
+
+  test('blobParseServiceProperties delete retention policy', function() {
+    const payload = stripWS(`<?xml version="1.0" encoding="utf-8"?>
+      <StorageServiceProperties>
+        <Cors />
+        <DeleteRetentionPolicy>
+          <Enabled>true</Enabled>
+          <Days>7</Days>
+        </DeleteRetentionPolicy>
+      </StorageServiceProperties>`);
+
+    assert.deepEqual(xml.blobParseServiceProperties({payload}), {
+      corsRules: [],
+      deleteRetentionPolicy: {days: '7', enabled: 'true'},
+    });
+  });
+
+  test('blobParseUserDelegationKey', function() {
+    const payload = stripWS(`<?xml version="1.0" encoding="utf-8"?>
+      <UserDelegationKey>
+        <SignedOid>2d4a6e6e-3f5b-4d2a-9c0b-5b7e1c8f9a01</SignedOid>
+        <SignedTid>72f988bf-86f1-41af-91ab-2d7cd011db47</SignedTid>
+        <SignedStart>2021-03-01T10:00:00Z</SignedStart>
+        <SignedExpiry>2021-03-02T10:00:00Z</SignedExpiry>
+        <SignedService>b</SignedService>
+        <SignedVersion>2020-04-08</SignedVersion>
+        <Value>c2VjcmV0LWtleQ==</Value>
+      </UserDelegationKey>`);
+
+    assert.deepEqual(xml.blobParseUserDelegationKey({payload}), {
+      signedOid: '2d4a6e6e-3f5b-4d2a-9c0b-5b7e1c8f9a01',
+      signedTid: '72f988bf-86f1-41af-91ab-2d7cd011db47',
+      signedStart: '2021-03-01T10:00:00Z',
+      signedExpiry: '2021-03-02T10:00:00Z',
+      signedService: 'b',
+      signedVersion: '2020-04-08',
+      value: 'c2VjcmV0LWtleQ==',
+    });
+  });
 });